@@ -0,0 +1,532 @@
+/**
+ * AI Provider - Configurable endpoint for the AI refine call
+ * FieldVoice Pro v6
+ *
+ * quick-interview.js (Finish) and report.js (retry pending refine) send the same
+ * payload to whichever provider is selected in Settings:
+ * - n8n:    production FieldVoice refine webhook (default)
+ * - mock:   tools/mock-refine-server.js on this machine, for offline development
+ * - custom: any endpoint that accepts the refine payload and returns the same shape
+ *
+ * Responses are normalized to { success, aiGenerated, captureMode, originalInput }
+ * (the webhook has returned both `aiGenerated` and `refinedReport` over time), and
+ * aiGenerated is validated/repaired against the schema in ai-schema.js.
+ *
+ * Streaming (refineStream): the endpoint may answer with SSE (`data: <message>`)
+ * or chunked NDJSON (one message per line) so report.html can render sections as
+ * they arrive. Messages:
+ *   { type: 'meta', captureMode, originalInput }
+ *   { type: 'section', section, contractorId?, data }    (data = that part of aiGenerated;
+ *                                                         activities may come one contractor at a time)
+ *   { type: 'section_error', section, contractorId?, message }
+ *   { type: 'done' }
+ * A plain JSON response is accepted too and emitted as one section per field.
+ * Request body adds `stream: true` and, for a per-section retry,
+ * `sections: [{ section, contractorId? }]`.
+ *
+ * Dependencies: storage-keys.js, ai-schema.js
+ *
+ * @module ai-provider
+ */
+
+(function() {
+    'use strict';
+
+    const PROVIDERS = {
+        n8n: {
+            label: 'FieldVoice Cloud (n8n)',
+            endpoint: 'https://advidere.app.n8n.cloud/webhook/fieldvoice-refine-v6.6',
+            version: 'v6.6',
+            timeoutMs: 30000,
+            streaming: false,
+            modelUsed: 'n8n-fieldvoice-refine'
+        },
+        mock: {
+            label: 'Local mock server',
+            endpoint: 'http://localhost:8787/refine',
+            version: 'mock-1',
+            timeoutMs: 10000,
+            streaming: true,
+            modelUsed: 'mock-refine'
+        },
+        custom: {
+            label: 'Custom endpoint',
+            endpoint: '',
+            version: '',
+            timeoutMs: 30000,
+            streaming: false,
+            modelUsed: 'custom-refine'
+        }
+    };
+
+    const DEFAULT_PROVIDER = 'n8n';
+    const VERSION_HEADER = 'X-FieldVoice-Refine-Version';
+    const STREAM_ACCEPT = 'application/x-ndjson, text/event-stream, application/json';
+
+    // aiGenerated fields a stream is expected to deliver (v6.6 names, see ai-schema.js)
+    const STREAM_SECTIONS = [
+        'activities',
+        'operations',
+        'equipment',
+        'issues_delays',
+        'qaqc_notes',
+        'safety',
+        'communications',
+        'visitors_deliveries'
+    ];
+
+    // ============ CONFIG ============
+
+    /**
+     * Get the active provider config (preset values filled in for unset fields)
+     * @returns {{provider: string, label: string, endpoint: string, version: string, timeoutMs: number,
+     *            streaming: boolean, authHeaderName: string, authHeaderValue: string, modelUsed: string}}
+     *   timeoutMs - whole request, or longest gap between chunks when streaming
+     */
+    function getProviderConfig() {
+        const stored = getStorageItem(STORAGE_KEYS.AI_PROVIDER) || {};
+        const provider = PROVIDERS[stored.provider] ? stored.provider : DEFAULT_PROVIDER;
+        const preset = PROVIDERS[provider];
+
+        return {
+            provider,
+            label: preset.label,
+            endpoint: stored.endpoint || preset.endpoint,
+            version: stored.version || preset.version,
+            timeoutMs: Number(stored.timeoutMs) > 0 ? Number(stored.timeoutMs) : preset.timeoutMs,
+            streaming: typeof stored.streaming === 'boolean' ? stored.streaming : preset.streaming,
+            authHeaderName: stored.authHeaderName || '',
+            authHeaderValue: stored.authHeaderValue || '',
+            modelUsed: preset.modelUsed
+        };
+    }
+
+    /**
+     * Save provider settings
+     * Fields equal to the preset are not stored, so preset updates still apply
+     * @param {Object} config - { provider, endpoint, version, timeoutMs, streaming, authHeaderName, authHeaderValue }
+     * @returns {boolean} True on success
+     */
+    function saveProviderConfig(config) {
+        const provider = PROVIDERS[config.provider] ? config.provider : DEFAULT_PROVIDER;
+        const preset = PROVIDERS[provider];
+        const endpoint = (config.endpoint || '').trim();
+
+        if (provider === 'custom' && !endpoint) {
+            throw new Error('Custom provider needs an endpoint URL');
+        }
+        if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+            throw new Error('Endpoint must start with http:// or https://');
+        }
+
+        const timeoutMs = Number(config.timeoutMs);
+        const stored = {
+            provider,
+            endpoint: endpoint !== preset.endpoint ? endpoint : '',
+            version: (config.version || '').trim() !== preset.version ? (config.version || '').trim() : '',
+            timeoutMs: timeoutMs > 0 && timeoutMs !== preset.timeoutMs ? timeoutMs : null,
+            streaming: typeof config.streaming === 'boolean' && config.streaming !== preset.streaming
+                ? config.streaming : null,
+            authHeaderName: (config.authHeaderName || '').trim(),
+            authHeaderValue: config.authHeaderName ? (config.authHeaderValue || '') : ''
+        };
+
+        console.log('[AI] Provider set to:', provider);
+        return setStorageItem(STORAGE_KEYS.AI_PROVIDER, stored);
+    }
+
+    /**
+     * Go back to the default provider
+     */
+    function resetProviderConfig() {
+        removeStorageItem(STORAGE_KEYS.AI_PROVIDER);
+    }
+
+    /**
+     * @returns {Object} Provider presets keyed by id
+     */
+    function getProviders() {
+        return JSON.parse(JSON.stringify(PROVIDERS));
+    }
+
+    // ============ REFINE ============
+
+    /**
+     * Send a refine payload to the active provider
+     * @param {Object} payload - Refine payload (buildProcessPayload() in quick-interview.js)
+     * @param {Object} [overrides] - Config fields to use instead of the saved ones (settings test)
+     * @returns {Promise<{success: boolean, aiGenerated: Object, validation: Object, captureMode: string|null,
+     *                    originalInput: Object|null, provider: string, modelUsed: string}>}
+     *   validation - report from aiSchema.repairAiGenerated()
+     * @throws {Error} On network error, timeout (error.name === 'AbortError'), HTTP error or invalid response
+     */
+    async function refine(payload, overrides) {
+        const config = { ...getProviderConfig(), ...(overrides || {}) };
+        if (!config.endpoint) {
+            throw new Error('No AI refine endpoint configured');
+        }
+
+        const headers = buildHeaders(config);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+
+        try {
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook failed: ${response.status}`);
+            }
+
+            const data = normalizeResponse(await response.json());
+
+            // Enforce the aiGenerated schema before anything stores or renders it
+            const repaired = window.aiSchema.repairAiGenerated(data.aiGenerated, {
+                contractors: payload?.projectContext?.contractors || []
+            });
+            data.aiGenerated = repaired.aiGenerated;
+            data.validation = repaired.validation;
+
+            data.provider = config.provider;
+            data.modelUsed = config.modelUsed;
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    function buildHeaders(config) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.version) headers[VERSION_HEADER] = config.version;
+        if (config.authHeaderName && config.authHeaderValue) {
+            headers[config.authHeaderName] = config.authHeaderValue;
+        }
+        return headers;
+    }
+
+    /**
+     * Accept both response shapes:
+     * - { success, captureMode, originalInput, refinedReport }
+     * - { aiGenerated } (legacy, may be a JSON string - parsed by the schema repair)
+     */
+    function normalizeResponse(data) {
+        if (!data || (!data.success && !data.aiGenerated && !data.refinedReport)) {
+            console.error('[AI] Invalid refine response:', data);
+            throw new Error('Invalid response from AI processing');
+        }
+
+        return {
+            ...data,
+            success: data.success !== false,
+            aiGenerated: data.refinedReport || data.aiGenerated || null,
+            captureMode: data.captureMode || null,
+            originalInput: data.originalInput || null
+        };
+    }
+
+    // ============ STREAMING ============
+
+    /**
+     * Send a refine payload and hand each aiGenerated section to the caller as it arrives
+     * @param {Object} payload - Refine payload (buildProcessPayload() in quick-interview.js)
+     * @param {Object} [options]
+     * @param {Object} [options.base] - aiGenerated the sections are merged into (per-section retry)
+     * @param {Array<{section: string, contractorId?: string}>} [options.sections] - Only refine these
+     * @param {Function} [options.onMeta] - ({ captureMode, originalInput })
+     * @param {Function} [options.onSection] - (message, aiGenerated) - aiGenerated is the repaired
+     *   result so far; only message.section is new
+     * @param {Function} [options.onSectionError] - ({ section, contractorId, message })
+     * @param {Object} [overrides] - Config fields to use instead of the saved ones
+     * @returns {Promise<{success: boolean, aiGenerated: Object, validation: Object, captureMode: string|null,
+     *                    originalInput: Object|null, failedSections: Array, provider: string, modelUsed: string}>}
+     *   failedSections - [{ section, contractorId, message }] reported as failed or never received
+     * @throws {Error} On network error, idle timeout (error.name === 'AbortError') or HTTP error
+     */
+    async function refineStream(payload, options = {}, overrides) {
+        const config = { ...getProviderConfig(), ...(overrides || {}) };
+        if (!config.endpoint) {
+            throw new Error('No AI refine endpoint configured');
+        }
+
+        const contractors = payload?.projectContext?.contractors || [];
+        const requested = options.sections || null;
+        const state = {
+            aiGenerated: JSON.parse(JSON.stringify(options.base || {})),
+            captureMode: null,
+            originalInput: null,
+            received: new Set(),
+            failed: [],
+            done: false
+        };
+
+        const repair = (quiet) => window.aiSchema.repairAiGenerated(state.aiGenerated, { contractors, quiet });
+
+        const handleMessage = (message) => {
+            if (!message || typeof message !== 'object') return;
+
+            switch (message.type) {
+                case 'meta':
+                    state.captureMode = message.captureMode || state.captureMode;
+                    state.originalInput = message.originalInput || state.originalInput;
+                    if (options.onMeta) options.onMeta(message);
+                    break;
+                case 'section':
+                    mergeSection(state.aiGenerated, message);
+                    state.received.add(sectionKey(message));
+                    state.received.add(message.section);
+                    state.failed = state.failed.filter(f => sectionKey(f) !== sectionKey(message));
+                    if (options.onSection) options.onSection(message, repair(true).aiGenerated);
+                    break;
+                case 'section_error': {
+                    const failure = {
+                        section: message.section,
+                        contractorId: message.contractorId || null,
+                        message: message.message || 'Section failed'
+                    };
+                    state.failed.push(failure);
+                    console.warn('[AI] Section failed:', sectionKey(failure), failure.message);
+                    if (options.onSectionError) options.onSectionError(failure);
+                    break;
+                }
+                case 'error':
+                    throw new Error(message.message || 'Refine stream failed');
+                case 'done':
+                    state.done = true;
+                    break;
+                default:
+                    console.warn('[AI] Unknown stream message:', message.type);
+            }
+        };
+
+        const controller = new AbortController();
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => controller.abort(), config.timeoutMs);
+        };
+
+        try {
+            resetIdleTimer();
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers: { ...buildHeaders(config), Accept: STREAM_ACCEPT },
+                body: JSON.stringify({ ...payload, stream: true, ...(requested ? { sections: requested } : {}) }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook failed: ${response.status}`);
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (/event-stream/i.test(contentType)) {
+                await readStream(response, '\n\n', parseSSEEvent, handleMessage, resetIdleTimer);
+            } else if (/ndjson|jsonl/i.test(contentType)) {
+                await readStream(response, '\n', parseJSONLine, handleMessage, resetIdleTimer);
+            } else {
+                // Endpoint doesn't stream - replay the whole response as sections
+                const data = normalizeResponse(await response.json());
+                toMessages(data, requested).forEach(handleMessage);
+            }
+        } finally {
+            clearTimeout(idleTimer);
+        }
+
+        // Anything requested but never delivered counts as failed so it can be retried
+        const expected = requested || STREAM_SECTIONS.map(section => ({ section }));
+        expected.forEach(item => {
+            const key = sectionKey(item);
+            if (state.received.has(key) || state.failed.some(f => sectionKey(f) === key)) return;
+            state.failed.push({
+                section: item.section,
+                contractorId: item.contractorId || null,
+                message: state.done ? 'Not returned by the AI' : 'Connection ended early'
+            });
+        });
+
+        const repaired = repair();
+        console.log('[AI] Stream finished:', state.received.size, 'section(s),', state.failed.length, 'failed');
+
+        return {
+            success: true,
+            aiGenerated: repaired.aiGenerated,
+            validation: repaired.validation,
+            captureMode: state.captureMode,
+            originalInput: state.originalInput,
+            failedSections: state.failed,
+            provider: config.provider,
+            modelUsed: config.modelUsed
+        };
+    }
+
+    /**
+     * Read a streamed body, splitting it into messages on `separator`
+     */
+    async function readStream(response, separator, parse, onMessage, onChunk) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const flush = (part) => {
+            const message = parse(part);
+            if (message) onMessage(message);
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            onChunk();
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            let index;
+            while ((index = buffer.indexOf(separator)) !== -1) {
+                flush(buffer.slice(0, index));
+                buffer = buffer.slice(index + separator.length);
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) flush(buffer);
+    }
+
+    function parseJSONLine(line) {
+        if (!line.trim()) return null;
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            console.warn('[AI] Skipping malformed stream line:', line.slice(0, 200));
+            return null;
+        }
+    }
+
+    function parseSSEEvent(block) {
+        const data = block.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+        return data ? parseJSONLine(data) : null;
+    }
+
+    /**
+     * Turn a non-streamed response into the messages a stream would have sent
+     */
+    function toMessages(data, requested) {
+        const ai = window.aiSchema.repairAiGenerated(data.aiGenerated, { quiet: true }).aiGenerated;
+        const wanted = section => !requested || requested.some(r => r.section === section);
+
+        const messages = [{ type: 'meta', captureMode: data.captureMode, originalInput: data.originalInput }];
+        STREAM_SECTIONS.filter(wanted).forEach(section => {
+            if (section === 'activities' && requested) {
+                // A contractor retry only takes that contractor's activity
+                requested.filter(r => r.section === 'activities').forEach(r => {
+                    const activity = r.contractorId
+                        ? ai.activities.find(a => a.contractorId === r.contractorId)
+                        : null;
+                    if (activity) {
+                        messages.push({ type: 'section', section, contractorId: r.contractorId, data: activity });
+                    } else if (!r.contractorId) {
+                        messages.push({ type: 'section', section, data: ai.activities });
+                    }
+                });
+                return;
+            }
+            messages.push({ type: 'section', section, data: ai[section] });
+        });
+        messages.push({ type: 'done' });
+        return messages;
+    }
+
+    /**
+     * Merge one streamed section into aiGenerated (modified in place)
+     * Activities with a contractorId replace that contractor's entry; everything else
+     * replaces the whole field
+     * @param {Object} aiGenerated - Target
+     * @param {{section: string, contractorId?: string, data: *}} message
+     * @returns {Object} aiGenerated
+     */
+    function mergeSection(aiGenerated, message) {
+        const { section, contractorId, data } = message;
+        if (!section) return aiGenerated;
+
+        if (section === 'activities' && contractorId) {
+            const activities = Array.isArray(aiGenerated.activities) ? aiGenerated.activities : [];
+            const activity = { ...(data || {}), contractorId };
+            const index = activities.findIndex(a => a && a.contractorId === contractorId);
+            if (index === -1) activities.push(activity);
+            else activities[index] = activity;
+            aiGenerated.activities = activities;
+        } else {
+            aiGenerated[section] = data;
+        }
+        return aiGenerated;
+    }
+
+    /**
+     * Stable key for a section (per contractor for activities), e.g. 'issues_delays', 'activities:<id>'
+     * @param {{section: string, contractorId?: string}} item
+     * @returns {string}
+     */
+    function sectionKey(item) {
+        return item.contractorId ? `${item.section}:${item.contractorId}` : item.section;
+    }
+
+    /**
+     * @returns {string[]} aiGenerated fields a stream delivers
+     */
+    function getStreamSections() {
+        return STREAM_SECTIONS.slice();
+    }
+
+    /**
+     * Send a minimal payload to check the endpoint responds with a usable shape
+     * (streamed when the config has streaming on)
+     * @param {Object} [overrides] - Unsaved settings to test
+     * @returns {Promise<{ok: boolean, ms: number, error?: string}>}
+     */
+    async function testProvider(overrides) {
+        const started = Date.now();
+        const streaming = { ...getProviderConfig(), ...(overrides || {}) }.streaming;
+        try {
+            const send = streaming
+                ? (payload, config) => refineStream(payload, {}, config)
+                : refine;
+            await send({
+                reportId: 'connection-test',
+                captureMode: 'minimal',
+                projectContext: { projectName: 'Connection Test', contractors: [], equipment: [] },
+                fieldNotes: { freeformNotes: 'Connection test from FieldVoice settings.' },
+                entries: [],
+                operations: [],
+                equipmentRows: [],
+                activities: [],
+                photos: [],
+                reportDate: new Date().toLocaleDateString()
+            }, overrides);
+            return { ok: true, ms: Date.now() - started };
+        } catch (e) {
+            return {
+                ok: false,
+                ms: Date.now() - started,
+                error: e.name === 'AbortError' ? 'Timed out' : e.message
+            };
+        }
+    }
+
+    // Expose to window
+    window.aiProvider = {
+        getProviderConfig,
+        saveProviderConfig,
+        resetProviderConfig,
+        getProviders,
+        refine,
+        refineStream,
+        mergeSection,
+        sectionKey,
+        getStreamSections,
+        testProvider
+    };
+})();
@@ -0,0 +1,516 @@
+/**
+ * AI Schema - JSON Schema for aiGenerated with validation and automatic repair
+ * FieldVoice Pro v6
+ *
+ * Every refine response goes through repairAiGenerated() on arrival (ai-provider.js),
+ * which fixes the drift we see from the refine workflow before anything renders it:
+ * - pre-v6.6 field names (generalIssues, qaqcNotes, contractorCommunications,
+ *   visitorsRemarks, safety.notes) renamed to the current ones
+ * - text sections sent as one string instead of an array (and vice versa)
+ * - numbers/booleans sent as strings, collections sent as a single object
+ * - contractorIds that don't match the project, mapped by contractor name
+ *
+ * The validation report ({ valid, repairs, errors, unknownKeys }) is stored with
+ * the AI response (aiResponses store + ai_responses.validation_report).
+ *
+ * Dependencies: none
+ *
+ * @module ai-schema
+ */
+
+(function() {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+
+    const NULLABLE_STRING = { type: ['string', 'null'] };
+    const COUNT = { type: ['integer', 'null'], minimum: 0 };
+    const TEXT_LIST = { type: 'array', items: { type: 'string' } };
+
+    /**
+     * JSON Schema (draft-07 subset) for report.aiGenerated
+     */
+    const AI_GENERATED_SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'fieldvoice/aiGenerated/v1',
+        type: 'object',
+        required: ['activities', 'operations', 'equipment', 'issues_delays', 'qaqc_notes',
+            'safety', 'communications', 'visitors_deliveries'],
+        additionalProperties: false,
+        properties: {
+            activities: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['contractorId', 'narrative', 'noWork'],
+                    additionalProperties: false,
+                    properties: {
+                        contractorId: NULLABLE_STRING,
+                        contractorName: NULLABLE_STRING,
+                        noWork: { type: 'boolean' },
+                        narrative: { type: 'string' },
+                        equipmentUsed: { type: 'string' },
+                        crew: { type: 'string' }
+                    }
+                }
+            },
+            operations: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['contractorId'],
+                    additionalProperties: false,
+                    properties: {
+                        contractorId: NULLABLE_STRING,
+                        contractorName: NULLABLE_STRING,
+                        superintendents: COUNT,
+                        foremen: COUNT,
+                        operators: COUNT,
+                        laborers: COUNT,
+                        surveyors: COUNT,
+                        others: COUNT
+                    }
+                }
+            },
+            equipment: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type'],
+                    additionalProperties: false,
+                    properties: {
+                        contractorId: NULLABLE_STRING,
+                        contractorName: NULLABLE_STRING,
+                        equipmentId: NULLABLE_STRING,
+                        type: { type: 'string' },
+                        qty: { type: 'integer', minimum: 1 },
+                        status: { type: 'string' },
+                        hoursUsed: { type: ['number', 'null'], minimum: 0 }
+                    }
+                }
+            },
+            issues_delays: TEXT_LIST,
+            qaqc_notes: TEXT_LIST,
+            communications: TEXT_LIST,
+            visitors_deliveries: TEXT_LIST,
+            safety: {
+                type: 'object',
+                required: ['has_incidents', 'summary'],
+                additionalProperties: false,
+                properties: {
+                    has_incidents: { type: 'boolean' },
+                    no_incidents: { type: 'boolean' },
+                    summary: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    // Pre-v6.6 names -> current (same mapping as storage-migrations.js report-data-1)
+    const LEGACY_FIELDS = {
+        generalIssues: 'issues_delays',
+        qaqcNotes: 'qaqc_notes',
+        contractorCommunications: 'communications',
+        visitorsRemarks: 'visitors_deliveries'
+    };
+    const LEGACY_SAFETY_FIELDS = {
+        notes: 'summary',
+        hasIncidents: 'has_incidents',
+        hasIncident: 'has_incidents',
+        noIncidents: 'no_incidents'
+    };
+
+    const TEXT_SECTIONS = ['issues_delays', 'qaqc_notes', 'communications', 'visitors_deliveries'];
+    const COLLECTIONS = ['activities', 'operations', 'equipment'];
+    const COUNT_FIELDS = ['superintendents', 'foremen', 'operators', 'laborers', 'surveyors', 'others'];
+
+    // ============ VALIDATION ============
+
+    /**
+     * Validate aiGenerated against the schema (does not modify it)
+     * @param {Object} ai - aiGenerated object
+     * @param {Object} [options]
+     * @param {Array} [options.contractors] - Project contractors ({ id, name }); enables contractorId checks
+     * @returns {{valid: boolean, errors: Array<{kind: 'schema'|'type'|'contractor', path: string, message: string}>, unknownKeys: string[]}}
+     */
+    function validateAiGenerated(ai, options = {}) {
+        const errors = [];
+        const unknownKeys = [];
+        validateNode(ai, AI_GENERATED_SCHEMA, 'aiGenerated', errors, unknownKeys);
+
+        const contractors = options.contractors || [];
+        if (contractors.length > 0 && isPlainObject(ai)) {
+            const validIds = new Set(contractors.map(c => c.id));
+            COLLECTIONS.forEach(collection => {
+                (Array.isArray(ai[collection]) ? ai[collection] : []).forEach((item, index) => {
+                    if (item && item.contractorId && !validIds.has(item.contractorId)) {
+                        errors.push({
+                            kind: 'contractor',
+                            path: `aiGenerated.${collection}[${index}].contractorId`,
+                            message: `ContractorId "${item.contractorId}" doesn't match any project contractor`
+                        });
+                    }
+                });
+            });
+        }
+
+        return { valid: errors.length === 0, errors, unknownKeys };
+    }
+
+    function validateNode(value, schema, path, errors, unknownKeys) {
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+            errors.push({
+                kind: value === undefined ? 'schema' : 'type',
+                path,
+                message: value === undefined
+                    ? `Missing required "${path.split('.').pop()}"`
+                    : `Expected ${types.join(' or ')} but got ${typeOf(value)}`
+            });
+            return;
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ kind: 'type', path, message: `Expected a value of at least ${schema.minimum}` });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors, unknownKeys));
+        }
+
+        if (isPlainObject(value) && schema.properties) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ kind: 'schema', path: `${path}.${key}`, message: `Missing required "${key}"` });
+                }
+            });
+            Object.keys(value).forEach(key => {
+                if (schema.properties[key]) {
+                    if (value[key] !== undefined) {
+                        validateNode(value[key], schema.properties[key], `${path}.${key}`, errors, unknownKeys);
+                    }
+                } else if (schema.additionalProperties === false) {
+                    unknownKeys.push(`${path}.${key}`);
+                }
+            });
+        }
+    }
+
+    function matchesType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return isPlainObject(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    // ============ REPAIR ============
+
+    /**
+     * Coerce an AI response into the schema and validate the result
+     * @param {*} input - aiGenerated as received (object or JSON string)
+     * @param {Object} [options]
+     * @param {Array} [options.contractors] - Project contractors ({ id, name }) for contractorId mapping
+     * @param {boolean} [options.quiet] - Don't log repairs (interim results while streaming)
+     * @returns {{aiGenerated: Object, validation: {schemaVersion: number, validatedAt: string, valid: boolean,
+     *            repairs: Array<{path: string, action: string, detail: string}>, errors: Array, unknownKeys: string[]}}}
+     */
+    function repairAiGenerated(input, options = {}) {
+        const repairs = [];
+        const note = (path, action, detail) => repairs.push({ path, action, detail });
+
+        let ai = input;
+        if (typeof ai === 'string') {
+            try {
+                ai = JSON.parse(ai);
+                note('aiGenerated', 'parsed', 'Response was a JSON string');
+            } catch (e) {
+                ai = null;
+            }
+        }
+        if (!isPlainObject(ai)) {
+            note('aiGenerated', 'replaced', `Expected object but got ${typeOf(input)}`);
+            ai = {};
+        } else {
+            ai = clone(ai);
+        }
+
+        Object.entries(LEGACY_FIELDS).forEach(([legacy, current]) => {
+            if (!(legacy in ai)) return;
+            if (isEmpty(ai[current])) ai[current] = ai[legacy];
+            delete ai[legacy];
+            note(`aiGenerated.${legacy}`, 'renamed', `Renamed to ${current}`);
+        });
+
+        TEXT_SECTIONS.forEach(key => {
+            ai[key] = toTextList(ai[key], `aiGenerated.${key}`, note);
+        });
+
+        COLLECTIONS.forEach(key => {
+            ai[key] = toCollection(ai[key], `aiGenerated.${key}`, note);
+        });
+        ai.activities = ai.activities.map((item, i) => repairActivity(item, `aiGenerated.activities[${i}]`, note));
+        ai.operations = ai.operations.map((item, i) => repairOperation(item, `aiGenerated.operations[${i}]`, note));
+        ai.equipment = ai.equipment.map((item, i) => repairEquipment(item, `aiGenerated.equipment[${i}]`, note));
+        ai.safety = repairSafety(ai.safety, note);
+
+        mapContractorIds(ai, options.contractors || [], note);
+
+        const result = validateAiGenerated(ai, options);
+        if (!options.quiet && (!result.valid || repairs.length > 0)) {
+            console.warn('[SCHEMA] aiGenerated:', repairs.length, 'repair(s),', result.errors.length, 'error(s)');
+        }
+
+        return {
+            aiGenerated: ai,
+            validation: {
+                schemaVersion: SCHEMA_VERSION,
+                validatedAt: new Date().toISOString(),
+                valid: result.valid,
+                repairs,
+                errors: result.errors,
+                unknownKeys: result.unknownKeys
+            }
+        };
+    }
+
+    /**
+     * Text sections: "a\nb" -> ["a", "b"]; [{text}] -> ["text"]; missing -> []
+     */
+    function toTextList(value, path, note) {
+        if (value === undefined || value === null) {
+            note(path, 'defaulted', 'Missing - set to []');
+            return [];
+        }
+        if (typeof value === 'string') {
+            note(path, 'split', 'String split into lines');
+            return splitLines(value);
+        }
+        if (!Array.isArray(value)) {
+            note(path, 'wrapped', `Expected array but got ${typeOf(value)}`);
+            return [String(value)];
+        }
+
+        let changed = false;
+        const list = [];
+        value.forEach(item => {
+            if (typeof item === 'string') {
+                if (item.trim()) list.push(item);
+                else changed = true;
+                return;
+            }
+            changed = true;
+            if (isPlainObject(item)) {
+                const text = item.text || item.content || item.description || item.note;
+                if (text) list.push(String(text));
+            } else if (item !== null && item !== undefined) {
+                list.push(String(item));
+            }
+        });
+        if (changed) note(path, 'flattened', 'Non-text items converted or dropped');
+        return list;
+    }
+
+    /**
+     * Collections: single object -> [object]; keyed object -> values; missing -> []
+     */
+    function toCollection(value, path, note) {
+        if (value === undefined || value === null) {
+            note(path, 'defaulted', 'Missing - set to []');
+            return [];
+        }
+        if (Array.isArray(value)) {
+            const items = value.filter(isPlainObject);
+            if (items.length !== value.length) note(path, 'dropped', 'Removed non-object items');
+            return items;
+        }
+        if (isPlainObject(value)) {
+            const values = Object.values(value);
+            if (values.length > 0 && values.every(isPlainObject)) {
+                note(path, 'wrapped', 'Keyed object converted to array');
+                return values;
+            }
+            note(path, 'wrapped', 'Single object wrapped in array');
+            return [value];
+        }
+        note(path, 'replaced', `Expected array but got ${typeOf(value)}`);
+        return [];
+    }
+
+    function repairActivity(item, path, note) {
+        const activity = { ...item };
+        renameKey(activity, 'contractor', 'contractorName', path, note);
+        activity.contractorId = toNullableString(activity.contractorId, `${path}.contractorId`, note);
+        activity.contractorName = toNullableString(activity.contractorName, `${path}.contractorName`, note);
+        activity.narrative = toText(activity.narrative, `${path}.narrative`, note, '\n');
+        activity.noWork = toBoolean(activity.noWork, `${path}.noWork`, note, !activity.narrative);
+        if (activity.equipmentUsed !== undefined) activity.equipmentUsed = toText(activity.equipmentUsed, `${path}.equipmentUsed`, note, ', ');
+        if (activity.crew !== undefined) activity.crew = toText(activity.crew, `${path}.crew`, note, ', ');
+        return activity;
+    }
+
+    function repairOperation(item, path, note) {
+        const op = { ...item };
+        op.contractorId = toNullableString(op.contractorId, `${path}.contractorId`, note);
+        if (op.contractorName !== undefined) op.contractorName = toNullableString(op.contractorName, `${path}.contractorName`, note);
+        COUNT_FIELDS.forEach(field => {
+            if (op[field] !== undefined) op[field] = toCount(op[field], `${path}.${field}`, note);
+        });
+        return op;
+    }
+
+    function repairEquipment(item, path, note) {
+        const equip = { ...item };
+        renameKey(equip, 'quantity', 'qty', path, note);
+        ['contractorId', 'contractorName', 'equipmentId'].forEach(field => {
+            if (equip[field] !== undefined) equip[field] = toNullableString(equip[field], `${path}.${field}`, note);
+        });
+        equip.type = toText(equip.type, `${path}.type`, note, ' ');
+        if (equip.qty !== undefined) equip.qty = toCount(equip.qty, `${path}.qty`, note) || 1;
+        if (equip.status !== undefined) equip.status = toText(equip.status, `${path}.status`, note, ' ');
+        if (equip.hoursUsed !== undefined && typeof equip.hoursUsed !== 'number') {
+            const hours = parseFloat(equip.hoursUsed);
+            equip.hoursUsed = Number.isFinite(hours) ? hours : null;
+            note(`${path}.hoursUsed`, 'coerced', 'Converted to number');
+        }
+        return equip;
+    }
+
+    function repairSafety(value, note) {
+        const path = 'aiGenerated.safety';
+        let safety;
+        if (isPlainObject(value)) {
+            safety = { ...value };
+        } else if (value === undefined || value === null) {
+            note(path, 'defaulted', 'Missing - set to no incidents');
+            safety = {};
+        } else {
+            note(path, 'wrapped', `${typeOf(value)} moved to safety.summary`);
+            safety = { summary: value };
+        }
+
+        Object.entries(LEGACY_SAFETY_FIELDS).forEach(([legacy, current]) => {
+            if (!(legacy in safety)) return;
+            if (isEmpty(safety[current])) safety[current] = safety[legacy];
+            delete safety[legacy];
+            note(`${path}.${legacy}`, 'renamed', `Renamed to ${current}`);
+        });
+
+        safety.summary = toText(safety.summary, `${path}.summary`, note, '\n');
+        safety.has_incidents = toBoolean(safety.has_incidents, `${path}.has_incidents`, note,
+            safety.no_incidents !== undefined ? !toBoolean(safety.no_incidents, null, note, true) : false);
+        if (safety.no_incidents !== undefined) {
+            safety.no_incidents = toBoolean(safety.no_incidents, `${path}.no_incidents`, note, !safety.has_incidents);
+        }
+        return safety;
+    }
+
+    /**
+     * Point contractorIds at project contractors: exact id, a name placed in the id
+     * field, or contractorName. Unmatched ids are cleared so name matching still works.
+     */
+    function mapContractorIds(ai, contractors, note) {
+        if (contractors.length === 0) return;
+
+        const validIds = new Set(contractors.map(c => c.id));
+        const idByName = new Map(contractors
+            .filter(c => c.name)
+            .map(c => [c.name.trim().toLowerCase(), c.id]));
+        const lookup = name => (name ? idByName.get(String(name).trim().toLowerCase()) : undefined);
+
+        COLLECTIONS.forEach(collection => {
+            ai[collection].forEach((item, index) => {
+                if (item.contractorId && validIds.has(item.contractorId)) return;
+
+                const path = `aiGenerated.${collection}[${index}].contractorId`;
+                const matched = lookup(item.contractorId) || lookup(item.contractorName);
+                if (matched) {
+                    if (!item.contractorName && item.contractorId) item.contractorName = item.contractorId;
+                    note(path, 'mapped', `"${item.contractorId || item.contractorName}" matched to contractor ${matched}`);
+                    item.contractorId = matched;
+                } else if (item.contractorId) {
+                    note(path, 'cleared', `Unknown contractorId "${item.contractorId}" - kept as contractorName`);
+                    if (!item.contractorName) item.contractorName = item.contractorId;
+                    item.contractorId = null;
+                }
+            });
+        });
+    }
+
+    // ============ COERCION HELPERS ============
+
+    function toText(value, path, note, separator) {
+        if (typeof value === 'string') return value;
+        if (value === undefined || value === null) return '';
+        note(path, 'coerced', `${typeOf(value)} converted to string`);
+        return Array.isArray(value) ? value.filter(v => v !== null && v !== undefined).join(separator) : String(value);
+    }
+
+    function toNullableString(value, path, note) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'string') return value;
+        note(path, 'coerced', `${typeOf(value)} converted to string`);
+        return String(value);
+    }
+
+    function toBoolean(value, path, note, fallback) {
+        if (typeof value === 'boolean') return value;
+        if (value === undefined || value === null) return fallback;
+        const result = ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+        if (path) note(path, 'coerced', `"${value}" converted to ${result}`);
+        return result;
+    }
+
+    function toCount(value, path, note) {
+        if (value === null) return null;
+        if (Number.isInteger(value) && value >= 0) return value;
+        const parsed = parseInt(value, 10);
+        const result = Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+        note(path, 'coerced', `"${value}" converted to ${result}`);
+        return result;
+    }
+
+    function renameKey(obj, from, to, path, note) {
+        if (!(from in obj)) return;
+        if (isEmpty(obj[to])) obj[to] = obj[from];
+        delete obj[from];
+        note(`${path}.${from}`, 'renamed', `Renamed to ${to}`);
+    }
+
+    function splitLines(text) {
+        return text
+            .split(/\r?\n/)
+            .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+            .filter(Boolean);
+    }
+
+    function isEmpty(value) {
+        return value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Expose to window
+    window.aiSchema = {
+        SCHEMA_VERSION,
+        getSchema: () => clone(AI_GENERATED_SCHEMA),
+        validateAiGenerated,
+        repairAiGenerated
+    };
+})();
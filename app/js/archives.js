@@ -349,6 +349,13 @@ function renderReportRow(report) {
                                 ${report.photoCount}
                             </span>
                         ` : ''}
+                        ${report.submitted ? `
+                            <button onclick="event.preventDefault(); event.stopPropagation(); verifyReport('${report.id}')"
+                                    class="text-xs text-dot-blue font-bold uppercase flex items-center gap-1 hover:underline">
+                                <i class="fas fa-shield-alt"></i>
+                                Verify
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
                 <i class="fas fa-chevron-right text-slate-400"></i>
@@ -365,6 +372,36 @@ function renderReportRow(report) {
     `;
 }
 
+// ============ VERIFY ============
+/**
+ * Check a submitted report's PDF and data against the hashes stored at submission
+ * (report-integrity.js)
+ */
+async function verifyReport(reportId) {
+    if (!navigator.onLine) {
+        showToast('You are offline', 'warning');
+        return;
+    }
+
+    showToast('Verifying report...', 'info');
+    const result = await window.reportIntegrity.verifyFinalReport(reportId);
+
+    if (result.error) {
+        showToast(`Could not verify: ${result.error}`, 'error');
+    } else if (!result.sealed) {
+        showToast('Submitted before verification was available - nothing to check', 'warning');
+    } else if (result.verified) {
+        showToast('Verified - PDF and report data are unchanged since submission', 'success');
+    } else {
+        const changed = [
+            result.pdfMatches ? null : 'PDF',
+            result.reportMatches ? null : 'report data'
+        ].filter(Boolean).join(' and ');
+        console.warn('[ARCHIVES] Report failed verification:', reportId, result);
+        showToast(`Warning: ${changed} changed after submission`, 'error');
+    }
+}
+
 // ============ DELETE MODAL ============
 function showDeleteModal(reportId, dateStr) {
     pendingDeleteId = reportId;
@@ -422,3 +459,4 @@ window.showDeleteModal = showDeleteModal;
 window.closeDeleteModal = closeDeleteModal;
 window.confirmDelete = confirmDelete;
 window.refreshFromCloud = refreshFromCloud;
+window.verifyReport = verifyReport;
@@ -0,0 +1,274 @@
+/**
+ * Audio Memos - Short voice memos attached to a report or one of its entries
+ * FieldVoice Pro v6
+ *
+ * Memos are recorded with MediaRecorder (via dictation.js record(), which also
+ * transcribes them) and saved offline in the IndexedDB `audioMemos` store:
+ * { id, reportId, entryId, section, blob, mimeType, durationMs, transcript,
+ *   transcriptBackend, syncStatus, storagePath, url, createdAt }
+ *
+ * syncStatus is 'pending' until sync-manager.js syncAudioMemo() has uploaded the
+ * audio to the `report-audio` bucket and upserted the `audio_memos` row.
+ *
+ * Dependencies: indexeddb-utils.js (window.idb); dictation.js for recording;
+ * config.js (supabaseClient) for memos recorded on another device
+ *
+ * @module audio-memos
+ */
+
+(function() {
+    'use strict';
+
+    const MAX_MEMO_MS = 2 * 60 * 1000;  // Memos are short - recording stops itself after this
+
+    const SECTION_LABELS = {
+        issues: 'Issues',
+        safety: 'Safety',
+        communications: 'Communications',
+        qaqc: 'QA/QC',
+        visitors: 'Visitors',
+        freeform: 'Field Notes'
+    };
+
+    let active = null;  // Memo being recorded
+
+    /**
+     * @returns {boolean} True if this device can record memos
+     */
+    function canRecord() {
+        return !!(window.dictation && window.idb && navigator.mediaDevices &&
+            navigator.mediaDevices.getUserMedia && typeof MediaRecorder !== 'undefined');
+    }
+
+    /**
+     * Start recording a memo. Only one memo records at a time.
+     * @param {Object} context
+     * @param {string} context.reportId
+     * @param {string} [context.entryId] - Entry the memo belongs to (null = whole report)
+     * @param {string} [context.section] - Entry section, e.g. 'issues' or 'work_<contractorId>'
+     * @param {Object} [callbacks]
+     * @param {Function} [callbacks.onInterim] - (text) live transcript while talking
+     * @param {Function} [callbacks.onLimit] - Called when MAX_MEMO_MS is reached; call stop() from it
+     * @returns {Promise<void>}
+     * @throws {Error} If a memo is already recording or the microphone can't be opened
+     */
+    async function start(context, callbacks = {}) {
+        if (active) throw new Error('A memo is already recording');
+        if (!canRecord()) throw new Error('Voice memos are not supported on this device');
+
+        const session = { context, startedAt: Date.now(), limitTimer: null };
+        active = session;
+        session.ready = window.dictation.record({ onInterim: callbacks.onInterim });
+        try {
+            await session.ready;
+        } catch (e) {
+            active = null;
+            throw e;
+        }
+
+        session.limitTimer = setTimeout(() => {
+            console.log('[MEMO] Reached max length');
+            if (callbacks.onLimit) callbacks.onLimit();
+        }, MAX_MEMO_MS);
+        console.log('[MEMO] Recording for', context.entryId || 'report', context.reportId);
+    }
+
+    /**
+     * Stop recording and save the memo
+     * @returns {Promise<Object|null>} The saved memo, or null if nothing was recorded
+     */
+    async function stop() {
+        const session = active;
+        if (!session || session.stopping) return null;
+        session.stopping = true;
+        clearTimeout(session.limitTimer);
+
+        try {
+            const recorder = await session.ready;  // Stopped while the mic was still opening
+            const { audio, text, backend, error } = await recorder.stop();
+            if (!audio) {
+                console.warn('[MEMO] No audio captured');
+                return null;
+            }
+
+            const memo = {
+                id: crypto.randomUUID(),
+                reportId: session.context.reportId,
+                entryId: session.context.entryId || null,
+                section: session.context.section || null,
+                blob: audio.blob,
+                mimeType: audio.mimeType,
+                durationMs: audio.durationMs,
+                transcript: text || '',
+                transcriptBackend: error ? null : backend,
+                syncStatus: 'pending',
+                storagePath: null,
+                url: null,
+                createdAt: new Date(session.startedAt).toISOString()
+            };
+
+            await window.idb.saveAudioMemo(memo);
+            console.log('[MEMO] Saved:', memo.id, `${Math.round(memo.durationMs / 1000)}s`);
+            return memo;
+        } finally {
+            active = null;
+        }
+    }
+
+    /**
+     * Discard the memo being recorded
+     */
+    function cancel() {
+        if (!active) return;
+        clearTimeout(active.limitTimer);
+        active.ready.then(recorder => recorder.cancel()).catch(() => {});
+        active = null;
+    }
+
+    /**
+     * @returns {Object|null} Context of the memo being recorded
+     */
+    function getActive() {
+        return active ? active.context : null;
+    }
+
+    /**
+     * Memos for a report, oldest first
+     * @param {string} reportId
+     * @param {Object} [options]
+     * @param {boolean} [options.remote] - Also list memos that only exist in Supabase
+     *   (recorded on another device)
+     * @returns {Promise<Array>}
+     */
+    async function getMemos(reportId, options = {}) {
+        if (!reportId) return [];
+
+        let memos = [];
+        if (window.idb) {
+            try {
+                memos = await window.idb.getAudioMemosByReportId(reportId);
+            } catch (e) {
+                console.warn('[MEMO] Could not read local memos:', e);
+            }
+        }
+
+        if (options.remote) {
+            const localIds = new Set(memos.map(m => m.id));
+            const remote = await fetchRemoteMemos(reportId);
+            memos = memos.concat(remote.filter(m => !localIds.has(m.id)));
+        }
+
+        return memos.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async function fetchRemoteMemos(reportId) {
+        if (typeof supabaseClient === 'undefined' || !navigator.onLine || reportId.length !== 36) return [];
+
+        try {
+            const { data, error } = await supabaseClient
+                .from('audio_memos')
+                .select('*')
+                .eq('report_id', reportId);
+            if (error) throw error;
+
+            return (data || []).map(row => ({
+                id: row.id,
+                reportId: row.report_id,
+                entryId: row.entry_id,
+                section: row.section,
+                blob: null,
+                mimeType: row.mime_type,
+                durationMs: row.duration_ms,
+                transcript: row.transcript || '',
+                syncStatus: 'synced',
+                storagePath: row.storage_path,
+                url: row.audio_url,
+                createdAt: row.recorded_at || row.created_at
+            }));
+        } catch (e) {
+            console.warn('[MEMO] Could not load memos from Supabase:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a memo, and its uploaded copy when online (offline, the uploaded copy
+     * stays until the report is deleted)
+     * @param {string} memoId
+     */
+    async function deleteMemo(memoId) {
+        const memo = await window.idb.getAudioMemo(memoId);
+        await window.idb.deleteAudioMemo(memoId);
+        console.log('[MEMO] Deleted:', memoId);
+
+        if (!memo || !memo.storagePath || typeof supabaseClient === 'undefined' || !navigator.onLine) return;
+        try {
+            await supabaseClient.storage.from('report-audio').remove([memo.storagePath]);
+            await supabaseClient.from('audio_memos').delete().eq('id', memoId);
+        } catch (e) {
+            console.warn('[MEMO] Could not delete uploaded memo:', e);
+        }
+    }
+
+    /**
+     * Playable URL for a memo - the local blob if we have it, otherwise the uploaded file.
+     * Revoke blob: URLs with URL.revokeObjectURL() when the player goes away.
+     * @param {Object} memo
+     * @returns {string}
+     */
+    function getPlaybackUrl(memo) {
+        if (memo.blob) return URL.createObjectURL(memo.blob);
+        return memo.url || '';
+    }
+
+    /**
+     * Short label for what a memo is attached to, e.g. "Issues: Crane down for..."
+     * @param {Object} memo
+     * @param {Object} [report]
+     * @param {Array} [report.entries] - Guided entries
+     * @param {Array} [report.freeformEntries] - Minimal mode entries
+     * @param {Array} [report.contractors] - Project contractors, for work_<id> sections
+     * @returns {string}
+     */
+    function describeTarget(memo, report = {}) {
+        if (!memo.entryId) return 'Whole report';
+
+        let label = SECTION_LABELS[memo.section] || memo.section || 'Entry';
+        if (memo.section?.startsWith('work_')) {
+            const contractor = (report.contractors || []).find(c => `work_${c.id}` === memo.section);
+            label = contractor ? contractor.name : 'Work Summary';
+        }
+
+        const entry = memo.section === 'freeform'
+            ? (report.freeformEntries || []).find(e => e.id === memo.entryId)
+            : (report.entries || []).find(e => e.id === memo.entryId && !e.is_deleted);
+        if (!entry) return `${label} (entry deleted)`;
+
+        const content = (entry.content || '').trim();
+        return content ? `${label}: ${content.length > 40 ? `${content.slice(0, 40)}...` : content}` : label;
+    }
+
+    /**
+     * @param {number} durationMs
+     * @returns {string} e.g. "0:42"
+     */
+    function formatDuration(durationMs) {
+        const seconds = Math.round((durationMs || 0) / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Expose to window
+    window.audioMemos = {
+        MAX_MEMO_MS,
+        canRecord,
+        start,
+        stop,
+        cancel,
+        getActive,
+        getMemos,
+        deleteMemo,
+        getPlaybackUrl,
+        describeTarget,
+        formatDuration
+    };
+})();
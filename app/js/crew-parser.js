@@ -0,0 +1,461 @@
+/**
+ * Crew Parser - Pulls personnel counts and equipment usage out of dictated notes
+ * FieldVoice Pro v6
+ *
+ * "Acme had 2 foremen and 6 laborers, ran the 320 excavator 8 hours" becomes
+ *   personnel: Acme { foremen: 2, laborers: 6 }
+ *   equipment: Acme { 320 Excavator, qty 1, 8hr }
+ *
+ * Local and rule-based (no AI call). Names are matched against the project's
+ * contractors and equipment; the page decides whether to apply the proposals
+ * (quick-interview.js CREW SUGGESTIONS).
+ *
+ * Dependencies: none
+ *
+ * @module crew-parser
+ */
+
+(function() {
+    'use strict';
+
+    // report.operations fields, in personnel card order
+    const ROLES = ['superintendents', 'foremen', 'operators', 'laborers', 'surveyors', 'others'];
+
+    const ROLE_LABELS = {
+        superintendents: 'Superintendent',
+        foremen: 'Foreman',
+        operators: 'Operator',
+        laborers: 'Laborer',
+        surveyors: 'Surveyor',
+        others: 'Other'
+    };
+
+    // Spoken/written words -> operations field. Trades with no column of their own count as "others".
+    const ROLE_WORDS = [
+        [['superintendents', 'superintendent', 'supers', 'super', 'supts', 'supt'], 'superintendents'],
+        [['foremen', 'foreman', 'foremans'], 'foremen'],
+        [['equipment operators', 'equipment operator', 'operators', 'operator'], 'operators'],
+        [['laborers', 'laborer', 'labourers', 'labourer', 'helpers', 'helper', 'hands'], 'laborers'],
+        [['surveyors', 'surveyor', 'rodmen', 'rodman'], 'surveyors'],
+        [['electricians', 'electrician', 'carpenters', 'carpenter', 'ironworkers', 'ironworker',
+            'pipefitters', 'pipefitter', 'plumbers', 'plumber', 'welders', 'welder', 'masons', 'mason',
+            'finishers', 'finisher', 'truck drivers', 'truck driver', 'drivers', 'driver',
+            'flaggers', 'flagger', 'workers', 'worker', 'guys', 'men', 'people'], 'others']
+    ];
+
+    // Common equipment, singular. Longer names first so "dump truck" wins over "truck".
+    const EQUIPMENT_NOUNS = [
+        'mini excavator', 'excavator', 'trackhoe', 'backhoe', 'wheel loader', 'loader', 'skid steer',
+        'dozer', 'bulldozer', 'motor grader', 'grader', 'roller', 'compactor', 'paver', 'milling machine',
+        'crane', 'forklift', 'telehandler', 'boom lift', 'scissor lift', 'man lift', 'dump truck',
+        'water truck', 'haul truck', 'vac truck', 'concrete pump', 'pump truck', 'tractor', 'scraper',
+        'trencher', 'generator', 'light tower', 'air compressor', 'compressor', 'sweeper', 'pile driver',
+        'drill rig', 'mixer', 'pump', 'truck'
+    ].sort((a, b) => b.length - a.length);
+
+    const BRANDS = [
+        'cat', 'caterpillar', 'deere', 'komatsu', 'volvo', 'case', 'bobcat', 'kubota', 'hitachi', 'jcb',
+        'liebherr', 'terex', 'bomag', 'hamm', 'dynapac', 'sakai', 'genie', 'jlg', 'mack', 'kenworth',
+        'peterbilt', 'link belt', 'grove', 'manitowoc', 'wirtgen', 'roadtec'
+    ];
+
+    const NUMBER_WORDS = {
+        a: 1, an: 1, one: 1, single: 1, two: 2, couple: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+        eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+        sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20
+    };
+
+    const MAX_EQUIPMENT_HOURS = 10;  // Status dropdown goes Idle, 1hr ... 10hr
+    const MAX_CREW = 99;             // Personnel inputs are max="99"
+
+    const COMPANY_SUFFIXES = /\b(inc|llc|co|corp|corporation|company|ltd|lp)\b/g;
+
+    const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+    const ROLE_PATTERN = ROLE_WORDS.flatMap(([words]) => words).sort((a, b) => b.length - a.length).join('|');
+    const PERSONNEL_BEFORE = new RegExp(`\\b${NUMBER} (?:(?:more|additional|extra) )?(${ROLE_PATTERN})\\b`, 'g');
+    const PERSONNEL_AFTER = new RegExp(`\\b(${ROLE_PATTERN}) (\\d+)\\b`, 'g');
+    const EQUIPMENT_PATTERN = new RegExp(`\\b(${EQUIPMENT_NOUNS.join('|')})(s|es)?\\b(?! (?:drivers?|operators?)\\b)`, 'g');
+    const HOURS_PATTERN = new RegExp(`\\b(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')}) (?:and a half )?(?:hours?|hrs?)\\b`, 'g');
+    const IDLE_PATTERN = /\b(idle|idled|down|standby|stand by|not used|unused|didn't run|did not run|broke down|broken)\b/;
+
+    /**
+     * Parse one piece of text
+     * @param {string} text - Entry text
+     * @param {Object} [context]
+     * @param {Array<{id: string, name: string, abbreviation?: string}>} [context.contractors] - Project contractors
+     * @param {Array<{id: string, name: string}>} [context.equipment] - Project equipment
+     * @param {string} [context.contractorId] - Contractor the text is about when it doesn't name one
+     *   (e.g. an entry on that contractor's work card)
+     * @returns {{personnel: Array, equipment: Array}} Mentions in text order:
+     *   personnel { contractorId, role, count, word, heard },
+     *   equipment { contractorId, type, qty, hours, status, equipmentId, heard }
+     */
+    function parse(text, context = {}) {
+        const result = { personnel: [], equipment: [] };
+        const contractors = context.contractors || [];
+        const projectEquipment = (context.equipment || []).filter(e => e && e.name && e.isActive !== false);
+        let carried = context.contractorId || '';
+
+        splitSentences(text).forEach(sentence => {
+            const normalized = normalize(sentence);
+            if (!normalized) return;
+
+            const contractorMentions = findContractorMentions(normalized, contractors);
+            const contractorAt = (start, end) => {
+                const before = contractorMentions.filter(m => m.end <= start);
+                if (before.length > 0) return before[before.length - 1].contractor.id;
+                const after = contractorMentions.find(m => m.start >= end);
+                return after ? after.contractor.id : carried;
+            };
+            const taken = contractorMentions.map(m => [m.start, m.end]);
+
+            findPersonnel(normalized, taken).forEach(mention => {
+                result.personnel.push({
+                    contractorId: contractorAt(mention.start, mention.end),
+                    role: mention.role,
+                    count: mention.count,
+                    word: mention.word,
+                    heard: sentence.trim()
+                });
+            });
+
+            findEquipment(normalized, taken, projectEquipment).forEach(mention => {
+                result.equipment.push({
+                    contractorId: contractorAt(mention.start, mention.end),
+                    type: mention.type,
+                    qty: mention.qty,
+                    hours: mention.hours,
+                    status: mention.status,
+                    equipmentId: mention.equipmentId,
+                    heard: sentence.trim()
+                });
+            });
+
+            if (contractorMentions.length > 0) {
+                carried = contractorMentions[contractorMentions.length - 1].contractor.id;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Parse several texts and merge the mentions into one proposal per contractor (personnel)
+     * and per contractor + equipment type. A role said twice in one text with the same word
+     * counts once; different trades ("2 electricians and 3 carpenters") add up. Across texts
+     * the largest count wins, since later notes usually restate the crew.
+     * @param {Array<{text: string, contractorId?: string}>} sources
+     * @param {Object} [context] - As parse(), without contractorId
+     * @returns {{personnel: Array<{contractorId, counts, heard}>, equipment: Array<{contractorId, type, qty, status, hours, equipmentId, heard}>}}
+     *   Mentions with no contractor are dropped from personnel (there is no card to put them on)
+     */
+    function propose(sources, context = {}) {
+        const personnel = new Map();
+        const equipment = new Map();
+
+        sources.forEach(source => {
+            if (!source || !source.text) return;
+            const parsed = parse(source.text, { ...context, contractorId: source.contractorId || '' });
+
+            // Per text: same role + same word -> max, different words -> sum
+            const byRole = new Map();
+            parsed.personnel.forEach(mention => {
+                if (!mention.contractorId) return;
+                const key = `${mention.contractorId}|${mention.role}`;
+                if (!byRole.has(key)) byRole.set(key, { mention, words: new Map() });
+                const words = byRole.get(key).words;
+                words.set(mention.word, Math.max(words.get(mention.word) || 0, mention.count));
+            });
+
+            byRole.forEach(({ mention, words }) => {
+                const count = Math.min([...words.values()].reduce((sum, n) => sum + n, 0), MAX_CREW);
+                if (!personnel.has(mention.contractorId)) {
+                    personnel.set(mention.contractorId, { contractorId: mention.contractorId, counts: {}, heard: [] });
+                }
+                const proposal = personnel.get(mention.contractorId);
+                proposal.counts[mention.role] = Math.max(proposal.counts[mention.role] || 0, count);
+                if (!proposal.heard.includes(mention.heard)) proposal.heard.push(mention.heard);
+            });
+
+            parsed.equipment.forEach(mention => {
+                const key = `${mention.contractorId}|${mention.type.toLowerCase()}`;
+                const existing = equipment.get(key);
+                if (!existing) {
+                    equipment.set(key, { ...mention, heard: [mention.heard] });
+                    return;
+                }
+                existing.qty = Math.max(existing.qty, mention.qty);
+                if (mention.hours !== null && (existing.hours === null || mention.hours > existing.hours)) {
+                    existing.hours = mention.hours;
+                    existing.status = mention.status;
+                }
+                if (!existing.heard.includes(mention.heard)) existing.heard.push(mention.heard);
+            });
+        });
+
+        return {
+            personnel: [...personnel.values()],
+            equipment: [...equipment.values()]
+        };
+    }
+
+    /**
+     * "2 Foremen, 6 Laborers"
+     * @param {Object} counts - { foremen: 2, laborers: 6 }
+     * @returns {string}
+     */
+    function describeCounts(counts) {
+        return ROLES
+            .filter(role => counts[role] > 0)
+            .map(role => {
+                const label = ROLE_LABELS[role];
+                if (counts[role] === 1) return `1 ${label}`;
+                return `${counts[role]} ${role === 'foremen' ? 'Foremen' : `${label}s`}`;
+            })
+            .join(', ');
+    }
+
+    // ============ MATCHING ============
+
+    function findContractorMentions(text, contractors) {
+        const names = contractors.map(contractor => {
+            const full = normalize(contractor.name);
+            const short = full.replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+            return { contractor, full, short, firstWord: short.split(' ')[0], abbreviation: normalize(contractor.abbreviation || '') };
+        });
+
+        const mentions = [];
+        names.forEach(n => {
+            // First word alone only if it picks out one contractor ("acme" for "Acme Paving Inc")
+            const firstWordUnique = n.firstWord.length >= 3 && !/^\d+$/.test(n.firstWord) &&
+                names.filter(other => other.firstWord === n.firstWord).length === 1;
+            const variants = [n.full, n.short, firstWordUnique ? n.firstWord : '', n.abbreviation.length >= 2 ? n.abbreviation : '']
+                .filter(Boolean)
+                .sort((a, b) => b.length - a.length);
+
+            for (const variant of variants) {
+                const pattern = new RegExp(`\\b${escapeRegExp(variant)}(?:'s|s')?\\b`, 'g');
+                let match;
+                while ((match = pattern.exec(text))) {
+                    const start = match.index;
+                    const end = start + match[0].length;
+                    if (!mentions.some(m => start < m.end && end > m.start)) {
+                        mentions.push({ contractor: n.contractor, start, end });
+                    }
+                }
+            }
+        });
+
+        return mentions.sort((a, b) => a.start - b.start);
+    }
+
+    function findPersonnel(text, taken) {
+        const mentions = [];
+        let match;
+
+        PERSONNEL_BEFORE.lastIndex = 0;
+        while ((match = PERSONNEL_BEFORE.exec(text))) {
+            const count = toNumber(match[1]);
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!count || count > MAX_CREW || overlaps(start, end, taken)) continue;
+            // "the 320 operator" is a model, not a headcount
+            if (/^\d+$/.test(match[1]) && isEquipmentContext(text, end)) continue;
+            mentions.push({ start, end, count, role: roleFor(match[2]), word: match[2] });
+            taken.push([start, end]);
+        }
+
+        // "laborers 6" - how counts come out of a list-style dictation
+        PERSONNEL_AFTER.lastIndex = 0;
+        while ((match = PERSONNEL_AFTER.exec(text))) {
+            const count = parseInt(match[2], 10);
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!count || count > MAX_CREW || overlaps(start, end, taken)) continue;
+            if (isEquipmentContext(text, end)) continue;  // "operator 320 excavator"
+            mentions.push({ start, end, count, role: roleFor(match[1]), word: match[1] });
+            taken.push([start, end]);
+        }
+
+        return mentions.sort((a, b) => a.start - b.start);
+    }
+
+    function findEquipment(text, taken, projectEquipment) {
+        const found = [];
+        let match;
+
+        // Project equipment by name first ("CAT 320 Excavator")
+        projectEquipment.forEach(item => {
+            const name = normalize(item.name);
+            if (!name) return;
+            const pattern = new RegExp(`\\b${escapeRegExp(name)}s?\\b`, 'g');
+            while ((match = pattern.exec(text))) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (overlaps(start, end, taken)) continue;
+                const before = text.slice(0, start).trim().split(' ');
+                const qty = toNumber(before[before.length - 1] || '') || 1;
+                found.push({ start, end, type: item.name, qty, equipmentId: item.id });
+                taken.push([start, end]);
+            }
+        });
+
+        // Then anything that sounds like equipment
+        EQUIPMENT_PATTERN.lastIndex = 0;
+        while ((match = EQUIPMENT_PATTERN.exec(text))) {
+            const nounStart = match.index;
+            const end = nounStart + match[0].length;
+            if (overlaps(nounStart, end, taken)) continue;
+
+            const noun = match[1];
+            const plural = !!match[2];
+            const tokens = text.slice(0, nounStart).trim().split(' ').filter(Boolean);
+            let i = tokens.length - 1;
+
+            // Model/brand words just before the noun: "cat 320", "d6", "john deere"
+            const models = [];
+            while (i >= 0 && models.length < 2) {
+                const token = tokens[i];
+                const isSmallNumber = /^\d+$/.test(token) && parseInt(token, 10) <= 20;
+                if (BRANDS.includes(token) || (/\d/.test(token) && !isSmallNumber)) {
+                    models.unshift(token);
+                    i--;
+                } else {
+                    break;
+                }
+            }
+
+            let qty = 1;
+            let start = nounStart - (models.length ? models.join(' ').length + 1 : 0);
+            if (i >= 0 && toNumber(tokens[i])) {
+                qty = Math.min(toNumber(tokens[i]), 20);
+                start -= tokens[i].length + 1;
+            }
+
+            const words = models.concat(noun);
+            const type = titleCase(words.join(' '));
+            const projectMatch = matchProjectEquipment(noun, models, projectEquipment);
+
+            found.push({
+                start,
+                end,
+                type: projectMatch ? projectMatch.name : type,
+                qty,
+                equipmentId: projectMatch ? projectMatch.id : null
+            });
+            taken.push([start, end]);
+        }
+
+        found.sort((a, b) => a.start - b.start);
+
+        // Hours belong to the equipment they follow ("excavator 8 hours"), or the next one
+        // when they come first ("8 hours on the excavator")
+        const hoursMentions = [];
+        HOURS_PATTERN.lastIndex = 0;
+        while ((match = HOURS_PATTERN.exec(text))) {
+            let hours = toHours(match[1]);
+            if (/and a half/.test(match[0])) hours += 0.5;
+            hoursMentions.push({ start: match.index, hours, used: false });
+        }
+
+        return found.map((item, index) => {
+            const nextStart = index + 1 < found.length ? found[index + 1].start : text.length;
+            const prevEnd = index > 0 ? found[index - 1].end : 0;
+
+            let hoursMention = hoursMentions.find(h => !h.used && h.start >= item.end && h.start < nextStart);
+            if (!hoursMention) hoursMention = hoursMentions.find(h => !h.used && h.start >= prevEnd && h.start < item.start);
+            if (hoursMention) hoursMention.used = true;
+
+            const idle = IDLE_PATTERN.test(text.slice(item.end, nextStart));
+            const hours = hoursMention && !idle ? hoursMention.hours : null;
+
+            return {
+                start: item.start,
+                end: item.end,
+                type: item.type,
+                qty: item.qty,
+                equipmentId: item.equipmentId,
+                hours,
+                status: hours ? `${Math.min(Math.max(Math.round(hours), 1), MAX_EQUIPMENT_HOURS)}hr` : 'Idle'
+            };
+        });
+    }
+
+    /**
+     * The project's own name for "the excavator" / "the 320 excavator" - only if it picks out one
+     */
+    function matchProjectEquipment(noun, models, projectEquipment) {
+        const candidates = projectEquipment.filter(item => {
+            const name = normalize(item.name);
+            return new RegExp(`\\b${escapeRegExp(noun)}\\b`).test(name) &&
+                models.every(model => new RegExp(`\\b${escapeRegExp(model)}\\b`).test(name));
+        });
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    function isEquipmentContext(text, end) {
+        EQUIPMENT_PATTERN.lastIndex = 0;
+        const next = text.slice(end).trim();
+        const match = EQUIPMENT_PATTERN.exec(next);
+        EQUIPMENT_PATTERN.lastIndex = 0;
+        return !!match && match.index === 0;
+    }
+
+    // ============ HELPERS ============
+
+    function splitSentences(text) {
+        return String(text || '').split(/[;!?\n]+|\.(?=\s|$)/).filter(s => s.trim());
+    }
+
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/(\d)\s*-\s*(?=[a-z])/g, '$1 ')       // "8-hour" -> "8 hour"
+            .replace(/(\d)(hrs?|hours?)\b/g, '$1 $2')       // "8hrs" -> "8 hrs"
+            .replace(/[,:]/g, ' , ')                        // Keep clause breaks so "laborers 4, operators 2" stays apart
+            .replace(/[^a-z0-9.', ]+/g, ' ')
+            .replace(/\.(?!\d)/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function roleFor(word) {
+        const entry = ROLE_WORDS.find(([words]) => words.includes(word));
+        return entry ? entry[1] : 'others';
+    }
+
+    function toNumber(word) {
+        if (/^\d+$/.test(word)) return parseInt(word, 10);
+        return NUMBER_WORDS[word] || 0;
+    }
+
+    function toHours(word) {
+        if (/^\d+(\.\d+)?$/.test(word)) return parseFloat(word);
+        return NUMBER_WORDS[word] || 0;
+    }
+
+    function overlaps(start, end, ranges) {
+        return ranges.some(([s, e]) => start < e && end > s);
+    }
+
+    function titleCase(text) {
+        return text.split(' ').map(word => {
+            if (/\d/.test(word) || (BRANDS.includes(word) && word.length <= 3)) return word.toUpperCase();
+            return word.charAt(0).toUpperCase() + word.slice(1);
+        }).join(' ');
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Expose to window
+    window.crewParser = {
+        ROLES,
+        ROLE_LABELS,
+        parse,
+        propose,
+        describeCounts
+    };
+})();
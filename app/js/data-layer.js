@@ -201,6 +201,8 @@
             userId: p.userId || p.user_id || '',
             logoUrl: p.logoUrl || p.logo_url || null,
             logoThumbnail: p.logoThumbnail || p.logo_thumbnail || null,
+            photoWatermark: p.photoWatermark || p.photo_watermark || null,
+            reportTemplate: p.reportTemplate || p.report_template || null,
             contractors: p.contractors || []
         };
     }
@@ -321,7 +323,8 @@
             title: s.title || '',
             company: s.company || '',
             email: s.email || '',
-            phone: s.phone || ''
+            phone: s.phone || '',
+            signatureImage: s.signatureImage || s.signature_image || null
         };
     }
 
@@ -424,37 +427,55 @@
     }
 
     // ========================================
-    // AI RESPONSE CACHE (localStorage — temporary)
+    // AI RESPONSE CACHE (IndexedDB aiResponses store)
     // ========================================
 
     /**
      * Cache AI response locally
+     * Same store saveReportData() keeps aiGenerated in. Merges into the existing record so
+     * its schema validation report (ai-schema.js) survives unless a new one is passed.
+     * @param {string} reportId
+     * @param {Object} response - aiGenerated
+     * @param {Object} [validation] - Schema validation report for this response
      */
-    function cacheAIResponse(reportId, response) {
-        const cache = getStorageItem('fvp_ai_cache') || {};
-        cache[reportId] = {
-            response,
-            cachedAt: new Date().toISOString()
-        };
-        setStorageItem('fvp_ai_cache', cache);
-        console.log('[DATA] AI response cached:', reportId);
+    async function cacheAIResponse(reportId, response, validation) {
+        try {
+            const existing = await window.idb.getAIResponse(reportId);
+            await window.idb.saveAIResponse({
+                ...existing,
+                reportId,
+                response,
+                validation: validation !== undefined ? validation : (existing?.validation || null),
+                cachedAt: new Date().toISOString()
+            });
+            console.log('[DATA] AI response cached:', reportId);
+        } catch (e) {
+            console.warn('[DATA] Failed to cache AI response:', e);
+        }
     }
 
     /**
      * Get cached AI response
      */
-    function getCachedAIResponse(reportId) {
-        const cache = getStorageItem('fvp_ai_cache') || {};
-        return cache[reportId]?.response || null;
+    async function getCachedAIResponse(reportId) {
+        try {
+            const cached = await window.idb.getAIResponse(reportId);
+            return cached?.response || null;
+        } catch (e) {
+            console.warn('[DATA] Failed to read cached AI response:', e);
+            return null;
+        }
     }
 
     /**
      * Clear AI response cache for a report
      */
-    function clearAIResponseCache(reportId) {
-        const cache = getStorageItem('fvp_ai_cache') || {};
-        delete cache[reportId];
-        setStorageItem('fvp_ai_cache', cache);
+    async function clearAIResponseCache(reportId) {
+        try {
+            await window.idb.deleteAIResponse(reportId);
+        } catch (e) {
+            console.warn('[DATA] Failed to clear AI response cache:', e);
+        }
     }
 
     // ========================================
@@ -537,7 +558,7 @@
      */
     async function clearAfterSubmit(projectId, date, reportId) {
         deleteDraft(projectId, date);
-        clearAIResponseCache(reportId);
+        await clearAIResponseCache(reportId);
 
         const photos = await getPhotos(reportId);
         for (const photo of photos) {
@@ -0,0 +1,610 @@
+/**
+ * Dictation - Push-to-talk speech-to-text with the raw audio kept
+ * FieldVoice Pro v6
+ *
+ * Hold a mic button next to a text field to dictate into it. Interim text shows in
+ * the field while talking; on release the final text is written and an `input`
+ * event fired so the page's normal autosave picks it up.
+ *
+ * Transcription backends (Settings > Dictation):
+ * - webspeech: Web Speech API (SpeechRecognition), live interim text. Asks for
+ *              on-device recognition where the browser supports `processLocally`.
+ * - local:     POSTs the recorded audio to a transcription server on this machine
+ *              or LAN (e.g. whisper.cpp `server`, multipart `file`, returns { text })
+ * - auto:      webspeech if the browser has it, otherwise local
+ * Other backends can be added with registerBackend().
+ *
+ * Every recording is saved to the IndexedDB `audioClips` store
+ * ({ id, reportId, section, entryId, blob, mimeType, durationMs, transcript, backend, lang, createdAt, synced })
+ * so it can be re-transcribed later with retranscribe().
+ *
+ * Dependencies: storage-keys.js, indexeddb-utils.js (window.idb)
+ *
+ * @module dictation
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_CONFIG = {
+        backend: 'auto',
+        localEndpoint: 'http://localhost:8080/inference',
+        lang: 'en-US',
+        speakConfirmations: true  // Read voice command results aloud (quick-interview.js)
+    };
+
+    const LOCAL_TIMEOUT_MS = 60000;
+
+    const backends = {};
+    let active = null;  // Current push-to-talk session
+
+    // ============ CONFIG ============
+
+    /**
+     * @returns {{backend: string, localEndpoint: string, lang: string, speakConfirmations: boolean}}
+     */
+    function getConfig() {
+        return { ...DEFAULT_CONFIG, ...(getStorageItem(STORAGE_KEYS.DICTATION) || {}) };
+    }
+
+    /**
+     * Save dictation settings
+     * @param {Object} config - { backend, localEndpoint, lang, speakConfirmations }
+     * @returns {boolean} True on success
+     * @throws {Error} If the backend is unknown or the endpoint isn't http(s)
+     */
+    function saveConfig(config) {
+        const backend = config.backend || DEFAULT_CONFIG.backend;
+        if (backend !== 'auto' && !backends[backend]) {
+            throw new Error(`Unknown dictation backend: ${backend}`);
+        }
+
+        const localEndpoint = (config.localEndpoint || '').trim();
+        if (localEndpoint && !/^https?:\/\//i.test(localEndpoint)) {
+            throw new Error('Transcription server must start with http:// or https://');
+        }
+
+        console.log('[DICTATION] Backend set to:', backend);
+        return setStorageItem(STORAGE_KEYS.DICTATION, {
+            backend,
+            localEndpoint,
+            lang: (config.lang || DEFAULT_CONFIG.lang).trim(),
+            speakConfirmations: config.speakConfirmations !== false
+        });
+    }
+
+    // ============ BACKENDS ============
+
+    /**
+     * Add a transcription backend
+     * Live backends stream interim text while recording (createSession); the others
+     * transcribe the recorded audio after release (transcribe)
+     * @param {string} name - Id used in settings
+     * @param {Object} backend
+     * @param {string} backend.label - Shown in settings
+     * @param {Function} backend.isAvailable - () => boolean
+     * @param {Function} [backend.createSession] - ({ lang, onInterim }) => { start(), stop(): Promise<string>, abort() }
+     * @param {Function} [backend.transcribe] - (blob, { lang, config }) => Promise<string>
+     */
+    function registerBackend(name, backend) {
+        backends[name] = backend;
+    }
+
+    /**
+     * @returns {Array<{name: string, label: string, available: boolean, live: boolean}>}
+     */
+    function getBackends() {
+        return Object.entries(backends).map(([name, backend]) => ({
+            name,
+            label: backend.label,
+            available: safeAvailable(backend),
+            live: typeof backend.createSession === 'function'
+        }));
+    }
+
+    /**
+     * Backend that will be used with the current settings
+     * @returns {{name: string, backend: Object}|null}
+     */
+    function resolveBackend() {
+        const { backend } = getConfig();
+        const order = backend === 'auto' ? Object.keys(backends) : [backend];
+
+        for (const name of order) {
+            if (backends[name] && safeAvailable(backends[name])) {
+                return { name, backend: backends[name] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @returns {boolean} True if dictation can run on this device with the current settings
+     */
+    function isAvailable() {
+        return !!resolveBackend() && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    function safeAvailable(backend) {
+        try {
+            return !!backend.isAvailable();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Web Speech API - interim results while talking
+    registerBackend('webspeech', {
+        label: 'Browser speech recognition',
+        isAvailable: () => !!(window.SpeechRecognition || window.webkitSpeechRecognition),
+        createSession({ lang, onInterim }) {
+            const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+            const recognition = new Recognition();
+            recognition.lang = lang;
+            recognition.continuous = true;
+            recognition.interimResults = true;
+            // Chrome can recognize on-device when a language pack is installed
+            if ('processLocally' in recognition) recognition.processLocally = true;
+
+            let finalText = '';
+            let error = null;
+            const ended = new Promise(resolve => { recognition.onend = resolve; });
+
+            recognition.onresult = (event) => {
+                let interim = '';
+                for (let i = event.resultIndex; i < event.results.length; i++) {
+                    const transcript = event.results[i][0].transcript;
+                    if (event.results[i].isFinal) {
+                        finalText = joinText(finalText, transcript.trim());
+                    } else {
+                        interim += transcript;
+                    }
+                }
+                onInterim(joinText(finalText, interim.trim()));
+            };
+
+            recognition.onerror = (event) => {
+                // 'no-speech' and 'aborted' just mean nothing was said
+                if (event.error !== 'no-speech' && event.error !== 'aborted') {
+                    error = new Error(`Speech recognition failed: ${event.error}`);
+                }
+            };
+
+            return {
+                start: () => recognition.start(),
+                async stop() {
+                    recognition.stop();
+                    await ended;
+                    if (error && !finalText) throw error;
+                    return finalText;
+                },
+                abort: () => recognition.abort()
+            };
+        }
+    });
+
+    // Transcription server on this machine / LAN
+    registerBackend('local', {
+        label: 'Local transcription server',
+        isAvailable: () => !!getConfig().localEndpoint,
+        async transcribe(blob, { lang, config }) {
+            const form = new FormData();
+            form.append('file', blob, `dictation.${extensionFor(blob.type)}`);
+            form.append('response_format', 'json');
+            form.append('language', lang.split('-')[0]);
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), LOCAL_TIMEOUT_MS);
+            try {
+                const response = await fetch(config.localEndpoint, {
+                    method: 'POST',
+                    body: form,
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`Transcription server error: ${response.status}`);
+                }
+                const data = await response.json();
+                return String(data.text || data.transcript || '').trim();
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+    });
+
+    // ============ RECORDING ============
+
+    /**
+     * Start recording the microphone
+     * @returns {Promise<{stop: Function, cancel: Function}>} stop() resolves to { blob, mimeType, durationMs } or null
+     */
+    async function startRecording() {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        localStorage.setItem(STORAGE_KEYS.MIC_GRANTED, 'true');
+
+        const releaseMic = () => stream.getTracks().forEach(track => track.stop());
+
+        if (typeof MediaRecorder === 'undefined') {
+            console.warn('[DICTATION] MediaRecorder not supported - audio will not be kept');
+            return { stop: async () => { releaseMic(); return null; }, cancel: releaseMic };
+        }
+
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+        const startedAt = Date.now();
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.start();
+
+        return {
+            stop: () => new Promise(resolve => {
+                recorder.onstop = () => {
+                    releaseMic();
+                    const mimeType = recorder.mimeType || (chunks[0] && chunks[0].type) || 'audio/webm';
+                    resolve(chunks.length ? {
+                        blob: new Blob(chunks, { type: mimeType }),
+                        mimeType,
+                        durationMs: Date.now() - startedAt
+                    } : null);
+                };
+                recorder.stop();
+            }),
+            cancel: () => {
+                if (recorder.state !== 'inactive') recorder.stop();
+                releaseMic();
+            }
+        };
+    }
+
+    // ============ PUSH TO TALK ============
+
+    /**
+     * Make a button push-to-talk: hold (pointer, or Space/Enter) to dictate into a field
+     * @param {HTMLElement} button
+     * @param {Object} options
+     * @param {Function} options.getTarget - () => textarea/input to write into (may start an edit)
+     * @param {Function} options.getContext - () => { reportId, section } recorded on the audio clip
+     * @param {Function} [options.onResult] - ({ text, clipId, backend }) after release
+     * @param {Function} [options.onError] - (error, clipId) - clipId if the audio was still saved
+     * @param {boolean} [options.keepAudio=true] - false to skip saving the clip (voice commands)
+     */
+    function attachPushToTalk(button, options) {
+        if (!button || button.dataset.pttInit === 'true') return;
+        button.dataset.pttInit = 'true';
+        button.setAttribute('aria-pressed', 'false');
+
+        button.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0) return;
+            event.preventDefault();
+            if (button.setPointerCapture) button.setPointerCapture(event.pointerId);
+            startDictation(button, options);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            button.addEventListener(type, () => stopDictation(button));
+        });
+
+        button.addEventListener('keydown', (event) => {
+            if ((event.key === ' ' || event.key === 'Enter') && !event.repeat) {
+                event.preventDefault();
+                startDictation(button, options);
+            }
+        });
+        button.addEventListener('keyup', (event) => {
+            if (event.key === ' ' || event.key === 'Enter') stopDictation(button);
+        });
+
+        // Long-press would open the context menu on mobile
+        button.addEventListener('contextmenu', (event) => event.preventDefault());
+    }
+
+    async function startDictation(button, options) {
+        if (active) return;
+
+        const resolved = resolveBackend();
+        if (!resolved) {
+            if (options.onError) options.onError(new Error('Dictation is not available on this device'));
+            return;
+        }
+
+        const target = options.getTarget();
+        if (!target) return;
+
+        const config = getConfig();
+        const session = {
+            button,
+            options,
+            target,
+            config,
+            name: resolved.name,
+            backend: resolved.backend,
+            base: target.value,
+            released: false,
+            recording: null,
+            live: null
+        };
+        active = session;
+        setButtonState(button, 'recording');
+        target.classList.add('dictation-active');
+
+        session.starting = (async () => {
+            try {
+                session.recording = await startRecording();
+            } catch (e) {
+                console.warn('[DICTATION] Microphone unavailable:', e.message || e);
+                // Live recognition doesn't need our recording; the others can't work without it
+                if (!session.backend.createSession) throw e;
+            }
+
+            if (session.backend.createSession) {
+                session.live = session.backend.createSession({
+                    lang: config.lang,
+                    onInterim: (text) => writeText(session, text)
+                });
+                session.live.start();
+            }
+        })();
+
+        try {
+            await session.starting;
+        } catch (e) {
+            finishSession(session);
+            if (options.onError) options.onError(e);
+            return;
+        }
+
+        // Released while the mic was still starting
+        if (session.released) stopDictation(button);
+    }
+
+    async function stopDictation(button) {
+        const session = active;
+        if (!session || session.button !== button || session.stopping) return;
+        session.released = true;
+
+        try {
+            await session.starting;
+        } catch (e) {
+            return;  // startDictation already reported it
+        }
+        if (session.stopping) return;
+        session.stopping = true;
+        setButtonState(button, 'transcribing');
+
+        let text = '';
+        let audio = null;
+        let error = null;
+        try {
+            // Keep the audio even if live recognition failed
+            const [recorded, liveText] = await Promise.allSettled([
+                session.recording ? session.recording.stop() : null,
+                session.live ? session.live.stop() : null
+            ]);
+            audio = recorded.value || null;
+            if (liveText.status === 'rejected') throw liveText.reason;
+
+            if (session.live) {
+                text = liveText.value || '';
+            } else if (audio) {
+                text = await session.backend.transcribe(audio.blob, { lang: session.config.lang, config: session.config });
+            }
+        } catch (e) {
+            console.error('[DICTATION] Transcription failed:', e);
+            error = e;
+        }
+
+        const clipId = audio && session.options.keepAudio !== false ? await saveClip(session, audio, text) : null;
+
+        writeText(session, text);
+        session.target.dispatchEvent(new Event('input', { bubbles: true }));
+        finishSession(session);
+
+        if (error) {
+            if (session.options.onError) session.options.onError(error, clipId);
+            return;
+        }
+        console.log('[DICTATION] Transcribed', text.length, 'chars via', session.name);
+        if (session.options.onResult) session.options.onResult({ text, clipId, backend: session.name });
+    }
+
+    function finishSession(session) {
+        if (active === session) active = null;
+        if (session.recording && !session.stopping) session.recording.cancel();
+        if (session.live && !session.stopping) session.live.abort();
+        setButtonState(session.button, 'idle');
+        session.target.classList.remove('dictation-active');
+    }
+
+    function writeText(session, text) {
+        session.target.value = joinText(session.base, text);
+        if (typeof autoExpand === 'function' && session.target.tagName === 'TEXTAREA') {
+            autoExpand(session.target);
+        }
+    }
+
+    function setButtonState(button, state) {
+        button.classList.toggle('dictation-recording', state === 'recording');
+        button.classList.toggle('dictation-transcribing', state === 'transcribing');
+        button.setAttribute('aria-pressed', state === 'recording' ? 'true' : 'false');
+
+        const icon = button.querySelector('i');
+        if (icon) {
+            const transcribing = state === 'transcribing';
+            icon.classList.toggle('fa-microphone', !transcribing);
+            icon.classList.toggle('fa-spinner', transcribing);
+            icon.classList.toggle('fa-spin', transcribing);
+        }
+    }
+
+    // ============ RECORD AND TRANSCRIBE ============
+
+    /**
+     * Record until stop() and transcribe with the current backend, for callers with
+     * their own UI (audio-memos.js). Nothing is saved here.
+     * @param {Object} [options]
+     * @param {Function} [options.onInterim] - (text) while talking, live backends only
+     * @returns {Promise<{stop: Function, cancel: Function}>} stop() resolves to
+     *   { audio: { blob, mimeType, durationMs }|null, text, backend, error }
+     * @throws {Error} If the microphone can't be opened
+     */
+    async function record(options = {}) {
+        const config = getConfig();
+        const resolved = resolveBackend();
+        const recording = await startRecording();
+
+        let live = null;
+        if (resolved && resolved.backend.createSession) {
+            try {
+                live = resolved.backend.createSession({ lang: config.lang, onInterim: options.onInterim || (() => {}) });
+                live.start();
+            } catch (e) {
+                console.warn('[DICTATION] Live recognition unavailable:', e);
+                live = null;
+            }
+        }
+
+        return {
+            async stop() {
+                const [recorded, liveText] = await Promise.allSettled([
+                    recording.stop(),
+                    live ? live.stop() : null
+                ]);
+                const audio = recorded.value || null;
+
+                let text = '';
+                let error = null;
+                try {
+                    if (liveText.status === 'rejected') throw liveText.reason;
+                    if (live) {
+                        text = liveText.value || '';
+                    } else if (audio && resolved && resolved.backend.transcribe) {
+                        text = await resolved.backend.transcribe(audio.blob, { lang: config.lang, config });
+                    }
+                } catch (e) {
+                    console.error('[DICTATION] Transcription failed:', e);
+                    error = e;
+                }
+                return { audio, text, backend: resolved ? resolved.name : null, error };
+            },
+            cancel() {
+                recording.cancel();
+                if (live) live.abort();
+            }
+        };
+    }
+
+    // ============ AUDIO CLIPS ============
+
+    async function saveClip(session, audio, transcript) {
+        if (!window.idb) return null;
+
+        const context = session.options.getContext ? session.options.getContext() : {};
+        const clip = {
+            id: crypto.randomUUID(),
+            reportId: context.reportId || null,
+            section: context.section || null,
+            entryId: null,
+            blob: audio.blob,
+            mimeType: audio.mimeType,
+            durationMs: audio.durationMs,
+            transcript,
+            backend: session.name,
+            lang: session.config.lang,
+            createdAt: new Date().toISOString(),
+            synced: false
+        };
+
+        try {
+            await window.idb.saveAudioClip(clip);
+            return clip.id;
+        } catch (e) {
+            console.warn('[DICTATION] Could not save audio clip:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Record which entry dictated clips ended up in
+     * @param {string[]} clipIds
+     * @param {string} entryId
+     */
+    async function linkClips(clipIds, entryId) {
+        if (!window.idb) return;
+        for (const id of clipIds) {
+            try {
+                const clip = await window.idb.getAudioClip(id);
+                if (!clip) continue;
+                clip.entryId = entryId;
+                await window.idb.saveAudioClip(clip);
+            } catch (e) {
+                console.warn('[DICTATION] Could not link audio clip:', id, e);
+            }
+        }
+    }
+
+    /**
+     * Transcribe a saved clip again (e.g. with a better local model)
+     * Only backends that take recorded audio can do this (not webspeech)
+     * @param {string} clipId
+     * @param {string} [backendName='local']
+     * @returns {Promise<string>} New transcript (also saved on the clip)
+     */
+    async function retranscribe(clipId, backendName = 'local') {
+        const backend = backends[backendName];
+        if (!backend || typeof backend.transcribe !== 'function') {
+            throw new Error(`${backendName} can't transcribe recorded audio`);
+        }
+
+        const clip = await window.idb.getAudioClip(clipId);
+        if (!clip || !clip.blob) {
+            throw new Error('Audio clip not found');
+        }
+
+        const config = getConfig();
+        const transcript = await backend.transcribe(clip.blob, { lang: clip.lang || config.lang, config });
+        clip.transcript = transcript;
+        clip.backend = backendName;
+        clip.retranscribedAt = new Date().toISOString();
+        await window.idb.saveAudioClip(clip);
+        return transcript;
+    }
+
+    /**
+     * @param {string} reportId
+     * @returns {Promise<Array>} Clips for a report, oldest first
+     */
+    async function getClips(reportId) {
+        if (!reportId || !window.idb) return [];
+        const clips = await window.idb.getAudioClipsByReportId(reportId);
+        return clips.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // ============ HELPERS ============
+
+    function joinText(base, text) {
+        const head = (base || '').replace(/\s+$/, '');
+        if (!text) return base || '';
+        return head ? `${head} ${text}` : text;
+    }
+
+    function extensionFor(mimeType) {
+        if (/ogg/.test(mimeType)) return 'ogg';
+        if (/mp4|aac|m4a/.test(mimeType)) return 'm4a';
+        if (/wav/.test(mimeType)) return 'wav';
+        return 'webm';
+    }
+
+    // Expose to window
+    window.dictation = {
+        getConfig,
+        saveConfig,
+        registerBackend,
+        getBackends,
+        isAvailable,
+        attachPushToTalk,
+        record,
+        linkClips,
+        retranscribe,
+        getClips
+    };
+})();
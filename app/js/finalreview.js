@@ -8,6 +8,12 @@ let currentReportId = null; // Supabase report ID
 let activeProject = null;
 let projectContractors = [];
 let userSettings = null;
+let reportTemplate = null; // Layout for this project's agency (report-templates.js)
+let photoWatermarksReady = Promise.resolve();
+let watermarkedPhotos = {}; // photo index -> watermarked data URL (applyPhotoWatermarks())
+let reportMemos = []; // Voice memos in the transcript appendix
+let submission = null; // Recorded submission still in flight (sync-manager.js)
+let submissionRunning = false;
 let userEdits = {}; // Track user edits separately (v6.6.5)
 let saveTimeout = null; // For debounced auto-save (v6.6.5)
 
@@ -27,9 +33,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize userEdits from loaded report (v6.6.5)
         userEdits = report.userEdits || {};
 
+        reportTemplate = window.reportTemplates.getTemplate(activeProject?.reportTemplate);
+        layoutReportPages();
         populateReport();
         updateTotalPages();
-        checkSubmittedState();
+        await renderMemoAppendix();
+        await checkSubmittedState();
         checkEmptyFields();
 
         // Setup auto-save listeners for editable fields (v6.6.5)
@@ -44,7 +53,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // ============ CHECK SUBMITTED STATE ============
-function checkSubmittedState() {
+async function checkSubmittedState() {
     if (report && report.meta && report.meta.submitted) {
         const submitBtn = document.querySelector('.btn-submit');
         if (submitBtn) {
@@ -53,9 +62,55 @@ function checkSubmittedState() {
             submitBtn.style.opacity = '0.7';
             submitBtn.style.cursor = 'default';
         }
+    } else if (isAwaitingUpload()) {
+        submission = (await window.idb.getSubmission(currentReportId)) || null;
+        lockAwaitingUpload();
     }
 }
 
+/**
+ * Submitted but not fully uploaded (sync-manager.js submission record) - read-only until done
+ * @returns {boolean}
+ */
+function isAwaitingUpload() {
+    return report?.meta?.status === REPORT_STATUS.SUBMITTED_PENDING_UPLOAD;
+}
+
+/**
+ * Lock the page while the submission waits to upload, and show where it got to
+ */
+function lockAwaitingUpload() {
+    const submitBtn = document.querySelector('.btn-submit');
+    if (submitBtn) {
+        submitBtn.innerHTML = '<i class="fas fa-cloud-arrow-up"></i><span>Waiting to Upload</span>';
+        submitBtn.disabled = true;
+        submitBtn.style.opacity = '0.7';
+        submitBtn.style.cursor = 'default';
+    }
+
+    document.querySelectorAll('[data-path]').forEach(field => {
+        field.readOnly = true;
+    });
+
+    const banner = document.getElementById('submissionBanner');
+    const bannerText = document.getElementById('submissionBannerText');
+    if (!banner || !bannerText) return;
+
+    let text = 'Submitted - waiting to upload';
+    if (submission?.failedStep) {
+        text = `Submit stopped at "${SUBMIT_STEP_LABELS[submission.failedStep] || submission.failedStep}": ${submission.lastError}`;
+    } else if (submission?.completedSteps.length) {
+        text += ` (${submission.completedSteps.length} of ${SUBMIT_STEPS.length} steps done)`;
+    }
+    bannerText.textContent = text;
+
+    // Once the report is marked submitted there's nothing left to undo
+    document.getElementById('submissionRetryBtn').style.display = submission ? '' : 'none';
+    document.getElementById('submissionCancelBtn').style.display =
+        submission && !submission.completedSteps.includes('update_status') ? '' : 'none';
+    banner.style.display = 'flex';
+}
+
 // ============ PROJECT LOADING ============
 async function loadActiveProject() {
     const activeId = getStorageItem(STORAGE_KEYS.ACTIVE_PROJECT_ID);
@@ -64,6 +119,13 @@ async function loadActiveProject() {
         return null;
     }
 
+    // Offline (e.g. submitting from the field) - use the copy data-layer.js keeps in IndexedDB
+    if (!navigator.onLine) {
+        activeProject = await window.dataLayer.loadActiveProject();
+        projectContractors = sortContractors(activeProject?.contractors || []);
+        return activeProject;
+    }
+
     try {
         // Fetch project from Supabase
         const { data: projectRow, error: projectError } = await supabaseClient
@@ -87,12 +149,7 @@ async function loadActiveProject() {
 
         if (!contractorError && contractorRows) {
             activeProject.contractors = contractorRows.map(fromSupabaseContractor);
-            // Sort contractors: prime first
-            projectContractors = [...activeProject.contractors].sort((a, b) => {
-                if (a.type === 'prime' && b.type !== 'prime') return -1;
-                if (a.type !== 'prime' && b.type === 'prime') return 1;
-                return 0;
-            });
+            projectContractors = sortContractors(activeProject.contractors);
         } else {
             projectContractors = [];
         }
@@ -105,8 +162,22 @@ async function loadActiveProject() {
     }
 }
 
+// Sort contractors: prime first
+function sortContractors(contractors) {
+    return [...contractors].sort((a, b) => {
+        if (a.type === 'prime' && b.type !== 'prime') return -1;
+        if (a.type !== 'prime' && b.type === 'prime') return 1;
+        return 0;
+    });
+}
+
 // ============ USER SETTINGS LOADING ============
 async function loadUserSettings() {
+    if (!navigator.onLine) {
+        userSettings = await window.dataLayer.loadUserSettings();
+        return userSettings;
+    }
+
     try {
         const { data, error } = await supabaseClient
             .from('user_profiles')
@@ -124,7 +195,8 @@ async function loadUserSettings() {
             company: data.company || '',
             title: data.title || '',
             email: data.email || '',
-            phone: data.phone || ''
+            phone: data.phone || '',
+            signatureImage: data.signature_image || null
         };
 
         console.log('[SUPABASE] Loaded user settings');
@@ -158,7 +230,7 @@ async function loadReport() {
     }
 
     // Load from localStorage using getReportData from storage-keys.js
-    const reportData = getReportData(reportIdParam);
+    const reportData = await getReportData(reportIdParam);
 
     if (!reportData) {
         console.error('[FINAL] No report data found in localStorage for:', reportIdParam);
@@ -277,11 +349,13 @@ async function loadReport() {
             id: photo.id || '',
             url: photo.url || '',
             storagePath: photo.storagePath || '',
+            annotatedUrl: photo.annotatedUrl || '',
             fileName: photo.fileName || '',
             caption: photo.caption || '',
             date: photo.date || '',
             time: photo.time || '',
-            gps: photo.gps || null
+            gps: photo.gps || null,
+            pairedPhoto: photo.pairedPhoto || null
         }));
     }
 
@@ -303,105 +377,97 @@ function calculateContractDay(noticeToProceed, reportDate) {
 }
 
 // ============ POPULATE REPORT ============
-function populateReport() {
-    const o = report.overview || {};
-    const ai = report.aiGenerated || {};
+/**
+ * Overview value with priority: user edit, then AI, then report
+ * @param {string} path - e.g. 'overview.startTime'
+ * @param {*} defaultVal
+ */
+function getOverviewValue(path, defaultVal = '') {
     const userEdits = report.userEdits || {};
-
-    // v6.6.4: Debug logging for userEdits
-    console.log('[FINAL] populateReport() - userEdits keys:', Object.keys(userEdits));
-    console.log('[FINAL] populateReport() - userEdits object:', JSON.stringify(userEdits, null, 2).substring(0, 500));
-
-    // Helper to get value with priority
-    function getValue(path, defaultVal = '') {
-        if (userEdits[path] !== undefined) {
-            console.log('[FINAL] getValue() - Using userEdit for', path, ':', userEdits[path]);
-            return userEdits[path];
-        }
-        const aiVal = getNestedValue(ai, path);
-        if (aiVal !== undefined && aiVal !== null && aiVal !== '') {
-            if (Array.isArray(aiVal)) return aiVal.join('\n');
-            return aiVal;
-        }
-        const reportVal = getNestedValue(report, path);
-        if (reportVal !== undefined && reportVal !== null && reportVal !== '') {
-            if (Array.isArray(reportVal)) return reportVal.join('\n');
-            return reportVal;
-        }
-        return defaultVal;
+    if (userEdits[path] !== undefined) {
+        console.log('[FINAL] getOverviewValue() - Using userEdit for', path, ':', userEdits[path]);
+        return userEdits[path];
     }
-
-    function getNestedValue(obj, path) {
-        return path.split('.').reduce((o, k) => (o || {})[k], obj);
+    const aiVal = getNestedValueSimple(report.aiGenerated || {}, path);
+    if (aiVal !== undefined && aiVal !== null && aiVal !== '') {
+        if (Array.isArray(aiVal)) return aiVal.join('\n');
+        return aiVal;
     }
+    const reportVal = getNestedValueSimple(report, path);
+    if (reportVal !== undefined && reportVal !== null && reportVal !== '') {
+        if (Array.isArray(reportVal)) return reportVal.join('\n');
+        return reportVal;
+    }
+    return defaultVal;
+}
 
-    // Update header date
-    document.getElementById('headerDate').textContent = formatDisplayDate(o.date);
-
-    // Project Overview
-    document.getElementById('projectName').textContent = getValue('overview.projectName', activeProject?.projectName || '');
-    document.getElementById('reportDate').textContent = formatDisplayDate(o.date);
-    document.getElementById('noabProjectNo').textContent = getValue('overview.noabProjectNo', activeProject?.noabProjectNo || '');
-    document.getElementById('location').textContent = getValue('overview.location', activeProject?.location || '');
-    document.getElementById('cnoSolicitationNo').textContent = getValue('overview.cnoSolicitationNo', activeProject?.cnoSolicitationNo || 'N/A');
-    document.getElementById('engineer').textContent = getValue('overview.engineer', activeProject?.engineer || '');
-
-    // Notice to Proceed
-    const ntpDate = activeProject?.noticeToProceed;
-    document.getElementById('noticeToProceed').textContent = ntpDate ? formatDisplayDate(ntpDate) : '';
-
-    document.getElementById('contractor').textContent = getValue('overview.contractor', activeProject?.primeContractor || '');
+/**
+ * Project overview, weather and signature block as display strings -
+ * shared by the page (populateReport()) and the PDF (buildPdfModel())
+ * @returns {Object}
+ */
+function getOverviewFields() {
+    const o = report.overview || {};
 
-    // Contract Duration
     const duration = activeProject?.contractDuration;
-    document.getElementById('contractDuration').textContent = duration ? `${duration} days` : '';
-
-    // Times
-    document.getElementById('startTime').textContent = formatTimeLocal(getValue('overview.startTime', activeProject?.defaultStartTime || ''));
-    document.getElementById('endTime').textContent = formatTimeLocal(getValue('overview.endTime', activeProject?.defaultEndTime || ''));
-
-    // Expected Completion
+    const startTime = getOverviewValue('overview.startTime', activeProject?.defaultStartTime || '');
+    const endTime = getOverviewValue('overview.endTime', activeProject?.defaultEndTime || '');
+    const contractDay = getOverviewValue('overview.contractDay', '');
+    const ntpDate = activeProject?.noticeToProceed;
     const expectedDate = activeProject?.expectedCompletion;
-    document.getElementById('expectedCompletion').textContent = expectedDate ? formatDisplayDate(expectedDate) : '';
-
-    // Shift Duration
-    const startTime = getValue('overview.startTime', activeProject?.defaultStartTime || '');
-    const endTime = getValue('overview.endTime', activeProject?.defaultEndTime || '');
-    document.getElementById('shiftDuration').textContent = calculateShiftDuration(startTime, endTime);
-
-    // Contract Day
-    const contractDay = getValue('overview.contractDay', '');
-    if (contractDay && duration) {
-        document.getElementById('contractDay').textContent = `${contractDay} of ${duration} days`;
-    } else {
-        document.getElementById('contractDay').textContent = contractDay;
-    }
-
-    // Weather Days
-    document.getElementById('weatherDays').textContent = getValue('overview.weatherDays', activeProject?.weatherDays || '0') + ' days';
-
-    // Completed By
-    document.getElementById('completedBy').textContent = getValue('overview.completedBy', '');
-
-    // Weather
     const weather = o.weather || {};
-    document.getElementById('weatherTemps').textContent = `High Temp: ${weather.highTemp || 'N/A'}° Low Temp: ${weather.lowTemp || 'N/A'}°`;
-    document.getElementById('weatherPrecip').textContent = `Precipitation: ${weather.precipitation || '0.00"'}`;
-    document.getElementById('weatherCondition').textContent = `General Condition: ${weather.generalCondition || 'N/A'}`;
-    document.getElementById('weatherJobSite').textContent = `Job Site Condition: ${weather.jobSiteCondition || 'N/A'}`;
-    document.getElementById('weatherAdverse').textContent = `Adverse Conditions: ${weather.adverseConditions || 'N/A'}`;
 
     // Signature
-    const sigName = getValue('signature.name', getValue('overview.completedBy', ''));
-    const sigTitle = getValue('signature.title', '');
-    const sigCompany = getValue('signature.company', '');
-    document.getElementById('signatureName').textContent = sigName;
-
+    const sigName = getOverviewValue('signature.name', getOverviewValue('overview.completedBy', ''));
+    const sigTitle = getOverviewValue('signature.title', '');
+    const sigCompany = getOverviewValue('signature.company', '');
     let sigDetails = '';
     if (sigTitle || sigCompany) {
         sigDetails = `Digitally signed by ${sigName}\nDN: cn=${sigName}, c=US,\no=${sigCompany}, ou=${sigTitle},\nemail=${sigName.toLowerCase().replace(/\s/g, '')}@${sigCompany.toLowerCase().replace(/\s/g, '')}.com\nDate: ${new Date().toISOString().split('T')[0]}`;
     }
-    document.getElementById('signatureDetails').innerHTML = sigDetails.replace(/\n/g, '<br>');
+
+    return {
+        projectName: getOverviewValue('overview.projectName', activeProject?.projectName || ''),
+        reportDate: formatDisplayDate(o.date),
+        noabProjectNo: getOverviewValue('overview.noabProjectNo', activeProject?.noabProjectNo || ''),
+        location: getOverviewValue('overview.location', activeProject?.location || ''),
+        cnoSolicitationNo: getOverviewValue('overview.cnoSolicitationNo', activeProject?.cnoSolicitationNo || 'N/A'),
+        engineer: getOverviewValue('overview.engineer', activeProject?.engineer || ''),
+        noticeToProceed: ntpDate ? formatDisplayDate(ntpDate) : '',
+        contractor: getOverviewValue('overview.contractor', activeProject?.primeContractor || ''),
+        contractDuration: duration ? `${duration} days` : '',
+        startTime: formatTimeLocal(startTime),
+        endTime: formatTimeLocal(endTime),
+        expectedCompletion: expectedDate ? formatDisplayDate(expectedDate) : '',
+        shiftDuration: calculateShiftDuration(startTime, endTime),
+        contractDay: contractDay && duration ? `${contractDay} of ${duration} days` : contractDay,
+        weatherDays: getOverviewValue('overview.weatherDays', activeProject?.weatherDays || '0') + ' days',
+        completedBy: getOverviewValue('overview.completedBy', ''),
+        weatherTemps: `High Temp: ${weather.highTemp || 'N/A'}° Low Temp: ${weather.lowTemp || 'N/A'}°`,
+        weatherPrecip: `Precipitation: ${weather.precipitation || '0.00"'}`,
+        weatherCondition: `General Condition: ${weather.generalCondition || 'N/A'}`,
+        weatherJobSite: `Job Site Condition: ${weather.jobSiteCondition || 'N/A'}`,
+        weatherAdverse: `Adverse Conditions: ${weather.adverseConditions || 'N/A'}`,
+        signatureName: sigName,
+        signatureDetails: sigDetails,
+        // Drawn signature from the inspector profile (settings.html), PNG data URL
+        signatureImage: userSettings?.signatureImage || null
+    };
+}
+
+function populateReport() {
+    const userEdits = report.userEdits || {};
+
+    // v6.6.4: Debug logging for userEdits
+    console.log('[FINAL] populateReport() - userEdits keys:', Object.keys(userEdits));
+    console.log('[FINAL] populateReport() - userEdits object:', JSON.stringify(userEdits, null, 2).substring(0, 500));
+
+    const fields = getOverviewFields();
+
+    // Update header date
+    document.getElementById('headerDate').textContent = fields.reportDate;
+
+    renderOverviewTable(fields);
 
     // Render dynamic sections
     renderWorkSummary();
@@ -410,35 +476,128 @@ function populateReport() {
     renderTextSections();
     renderSafetySection();
     renderPhotos();
-    renderLogo();
-}
-
-// ============ LOGO RENDERING ============
-function renderLogo() {
-    // Check if activeProject has a logo
-    // Priority: logoUrl (full quality) > logoThumbnail (compressed) > logo (legacy)
-    const logoSrc = activeProject?.logoUrl || activeProject?.logoThumbnail || activeProject?.logo;
-
-    if (logoSrc) {
-        // Update all logo containers across all pages
-        const logoContainers = [
-            { placeholder: 'logoPlaceholder', image: 'logoImage' },
-            { placeholder: 'logoPlaceholder2', image: 'logoImage2' },
-            { placeholder: 'logoPlaceholder3', image: 'logoImage3' },
-            { placeholder: 'logoPlaceholder4', image: 'logoImage4' }
-        ];
-
-        logoContainers.forEach(container => {
-            const placeholder = document.getElementById(container.placeholder);
-            const image = document.getElementById(container.image);
-
-            if (placeholder && image) {
-                placeholder.style.display = 'none';
-                image.src = logoSrc;
-                image.style.display = 'block';
-            }
+}
+
+/**
+ * Project Overview table with the template's fields, two to a row, then the weather and
+ * signature blocks. Value cells keep the field key as their ID (checkEmptyFields()).
+ * @param {Object} fields - getOverviewFields()
+ */
+function renderOverviewTable(fields) {
+    const layout = window.reportTemplates.getOverviewLayout(reportTemplate);
+    const labels = reportTemplate.fieldLabels;
+
+    const fieldCells = key => key
+        ? `<td class="label">${escapeHtml(labels[key])}</td><td class="value" id="${key}">${escapeHtml(fields[key])}</td>`
+        : '<td class="label"></td><td class="value"></td>';
+
+    let html = layout.rows.map(([left, right]) => `<tr>${fieldCells(left)}${fieldCells(right)}</tr>`).join('');
+
+    const signatureHtml = `
+        ${fields.signatureImage ? `<img class="signature-image" id="signatureImage" src="${escapeHtml(fields.signatureImage)}" alt="Signature">` : ''}
+        <div class="signature-name" id="signatureName">${escapeHtml(fields.signatureName)}</div>
+        <div class="signature-details" id="signatureDetails">${escapeHtml(fields.signatureDetails).replace(/\n/g, '<br>')}</div>`;
+
+    if (layout.weather) {
+        // Weather lines down the left; the signature (if shown) spans them on the right
+        const weatherSpan = layout.signature ? 1 : 3;
+        const signatureCells = layout.signature
+            ? `<td class="label" rowspan="5">${escapeHtml(labels.signature)}</td><td class="signature-cell" rowspan="5" id="signatureCell">${signatureHtml}</td>`
+            : '';
+
+        html += `
+            <tr class="weather-row">
+                <td class="weather-label" rowspan="5">${escapeHtml(labels.weather)}</td>
+                <td id="weatherTemps" colspan="${weatherSpan}">${escapeHtml(fields.weatherTemps)}</td>
+                ${signatureCells}
+            </tr>`;
+        ['weatherPrecip', 'weatherCondition', 'weatherJobSite', 'weatherAdverse'].forEach(key => {
+            html += `<tr class="weather-row"><td class="weather-sub" id="${key}" colspan="${weatherSpan}">${escapeHtml(fields[key])}</td></tr>`;
         });
+    } else if (layout.signature) {
+        html += `<tr><td class="label">${escapeHtml(labels.signature)}</td><td class="signature-cell" colspan="3" id="signatureCell">${signatureHtml}</td></tr>`;
     }
+
+    document.getElementById('overviewTable').innerHTML = html;
+}
+
+// ============ PAGE LAYOUT ============
+/**
+ * Build the report pages from the template: each section's elements move out of
+ * #reportSections in template order, with a new page wherever a section starts one.
+ * Sections the template leaves out stay in the hidden #reportSections.
+ */
+function layoutReportPages() {
+    const container = document.querySelector('.page-container');
+    const pool = document.getElementById('reportSections');
+    let page = null;
+
+    reportTemplate.sections.forEach(section => {
+        const elements = pool.querySelectorAll(`[data-section="${section.id}"]`);
+        if (elements.length === 0) return;
+
+        if (!page || section.pageBreak) {
+            page = createReportPage();
+            container.appendChild(page);
+        }
+
+        // First element is the section header (the safety header keeps its text in a span)
+        const header = elements[0];
+        (header.querySelector('span') || header).textContent = section.heading;
+
+        elements.forEach(el => addToPage(page, el));
+    });
+}
+
+/**
+ * Empty page with the template's header and a page-number footer (numbered by updateTotalPages())
+ * @returns {HTMLElement}
+ */
+function createReportPage() {
+    const page = document.createElement('div');
+    page.className = 'page';
+    page.innerHTML = `
+        <div class="report-header${reportTemplate.logo === 'right' ? ' logo-right' : ''}">
+            <div>${getPageLogoHtml()}</div>
+            <div class="report-title">${escapeHtml(reportTemplate.title)}</div>
+        </div>
+        <div class="page-footer"><span class="page-number"></span> of <span class="total-pages"></span></div>
+    `;
+    return page;
+}
+
+// Page content goes above the footer
+function addToPage(page, element) {
+    page.insertBefore(element, page.querySelector('.page-footer'));
+}
+
+// Priority: logoUrl (full quality) > logoThumbnail (compressed) > logo (legacy)
+function getLogoSrc() {
+    return activeProject?.logoUrl || activeProject?.logoThumbnail || activeProject?.logo || null;
+}
+
+// Determine logo HTML based on the template and whether the project has a logo
+function getPageLogoHtml() {
+    if (reportTemplate.logo === 'none') return '';
+
+    const logoSrc = getLogoSrc();
+    return logoSrc
+        ? `<img src="${logoSrc}" class="report-logo" alt="Project Logo">`
+        : `<div class="report-logo-placeholder">${escapeHtml(reportTemplate.logoText || '').replace(/\n/g, '<br>')}</div>`;
+}
+
+function updateTotalPages() {
+    const pages = document.querySelectorAll('.page');
+    const totalPages = pages.length;
+    pages.forEach((page, i) => {
+        const pageNumber = page.querySelector('.page-number');
+        if (pageNumber) pageNumber.textContent = i + 1;
+        // Every page but the last breaks after itself when printed
+        page.classList.toggle('page-break', i < totalPages - 1);
+    });
+    document.querySelectorAll('.total-pages').forEach(el => {
+        el.textContent = totalPages;
+    });
 }
 
 // ============ WORK SUMMARY ============
@@ -456,12 +615,10 @@ function renderWorkSummary() {
     let html = '';
     projectContractors.forEach(contractor => {
         const activity = getContractorActivity(contractor.id);
-        const typeLabel = contractor.type === 'prime' ? 'PRIME CONTRACTOR' : 'SUBCONTRACTOR';
-        const trades = contractor.trades ? ` (${contractor.trades.toUpperCase()})` : '';
         const activityPath = `activity_${contractor.id}`;
 
         html += `<div class="contractor-block" style="margin-bottom: 16px;">`;
-        html += `<div class="contractor-name" style="font-weight: bold; margin-bottom: 8px;">${escapeHtml(contractor.name)} – ${typeLabel}${trades}</div>`;
+        html += `<div class="contractor-name" style="font-weight: bold; margin-bottom: 8px;">${escapeHtml(getContractorHeading(contractor))}</div>`;
 
         // Narrative - editable textarea
         const narrative = activity?.narrative || '';
@@ -504,19 +661,30 @@ function renderWorkSummary() {
     container.innerHTML = html;
 }
 
+function getContractorHeading(contractor) {
+    const typeLabel = contractor.type === 'prime' ? 'PRIME CONTRACTOR' : 'SUBCONTRACTOR';
+    const trades = contractor.trades ? ` (${contractor.trades.toUpperCase()})` : '';
+    return `${contractor.name} – ${typeLabel}${trades}`;
+}
+
 /**
  * v6.6: Supports matching by contractorName for freeform mode (when contractorId is null)
  * v6.6.4: Added debug logging
+ * User edits are laid over the AI/report activity, so fields not edited keep their text
  */
 function getContractorActivity(contractorId) {
     const userEdits = report.userEdits || {};
     const userEditKey = `activity_${contractorId}`;
+    const baseActivity = getBaseContractorActivity(contractorId);
     if (userEdits[userEditKey]) {
         console.log('[FINAL] getContractorActivity() - Using userEdit for', userEditKey);
-        return userEdits[userEditKey];
+        return { ...baseActivity, ...userEdits[userEditKey] };
     }
     console.log('[FINAL] getContractorActivity() - No userEdit for', userEditKey, ', checking AI');
+    return baseActivity;
+}
 
+function getBaseContractorActivity(contractorId) {
     // Get contractor name for freeform matching
     const contractor = projectContractors.find(c => c.id === contractorId);
     const contractorName = contractor?.name;
@@ -590,8 +758,12 @@ function renderOperationsTable() {
 function getContractorOperations(contractorId) {
     const userEdits = report.userEdits || {};
     const userEditKey = `operations_${contractorId}`;
-    if (userEdits[userEditKey]) return userEdits[userEditKey];
+    const baseOps = getBaseContractorOperations(contractorId);
+    if (userEdits[userEditKey]) return { ...baseOps, ...userEdits[userEditKey] };
+    return baseOps;
+}
 
+function getBaseContractorOperations(contractorId) {
     // Get contractor name for freeform matching
     const contractor = projectContractors.find(c => c.id === contractorId);
     const contractorName = contractor?.name;
@@ -647,41 +819,37 @@ function formatTradesAbbrev(trades) {
 // ============ EQUIPMENT TABLE ============
 function renderEquipmentTable() {
     const tbody = document.getElementById('equipmentTableBody');
-    const equipmentData = getEquipmentData();
+    const equipmentRows = getEquipmentRows();
 
-    if (equipmentData.length === 0) {
+    if (equipmentRows.length === 0) {
         tbody.innerHTML = `<tr><td colspan="4" style="text-align:center; color:#666;">No equipment mobilized</td></tr>`;
         return;
     }
 
     let html = '';
-    equipmentData.forEach((item, index) => {
-        // v6.6: Pass contractorName fallback for freeform mode
-        const contractorName = getContractorName(item.contractorId, item.contractorName);
-        // v6.6.6: Improved equipment notes parsing
-        const notes = formatEquipmentNotes(item.status, item.hoursUsed);
+    equipmentRows.forEach((row, index) => {
         const equipPath = `equipment_${index}`;
 
         html += `<tr>
-            <td>${escapeHtml(contractorName)}</td>
+            <td>${escapeHtml(row.contractorName)}</td>
             <td><input type="text"
                 class="editable-cell"
                 data-path="${equipPath}.type"
                 data-equipment-index="${index}"
-                value="${escapeHtml(item.type || '')}"
+                value="${escapeHtml(row.type)}"
                 placeholder="Equipment type..."></td>
             <td><input type="text"
                 class="editable-cell"
                 data-path="${equipPath}.qty"
                 data-equipment-index="${index}"
-                value="${item.qty || 1}"
+                value="${escapeHtml(String(row.qty))}"
                 placeholder="1"
                 style="width: 40px;"></td>
             <td><input type="text"
                 class="editable-cell"
                 data-path="${equipPath}.notes"
                 data-equipment-index="${index}"
-                value="${escapeHtml(notes)}"
+                value="${escapeHtml(row.notes)}"
                 placeholder="Notes..."></td>
         </tr>`;
     });
@@ -689,6 +857,26 @@ function renderEquipmentTable() {
     tbody.innerHTML = html;
 }
 
+/**
+ * Equipment table rows as shown: contractor, type, qty and notes with user edits applied
+ * @returns {Array<{contractorName: string, type: string, qty: string|number, notes: string}>}
+ */
+function getEquipmentRows() {
+    const userEdits = report.userEdits || {};
+
+    return getEquipmentData().map((item, index) => {
+        const edits = userEdits[`equipment_${index}`] || {};
+        return {
+            // v6.6: Pass contractorName fallback for freeform mode
+            contractorName: getContractorName(item.contractorId, item.contractorName),
+            type: edits.type ?? (item.type || ''),
+            qty: edits.qty ?? (item.qty || 1),
+            // v6.6.6: Improved equipment notes parsing
+            notes: edits.notes ?? formatEquipmentNotes(item.status, item.hoursUsed)
+        };
+    });
+}
+
 /**
  * v6.6.6: Format equipment notes column properly
  * Shows "IDLE" when idle, "X HRS UTILIZED" when has hours
@@ -765,24 +953,26 @@ function getContractorName(contractorId, contractorNameFallback = null) {
 
 // ============ TEXT SECTIONS ============
 function renderTextSections() {
-    // v6.6: Updated to use new field names with fallback to old names
     // v6.6.5: Now renders editable textareas instead of static HTML
+    const text = getTextSectionValues();
 
-    // Issues
-    const issues = getTextValueWithFallback('issues', 'issues_delays', 'generalIssues', 'guidedNotes.issues', '');
-    document.getElementById('issuesContent').innerHTML = createEditableTextarea('issues', issues, 'Enter issues/delays...');
-
-    // Communications
-    const comms = getTextValueWithFallback('communications', 'communications', 'contractorCommunications', '', '');
-    document.getElementById('communicationsContent').innerHTML = createEditableTextarea('communications', comms, 'Enter communications...');
-
-    // QA/QC
-    const qaqc = getTextValueWithFallback('qaqc', 'qaqc_notes', 'qaqcNotes', '', '');
-    document.getElementById('qaqcContent').innerHTML = createEditableTextarea('qaqc', qaqc, 'Enter QA/QC notes...');
+    document.getElementById('issuesContent').innerHTML = createEditableTextarea('issues', text.issues, 'Enter issues/delays...');
+    document.getElementById('communicationsContent').innerHTML = createEditableTextarea('communications', text.communications, 'Enter communications...');
+    document.getElementById('qaqcContent').innerHTML = createEditableTextarea('qaqc', text.qaqc, 'Enter QA/QC notes...');
+    document.getElementById('visitorsContent').innerHTML = createEditableTextarea('visitors', text.visitors, 'Enter visitors/deliveries...');
+}
 
-    // Visitors
-    const visitors = getTextValueWithFallback('visitors', 'visitors_deliveries', 'visitorsRemarks', '', '');
-    document.getElementById('visitorsContent').innerHTML = createEditableTextarea('visitors', visitors, 'Enter visitors/deliveries...');
+/**
+ * v6.6: Uses new field names with fallback to old names
+ * @returns {{issues: string, communications: string, qaqc: string, visitors: string}}
+ */
+function getTextSectionValues() {
+    return {
+        issues: getTextValueWithFallback('issues', 'issues_delays', 'generalIssues', 'guidedNotes.issues', ''),
+        communications: getTextValueWithFallback('communications', 'communications', 'contractorCommunications', '', ''),
+        qaqc: getTextValueWithFallback('qaqc', 'qaqc_notes', 'qaqcNotes', '', ''),
+        visitors: getTextValueWithFallback('visitors', 'visitors_deliveries', 'visitorsRemarks', '', '')
+    };
 }
 
 /**
@@ -903,11 +1093,7 @@ function formatTextSection(text) {
 
 // ============ SAFETY SECTION ============
 function renderSafetySection() {
-    // v6.6: Support both old (hasIncidents) and new (has_incidents) field names
-    const hasIncident = report.safety?.hasIncident ||
-                        report.aiGenerated?.safety?.has_incidents ||
-                        report.aiGenerated?.safety?.hasIncidents ||
-                        false;
+    const hasIncident = hasSafetyIncident();
     const noIncident = !hasIncident;
 
     document.getElementById('checkYes').textContent = hasIncident ? 'X' : '';
@@ -917,14 +1103,29 @@ function renderSafetySection() {
 
     // v6.6: Support both old (safety.notes) and new (safety.summary) field names
     // v6.6.5: Now renders editable textarea instead of static HTML
-    const safetyNotes = getTextValueWithFallback('safety.notes', 'safety.summary', 'safety.notes', 'guidedNotes.safety', '');
-    document.getElementById('safetyContent').innerHTML = createEditableTextarea('safety.notes', safetyNotes, 'Enter safety observations...');
+    document.getElementById('safetyContent').innerHTML = createEditableTextarea('safety.notes', getSafetyNotes(), 'Enter safety observations...');
+}
+
+// v6.6: Support both old (hasIncidents) and new (has_incidents) field names
+function hasSafetyIncident() {
+    return report.safety?.hasIncident ||
+           report.aiGenerated?.safety?.has_incidents ||
+           report.aiGenerated?.safety?.hasIncidents ||
+           false;
+}
+
+function getSafetyNotes() {
+    return getTextValueWithFallback('safety.notes', 'safety.summary', 'safety.notes', 'guidedNotes.safety', '');
 }
 
 // ============ PHOTOS ============
 function renderPhotos() {
+    if (!window.reportTemplates.hasSection(reportTemplate, 'photos')) return;
+
     const photos = report.photos || [];
     const grid = document.getElementById('photosGrid');
+    const { columns, rows } = reportTemplate.photoGrid;
+    const perPage = columns * rows;
     const projectName = report.overview?.projectName || activeProject?.projectName || '';
     const projectNo = report.overview?.noabProjectNo || activeProject?.noabProjectNo || '';
 
@@ -944,14 +1145,12 @@ function renderPhotos() {
     // Generate photo cells only for actual photos (no empty cells)
     // v6.6.5: Photo captions are now editable textareas
     let html = '';
-    const displayPhotos = photos.slice(0, 4); // First 4 photos for page 4
+    const displayPhotos = photos.slice(0, perPage); // First page of the template's photo grid
 
     displayPhotos.forEach((photo, i) => {
         html += `
             <div class="photo-cell">
-                <div class="photo-image">
-                    <img src="${photo.url}" alt="Photo ${i + 1}">
-                </div>
+                <div class="photo-image">${getPhotoImageHtml(photo, i, `Photo ${i + 1}`)}</div>
                 <div class="photo-meta"><span>Date:</span> ${photo.date || formatDisplayDate(report.overview?.date)}</div>
                 <textarea
                     class="editable-field photo-caption"
@@ -964,31 +1163,61 @@ function renderPhotos() {
     });
 
     grid.innerHTML = html;
+    grid.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
 
-    // If more than 4 photos, add additional photo pages
-    if (photos.length > 4) {
-        addAdditionalPhotoPages(photos.slice(4));
+    // Photos that don't fit go on continuation pages
+    if (photos.length > perPage) {
+        addAdditionalPhotoPages(photos.slice(perPage), perPage);
     }
+
+    photoWatermarksReady = applyPhotoWatermarks();
 }
 
-function addAdditionalPhotoPages(remainingPhotos) {
-    const container = document.querySelector('.page-container');
-    let pageNum = 5;
+// Marked-up copy (photo-annotator.js) when there is one - that's what goes in the PDF
+function getPhotoDisplayUrl(photo) {
+    return photo.annotatedUrl || photo.url;
+}
 
-    for (let i = 0; i < remainingPhotos.length; i += 4) {
-        const pagePhotos = remainingPhotos.slice(i, i + 4);
-        const page = document.createElement('div');
-        page.className = 'page' + (i + 4 < remainingPhotos.length ? ' page-break' : '');
+// A paired photo (photos.html) shows next to its earlier "before" shot.
+// Only the report's own photo carries data-photo-index, so only it gets watermarked.
+function getPhotoImageHtml(photo, index, alt) {
+    const img = `<img src="${getPhotoDisplayUrl(photo)}" alt="${alt}" data-photo-index="${index}">`;
+    const before = photo.pairedPhoto;
+    if (!before?.url) return img;
+
+    return `
+        <div class="photo-pair">
+            <figure>
+                <img src="${before.url}" alt="Before">
+                <figcaption>Before &middot; ${escapeHtml(formatDisplayDate(before.reportDate))}</figcaption>
+            </figure>
+            <figure>
+                ${img}
+                <figcaption>After &middot; ${escapeHtml(photo.date || formatDisplayDate(report.overview?.date))}</figcaption>
+            </figure>
+        </div>
+    `;
+}
+
+/**
+ * Continuation photo pages, straight after the page with the photos section
+ * @param {Array} remainingPhotos - Photos after the first page
+ * @param {number} perPage - Photos per page (template photo grid)
+ */
+function addAdditionalPhotoPages(remainingPhotos, perPage) {
+    const heading = reportTemplate.sections.find(section => section.id === 'photos').heading;
+    let previousPage = document.getElementById('photosGrid').closest('.page');
+
+    for (let i = 0; i < remainingPhotos.length; i += perPage) {
+        const pagePhotos = remainingPhotos.slice(i, i + perPage);
 
         // v6.6.6: Only render actual photos, no empty cells
         let photosHtml = '';
         pagePhotos.forEach((photo, j) => {
-            const photoIndex = 4 + i + j; // Actual index in photos array (first 4 are on page 4)
+            const photoIndex = perPage + i + j; // Actual index in photos array (first page holds perPage)
             photosHtml += `
                 <div class="photo-cell">
-                    <div class="photo-image">
-                        <img src="${photo.url}" alt="Photo">
-                    </div>
+                    <div class="photo-image">${getPhotoImageHtml(photo, photoIndex, 'Photo')}</div>
                     <div class="photo-meta"><span>Date:</span> ${photo.date || formatDisplayDate(report.overview?.date)}</div>
                     <textarea
                         class="editable-field photo-caption"
@@ -1000,36 +1229,120 @@ function addAdditionalPhotoPages(remainingPhotos) {
             `;
         });
 
-        // Determine logo HTML based on whether project has a logo
-        // Priority: logoUrl (full quality) > logoThumbnail (compressed) > logo (legacy)
-        const logoSrc = activeProject?.logoUrl || activeProject?.logoThumbnail || activeProject?.logo;
-        const logoHtml = logoSrc
-            ? `<img src="${logoSrc}" class="report-logo" alt="Project Logo">`
-            : `<div class="report-logo-placeholder">LOUIS ARMSTRONG<br>NEW ORLEANS<br>INTERNATIONAL AIRPORT</div>`;
-
-        page.innerHTML = `
-            <div class="report-header">
-                <div>${logoHtml}</div>
-                <div class="report-title">RPR DAILY REPORT</div>
-            </div>
-            <div class="section-header">Daily Photos (Continued)</div>
-            <div class="photos-grid">${photosHtml}</div>
-            <div class="page-footer">${pageNum} of <span class="total-pages">4</span></div>
-        `;
+        const page = createReportPage();
+        page.querySelector('.page-footer').insertAdjacentHTML('beforebegin', `
+            <div class="section-header">${escapeHtml(heading)} (Continued)</div>
+            <div class="photos-grid" style="grid-template-columns: repeat(${reportTemplate.photoGrid.columns}, 1fr);">${photosHtml}</div>
+        `);
 
-        container.appendChild(page);
-        pageNum++;
+        previousPage.after(page);
+        previousPage = page;
     }
 
     updateTotalPages();
 }
 
-function updateTotalPages() {
-    const pages = document.querySelectorAll('.page');
-    const totalPages = pages.length;
-    document.querySelectorAll('.total-pages').forEach(el => {
-        el.textContent = totalPages;
-    });
+// ============ PHOTO WATERMARKS ============
+/**
+ * Stamp the project's photo watermark (project-config.html) on the photos in the report.
+ * Only the images on the page - and so in the PDF - change; storage keeps the clean photos.
+ * Uses the same overview values as the header, so the stamp matches it.
+ * @returns {Promise<void>}
+ */
+async function applyPhotoWatermarks() {
+    const settings = activeProject?.photoWatermark;
+    if (!settings?.enabled) return;
+
+    // From the report data, not the page - the template may not show these fields
+    const fields = getOverviewFields();
+    const details = {
+        projectNo: String(fields.noabProjectNo).trim(),
+        reportDate: fields.reportDate,
+        inspector: String(fields.completedBy).trim()
+    };
+
+    let failed = 0;
+    // One at a time - each photo is a full-size canvas
+    for (const img of document.querySelectorAll('.photo-image img[data-photo-index]')) {
+        const photo = report.photos[parseInt(img.dataset.photoIndex)];
+        const lines = photo ? getPhotoWatermarkLines(photo, details, settings.fields || PHOTO_WATERMARK_FIELDS) : [];
+        if (lines.length === 0) continue;
+
+        try {
+            img.src = await watermarkImage(getPhotoDisplayUrl(photo), lines);
+            watermarkedPhotos[img.dataset.photoIndex] = img.src;
+        } catch (err) {
+            console.warn('[FINAL] Could not watermark photo', img.dataset.photoIndex, err);
+            failed++;
+        }
+    }
+
+    if (failed > 0) {
+        showToast(`${failed} photo${failed > 1 ? 's' : ''} could not be watermarked`, 'warning');
+    }
+}
+
+// ============ VOICE MEMO APPENDIX ============
+/**
+ * Append a transcript page for the report's voice memos (audio-memos.js).
+ * Only the transcripts go in the PDF - the audio stays in the report-audio bucket.
+ */
+async function renderMemoAppendix() {
+    if (!window.audioMemos) return;
+
+    reportMemos = await window.audioMemos.getMemos(currentReportId, { remote: true });
+    if (reportMemos.length === 0) return;
+
+    const rowsHtml = getMemoRows().map(row => `
+        <tr>
+            <td>${row.number}</td>
+            <td>${escapeHtml(row.target)}</td>
+            <td>${row.time}</td>
+            <td>${row.length}</td>
+            <td style="text-align: left;">${escapeHtml(row.transcript) || '<span class="na-text">No transcript</span>'}</td>
+        </tr>
+    `).join('');
+
+    const page = createReportPage();
+    page.id = 'memoAppendix';
+    page.querySelector('.page-footer').insertAdjacentHTML('beforebegin', `
+        <div class="section-header">Appendix - Voice Memo Transcripts</div>
+        <table class="equip-table">
+            <thead>
+                <tr>
+                    <th style="width: 5%;">#</th>
+                    <th style="width: 25%;">Attached To</th>
+                    <th style="width: 10%;">Time</th>
+                    <th style="width: 8%;">Length</th>
+                    <th>Transcript</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `);
+
+    document.querySelector('.page-container').appendChild(page);
+    updateTotalPages();
+}
+
+/**
+ * Transcript appendix rows for the loaded voice memos
+ * @returns {Array<{number: number, target: string, time: string, length: string, transcript: string}>}
+ */
+function getMemoRows() {
+    const targetContext = {
+        entries: report.originalInput?.entries,
+        freeformEntries: report.originalInput?.fieldNotes?.freeform_entries,
+        contractors: projectContractors
+    };
+
+    return reportMemos.map((memo, i) => ({
+        number: i + 1,
+        target: window.audioMemos.describeTarget(memo, targetContext),
+        time: new Date(memo.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+        length: window.audioMemos.formatDuration(memo.durationMs),
+        transcript: memo.transcript || ''
+    }));
 }
 
 // ============ UTILITY FUNCTIONS ============
@@ -1113,20 +1426,27 @@ function goToEdit() {
 
 // ============ PDF GENERATION & SUBMIT FLOW ============
 
+// Banner wording for the submit pipeline steps (SUBMIT_STEPS in sync-manager.js)
+const SUBMIT_STEP_LABELS = {
+    upload_pdf: 'Upload PDF',
+    ensure_report: 'Save report record',
+    save_final_report: 'Save final report',
+    update_status: 'Mark submitted',
+    cleanup: 'Clear local copy'
+};
+
 /**
- * Main submit function - orchestrates the complete submit flow
- * 1. Check online status
- * 2. Generate PDF from page content
- * 3. Upload PDF to Supabase Storage
- * 4. Save metadata to final_reports table
- * 5. Update reports table status to 'submitted'
- * 6. Clear local storage for this report
- * 7. Navigate to archives with success message
+ * Main submit function - builds the PDF and records the submission, then runs it
+ * 1. Generate PDF from the report data
+ * 2. Hash the PDF and a snapshot of the report data (stored in final_reports), then
+ *    record the submission (sync-manager.js) - the report is read-only from here
+ * 3. Run the pipeline: upload PDF, ensure reports row, save final_reports,
+ *    mark submitted, clear local storage - see runSubmission()
+ * 4. Navigate to archives with success message
  */
 async function submitReport() {
-    // 1. Check online status
-    if (!navigator.onLine) {
-        showError('Cannot submit offline. Please connect to internet.');
+    if (isAwaitingUpload()) {
+        showError('This report is already waiting to upload.');
         return;
     }
 
@@ -1140,197 +1460,175 @@ async function submitReport() {
         return;
     }
 
-    // 2. Show loading state
+    // Show loading state
     showSubmitLoading(true);
 
     try {
         console.log('[SUBMIT] Starting report submission for:', currentReportId);
 
-        // 3. Generate PDF from page content
+        // Generate PDF from page content
         console.log('[SUBMIT] Generating PDF...');
         const pdf = await generatePDF();
         console.log('[SUBMIT] PDF generated:', pdf.filename);
 
-        // 4. Upload PDF to Supabase Storage
-        console.log('[SUBMIT] Uploading PDF to storage...');
-        const pdfUrl = await uploadPDFToStorage(pdf);
-        console.log('[SUBMIT] PDF uploaded:', pdfUrl);
+        // Flush any pending edit before the report is locked
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+            await saveReportToLocalStorage();
+        }
+
+        const reportData = (await getReportData(currentReportId)) || {};
+        const submittedAt = new Date().toISOString();
 
-        // 5. Ensure report exists in reports table (foreign key requirement)
-        console.log('[SUBMIT] Ensuring report exists in reports table...');
-        await ensureReportExists();
-        console.log('[SUBMIT] Report record ensured');
+        // Tamper-evident hashes of the PDF and the data it was built from (report-integrity.js)
+        const seal = await window.reportIntegrity.sealSubmission(pdf.blob, buildReportSnapshot(submittedAt));
+        console.log('[SUBMIT] Report sealed, PDF SHA-256:', seal.pdf_sha256);
 
-        // 6. Save metadata to final_reports table
-        console.log('[SUBMIT] Saving to final_reports...');
-        await saveToFinalReports(pdfUrl);
-        console.log('[SUBMIT] Saved to final_reports');
+        submission = await beginReportSubmission(currentReportId, {
+            pdfBlob: pdf.blob,
+            filename: pdf.filename,
+            reportRow: buildReportRow(reportData),
+            finalReport: { ...buildFinalReportRow(submittedAt), ...seal },
+            submittedAt
+        });
 
-        // 7. Update reports table status to 'submitted'
-        console.log('[SUBMIT] Updating report status...');
-        await updateReportStatus('submitted', pdfUrl);
-        console.log('[SUBMIT] Report status updated');
+        report.meta = report.meta || {};
+        report.meta.status = REPORT_STATUS.SUBMITTED_PENDING_UPLOAD;
+        report.meta.submittedAt = submittedAt;
+    } catch (error) {
+        console.error('[SUBMIT] Error:', error);
+        showError('Submit failed: ' + error.message);
+        showSubmitLoading(false);
+        return;
+    }
 
-        // 8. Clear local storage for this report
-        console.log('[SUBMIT] Cleaning up local storage...');
-        await cleanupLocalStorage();
-        console.log('[SUBMIT] Local storage cleaned up');
+    await runSubmission();
+}
 
-        // 9. Navigate to archives with success message
+/**
+ * Run the recorded submission from the steps it hasn't completed yet.
+ * Offline (or if the connection drops part way) it goes to the sync outbox; a failed run
+ * is queued too, and stays on this page with Retry Now / Cancel Submission.
+ */
+async function runSubmission() {
+    if (!navigator.onLine) {
+        await handOffSubmission();
+        return;
+    }
+
+    if (submissionRunning) return;
+    submissionRunning = true;
+    showSubmitLoading(true);
+
+    let result;
+    try {
+        result = await runReportSubmission(currentReportId);
+    } catch (e) {
+        console.error('[SUBMIT] Submission run failed:', e);
+        result = { success: false, step: submission?.failedStep, error: e.message };
+    } finally {
+        submissionRunning = false;
+        showSubmitLoading(false);
+    }
+
+    // Cancelled from another page while this one waited for the submission lock
+    if (result.aborted) {
+        console.log('[SUBMIT] Submission no longer recorded, reloading');
+        window.location.reload();
+        return;
+    }
+
+    if (result.success) {
         console.log('[SUBMIT] Submit complete, navigating to archives...');
         window.location.href = 'archives.html?submitted=true';
+        return;
+    }
 
-    } catch (error) {
-        console.error('[SUBMIT] Error:', error);
-        showError('Submit failed: ' + error.message);
+    // Connection dropped part way through - the outbox picks up from the failed step
+    if (!navigator.onLine) {
+        await handOffSubmission(result.error);
+        return;
+    }
+
+    try {
+        await queueReportSubmission(currentReportId, result.error);
+    } catch (e) {
+        console.warn('[SUBMIT] Could not queue submission for retry:', e);
+    }
+
+    submission = (await window.idb.getSubmission(currentReportId)) || null;
+    lockAwaitingUpload();
+    showError(`Submit stopped at "${SUBMIT_STEP_LABELS[result.step] || result.step}": ${result.error}`);
+}
+
+/**
+ * Leave the submission to the sync outbox and return to the dashboard
+ * @param {string} [lastError] - Error from the attempt that failed, if any
+ */
+async function handOffSubmission(lastError) {
+    try {
+        await queueReportSubmission(currentReportId, lastError);
+    } catch (e) {
+        console.error('[SUBMIT] Could not queue submission:', e);
         showSubmitLoading(false);
+        lockAwaitingUpload();
+        showError(e.message + '. Tap Retry Now once you are back online.');
+        return;
     }
+
+    console.log('[SUBMIT] Submission queued for upload, returning to dashboard');
+    window.location.href = 'index.html';
 }
 
 /**
- * Generate PDF from the page content using html2pdf.js
+ * Retry Now - resume the recorded submission from where it stopped
+ */
+async function resumeSubmission() {
+    if (!submission) return;
+    console.log('[SUBMIT] Resuming submission for:', currentReportId);
+    await runSubmission();
+}
+
+/**
+ * Cancel Submission - roll back what was uploaded and make the report editable again
+ */
+async function cancelSubmission() {
+    if (!confirm('Cancel this submission? Anything already uploaded is removed and the report can be edited again.')) {
+        return;
+    }
+
+    try {
+        await abortReportSubmission(currentReportId);
+    } catch (e) {
+        console.error('[SUBMIT] Could not cancel submission:', e);
+        showError('Could not cancel: ' + e.message);
+        return;
+    }
+
+    console.log('[SUBMIT] Submission cancelled for:', currentReportId);
+    window.location.reload();
+}
+
+/**
+ * Generate the report PDF from the report data (report-pdf.js) - text and tables are
+ * drawn as vector content, photos are embedded at a fixed resolution
  * @returns {Promise<{blob: Blob, filename: string}>}
  */
 async function generatePDF() {
-    // Get the printable content area (page-container contains all pages)
-    const element = document.querySelector('.page-container');
-
-    if (!element) {
-        throw new Error('Could not find report content to generate PDF');
+    if (!window.reportPdf) {
+        throw new Error('PDF renderer not loaded');
     }
 
-    // v6.6.6: Clone the DOM and convert for clean PDF output
-    const clonedElement = element.cloneNode(true);
-    
-    // v6.6.6: Convert contractor blocks to DOT inline format
-    clonedElement.querySelectorAll('.contractor-block').forEach(block => {
-        const nameEl = block.querySelector('.contractor-name');
-        const narrativeEl = block.querySelector('.contractor-narrative');
-        const equipmentEl = block.querySelector('.contractor-equipment');
-        const crewEl = block.querySelector('.contractor-crew');
-        
-        const contractorName = nameEl ? nameEl.textContent : '';
-        const narrative = narrativeEl ? (narrativeEl.value || narrativeEl.textContent || '').trim() : '';
-        const equipment = equipmentEl ? (equipmentEl.value || equipmentEl.textContent || '').trim() : '';
-        const crew = crewEl ? (crewEl.value || crewEl.textContent || '').trim() : '';
-        
-        // Build DOT-style inline format
-        let html = `<div class="contractor-name" style="font-weight: bold; text-transform: uppercase; margin-bottom: 4px;">${escapeHtml(contractorName)}</div>`;
-        
-        if (narrative || equipment || crew) {
-            html += `<p style="margin: 0 0 4px 0;">${escapeHtml(narrative) || 'No work performed.'}</p>`;
-            
-            // Inline equipment and crew
-            const details = [];
-            if (equipment) details.push(`EQUIPMENT: ${escapeHtml(equipment)}`);
-            if (crew) details.push(`CREW: ${escapeHtml(crew)}`);
-            
-            if (details.length > 0) {
-                html += `<p style="margin: 0; font-size: 9pt; text-transform: uppercase;">${details.join('. ')}.</p>`;
-            }
-        } else {
-            html += `<p style="margin: 0;">No work performed on this date.</p>`;
-        }
-        
-        block.innerHTML = html;
-    });
-    
-    // v6.6.6: Convert text sections to bulleted format
-    const textSectionIds = ['issuesContent', 'communicationsContent', 'qaqcContent', 'visitorsContent', 'safetyContent'];
-    textSectionIds.forEach(sectionId => {
-        const section = clonedElement.querySelector(`#${sectionId}`);
-        if (!section) return;
-        
-        const textarea = section.querySelector('textarea');
-        if (!textarea) return;
-        
-        const text = (textarea.value || textarea.textContent || '').trim();
-        
-        if (!text) {
-            section.innerHTML = '<ul><li style="color: #666;">N/A</li></ul>';
-            return;
-        }
-        
-        // Split by newlines and create bullet list
-        const lines = text.split('\n').filter(line => line.trim());
-        if (lines.length === 0) {
-            section.innerHTML = '<ul><li style="color: #666;">N/A</li></ul>';
-        } else if (lines.length === 1) {
-            section.innerHTML = `<ul><li>${escapeHtml(lines[0])}</li></ul>`;
-        } else {
-            section.innerHTML = '<ul>' + lines.map(line => `<li>• ${escapeHtml(line.replace(/^[•\-\*]\s*/, ''))}</li>`).join('') + '</ul>';
-        }
-    });
-    
-    // Convert any remaining textareas/inputs to styled divs (photo captions, table cells, etc.)
-    clonedElement.querySelectorAll('textarea, input[type="text"]').forEach(input => {
-        const div = document.createElement('div');
-        div.className = 'pdf-text-content';
-        div.style.cssText = `
-            font-family: inherit;
-            font-size: inherit;
-            line-height: 1.4;
-            white-space: pre-wrap;
-            word-wrap: break-word;
-        `;
-        
-        const text = input.value || input.textContent || '';
-        if (text.trim()) {
-            div.textContent = text;
-        } else {
-            div.innerHTML = '<span style="color: #666;">N/A</span>';
-        }
-        
-        input.parentNode.replaceChild(div, input);
-    });
-    
-    // v6.6.7: Position clone for html2canvas capture
-    // Note: html2canvas requires the element to be in the visible viewport
-    // We position at 0,0 with fixed position but below the modal overlay
-    clonedElement.style.position = 'fixed';
-    clonedElement.style.left = '0';
-    clonedElement.style.top = '0';
-    clonedElement.style.zIndex = '1'; // Below modal overlay (z-index: 1000)
-    clonedElement.style.pointerEvents = 'none';
-    clonedElement.style.background = '#fff'; // Ensure white background
-    document.body.appendChild(clonedElement);
+    // Photos must carry the project watermark before they are embedded
+    await photoWatermarksReady;
 
     // Generate filename
     const projectName = getProjectName().replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30);
     const reportDate = getReportDate();
     const filename = `${projectName}_${reportDate}.pdf`;
 
-    const options = {
-        margin: [0.25, 0.25, 0.25, 0.25], // inches - smaller margins for better fit
-        filename: filename,
-        image: { type: 'jpeg', quality: 0.95 },
-        html2canvas: {
-            scale: 2,
-            useCORS: true,
-            logging: false,
-            letterRendering: true,
-            allowTaint: true
-        },
-        jsPDF: {
-            unit: 'in',
-            format: 'letter',
-            orientation: 'portrait'
-        },
-        pagebreak: {
-            mode: ['css'],
-            before: '.page-break',
-            avoid: ['tr', 'td', '.contractor-block', '.photo-cell']
-        }
-    };
-
-    // Generate PDF blob from cloned element
-    const pdfBlob = await html2pdf()
-        .set(options)
-        .from(clonedElement)
-        .outputPdf('blob');
-    
-    // Clean up cloned element
-    document.body.removeChild(clonedElement);
+    const pdfBlob = await window.reportPdf.renderReportPdf(buildPdfModel());
 
     return {
         blob: pdfBlob,
@@ -1339,71 +1637,238 @@ async function generatePDF() {
 }
 
 /**
- * Upload PDF to Supabase Storage (report-pdfs bucket)
- * @param {Object} pdf - PDF object with blob and filename
- * @returns {Promise<string>} Public URL of the uploaded PDF
+ * Report model for report-pdf.js, laid out by the report template like the page:
+ * its sections in order, with page breaks where the template starts a page,
+ * then the voice memo appendix
+ * @returns {Object}
  */
-async function uploadPDFToStorage(pdf) {
-    const storagePath = `${currentReportId}/${pdf.filename}`;
-
-    const { data, error } = await supabaseClient
-        .storage
-        .from('report-pdfs')
-        .upload(storagePath, pdf.blob, {
-            contentType: 'application/pdf',
-            upsert: true
-        });
+function buildPdfModel() {
+    const fields = getOverviewFields();
+    const blocks = [];
 
-    if (error) {
-        throw new Error('PDF upload failed: ' + error.message);
+    reportTemplate.sections.forEach((section, i) => {
+        if (section.pageBreak && i > 0) blocks.push({ type: 'pageBreak' });
+
+        // The photos block draws its own heading so continuation pages can repeat it
+        if (section.id !== 'photos') blocks.push({ type: 'section', title: section.heading });
+        blocks.push(...getPdfSectionBlocks(section, fields));
+    });
+
+    const memoRows = getMemoRows();
+    if (memoRows.length > 0) {
+        blocks.push(
+            { type: 'pageBreak' },
+            { type: 'section', title: 'Appendix - Voice Memo Transcripts' },
+            {
+                type: 'table',
+                head: ['#', 'ATTACHED TO', 'TIME', 'LENGTH', 'TRANSCRIPT'],
+                body: memoRows.map(row => [String(row.number), row.target, row.time, row.length, row.transcript || 'No transcript']),
+                widths: [24, 130, 56, 44, null]
+            }
+        );
     }
 
-    // Get public URL
-    const { data: urlData } = supabaseClient
-        .storage
-        .from('report-pdfs')
-        .getPublicUrl(storagePath);
+    return {
+        title: reportTemplate.title,
+        logo: reportTemplate.logo === 'none' ? null : getLogoSrc(),
+        logoText: reportTemplate.logo === 'none' ? '' : reportTemplate.logoText,
+        logoPlacement: reportTemplate.logo,
+        footerText: [fields.projectName, fields.reportDate].filter(Boolean).join(' – '),
+        metadata: {
+            title: `${reportTemplate.name} - ${fields.projectName} - ${fields.reportDate}`,
+            subject: reportTemplate.name,
+            author: fields.completedBy || fields.signatureName
+        },
+        blocks
+    };
+}
+
+/**
+ * PDF blocks for one template section (below its heading)
+ * @param {{id: string, heading: string}} section - Template section
+ * @param {Object} fields - getOverviewFields()
+ * @returns {Array<Object>}
+ */
+function getPdfSectionBlocks(section, fields) {
+    const text = getTextSectionValues();
+
+    switch (section.id) {
+        case 'overview':
+            return [{ type: 'fields', rows: getPdfOverviewRows(fields) }];
+
+        case 'workSummary':
+            return getWorkSummaryBlocks();
+
+        case 'operations':
+            return [{
+                type: 'table',
+                head: ['CONTRACTOR', 'TRADE', 'SUPER(S)', 'FOREMAN', 'OPERATOR(S)', 'LABORER(S)', 'SURVEYOR(S)', 'OTHER(S)'],
+                body: projectContractors.map(contractor => {
+                    const ops = getContractorOperations(contractor.id) || {};
+                    return [
+                        contractor.abbreviation || contractor.name.substring(0, 10).toUpperCase(),
+                        formatTradesAbbrev(contractor.trades),
+                        ops.superintendents || '',
+                        ops.foremen || '',
+                        ops.operators || '',
+                        ops.laborers || '',
+                        ops.surveyors || '',
+                        ops.others || ''
+                    ].map(String);
+                }),
+                emptyText: 'No contractors defined'
+            }];
+
+        case 'equipment':
+            return [{
+                type: 'table',
+                head: ['CONTRACTOR', 'EQUIPMENT TYPE / MODEL #', 'QTY', 'NOTES'],
+                body: getEquipmentRows().map(row => [row.contractorName, row.type, String(row.qty), row.notes]),
+                widths: [120, null, 40, null],
+                emptyText: 'No equipment mobilized'
+            }];
+
+        case 'safety': {
+            const hasIncident = !!hasSafetyIncident();
+            return [
+                {
+                    type: 'checkboxes',
+                    label: 'Incident(s) on this Date:',
+                    options: [{ label: 'Yes', checked: hasIncident }, { label: 'No', checked: !hasIncident }]
+                },
+                { type: 'bullets', lines: toBulletLines(getSafetyNotes()) }
+            ];
+        }
+
+        case 'photos':
+            return [{
+                type: 'photos',
+                title: section.heading,
+                continuedTitle: `${section.heading} (Continued)`,
+                info: [['Project Name:', fields.projectName], ['Project #:', fields.noabProjectNo]],
+                columns: reportTemplate.photoGrid.columns,
+                rows: reportTemplate.photoGrid.rows,
+                items: getPdfPhotoItems(),
+                emptyText: 'No photos documented for this date.'
+            }];
+
+        // issues, communications, qaqc, visitors
+        default:
+            return [{ type: 'bullets', lines: toBulletLines(text[section.id]) }];
+    }
+}
+
+// Overview field rows as on the page (renderOverviewTable()), weather and signature last
+function getPdfOverviewRows(fields) {
+    const layout = window.reportTemplates.getOverviewLayout(reportTemplate);
+    const labels = reportTemplate.fieldLabels;
+    const cells = key => key ? [labels[key], String(fields[key] ?? '')] : ['', ''];
+
+    const rows = layout.rows.map(([left, right]) => [...cells(left), ...cells(right)]);
+
+    const weather = [fields.weatherTemps, fields.weatherPrecip, fields.weatherCondition, fields.weatherJobSite, fields.weatherAdverse].join('\n');
+    const signature = { content: [fields.signatureName, fields.signatureDetails].filter(Boolean).join('\n'), image: fields.signatureImage };
+    if (layout.weather && layout.signature) {
+        rows.push([labels.weather, weather, labels.signature, signature]);
+    } else if (layout.weather) {
+        rows.push([labels.weather, { content: weather, colSpan: 3 }]);
+    } else if (layout.signature) {
+        rows.push([labels.signature, { ...signature, colSpan: 3 }]);
+    }
+    return rows;
+}
+
+// v6.6.6: Contractor blocks in DOT inline format
+function getWorkSummaryBlocks() {
+    if (projectContractors.length === 0) {
+        const workText = getTextValue('guidedNotes.workSummary', 'issues', 'generalIssues', '');
+        return [{ type: 'bullets', lines: toBulletLines(workText) }];
+    }
+
+    const blocks = [];
+    projectContractors.forEach(contractor => {
+        const activity = getContractorActivity(contractor.id) || {};
+        const narrative = (activity.narrative || '').trim();
+        const equipment = (activity.equipmentUsed || '').trim();
+        const crew = (activity.crew || '').trim();
+
+        blocks.push({ type: 'text', text: getContractorHeading(contractor), bold: true, uppercase: true });
+
+        if (!narrative && !equipment && !crew) {
+            blocks.push({ type: 'text', text: 'No work performed on this date.' });
+            return;
+        }
+
+        blocks.push({ type: 'text', text: narrative || 'No work performed.' });
+
+        // Inline equipment and crew
+        const details = [];
+        if (equipment) details.push(`EQUIPMENT: ${equipment}`);
+        if (crew) details.push(`CREW: ${crew}`);
+        if (details.length > 0) {
+            blocks.push({ type: 'text', text: `${details.join('. ')}.`, uppercase: true, size: 8 });
+        }
+    });
+    return blocks;
+}
+
+// v6.6.6: Text sections print as bullets, one per line, without any typed bullet markers
+function toBulletLines(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.trim().replace(/^[•\-*]\s*/, ''))
+        .filter(Boolean);
+}
+
+// Photos as the page shows them - watermarked copy when there is one, paired "before" shot alongside
+function getPdfPhotoItems() {
+    const reportDate = formatDisplayDate(report.overview?.date);
+
+    return (report.photos || []).map((photo, i) => {
+        const date = photo.date || reportDate;
+        const item = {
+            src: watermarkedPhotos[i] || getPhotoDisplayUrl(photo),
+            caption: photo.caption || '',
+            meta: `Photo ${i + 1} · Date: ${date}`
+        };
 
-    return urlData.publicUrl;
+        if (photo.pairedPhoto?.url) {
+            item.label = `After · ${date}`;
+            item.before = {
+                src: photo.pairedPhoto.url,
+                label: `Before · ${formatDisplayDate(photo.pairedPhoto.reportDate)}`
+            };
+        }
+        return item;
+    });
 }
 
 /**
- * Ensure the report exists in the reports table (required for foreign key)
- * This upserts the report before we can insert into final_reports
+ * Build the reports table row for this report (the submit pipeline upserts it before
+ * final_reports, which references it)
+ * @param {Object} reportData - Stored report data (getReportData())
+ * @returns {Object}
  */
-async function ensureReportExists() {
-    const reportData = getReportData(currentReportId) || {};
-    const reportDate = getReportDate();
-    
-    const reportRow = {
+function buildReportRow(reportData) {
+    return {
         id: currentReportId,
         project_id: report.projectId,
-        report_date: reportDate,
+        report_date: getReportDate(),
         status: 'draft', // Will be updated to 'submitted' after
         capture_mode: reportData.captureMode || 'guided',
         created_at: reportData.createdAt || new Date().toISOString(),
         updated_at: new Date().toISOString()
     };
-    
-    const { error } = await supabaseClient
-        .from('reports')
-        .upsert(reportRow, { onConflict: 'id' });
-    
-    if (error) {
-        throw new Error('Failed to create report record: ' + error.message);
-    }
-    
-    console.log('[SUBMIT] Report record ensured in reports table:', currentReportId);
 }
 
 /**
- * Save report metadata to final_reports table
- * @param {string} pdfUrl - URL of the uploaded PDF
+ * Build the final_reports table row from the report on screen. pdf_url is left out -
+ * the submit pipeline adds it once the PDF is uploaded.
+ * @param {string} submittedAt - ISO timestamp of the submit
+ * @returns {Object}
  */
-async function saveToFinalReports(pdfUrl) {
-    const reportData = getReportData(currentReportId) || {};
+function buildFinalReportRow(submittedAt) {
     const weather = report.overview?.weather || {};
-    const submittedAt = new Date().toISOString();
 
     // Helper to clean weather values - convert "--", "N/A", empty to null
     // Also extract numeric values from strings like "71°F", "39°F", "0.00""
@@ -1420,9 +1885,8 @@ async function saveToFinalReports(pdfUrl) {
         return null;
     }
 
-    const finalReportData = {
+    return {
         report_id: currentReportId,
-        pdf_url: pdfUrl,
         submitted_at: submittedAt,
         // Weather fields (cleaned to convert "--" to null for numeric columns)
         weather_high_temp: cleanWeatherValue(weather.highTemp),
@@ -1454,69 +1918,30 @@ async function saveToFinalReports(pdfUrl) {
         has_visitors_deliveries: !!report.visitors,
         has_photos: report.photos?.length > 0
     };
-
-    // Upsert to final_reports (insert or update if exists)
-    const { error } = await supabaseClient
-        .from('final_reports')
-        .upsert(finalReportData, { onConflict: 'report_id' });
-
-    if (error) {
-        throw new Error('Failed to save report: ' + error.message);
-    }
-}
-
-/**
- * Update reports table status
- * @param {string} status - New status (e.g., 'submitted')
- * @param {string} pdfUrl - URL of the uploaded PDF
- */
-async function updateReportStatus(status, pdfUrl) {
-    const submittedAt = new Date().toISOString();
-
-    const { error } = await supabaseClient
-        .from('reports')
-        .update({
-            status: status,
-            submitted_at: submittedAt,
-            updated_at: submittedAt,
-            pdf_url: pdfUrl
-        })
-        .eq('id', currentReportId);
-
-    if (error) {
-        throw new Error('Failed to update status: ' + error.message);
-    }
-
-    // Update local state
-    report.meta = report.meta || {};
-    report.meta.submitted = true;
-    report.meta.submittedAt = submittedAt;
-    report.meta.status = 'submitted';
 }
 
 /**
- * Clean up local storage for this report after successful submit
+ * Report data as submitted - what the PDF shows, hashed into final_reports.report_sha256
+ * @param {string} submittedAt
+ * @returns {Object}
  */
-async function cleanupLocalStorage() {
-    // Remove report data using storage-keys.js helper
-    deleteReportData(currentReportId);
-
-    // Remove from current reports list
-    const currentReports = JSON.parse(localStorage.getItem('fvp_current_reports') || '{}');
-    delete currentReports[currentReportId];
-    localStorage.setItem('fvp_current_reports', JSON.stringify(currentReports));
-
-    // Clear photos from IndexedDB for this report (if available)
-    if (window.idb && typeof window.idb.deletePhotosByReportId === 'function') {
-        try {
-            await window.idb.deletePhotosByReportId(currentReportId);
-            console.log('[SUBMIT] IndexedDB photos cleaned up for:', currentReportId);
-        } catch (e) {
-            console.warn('[SUBMIT] Could not clean IndexedDB photos:', e);
-        }
-    }
-
-    console.log('[SUBMIT] Local storage cleaned up for:', currentReportId);
+function buildReportSnapshot(submittedAt) {
+    return {
+        reportId: currentReportId,
+        projectId: report.projectId || activeProject?.id || null,
+        submittedAt,
+        template: reportTemplate.id,
+        overview: getOverviewFields(),
+        aiGenerated: report.aiGenerated || null,
+        userEdits: report.userEdits || {},
+        photos: (report.photos || []).map(photo => ({
+            id: photo.id || null,
+            url: getPhotoDisplayUrl(photo),
+            caption: photo.caption || '',
+            date: photo.date || null,
+            pairedPhotoUrl: photo.pairedPhoto?.url || null
+        }))
+    };
 }
 
 /**
@@ -1878,18 +2303,20 @@ function scheduleSave() {
 }
 
 /**
- * v6.6.5: Save report data to localStorage using single key pattern
- * Key: fvp_report_{reportId}
+ * v6.6.5: Save report data via saveReportData() (IndexedDB reports store)
  * Matches the pattern from report.js
  */
-function saveReportToLocalStorage() {
+async function saveReportToLocalStorage() {
     if (!currentReportId) {
         console.warn('[FINAL] No reportId, cannot save');
         return;
     }
 
+    // Locked while the queued submission waits to upload
+    if (isAwaitingUpload()) return;
+
     // Read current data to preserve fields we don't modify here
-    const existingData = getReportData(currentReportId) || {};
+    const existingData = (await getReportData(currentReportId)) || {};
 
     // Build the report object to save (matches spec structure)
     const reportToSave = {
@@ -1900,6 +2327,7 @@ function saveReportToLocalStorage() {
 
         // From n8n webhook response (preserve original)
         aiGenerated: report.aiGenerated || existingData.aiGenerated || {},
+        aiValidation: existingData.aiValidation || null,
         captureMode: report.aiCaptureMode || existingData.captureMode || 'minimal',
 
         // Original field notes (preserve original)
@@ -1918,11 +2346,17 @@ function saveReportToLocalStorage() {
     };
 
     // Use saveReportData from storage-keys.js
-    const success = saveReportData(currentReportId, reportToSave);
+    const success = await saveReportData(currentReportId, reportToSave);
     if (success) {
-        console.log('[FINAL] Report saved to localStorage:', currentReportId);
+        console.log('[FINAL] Report saved:', currentReportId);
+        // Snapshot for the revision timeline (report-history.js)
+        if (window.reportHistory) {
+            await window.reportHistory.recordRevision(currentReportId, reportToSave, {
+                author: userSettings?.fullName || ''
+            });
+        }
     } else {
-        console.error('[FINAL] Failed to save report to localStorage');
+        console.error('[FINAL] Failed to save report');
     }
 }
 
@@ -2,7 +2,8 @@
 // FieldVoice Pro v6 - Dashboard (index.js)
 //
 // Uses:
-// - storage-keys.js: STORAGE_KEYS, getStorageItem, setStorageItem, getSyncQueue
+// - storage-keys.js: STORAGE_KEYS, getStorageItem, setStorageItem, getSyncQueue, migrateLegacyReportData
+// - sync-manager.js: initSyncManager, getPendingSyncCount
 // - report-rules.js: getTodayDateString, canStartNewReport, getReportsByUrgency
 // - ui-utils.js: escapeHtml, formatDate
 // - config.js: supabaseClient
@@ -359,10 +360,10 @@ function renderReportCards() {
     const container = document.getElementById('reportCardsSection');
     if (!container) return;
 
-    const { late, todayDrafts, todayReady, todaySubmitted } = getReportsByUrgency();
+    const { late, todayDrafts, todayReady, todaySubmitted, pendingUpload } = getReportsByUrgency();
 
     // If no reports at all, hide the section
-    if (late.length === 0 && todayDrafts.length === 0 && todayReady.length === 0 && todaySubmitted.length === 0) {
+    if (late.length === 0 && todayDrafts.length === 0 && todayReady.length === 0 && todaySubmitted.length === 0 && pendingUpload.length === 0) {
         container.innerHTML = '';
         return;
     }
@@ -401,6 +402,18 @@ function renderReportCards() {
         html += '</div>';
     }
 
+    // Submitted offline, uploaded by the sync outbox once back online (view only)
+    if (pendingUpload.length > 0) {
+        html += `<div class="mb-3">
+            <p class="text-xs font-bold text-dot-blue uppercase tracking-wider mb-2">
+                <i class="fas fa-cloud-arrow-up mr-1"></i>Waiting to Upload
+            </p>`;
+        pendingUpload.forEach(report => {
+            html += renderReportCard(report, 'pendingUpload');
+        });
+        html += '</div>';
+    }
+
     // Today's submitted (view only)
     if (todaySubmitted.length > 0) {
         html += `<div class="mb-3">
@@ -422,6 +435,7 @@ function renderReportCard(report, type) {
         late: { border: 'border-red-500', bg: 'bg-red-50', icon: 'fa-exclamation-circle', iconColor: 'text-red-500' },
         draft: { border: 'border-dot-orange', bg: 'bg-orange-50', icon: 'fa-pen', iconColor: 'text-dot-orange' },
         ready: { border: 'border-safety-green', bg: 'bg-green-50', icon: 'fa-check-circle', iconColor: 'text-safety-green' },
+        pendingUpload: { border: 'border-dot-blue', bg: 'bg-blue-50', icon: 'fa-cloud-arrow-up', iconColor: 'text-dot-blue' },
         submitted: { border: 'border-slate-300', bg: 'bg-slate-50', icon: 'fa-archive', iconColor: 'text-slate-400' }
     };
 
@@ -429,11 +443,14 @@ function renderReportCard(report, type) {
 
     // Route based on report status:
     // - submitted: archives (view only)
+    // - waiting to upload: finalreview.html (locked until the upload finishes)
     // - refined: report.html (already has AI-processed data)
     // - draft/pending: quick-interview (needs more input or AI processing)
     let href;
     if (type === 'submitted') {
         href = `archives.html?id=${report.id}`;
+    } else if (type === 'pendingUpload') {
+        href = `finalreview.html?date=${report.report_date || report.reportDate || report.date}&reportId=${report.id}`;
     } else if (report.status === 'refined') {
         href = `report.html?date=${report.report_date || report.reportDate || report.date}&reportId=${report.id}`;
     } else {
@@ -653,14 +670,15 @@ async function dismissSubmittedBanner() {
 }
 
 // ============ DRAFTS/OFFLINE QUEUE ============
-function getOfflineQueueCount() {
-    // Use getSyncQueue from storage-keys.js
+async function getOfflineQueueCount() {
+    // Legacy localStorage queue (getSyncQueue from storage-keys.js) + IndexedDB outbox (sync-manager.js)
     const queue = getSyncQueue();
-    return queue.length;
+    const outboxCount = await getPendingSyncCount();
+    return queue.length + outboxCount;
 }
 
-function updateDraftsSection() {
-    const count = getOfflineQueueCount();
+async function updateDraftsSection() {
+    const count = await getOfflineQueueCount();
     const section = document.getElementById('draftsSection');
     const badge = document.getElementById('draftsBadge');
     const description = document.getElementById('draftsDescription');
@@ -704,6 +722,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Report payloads and the AI cache now live in IndexedDB - move any leftovers out of localStorage
+    localStorage.removeItem('fvp_ai_cache');
+    migrateLegacyReportData().catch(e => console.warn('[STORAGE] Report data move failed:', e));
+
     // Set current date immediately
     document.getElementById('currentDate').textContent = new Date().toLocaleDateString('en-US', {
         weekday: 'long',
@@ -767,6 +789,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Sync weather
         syncWeather();
+
+        // Finish offline submissions the service worker uploaded before this page opened
+        settleSubmittedReports().then(renderReportCards);
+
+        // Update the waiting-to-sync count as the service worker drains the outbox
+        window.addEventListener('fvp:outbox-sync', async (e) => {
+            if (e.detail.type === 'OUTBOX_SYNC_COMPLETE') {
+                updateDraftsSection();
+                await settleSubmittedReports();
+                renderReportCards();
+            }
+        });
     } catch (err) {
         console.error('Failed to initialize:', err);
         // Still update UI with whatever we have
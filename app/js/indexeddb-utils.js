@@ -7,7 +7,7 @@
     'use strict';
 
     const DB_NAME = 'fieldvoice-pro';
-    const DB_VERSION = 2; // Bumped for photos + archives stores
+    const DB_VERSION = 8; // Bumped for submissions store
 
     let db = null;
 
@@ -65,6 +65,55 @@
                     archivesStore.createIndex('reportDate', 'reportDate', { unique: false });
                     console.log('Created archives object store');
                 }
+
+                // Create syncOutbox store (v3)
+                if (!database.objectStoreNames.contains('syncOutbox')) {
+                    const outboxStore = database.createObjectStore('syncOutbox', { keyPath: 'id' });
+                    outboxStore.createIndex('status', 'status', { unique: false });
+                    outboxStore.createIndex('reportId', 'reportId', { unique: false });
+                    console.log('Created syncOutbox object store');
+                }
+
+                // Create reports store (v4) - report payloads formerly in fvp_report_{id}
+                if (!database.objectStoreNames.contains('reports')) {
+                    const reportsStore = database.createObjectStore('reports', { keyPath: 'reportId' });
+                    reportsStore.createIndex('projectId', 'projectId', { unique: false });
+                    console.log('Created reports object store');
+                }
+
+                // Create aiResponses store (v4)
+                if (!database.objectStoreNames.contains('aiResponses')) {
+                    database.createObjectStore('aiResponses', { keyPath: 'reportId' });
+                    console.log('Created aiResponses object store');
+                }
+
+                // Create revisions store (v5) - report revision history
+                if (!database.objectStoreNames.contains('revisions')) {
+                    const revisionsStore = database.createObjectStore('revisions', { keyPath: 'id' });
+                    revisionsStore.createIndex('reportId', 'reportId', { unique: false });
+                    console.log('Created revisions object store');
+                }
+
+                // Create audioClips store (v6) - raw dictation audio
+                if (!database.objectStoreNames.contains('audioClips')) {
+                    const audioStore = database.createObjectStore('audioClips', { keyPath: 'id' });
+                    audioStore.createIndex('reportId', 'reportId', { unique: false });
+                    console.log('Created audioClips object store');
+                }
+
+                // Create audioMemos store (v7) - voice memo attachments
+                if (!database.objectStoreNames.contains('audioMemos')) {
+                    const memosStore = database.createObjectStore('audioMemos', { keyPath: 'id' });
+                    memosStore.createIndex('reportId', 'reportId', { unique: false });
+                    memosStore.createIndex('syncStatus', 'syncStatus', { unique: false });
+                    console.log('Created audioMemos object store');
+                }
+
+                // Create submissions store (v8) - in-flight final report submissions
+                if (!database.objectStoreNames.contains('submissions')) {
+                    database.createObjectStore('submissions', { keyPath: 'reportId' });
+                    console.log('Created submissions object store');
+                }
             };
         });
     }
@@ -308,6 +357,29 @@
         });
     }
 
+    /**
+     * Returns all photos as an array (every report)
+     * @returns {Promise<Array>}
+     */
+    function getAllPhotos() {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['photos'], 'readonly');
+                const store = transaction.objectStore('photos');
+                const request = store.getAll();
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting all photos:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
     /**
      * Gets all photos with a specific sync status
      * @param {string} syncStatus - The sync status ('pending', 'synced', 'failed')
@@ -513,69 +585,918 @@
     }
 
     // ============================================
-    // GENERAL
+    // SYNC OUTBOX STORE
     // ============================================
 
     /**
-     * Clears all records from a store
-     * @param {string} storeName - The name of the object store to clear
+     * Saves (upserts) a sync outbox operation
+     * @param {Object} op - Outbox operation (must include id, status)
      * @returns {Promise<void>}
      */
-    function clearStore(storeName) {
+    function saveOutboxOp(op) {
         return ensureDB().then((database) => {
             return new Promise((resolve, reject) => {
-                if (!database.objectStoreNames.contains(storeName)) {
-                    console.error('Store not found:', storeName);
-                    reject(new Error(`Store not found: ${storeName}`));
-                    return;
-                }
+                const transaction = database.transaction(['syncOutbox'], 'readwrite');
+                const store = transaction.objectStore('syncOutbox');
+                const request = store.put(op);
 
-                const transaction = database.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                const request = store.clear();
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving outbox op:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets a sync outbox operation by ID
+     * @param {string} id - The operation ID
+     * @returns {Promise<Object|undefined>}
+     */
+    function getOutboxOp(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['syncOutbox'], 'readonly');
+                const store = transaction.objectStore('syncOutbox');
+                const request = store.get(id);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting outbox op:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all sync outbox operations
+     * @returns {Promise<Array>}
+     */
+    function getAllOutboxOps() {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['syncOutbox'], 'readonly');
+                const store = transaction.objectStore('syncOutbox');
+                const request = store.getAll();
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting all outbox ops:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all sync outbox operations with a specific status
+     * @param {string} status - The operation status ('pending', 'dead')
+     * @returns {Promise<Array>}
+     */
+    function getOutboxOpsByStatus(status) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['syncOutbox'], 'readonly');
+                const store = transaction.objectStore('syncOutbox');
+                const index = store.index('status');
+                const request = index.getAll(status);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting outbox ops by status:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes a sync outbox operation by ID
+     * @param {string} id - The operation ID
+     * @returns {Promise<void>}
+     */
+    function deleteOutboxOp(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['syncOutbox'], 'readwrite');
+                const store = transaction.objectStore('syncOutbox');
+                const request = store.delete(id);
 
                 request.onsuccess = () => {
-                    console.log(`Cleared store: ${storeName}`);
                     resolve();
                 };
 
                 request.onerror = (event) => {
-                    console.error('Error clearing store:', event.target.error);
+                    console.error('Error deleting outbox op:', event.target.error);
                     reject(event.target.error);
                 };
             });
         });
     }
 
-    // Export to window.idb
-    window.idb = {
-        // Setup
-        initDB,
+    /**
+     * Deletes all sync outbox operations for a report
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteOutboxOpsByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['syncOutbox'], 'readwrite');
+                const store = transaction.objectStore('syncOutbox');
+                const index = store.index('reportId');
+                const request = index.openCursor(reportId);
 
-        // Projects store
-        saveProject,
-        getProject,
-        getAllProjects,
-        deleteProject,
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
 
-        // User profile store
-        saveUserProfile,
-        getUserProfile,
+                request.onerror = (event) => {
+                    console.error('Error deleting outbox ops by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
 
-        // Photos store
-        savePhoto,
-        getPhoto,
-        getPhotosByReportId,
-        getPhotosBySyncStatus,
-        deletePhoto,
-        deletePhotosByReportId,
+    // ============================================
+    // REPORTS STORE
+    // ============================================
 
-        // Archives store
-        saveArchive,
-        getArchive,
-        getAllArchives,
-        getArchivesByProjectId,
-        deleteArchive,
+    /**
+     * Saves a report record (insert or update)
+     * @param {Object} record - Record with reportId
+     * @returns {Promise<void>}
+     */
+    function saveReportRecord(record) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['reports'], 'readwrite');
+                const store = transaction.objectStore('reports');
+                const request = store.put(record);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving report record:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets a report record by report ID
+     * @param {string} reportId - The report ID
+     * @returns {Promise<Object|undefined>}
+     */
+    function getReportRecord(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['reports'], 'readonly');
+                const store = transaction.objectStore('reports');
+                const request = store.get(reportId);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting report record:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes a report record by report ID
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteReportRecord(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['reports'], 'readwrite');
+                const store = transaction.objectStore('reports');
+                const request = store.delete(reportId);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting report record:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all report records
+     * @returns {Promise<Array>}
+     */
+    function getAllReportRecords() {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['reports'], 'readonly');
+                const store = transaction.objectStore('reports');
+                const request = store.getAll();
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting all report records:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // ============================================
+    // AI RESPONSES STORE
+    // ============================================
+
+    /**
+     * Saves a AI response (insert or update)
+     * @param {Object} record - Record with reportId
+     * @returns {Promise<void>}
+     */
+    function saveAIResponse(record) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['aiResponses'], 'readwrite');
+                const store = transaction.objectStore('aiResponses');
+                const request = store.put(record);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving AI response:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets a AI response by report ID
+     * @param {string} reportId - The report ID
+     * @returns {Promise<Object|undefined>}
+     */
+    function getAIResponse(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['aiResponses'], 'readonly');
+                const store = transaction.objectStore('aiResponses');
+                const request = store.get(reportId);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting AI response:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes a AI response by report ID
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteAIResponse(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['aiResponses'], 'readwrite');
+                const store = transaction.objectStore('aiResponses');
+                const request = store.delete(reportId);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting AI response:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // ============================================
+    // REVISIONS STORE
+    // ============================================
+
+    /**
+     * Saves a report revision (insert or update)
+     * @param {Object} revision - Revision with id and reportId
+     * @returns {Promise<void>}
+     */
+    function saveRevision(revision) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['revisions'], 'readwrite');
+                const store = transaction.objectStore('revisions');
+                const request = store.put(revision);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving revision:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all revisions for a report (unsorted)
+     * @param {string} reportId - The report ID
+     * @returns {Promise<Array>}
+     */
+    function getRevisionsByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['revisions'], 'readonly');
+                const store = transaction.objectStore('revisions');
+                const index = store.index('reportId');
+                const request = index.getAll(reportId);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting revisions by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes a revision by ID
+     * @param {string} id - The revision ID
+     * @returns {Promise<void>}
+     */
+    function deleteRevision(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['revisions'], 'readwrite');
+                const store = transaction.objectStore('revisions');
+                const request = store.delete(id);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting revision:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes all revisions for a report
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteRevisionsByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['revisions'], 'readwrite');
+                const store = transaction.objectStore('revisions');
+                const index = store.index('reportId');
+                const request = index.openCursor(reportId);
+
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting revisions by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // ============================================
+    // AUDIO CLIPS STORE
+    // ============================================
+
+    /**
+     * Saves an audio clip (insert or update)
+     * @param {Object} clip - Clip with id, reportId and the audio blob
+     * @returns {Promise<void>}
+     */
+    function saveAudioClip(clip) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioClips'], 'readwrite');
+                const store = transaction.objectStore('audioClips');
+                const request = store.put(clip);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving audio clip:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets an audio clip by ID
+     * @param {string} id - The clip ID
+     * @returns {Promise<Object|undefined>}
+     */
+    function getAudioClip(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioClips'], 'readonly');
+                const store = transaction.objectStore('audioClips');
+                const request = store.get(id);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting audio clip:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all audio clips for a report (unsorted)
+     * @param {string} reportId - The report ID
+     * @returns {Promise<Array>}
+     */
+    function getAudioClipsByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioClips'], 'readonly');
+                const store = transaction.objectStore('audioClips');
+                const index = store.index('reportId');
+                const request = index.getAll(reportId);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting audio clips by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes an audio clip by ID
+     * @param {string} id - The clip ID
+     * @returns {Promise<void>}
+     */
+    function deleteAudioClip(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioClips'], 'readwrite');
+                const store = transaction.objectStore('audioClips');
+                const request = store.delete(id);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting audio clip:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes all audio clips for a report
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteAudioClipsByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioClips'], 'readwrite');
+                const store = transaction.objectStore('audioClips');
+                const index = store.index('reportId');
+                const request = index.openCursor(reportId);
+
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting audio clips by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // ============================================
+    // AUDIO MEMOS STORE
+    // ============================================
+
+    /**
+     * Saves a voice memo (insert or update)
+     * @param {Object} memo - Memo with id, reportId, syncStatus and the audio blob
+     * @returns {Promise<void>}
+     */
+    function saveAudioMemo(memo) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioMemos'], 'readwrite');
+                const store = transaction.objectStore('audioMemos');
+                const request = store.put(memo);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving audio memo:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets a voice memo by ID
+     * @param {string} id - The memo ID
+     * @returns {Promise<Object|undefined>}
+     */
+    function getAudioMemo(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioMemos'], 'readonly');
+                const store = transaction.objectStore('audioMemos');
+                const request = store.get(id);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting audio memo:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all voice memos for a report (unsorted)
+     * @param {string} reportId - The report ID
+     * @returns {Promise<Array>}
+     */
+    function getAudioMemosByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioMemos'], 'readonly');
+                const store = transaction.objectStore('audioMemos');
+                const index = store.index('reportId');
+                const request = index.getAll(reportId);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting audio memos by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets all voice memos with a specific sync status
+     * @param {string} syncStatus - The sync status ('pending', 'synced')
+     * @returns {Promise<Array>}
+     */
+    function getAudioMemosBySyncStatus(syncStatus) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioMemos'], 'readonly');
+                const store = transaction.objectStore('audioMemos');
+                const index = store.index('syncStatus');
+                const request = index.getAll(syncStatus);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result || []);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting audio memos by syncStatus:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes a voice memo by ID
+     * @param {string} id - The memo ID
+     * @returns {Promise<void>}
+     */
+    function deleteAudioMemo(id) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioMemos'], 'readwrite');
+                const store = transaction.objectStore('audioMemos');
+                const request = store.delete(id);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting audio memo:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes all voice memos for a report
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteAudioMemosByReportId(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['audioMemos'], 'readwrite');
+                const store = transaction.objectStore('audioMemos');
+                const index = store.index('reportId');
+                const request = index.openCursor(reportId);
+
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting audio memos by reportId:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // ============================================
+    // SUBMISSIONS STORE
+    // ============================================
+
+    /**
+     * Saves a submission record (insert or update)
+     * @param {Object} record - Record with reportId
+     * @returns {Promise<void>}
+     */
+    function saveSubmission(record) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['submissions'], 'readwrite');
+                const store = transaction.objectStore('submissions');
+                const request = store.put(record);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error saving submission:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Gets a submission record by report ID
+     * @param {string} reportId - The report ID
+     * @returns {Promise<Object|undefined>}
+     */
+    function getSubmission(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['submissions'], 'readonly');
+                const store = transaction.objectStore('submissions');
+                const request = store.get(reportId);
+
+                request.onsuccess = (event) => {
+                    resolve(event.target.result);
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error getting submission:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Deletes a submission record by report ID
+     * @param {string} reportId - The report ID
+     * @returns {Promise<void>}
+     */
+    function deleteSubmission(reportId) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['submissions'], 'readwrite');
+                const store = transaction.objectStore('submissions');
+                const request = store.delete(reportId);
+
+                request.onsuccess = () => {
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error deleting submission:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // ============================================
+    // GENERAL
+    // ============================================
+
+    /**
+     * Clears all records from a store
+     * @param {string} storeName - The name of the object store to clear
+     * @returns {Promise<void>}
+     */
+    function clearStore(storeName) {
+        return ensureDB().then((database) => {
+            return new Promise((resolve, reject) => {
+                if (!database.objectStoreNames.contains(storeName)) {
+                    console.error('Store not found:', storeName);
+                    reject(new Error(`Store not found: ${storeName}`));
+                    return;
+                }
+
+                const transaction = database.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                const request = store.clear();
+
+                request.onsuccess = () => {
+                    console.log(`Cleared store: ${storeName}`);
+                    resolve();
+                };
+
+                request.onerror = (event) => {
+                    console.error('Error clearing store:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    // Export to window.idb
+    window.idb = {
+        // Setup
+        initDB,
+
+        // Projects store
+        saveProject,
+        getProject,
+        getAllProjects,
+        deleteProject,
+
+        // User profile store
+        saveUserProfile,
+        getUserProfile,
+
+        // Photos store
+        savePhoto,
+        getPhoto,
+        getPhotosByReportId,
+        getAllPhotos,
+        getPhotosBySyncStatus,
+        deletePhoto,
+        deletePhotosByReportId,
+
+        // Archives store
+        saveArchive,
+        getArchive,
+        getAllArchives,
+        getArchivesByProjectId,
+        deleteArchive,
+
+        // Sync outbox store
+        saveOutboxOp,
+        getOutboxOp,
+        getAllOutboxOps,
+        getOutboxOpsByStatus,
+        deleteOutboxOp,
+        deleteOutboxOpsByReportId,
+
+        // Reports store
+        saveReportRecord,
+        getReportRecord,
+        getAllReportRecords,
+        deleteReportRecord,
+
+        // AI responses store
+        saveAIResponse,
+        getAIResponse,
+        deleteAIResponse,
+
+        // Revisions store
+        saveRevision,
+        getRevisionsByReportId,
+        deleteRevision,
+        deleteRevisionsByReportId,
+
+        // Audio clips store
+        saveAudioClip,
+        getAudioClip,
+        getAudioClipsByReportId,
+        deleteAudioClip,
+        deleteAudioClipsByReportId,
+
+        // Audio memos store
+        saveAudioMemo,
+        getAudioMemo,
+        getAudioMemosByReportId,
+        getAudioMemosBySyncStatus,
+        deleteAudioMemo,
+        deleteAudioMemosByReportId,
+
+        // Submissions store
+        saveSubmission,
+        getSubmission,
+        deleteSubmission,
 
         // General
         clearStore
@@ -5,6 +5,18 @@
  * This module manages locks on reports to prevent multiple devices from
  * editing the same report simultaneously.
  *
+ * Presence mode (default): every open report page joins a realtime channel per
+ * project+date. The editor is whoever tracks presence as 'editor', so a lock is
+ * gone within seconds of the holder disconnecting instead of after the 30-minute
+ * heartbeat timeout. The channel also carries lock handoff requests/responses.
+ * The active_reports row + heartbeat are kept as the fallback when realtime is
+ * unavailable (offline, channel error). The row's presence_transport column says
+ * whether the holder joined realtime presence; only then does its absence from the
+ * channel release the lock early.
+ *
+ * Transports: Supabase Realtime, or a local BroadcastChannel stand-in for testing
+ * across tabs (set ?lockTransport=local or localStorage fvp_lock_transport=local).
+ *
  * @module lock-manager
  */
 
@@ -16,9 +28,473 @@
     // Heartbeat interval: update lock every 2 minutes
     const HEARTBEAT_INTERVAL_MS = 2 * 60 * 1000;
 
+    // Presence mode settings
+    const PRESENCE_ENABLED = true;
+    const PRESENCE_SYNC_WAIT_MS = 1500;      // Max wait for first presence sync on join
+    const PRESENCE_JOIN_TIMEOUT_MS = 5000;   // Max wait for the channel join itself
+    const HANDOFF_TIMEOUT_MS = 60 * 1000;    // Holder has 1 minute to answer a handoff request
+    const LOCAL_PRESENCE_BEAT_MS = 1000;     // Local stand-in: presence beat interval
+    const LOCAL_PRESENCE_TTL_MS = 3000;      // Local stand-in: member dropped after this long without a beat
+    const LOCAL_PRESENCE_HELLO_WAIT_MS = 300; // Local stand-in: wait for replies before the first sync
+
     let heartbeatTimer = null;
     let currentLock = null;
 
+    // Presence state
+    const sessionId = crypto.randomUUID();   // Per page load, so two tabs on one device are distinct
+    let presence = null;                     // { key, transport, me, members, synced }
+    let presenceListeners = [];
+    let handoffRequestListeners = [];
+    let lockLostListeners = [];
+    let pendingHandoffs = {};                // requestId -> { resolve, timer }
+
+    // ============ PRESENCE TRANSPORTS ============
+
+    /**
+     * Pick the presence transport (Supabase Realtime, or the local stand-in)
+     * @returns {Object} Transport with join/update/send/leave
+     */
+    function createPresenceTransport() {
+        const requested = new URLSearchParams(window.location.search).get('lockTransport') ||
+            getStorageItem(STORAGE_KEYS.LOCK_TRANSPORT);
+
+        if (requested === 'local' || typeof supabaseClient === 'undefined' || !supabaseClient.channel) {
+            return createLocalPresenceTransport();
+        }
+        return createSupabasePresenceTransport();
+    }
+
+    /**
+     * Supabase Realtime transport: presence for members, broadcast for handoff messages
+     */
+    function createSupabasePresenceTransport() {
+        let channel = null;
+
+        return {
+            name: 'supabase',
+
+            join(topic, me, handlers) {
+                return new Promise((resolve, reject) => {
+                    channel = supabaseClient.channel(topic, {
+                        config: {
+                            presence: { key: me.sessionId },
+                            broadcast: { self: false }
+                        }
+                    });
+
+                    channel
+                        .on('presence', { event: 'sync' }, () => {
+                            const state = channel.presenceState();
+                            handlers.onPresence(Object.values(state).map(metas => metas[0]));
+                        })
+                        .on('broadcast', { event: 'lock' }, ({ payload }) => {
+                            handlers.onMessage(payload);
+                        })
+                        .subscribe(async (status) => {
+                            if (status === 'SUBSCRIBED') {
+                                try {
+                                    await channel.track(me);
+                                    resolve();
+                                } catch (e) {
+                                    reject(e);
+                                }
+                            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+                                reject(new Error(`Presence channel ${status}`));
+                            }
+                        });
+                });
+            },
+
+            update(me) {
+                return channel ? channel.track(me) : Promise.resolve();
+            },
+
+            send(payload) {
+                return channel
+                    ? channel.send({ type: 'broadcast', event: 'lock', payload })
+                    : Promise.resolve();
+            },
+
+            leave() {
+                if (channel) {
+                    supabaseClient.removeChannel(channel);
+                    channel = null;
+                }
+            }
+        };
+    }
+
+    /**
+     * Local stand-in transport over BroadcastChannel (same browser, across tabs)
+     * Members beat every second and drop out after 3 seconds of silence,
+     * mimicking realtime presence for development and testing
+     */
+    function createLocalPresenceTransport() {
+        let bc = null;
+        let self = null;
+        let handlers = null;
+        let beatTimer = null;
+        const seen = new Map(); // sessionId -> { meta, at }
+
+        function emitPresence() {
+            const now = Date.now();
+            seen.forEach((value, key) => {
+                if (now - value.at > LOCAL_PRESENCE_TTL_MS) seen.delete(key);
+            });
+            handlers.onPresence([self, ...Array.from(seen.values()).map(v => v.meta)]);
+        }
+
+        return {
+            name: 'local',
+
+            join(topic, me, h) {
+                self = me;
+                handlers = h;
+                bc = new BroadcastChannel(topic);
+
+                bc.onmessage = (event) => {
+                    const msg = event.data || {};
+                    if (msg.kind === 'hello') {
+                        bc.postMessage({ kind: 'presence', meta: self });
+                    } else if (msg.kind === 'presence') {
+                        seen.set(msg.meta.sessionId, { meta: msg.meta, at: Date.now() });
+                        emitPresence();
+                    } else if (msg.kind === 'leave') {
+                        seen.delete(msg.sessionId);
+                        emitPresence();
+                    } else if (msg.kind === 'message') {
+                        handlers.onMessage(msg.payload);
+                    }
+                };
+
+                beatTimer = setInterval(() => {
+                    bc.postMessage({ kind: 'presence', meta: self });
+                    emitPresence();
+                }, LOCAL_PRESENCE_BEAT_MS);
+
+                // Ask current members to announce themselves, then report the first sync
+                bc.postMessage({ kind: 'hello' });
+                bc.postMessage({ kind: 'presence', meta: self });
+                setTimeout(() => {
+                    if (bc) emitPresence();
+                }, LOCAL_PRESENCE_HELLO_WAIT_MS);
+                return Promise.resolve();
+            },
+
+            update(me) {
+                self = me;
+                if (bc) bc.postMessage({ kind: 'presence', meta: me });
+                if (handlers) emitPresence();
+                return Promise.resolve();
+            },
+
+            send(payload) {
+                if (bc) bc.postMessage({ kind: 'message', payload });
+                return Promise.resolve();
+            },
+
+            leave() {
+                if (beatTimer) {
+                    clearInterval(beatTimer);
+                    beatTimer = null;
+                }
+                if (bc) {
+                    bc.postMessage({ kind: 'leave', sessionId: self.sessionId });
+                    bc.close();
+                    bc = null;
+                }
+                seen.clear();
+            }
+        };
+    }
+
+    // ============ PRESENCE ============
+
+    /**
+     * Join the presence channel for a report (no-op if already joined)
+     * Resolves after the first presence sync, or after PRESENCE_SYNC_WAIT_MS. A join that
+     * doesn't complete within PRESENCE_JOIN_TIMEOUT_MS counts as presence being unavailable
+     * @param {string} projectId - The project UUID
+     * @param {string} reportDate - The report date (YYYY-MM-DD)
+     * @param {string} [inspectorName] - Name shown to other devices
+     * @returns {Promise<boolean>} True if presence is live
+     */
+    async function joinPresence(projectId, reportDate, inspectorName) {
+        if (!PRESENCE_ENABLED) return false;
+
+        const key = `${projectId}:${reportDate}`;
+        if (presence && presence.key === key) return presence.synced;
+        leavePresence();
+
+        const transport = createPresenceTransport();
+        const me = {
+            sessionId,
+            deviceId: getDeviceId(),
+            inspectorName: inspectorName || null,
+            role: 'viewer',
+            since: new Date().toISOString()
+        };
+        presence = { key, transport, me, members: [], synced: false };
+        const joined = presence;
+
+        let markSynced;
+        const firstSync = new Promise(resolve => { markSynced = resolve; });
+
+        let joinTimer;
+        try {
+            const joining = transport.join(`report-lock:${key}`, me, {
+                onPresence: (members) => {
+                    if (presence !== joined) return;
+                    joined.members = members;
+                    joined.synced = true;
+                    markSynced();
+                    notifyPresenceListeners();
+                    checkForTakeover();
+                },
+                onMessage: handlePresenceMessage
+            });
+            await Promise.race([
+                joining,
+                new Promise((_, reject) => {
+                    joinTimer = setTimeout(() => reject(new Error('Presence join timed out')), PRESENCE_JOIN_TIMEOUT_MS);
+                })
+            ]);
+
+            await Promise.race([
+                firstSync,
+                new Promise(resolve => setTimeout(resolve, PRESENCE_SYNC_WAIT_MS))
+            ]);
+
+            console.log('[LOCK] Joined presence via', transport.name, '- members:', joined.members.length);
+            return joined.synced;
+        } catch (e) {
+            console.warn('[LOCK] Presence unavailable, using heartbeat locks:', e);
+            if (presence === joined) leavePresence();
+            return false;
+        } finally {
+            clearTimeout(joinTimer);
+        }
+    }
+
+    /**
+     * Leave the presence channel
+     */
+    function leavePresence() {
+        if (!presence) return;
+        try {
+            presence.transport.leave();
+        } catch (e) {
+            console.warn('[LOCK] Error leaving presence channel:', e);
+        }
+        presence = null;
+    }
+
+    /**
+     * Update our presence role ('editor' while holding the lock, 'viewer' otherwise)
+     * @param {'editor'|'viewer'} role
+     */
+    async function setPresenceRole(role) {
+        if (!presence) return;
+        presence.me = { ...presence.me, role, since: new Date().toISOString() };
+        try {
+            await presence.transport.update(presence.me);
+        } catch (e) {
+            console.warn('[LOCK] Failed to update presence:', e);
+        }
+    }
+
+    /**
+     * Get the device currently editing, according to presence (excluding this device - another
+     * tab, or the previous page load whose presence hasn't expired, is not "another user").
+     * The local stand-in runs every tab on one device, so there each tab counts as a device.
+     * @returns {Object|null} Presence meta of the editor, or null
+     */
+    function getPresenceEditor() {
+        if (!presence) return null;
+        const deviceId = getDeviceId();
+        const sameDeviceCounts = presence.transport.name === 'local';
+        return presence.members
+            .filter(m => m && m.role === 'editor' && m.sessionId !== sessionId &&
+                (sameDeviceCounts || m.deviceId !== deviceId))
+            .sort((a, b) => (a.since || '').localeCompare(b.since || ''))[0] || null;
+    }
+
+    /**
+     * Subscribe to live presence changes for the joined report
+     * @param {Function} callback - Called with { editor, members, isLive }
+     * @returns {Function} Unsubscribe function
+     */
+    function onPresenceChange(callback) {
+        presenceListeners.push(callback);
+        if (presence) callback(getPresenceSnapshot());
+        return () => {
+            presenceListeners = presenceListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    function getPresenceSnapshot() {
+        return {
+            editor: getPresenceEditor(),
+            members: presence ? presence.members.filter(m => m && m.sessionId !== sessionId) : [],
+            isLive: !!(presence && presence.synced)
+        };
+    }
+
+    function notifyPresenceListeners() {
+        const snapshot = getPresenceSnapshot();
+        presenceListeners.forEach(cb => {
+            try {
+                cb(snapshot);
+            } catch (e) {
+                console.error('[LOCK] Presence listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to losing the lock to another device (force edit from elsewhere)
+     * @param {Function} callback - Called with the new editor's presence meta
+     * @returns {Function} Unsubscribe function
+     */
+    function onLockLost(callback) {
+        lockLostListeners.push(callback);
+        return () => {
+            lockLostListeners = lockLostListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * While holding the lock, a second editor that started after us has force-taken it
+     */
+    function checkForTakeover() {
+        if (!currentLock || !presence || presence.me.role !== 'editor') return;
+
+        const mySince = presence.me.since || '';
+        const newer = presence.members.find(m =>
+            m && m.role === 'editor' && m.sessionId !== sessionId && (m.since || '') > mySince
+        );
+        if (!newer) return;
+
+        console.warn('[LOCK] Lock taken over by:', newer.deviceId);
+        currentLock = null;
+        stopHeartbeat();
+        setPresenceRole('viewer');
+        lockLostListeners.forEach(cb => cb(newer));
+    }
+
+    // ============ HANDOFF ============
+
+    /**
+     * Ask the current editor to hand the lock over
+     * @param {string} [requesterName] - Name shown to the editor
+     * @returns {Promise<{accepted: boolean, timedOut?: boolean}>}
+     */
+    function requestHandoff(requesterName) {
+        if (!presence || !getPresenceEditor()) {
+            return Promise.resolve({ accepted: false, error: 'No live editor to ask' });
+        }
+
+        const requestId = crypto.randomUUID();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                delete pendingHandoffs[requestId];
+                resolve({ accepted: false, timedOut: true });
+            }, HANDOFF_TIMEOUT_MS);
+
+            pendingHandoffs[requestId] = { resolve, timer };
+
+            presence.transport.send({
+                type: 'handoff_request',
+                requestId,
+                fromSessionId: sessionId,
+                fromDeviceId: getDeviceId(),
+                fromName: requesterName || 'Another user',
+                requestedAt: new Date().toISOString()
+            });
+            console.log('[LOCK] Handoff requested:', requestId);
+        });
+    }
+
+    /**
+     * Register a handler for incoming handoff requests (only fires while this page holds the lock)
+     * @param {Function} callback - Called with the request { requestId, fromName, fromDeviceId, ... }
+     * @returns {Function} Unsubscribe function
+     */
+    function onHandoffRequest(callback) {
+        handoffRequestListeners.push(callback);
+        return () => {
+            handoffRequestListeners = handoffRequestListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Answer a handoff request
+     * When accepting, save work and release the lock BEFORE calling this,
+     * so the requester can acquire it as soon as the response arrives
+     * @param {Object} request - The request passed to onHandoffRequest
+     * @param {boolean} accepted
+     */
+    async function respondToHandoff(request, accepted) {
+        if (!presence) return;
+        await presence.transport.send({
+            type: 'handoff_response',
+            requestId: request.requestId,
+            toSessionId: request.fromSessionId,
+            accepted
+        });
+        console.log('[LOCK] Handoff', accepted ? 'accepted' : 'declined', request.requestId);
+    }
+
+    /**
+     * Handle a message from the presence channel
+     */
+    function handlePresenceMessage(payload) {
+        if (!payload) return;
+
+        if (payload.type === 'handoff_request') {
+            // Only the page holding the lock answers
+            if (!currentLock || presence?.me.role !== 'editor') return;
+            handoffRequestListeners.forEach(cb => cb(payload));
+            return;
+        }
+
+        if (payload.type === 'handoff_response' && payload.toSessionId === sessionId) {
+            const pending = pendingHandoffs[payload.requestId];
+            if (!pending) return;
+            clearTimeout(pending.timer);
+            delete pendingHandoffs[payload.requestId];
+            pending.resolve({ accepted: !!payload.accepted });
+        }
+    }
+
+    // ============ LOCKS ============
+
+    /**
+     * Check whether this device force-took the lock from a live editor:
+     * the active_reports row is ours and was written after the editor started
+     * (the old editor stays present until its page notices the takeover)
+     */
+    async function isForcedTakeover(projectId, reportDate, deviceId, editor) {
+        const { data, error } = await supabaseClient
+            .from('active_reports')
+            .select('device_id, locked_at')
+            .eq('project_id', projectId)
+            .eq('report_date', reportDate)
+            .maybeSingle();
+
+        if (error || !data || data.device_id !== deviceId) return false;
+        return new Date(data.locked_at) > new Date(editor.since);
+    }
+
+    /**
+     * Whether this page sees the Supabase presence channel - the only transport that
+     * shows other devices (the local stand-in only sees tabs in this browser)
+     * @returns {boolean}
+     */
+    function hasRealtimePresence() {
+        return !!(presence && presence.synced && presence.transport.name === 'supabase');
+    }
+
     /**
      * Check if a report is currently locked by another device
      * @param {string} projectId - The project UUID
@@ -33,6 +509,22 @@
 
         const deviceId = getDeviceId();
 
+        // Presence mode: a live editor is the lock; a lock row without a live editor is stale
+        const presenceLive = await joinPresence(projectId, reportDate);
+        if (presenceLive) {
+            const editor = getPresenceEditor();
+            if (editor && !(await isForcedTakeover(projectId, reportDate, deviceId, editor))) {
+                console.log('[LOCK] Report being edited live by:', editor.deviceId);
+                return {
+                    deviceId: editor.deviceId,
+                    inspectorName: editor.inspectorName || 'Another user',
+                    lockedAt: editor.since,
+                    lastHeartbeat: new Date().toISOString(),
+                    live: true
+                };
+            }
+        }
+
         try {
             const { data, error } = await supabaseClient
                 .from('active_reports')
@@ -51,6 +543,16 @@
                 return null;
             }
 
+            // Holder joined realtime presence but is no longer in it - it disconnected, release
+            // right away. Holders without presence (older builds, failed join, local transport)
+            // keep their lock until the heartbeat goes stale
+            if (presenceLive && hasRealtimePresence() && data.presence_transport === 'supabase' &&
+                data.device_id !== deviceId) {
+                console.log('[LOCK] Lock holder left presence, clearing lock');
+                await releaseLock(projectId, reportDate, data.device_id);
+                return null;
+            }
+
             // Check if lock is stale (no heartbeat for 30 minutes)
             const lastHeartbeat = new Date(data.last_heartbeat);
             const staleThreshold = new Date(Date.now() - LOCK_TIMEOUT_MINUTES * 60 * 1000);
@@ -112,6 +614,7 @@
                     report_date: reportDate,
                     device_id: deviceId,
                     inspector_name: inspectorName || null,
+                    presence_transport: hasRealtimePresence() ? 'supabase' : null,
                     locked_at: new Date().toISOString(),
                     last_heartbeat: new Date().toISOString()
                 }, { onConflict: 'project_id,report_date' });
@@ -126,7 +629,13 @@
             // Store current lock info
             currentLock = { projectId, reportDate, deviceId };
 
-            // Start heartbeat
+            // Announce ourselves as the live editor
+            if (presence) {
+                presence.me.inspectorName = inspectorName || presence.me.inspectorName;
+                await setPresenceRole('editor');
+            }
+
+            // Start heartbeat (fallback for devices without realtime)
             startHeartbeat();
 
             return true;
@@ -170,6 +679,7 @@
             if (currentLock && currentLock.projectId === projectId && currentLock.reportDate === reportDate) {
                 currentLock = null;
                 stopHeartbeat();
+                await setPresenceRole('viewer');
             }
 
             return true;
@@ -304,6 +814,9 @@
             const url = `${window.SUPABASE_URL}/rest/v1/active_reports?project_id=eq.${currentLock.projectId}&report_date=eq.${currentLock.reportDate}&device_id=eq.${getDeviceId()}`;
             navigator.sendBeacon(url, '');
         }
+
+        // Dropping out of presence frees the lock for other devices within seconds
+        leavePresence();
     });
 
     // Handle visibility change (user switches tabs/apps)
@@ -323,6 +836,17 @@
         updateHeartbeat,
         formatLockMessage,
         hasActiveLock,
-        getCurrentLock
+        getCurrentLock,
+
+        // Presence
+        joinPresence,
+        leavePresence,
+        onPresenceChange,
+        onLockLost,
+
+        // Handoff
+        requestHandoff,
+        onHandoffRequest,
+        respondToHandoff
     };
 })();
@@ -26,21 +26,212 @@ async function dataURLtoBlob(dataURL) {
     return response.blob();
 }
 
+// EXIF lives in the APP1 segment near the start of a JPEG (max 64KB)
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+// 2x1 JPEG tagged with orientation 6 - loads as 1x2 if the browser rotates images itself
+const ORIENTATION_TEST_IMAGE = 'data:image/jpeg;base64,/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wCEAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAARCAABAAIDASIAAhEBAxEB/8QASwABAQAAAAAAAAAAAAAAAAAAAAsBAQAAAAAAAAAAAAAAAAAAAAAQAQAAAAAAAAAAAAAAAAAAAAARAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhEDEQA/AH//2Q==';
+
+let browserOrientationCheck = null;
+
+/**
+ * Read the capture metadata we keep from a photo's EXIF block.
+ * Everything else (maker notes, serial numbers, thumbnails) is dropped.
+ * @param {File|Blob} file - Original photo, before compression strips EXIF
+ * @returns {Promise<{takenAt: string|null, takenDate: string|null, offset: string|null, orientation: number, gps: {lat: number, lng: number, altitude: number|null}|null, make: string|null, model: string|null}|null>}
+ *   takenAt is an ISO timestamp, takenDate the camera's local YYYY-MM-DD; null if the file has no EXIF
+ */
+async function readPhotoMetadata(file) {
+    try {
+        const buffer = await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer();
+        const view = new DataView(buffer);
+        const tiffStart = findExifTiffStart(view);
+        if (tiffStart === null) return null;
+
+        const little = view.getUint16(tiffStart) === 0x4949;  // 'II' = Intel byte order
+        if (view.getUint16(tiffStart + 2, little) !== 42) return null;
+
+        const ifd0 = readExifIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+        const exifIfd = ifd0[0x8769] ? readExifIfd(view, tiffStart, ifd0[0x8769], little) : {};
+        const gpsIfd = ifd0[0x8825] ? readExifIfd(view, tiffStart, ifd0[0x8825], little) : {};
+
+        const offset = /^[+-]\d{2}:\d{2}$/.test(exifIfd[0x9011]) ? exifIfd[0x9011] : null;
+        const taken = parseExifDate(exifIfd[0x9003] || ifd0[0x0132], offset);
+        const orientation = ifd0[0x0112] >= 1 && ifd0[0x0112] <= 8 ? ifd0[0x0112] : 1;
+
+        const metadata = {
+            takenAt: taken ? taken.date.toISOString() : null,
+            takenDate: taken ? taken.localDate : null,
+            offset,
+            orientation,
+            gps: parseExifGps(gpsIfd),
+            make: ifd0[0x010F] || null,
+            model: ifd0[0x0110] || null
+        };
+
+        console.log('[PHOTO] EXIF:', metadata);
+        return metadata;
+    } catch (err) {
+        console.warn('[PHOTO] Could not read EXIF:', err);
+        return null;
+    }
+}
+
+/**
+ * @param {DataView} view - Start of a JPEG file
+ * @returns {number|null} Offset of the TIFF header inside the Exif APP1 segment
+ */
+function findExifTiffStart(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;  // Bad data or start of image data
+
+        // APP1 starting with "Exif\0\0"
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+            view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+            return offset + 10;
+        }
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Read one IFD into { tag: value }. Rationals become numbers, multi-value tags arrays.
+ * @param {DataView} view
+ * @param {number} tiffStart - Offsets inside EXIF are relative to the TIFF header
+ * @param {number} ifdOffset
+ * @param {boolean} little - Little-endian
+ * @returns {Object<number, *>}
+ */
+function readExifIfd(view, tiffStart, ifdOffset, little) {
+    const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    const tags = {};
+    const start = tiffStart + ifdOffset;
+    const count = view.getUint16(start, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const valueCount = view.getUint32(entry + 4, little);
+        const size = typeSizes[type];
+        if (!size) continue;
+
+        const valueOffset = size * valueCount > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+        if (valueOffset + size * valueCount > view.byteLength) continue;
+
+        if (type === 2) {
+            let text = '';
+            for (let j = 0; j < valueCount; j++) {
+                const code = view.getUint8(valueOffset + j);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            tags[tag] = text.trim();
+            continue;
+        }
+
+        const values = [];
+        for (let j = 0; j < valueCount; j++) {
+            const at = valueOffset + j * size;
+            if (type === 1 || type === 7) values.push(view.getUint8(at));
+            else if (type === 3) values.push(view.getUint16(at, little));
+            else if (type === 4) values.push(view.getUint32(at, little));
+            else if (type === 9) values.push(view.getInt32(at, little));
+            else if (type === 5) values.push(view.getUint32(at, little) / view.getUint32(at + 4, little));
+            else if (type === 10) values.push(view.getInt32(at, little) / view.getInt32(at + 4, little));
+        }
+        tags[tag] = values.length === 1 ? values[0] : values;
+    }
+    return tags;
+}
+
+/**
+ * @param {string} value - EXIF date, e.g. "2024:05:01 14:03:22" (camera local time)
+ * @param {string|null} offset - OffsetTimeOriginal, e.g. "-05:00"; without it the
+ *   device's time zone is assumed
+ * @returns {{date: Date, localDate: string}|null}
+ */
+function parseExifDate(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match || match[1] === '0000') return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    const date = offset
+        ? new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`)
+        : new Date(+year, month - 1, +day, +hour, +minute, +second);
+    if (isNaN(date.getTime())) return null;
+
+    return { date, localDate: `${year}-${month}-${day}` };
+}
+
+/**
+ * @param {Object} gpsIfd - Tags from the GPS IFD
+ * @returns {{lat: number, lng: number, altitude: number|null}|null}
+ */
+function parseExifGps(gpsIfd) {
+    const toDegrees = (dms) => Array.isArray(dms) && dms.length === 3 ? dms[0] + dms[1] / 60 + dms[2] / 3600 : NaN;
+
+    let lat = toDegrees(gpsIfd[2]);
+    let lng = toDegrees(gpsIfd[4]);
+    if (!isFinite(lat) || !isFinite(lng) || (lat === 0 && lng === 0) || lat > 90 || lng > 180) return null;
+    if (gpsIfd[1] === 'S') lat = -lat;
+    if (gpsIfd[3] === 'W') lng = -lng;
+
+    let altitude = typeof gpsIfd[6] === 'number' && isFinite(gpsIfd[6]) ? Math.round(gpsIfd[6] * 10) / 10 : null;
+    if (altitude !== null && gpsIfd[5] === 1) altitude = -altitude;  // Below sea level
+
+    return {
+        lat: Math.round(lat * 1e6) / 1e6,
+        lng: Math.round(lng * 1e6) / 1e6,
+        altitude
+    };
+}
+
+/**
+ * Whether the browser already applies EXIF orientation when it decodes an image
+ * (all current browsers do; older iOS Safari and Chrome didn't)
+ * @returns {Promise<boolean>}
+ */
+function browserAppliesOrientation() {
+    if (!browserOrientationCheck) {
+        browserOrientationCheck = new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => resolve(img.width === 1 && img.height === 2);
+            img.onerror = () => resolve(false);
+            img.src = ORIENTATION_TEST_IMAGE;
+        });
+    }
+    return browserOrientationCheck;
+}
+
 /**
  * Compress image to target dimensions and quality
  * @param {string} dataUrl - Source image data URL
  * @param {number} maxWidth - Maximum width in pixels (default 1200)
  * @param {number} quality - JPEG quality 0-1 (default 0.7)
+ * @param {number} orientation - EXIF orientation 1-8 from readPhotoMetadata() (default 1).
+ *   The compressed JPEG has no EXIF, so the rotation is baked into the pixels.
  * @returns {Promise<string>} Compressed image data URL
  */
-async function compressImage(dataUrl, maxWidth = 1200, quality = 0.7) {
+async function compressImage(dataUrl, maxWidth = 1200, quality = 0.7, orientation = 1) {
+    // Nothing to do if the browser already drew the image upright
+    const rotate = orientation > 1 && !(await browserAppliesOrientation()) ? orientation : 1;
+
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => {
             try {
-                // Calculate new dimensions
-                let width = img.width;
-                let height = img.height;
+                // Orientations 5-8 are rotated a quarter turn, so width and height swap
+                const swap = rotate >= 5;
+
+                // Calculate new dimensions (of the upright image)
+                let width = swap ? img.height : img.width;
+                let height = swap ? img.width : img.height;
 
                 if (width > maxWidth) {
                     height = Math.round((height * maxWidth) / width);
@@ -53,12 +244,23 @@ async function compressImage(dataUrl, maxWidth = 1200, quality = 0.7) {
                 canvas.height = height;
 
                 const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
+                const drawWidth = swap ? height : width;
+                const drawHeight = swap ? width : height;
+                switch (rotate) {
+                    case 2: ctx.transform(-1, 0, 0, 1, drawWidth, 0); break;
+                    case 3: ctx.transform(-1, 0, 0, -1, drawWidth, drawHeight); break;
+                    case 4: ctx.transform(1, 0, 0, -1, 0, drawHeight); break;
+                    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+                    case 6: ctx.transform(0, 1, -1, 0, drawHeight, 0); break;
+                    case 7: ctx.transform(0, -1, -1, 0, drawHeight, drawWidth); break;
+                    case 8: ctx.transform(0, -1, 1, 0, 0, drawWidth); break;
+                }
+                ctx.drawImage(img, 0, 0, drawWidth, drawHeight);
 
                 // Convert to compressed JPEG
                 const compressedUrl = canvas.toDataURL('image/jpeg', quality);
 
-                console.log(`[PHOTO] Compressed: ${Math.round(dataUrl.length/1024)}KB -> ${Math.round(compressedUrl.length/1024)}KB (${width}x${height})`);
+                console.log(`[PHOTO] Compressed: ${Math.round(dataUrl.length/1024)}KB -> ${Math.round(compressedUrl.length/1024)}KB (${width}x${height}${rotate > 1 ? `, orientation ${rotate}` : ''})`);
 
                 resolve(compressedUrl);
             } catch (err) {
@@ -72,13 +274,17 @@ async function compressImage(dataUrl, maxWidth = 1200, quality = 0.7) {
 
 /**
  * Compress image to thumbnail size for local storage
- * Used for logos - stores compressed version locally, uploads full version to Supabase
+ * Used for logos - stores compressed version locally, uploads full version to Supabase.
+ * With `analyze`, also scores the photo from the thumbnail's pixels (scorePhotoPixels()) -
+ * quick-interview.js uses that to catch duplicate and low-quality shots.
  * @param {File|Blob} file - Image file or blob
  * @param {number} maxWidth - Maximum width in pixels (default 400)
  * @param {number} quality - JPEG quality 0-1 (default 0.7)
- * @returns {Promise<string>} Compressed image as base64 data URL
+ * @param {Object} [options]
+ * @param {boolean} [options.analyze] - Resolve to { dataUrl, analysis } instead of the data URL
+ * @returns {Promise<string|{dataUrl: string, analysis: Object}>} Compressed image as base64 data URL
  */
-async function compressImageToThumbnail(file, maxWidth = 400, quality = 0.7) {
+async function compressImageToThumbnail(file, maxWidth = 400, quality = 0.7, options = {}) {
     return new Promise((resolve, reject) => {
         // Read file as data URL first
         const reader = new FileReader();
@@ -108,7 +314,14 @@ async function compressImageToThumbnail(file, maxWidth = 400, quality = 0.7) {
 
                     const originalSize = Math.round(e.target.result.length / 1024);
                     const compressedSize = Math.round(compressedUrl.length / 1024);
-                    console.log(`[LOGO] Compressed thumbnail: ${originalSize}KB -> ${compressedSize}KB (${width}x${height})`);
+                    console.log(`[${options.analyze ? 'PHOTO' : 'LOGO'}] Compressed thumbnail: ${originalSize}KB -> ${compressedSize}KB (${width}x${height})`);
+
+                    if (options.analyze) {
+                        const analysis = scorePhotoPixels(ctx.getImageData(0, 0, width, height).data, width, height);
+                        console.log(`[PHOTO] Analysis: hash ${analysis.hash}, sharpness ${analysis.sharpness}, brightness ${analysis.brightness}${analysis.issues.length ? ` (${analysis.issues.join(', ')})` : ''}`);
+                        resolve({ dataUrl: compressedUrl, analysis });
+                        return;
+                    }
 
                     resolve(compressedUrl);
                 } catch (err) {
@@ -123,6 +336,213 @@ async function compressImageToThumbnail(file, maxWidth = 400, quality = 0.7) {
     });
 }
 
+// When a photo counts as blurry, too dark or blown out - tuned on ~400px thumbnails.
+// sharpness is the variance of the Laplacian; brightness the mean luma (0-255);
+// clipped is the share of pixels that are near black / near white.
+const PHOTO_QUALITY_LIMITS = {
+    minSharpness: 40,
+    minBrightness: 45,
+    maxBrightness: 215,
+    maxClipped: 0.35
+};
+
+// Two photos whose hashes differ in this many bits or fewer (of 64) are near-identical
+const PHOTO_DUPLICATE_DISTANCE = 6;
+
+/**
+ * Perceptual hash, sharpness and exposure of an image
+ * @param {Uint8ClampedArray} data - RGBA pixels (ImageData.data)
+ * @param {number} width
+ * @param {number} height
+ * @returns {{hash: string, sharpness: number, brightness: number, clippedDark: number, clippedBright: number, issues: Array<string>}}
+ *   issues: 'blurry', 'dark', 'overexposed'
+ */
+function scorePhotoPixels(data, width, height) {
+    const luma = new Float32Array(width * height);
+    let sum = 0;
+    let dark = 0;
+    let bright = 0;
+    for (let i = 0; i < luma.length; i++) {
+        const value = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        luma[i] = value;
+        sum += value;
+        if (value < 16) dark++;
+        else if (value > 240) bright++;
+    }
+
+    // Variance of the Laplacian - edges are what a blurry shot lacks
+    let lapSum = 0;
+    let lapSumSq = 0;
+    let lapCount = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const lap = luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i];
+            lapSum += lap;
+            lapSumSq += lap * lap;
+            lapCount++;
+        }
+    }
+    const lapMean = lapCount ? lapSum / lapCount : 0;
+    const sharpness = lapCount ? Math.round(lapSumSq / lapCount - lapMean * lapMean) : 0;
+
+    const pixels = luma.length || 1;
+    const brightness = Math.round(sum / pixels);
+    const clippedDark = Math.round((dark / pixels) * 100) / 100;
+    const clippedBright = Math.round((bright / pixels) * 100) / 100;
+
+    const issues = [];
+    if (sharpness < PHOTO_QUALITY_LIMITS.minSharpness) issues.push('blurry');
+    if (brightness < PHOTO_QUALITY_LIMITS.minBrightness || clippedDark > PHOTO_QUALITY_LIMITS.maxClipped) issues.push('dark');
+    if (brightness > PHOTO_QUALITY_LIMITS.maxBrightness || clippedBright > PHOTO_QUALITY_LIMITS.maxClipped) issues.push('overexposed');
+
+    return { hash: getDifferenceHash(luma, width, height), sharpness, brightness, clippedDark, clippedBright, issues };
+}
+
+/**
+ * 64-bit difference hash: shrink to 9x8 by averaging, then one bit per pair of
+ * neighbouring cells (is the left one brighter). Survives resizing and recompression.
+ * @param {Float32Array} luma - Grayscale pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} 16 hex characters
+ */
+function getDifferenceHash(luma, width, height) {
+    const cells = new Float32Array(9 * 8);
+    for (let cy = 0; cy < 8; cy++) {
+        const y0 = Math.floor((cy * height) / 8);
+        const y1 = Math.max(y0 + 1, Math.floor(((cy + 1) * height) / 8));
+        for (let cx = 0; cx < 9; cx++) {
+            const x0 = Math.floor((cx * width) / 9);
+            const x1 = Math.max(x0 + 1, Math.floor(((cx + 1) * width) / 9));
+            let total = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) total += luma[y * width + x];
+            }
+            cells[cy * 9 + cx] = total / ((y1 - y0) * (x1 - x0));
+        }
+    }
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+        // Two hex digits per row of 8 bits
+        let bits = 0;
+        for (let col = 0; col < 8; col++) {
+            bits = (bits << 1) | (cells[row * 9 + col] > cells[row * 9 + col + 1] ? 1 : 0);
+        }
+        hash += bits.toString(16).padStart(2, '0');
+    }
+    return hash;
+}
+
+/**
+ * Number of differing bits between two hashes from scorePhotoPixels()
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (same) to 64, Infinity if either is missing
+ */
+function photoHashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Details a project can stamp on its report photos (project-config.html), in display order
+const PHOTO_WATERMARK_FIELDS = ['projectNo', 'reportDate', 'takenAt', 'gps', 'inspector'];
+
+/**
+ * Text lines for a photo watermark
+ * @param {Object} photo - Report photo ({ date, time, gps })
+ * @param {Object} details
+ * @param {string} details.projectNo
+ * @param {string} details.reportDate - As displayed in the report
+ * @param {string} details.inspector
+ * @param {Array<string>} fields - Which PHOTO_WATERMARK_FIELDS to include
+ * @returns {Array<string>} Empty if there is nothing to stamp
+ */
+function getPhotoWatermarkLines(photo, details, fields = PHOTO_WATERMARK_FIELDS) {
+    const include = (field, value) => fields.includes(field) && value ? value : null;
+
+    const lines = [
+        [
+            include('projectNo', details.projectNo && `Project No. ${details.projectNo}`),
+            include('reportDate', details.reportDate && `Report Date ${details.reportDate}`)
+        ],
+        [
+            include('takenAt', [photo.date, photo.time].filter(Boolean).join(' ')),
+            include('gps', photo.gps && `${photo.gps.lat.toFixed(6)}, ${photo.gps.lng.toFixed(6)}`)
+        ],
+        [
+            include('inspector', details.inspector && `Inspector: ${details.inspector}`)
+        ]
+    ];
+
+    return lines.map(parts => parts.filter(Boolean).join('  |  ')).filter(Boolean);
+}
+
+/**
+ * Burn watermark text into a copy of an image, on a dark band along the bottom
+ * @param {string} src - Image URL or data URL (remote images need CORS, like Supabase public URLs)
+ * @param {Array<string>} lines - From getPhotoWatermarkLines()
+ * @param {number} maxWidth - Maximum width in pixels (default 1200)
+ * @param {number} quality - JPEG quality 0-1 (default 0.85)
+ * @returns {Promise<string>} Watermarked JPEG data URL
+ */
+async function watermarkImage(src, lines, maxWidth = 1200, quality = 0.85) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        if (!src.startsWith('data:')) img.crossOrigin = 'anonymous';  // Otherwise the canvas can't be exported
+        img.onload = () => {
+            try {
+                let width = img.width;
+                let height = img.height;
+
+                if (width > maxWidth) {
+                    height = Math.round((height * maxWidth) / width);
+                    width = maxWidth;
+                }
+
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, width, height);
+
+                // Text scales with the photo so it reads the same at any size in the PDF
+                const fontSize = Math.max(12, Math.round(width * 0.024));
+                const lineHeight = Math.round(fontSize * 1.3);
+                const padding = Math.round(fontSize * 0.6);
+                const bandHeight = lines.length * lineHeight + padding * 2;
+
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fillRect(0, height - bandHeight, width, bandHeight);
+
+                ctx.fillStyle = '#ffffff';
+                ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+                ctx.textBaseline = 'top';
+                lines.forEach((line, i) => {
+                    // maxWidth squeezes long lines instead of cutting them off
+                    ctx.fillText(line, padding, height - bandHeight + padding + i * lineHeight, width - padding * 2);
+                });
+
+                resolve(canvas.toDataURL('image/jpeg', quality));
+            } catch (err) {
+                reject(err);
+            }
+        };
+        img.onerror = () => reject(new Error('Failed to load image for watermark'));
+        img.src = src;
+    });
+}
+
 /**
  * Upload logo to Supabase Storage
  * @param {File} file - Logo file to upload
@@ -0,0 +1,590 @@
+/**
+ * Photo Annotator - Canvas markup editor for report photos
+ * FieldVoice Pro v6
+ *
+ * Inspectors circle defects, draw arrows, add labels and dimension lines on a
+ * photo. The markup is kept as editable vector layers, separate from the image:
+ *   { version: 1, shapes: [{ id, type, color, size, points: [{x, y}], text? }], updatedAt }
+ * Points are 0-1 fractions of the image width/height, so layers fit any copy of
+ * the photo. Types: arrow, ellipse, rect, pen, text, measure.
+ *
+ * The original photo is never changed - flatten() draws the layers onto a copy,
+ * which is what the report and PDF show (photo.annotatedUrl).
+ *
+ * Dependencies: none (Tailwind + Font Awesome for the editor UI)
+ *
+ * @module photo-annotator
+ */
+
+(function() {
+    'use strict';
+
+    const LAYERS_VERSION = 1;
+
+    const COLORS = ['#dc2626', '#facc15', '#2563eb', '#ffffff', '#111827'];
+
+    // Stroke sizes are per 1000px of image width, so markup looks the same on any resolution
+    const SIZES = { thin: 4, thick: 8 };
+
+    const TOOLS = [
+        { id: 'select', icon: 'fa-arrow-pointer', label: 'Move' },
+        { id: 'arrow', icon: 'fa-arrow-right-long', label: 'Arrow' },
+        { id: 'ellipse', icon: 'fa-circle', label: 'Circle' },
+        { id: 'rect', icon: 'fa-square', label: 'Box' },
+        { id: 'pen', icon: 'fa-pen', label: 'Draw' },
+        { id: 'text', icon: 'fa-font', label: 'Text' },
+        { id: 'measure', icon: 'fa-ruler', label: 'Measure' }
+    ];
+
+    const ANNOTATED_QUALITY = 0.8;
+
+    let editor = null;  // Open editor state
+
+    /**
+     * Open the editor
+     * @param {string} src - Original photo (data URL or http URL)
+     * @param {Object|null} [annotations] - Existing layers to keep editing
+     * @returns {Promise<{annotations: Object, dataUrl: string|null}|null>} null if cancelled;
+     *   dataUrl is null when every shape was removed
+     */
+    async function open(src, annotations) {
+        if (editor) throw new Error('Annotation editor is already open');
+
+        const image = await loadImage(src);
+        const shapes = JSON.parse(JSON.stringify(annotations?.shapes || []));
+
+        return new Promise(resolve => {
+            editor = {
+                image,
+                shapes,
+                history: [],
+                tool: 'arrow',
+                color: COLORS[0],
+                size: SIZES.thin,
+                selectedId: null,
+                drag: null,
+                resolve
+            };
+            buildEditor();
+            redraw();
+        });
+    }
+
+    /**
+     * Draw layers onto a copy of the photo
+     * @param {string} src - Original photo
+     * @param {Object} annotations
+     * @returns {Promise<string>} JPEG data URL
+     */
+    async function flatten(src, annotations) {
+        const image = await loadImage(src);
+        return flattenImage(image, annotations.shapes || []);
+    }
+
+    function flattenImage(image, shapes) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        drawAnnotations(ctx, { shapes }, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', ANNOTATED_QUALITY);
+    }
+
+    /**
+     * @param {Object|null} annotations
+     * @returns {boolean} True if there is any markup
+     */
+    function hasShapes(annotations) {
+        return !!(annotations && annotations.shapes && annotations.shapes.length > 0);
+    }
+
+    // ============ DRAWING ============
+
+    /**
+     * Draw vector layers onto a canvas the size of the photo
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} annotations
+     * @param {number} width - Canvas width in px
+     * @param {number} height - Canvas height in px
+     */
+    function drawAnnotations(ctx, annotations, width, height) {
+        (annotations.shapes || []).forEach(shape => drawShape(ctx, shape, width, height));
+    }
+
+    function drawShape(ctx, shape, width, height) {
+        const scale = width / 1000;
+        const lineWidth = Math.max(shape.size * scale, 1);
+        const points = shape.points.map(p => ({ x: p.x * width, y: p.y * height }));
+
+        ctx.save();
+        ctx.strokeStyle = shape.color;
+        ctx.fillStyle = shape.color;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (shape.type) {
+            case 'arrow': {
+                const [a, b] = points;
+                const angle = Math.atan2(b.y - a.y, b.x - a.x);
+                const head = Math.max(lineWidth * 4, 12 * scale);
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(b.x, b.y);
+                ctx.lineTo(b.x - head * Math.cos(angle - Math.PI / 7), b.y - head * Math.sin(angle - Math.PI / 7));
+                ctx.lineTo(b.x - head * Math.cos(angle + Math.PI / 7), b.y - head * Math.sin(angle + Math.PI / 7));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'ellipse': {
+                const box = boundsOf(points);
+                ctx.beginPath();
+                ctx.ellipse(box.x + box.w / 2, box.y + box.h / 2, Math.max(box.w / 2, 1), Math.max(box.h / 2, 1), 0, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            }
+            case 'rect': {
+                const box = boundsOf(points);
+                ctx.strokeRect(box.x, box.y, box.w, box.h);
+                break;
+            }
+            case 'pen': {
+                ctx.beginPath();
+                points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                ctx.stroke();
+                break;
+            }
+            case 'text': {
+                const fontSize = textSize(shape, scale);
+                ctx.font = `bold ${fontSize}px sans-serif`;
+                ctx.textBaseline = 'top';
+                // Dark outline keeps light text readable on any background
+                ctx.lineWidth = fontSize / 6;
+                ctx.strokeStyle = shape.color === '#111827' ? '#ffffff' : 'rgba(0, 0, 0, 0.8)';
+                ctx.strokeText(shape.text || '', points[0].x, points[0].y);
+                ctx.fillText(shape.text || '', points[0].x, points[0].y);
+                break;
+            }
+            case 'measure': {
+                const [a, b] = points;
+                const angle = Math.atan2(b.y - a.y, b.x - a.x);
+                const tick = Math.max(lineWidth * 3, 10 * scale);
+                const nx = Math.cos(angle + Math.PI / 2) * tick;
+                const ny = Math.sin(angle + Math.PI / 2) * tick;
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                [a, b].forEach(p => {
+                    ctx.moveTo(p.x - nx, p.y - ny);
+                    ctx.lineTo(p.x + nx, p.y + ny);
+                });
+                ctx.stroke();
+
+                if (shape.text) {
+                    const fontSize = textSize(shape, scale) * 0.8;
+                    ctx.font = `bold ${fontSize}px sans-serif`;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    const mx = (a.x + b.x) / 2;
+                    const my = (a.y + b.y) / 2;
+                    const labelWidth = ctx.measureText(shape.text).width + fontSize * 0.6;
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                    ctx.fillRect(mx - labelWidth / 2, my - fontSize * 0.7, labelWidth, fontSize * 1.4);
+                    ctx.fillStyle = '#111827';
+                    ctx.fillText(shape.text, mx, my);
+                }
+                break;
+            }
+        }
+        ctx.restore();
+    }
+
+    function textSize(shape, scale) {
+        return Math.max(shape.size * 6 * scale, 12);
+    }
+
+    // ============ EDITOR UI ============
+
+    function buildEditor() {
+        const overlay = document.createElement('div');
+        overlay.id = 'photoAnnotator';
+        overlay.className = 'fixed inset-0 bg-black z-[60] flex flex-col';
+        overlay.innerHTML = `
+            <div class="bg-dot-navy text-white flex items-center gap-2 px-3 py-2 shrink-0">
+                <button data-annotator-action="cancel" class="px-3 py-2 text-sm font-bold uppercase text-white/80 hover:text-white">Cancel</button>
+                <p class="flex-1 text-center text-sm font-bold uppercase">Annotate Photo</p>
+                <button data-annotator-action="save" class="px-4 py-2 bg-safety-green text-white text-sm font-bold uppercase">Save</button>
+            </div>
+            <div class="flex-1 min-h-0 flex items-center justify-center p-2 overflow-hidden">
+                <canvas class="max-w-full max-h-full" style="touch-action: none;"></canvas>
+            </div>
+            <div class="bg-slate-900 text-white px-2 py-2 space-y-2 shrink-0">
+                <div data-annotator-label-row class="hidden flex items-center gap-2">
+                    <input data-annotator-label type="text" maxlength="60"
+                        class="flex-1 px-3 py-2 text-sm text-slate-800 bg-white focus:outline-none" placeholder="Label">
+                </div>
+                <div class="flex items-center gap-1 overflow-x-auto">
+                    ${TOOLS.map(tool => `
+                        <button data-annotator-tool="${tool.id}" class="shrink-0 w-12 h-12 flex flex-col items-center justify-center text-white/70" title="${tool.label}">
+                            <i class="fas ${tool.icon}"></i>
+                            <span class="text-[9px] uppercase mt-1">${tool.label}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="flex items-center gap-2">
+                    ${COLORS.map(color => `
+                        <button data-annotator-color="${color}" class="w-8 h-8 border-2 border-transparent" style="background: ${color};" title="Color"></button>
+                    `).join('')}
+                    <button data-annotator-action="size" class="w-10 h-8 text-white/80 text-xs font-bold uppercase" title="Line width">Thin</button>
+                    <div class="flex-1"></div>
+                    <button data-annotator-action="undo" class="w-10 h-8 text-white/80" title="Undo"><i class="fas fa-rotate-left"></i></button>
+                    <button data-annotator-action="delete" class="w-10 h-8 text-red-400" title="Delete selected"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const canvas = overlay.querySelector('canvas');
+        canvas.width = editor.image.naturalWidth;
+        canvas.height = editor.image.naturalHeight;
+        editor.overlay = overlay;
+        editor.canvas = canvas;
+        editor.ctx = canvas.getContext('2d');
+        editor.labelRow = overlay.querySelector('[data-annotator-label-row]');
+        editor.labelInput = overlay.querySelector('[data-annotator-label]');
+
+        overlay.addEventListener('click', onToolbarClick);
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', onPointerUp);
+        canvas.addEventListener('pointercancel', onPointerUp);
+        editor.labelInput.addEventListener('input', onLabelInput);
+        document.addEventListener('keydown', onKeyDown);
+
+        updateToolbar();
+    }
+
+    function closeEditor(result) {
+        if (!editor) return;
+        const { overlay, resolve } = editor;
+        document.removeEventListener('keydown', onKeyDown);
+        overlay.remove();
+        editor = null;
+        resolve(result);
+    }
+
+    function onToolbarClick(e) {
+        const toolBtn = e.target.closest('[data-annotator-tool]');
+        const colorBtn = e.target.closest('[data-annotator-color]');
+        const actionBtn = e.target.closest('[data-annotator-action]');
+
+        if (toolBtn) {
+            editor.tool = toolBtn.dataset.annotatorTool;
+            if (editor.tool !== 'select') editor.selectedId = null;
+        } else if (colorBtn) {
+            editor.color = colorBtn.dataset.annotatorColor;
+            updateSelected(shape => { shape.color = editor.color; });
+        } else if (actionBtn) {
+            runAction(actionBtn.dataset.annotatorAction);
+            if (!editor) return;  // Saved or cancelled
+        } else {
+            return;
+        }
+
+        updateToolbar();
+        redraw();
+    }
+
+    function runAction(action) {
+        switch (action) {
+            case 'cancel':
+                if (editor.history.length > 0 && !confirm('Discard your markup changes?')) return;
+                closeEditor(null);
+                break;
+            case 'save': {
+                const shapes = editor.shapes.filter(shape => shape.type !== 'text' || (shape.text || '').trim());
+                const annotations = { version: LAYERS_VERSION, shapes, updatedAt: new Date().toISOString() };
+                const dataUrl = shapes.length > 0 ? flattenImage(editor.image, shapes) : null;
+                console.log('[ANNOTATE] Saved', shapes.length, 'shapes');
+                closeEditor({ annotations, dataUrl });
+                break;
+            }
+            case 'size':
+                editor.size = editor.size === SIZES.thin ? SIZES.thick : SIZES.thin;
+                updateSelected(shape => { shape.size = editor.size; });
+                break;
+            case 'undo':
+                if (editor.history.length > 0) {
+                    editor.shapes = editor.history.pop();
+                    editor.selectedId = null;
+                }
+                break;
+            case 'delete':
+                if (editor.selectedId) {
+                    pushHistory();
+                    editor.shapes = editor.shapes.filter(shape => shape.id !== editor.selectedId);
+                    editor.selectedId = null;
+                }
+                break;
+        }
+    }
+
+    function updateToolbar() {
+        const { overlay } = editor;
+        overlay.querySelectorAll('[data-annotator-tool]').forEach(btn => {
+            const active = btn.dataset.annotatorTool === editor.tool;
+            btn.classList.toggle('bg-dot-blue', active);
+            btn.classList.toggle('text-white', active);
+            btn.classList.toggle('text-white/70', !active);
+        });
+        overlay.querySelectorAll('[data-annotator-color]').forEach(btn => {
+            btn.classList.toggle('border-white', btn.dataset.annotatorColor === editor.color);
+            btn.classList.toggle('border-transparent', btn.dataset.annotatorColor !== editor.color);
+        });
+        overlay.querySelector('[data-annotator-action="size"]').textContent = editor.size === SIZES.thin ? 'Thin' : 'Thick';
+
+        // Label box for the selected text or dimension line
+        const selected = getSelected();
+        const labelled = selected && (selected.type === 'text' || selected.type === 'measure');
+        editor.labelRow.classList.toggle('hidden', !labelled);
+        if (labelled && document.activeElement !== editor.labelInput) {
+            editor.labelInput.value = selected.text || '';
+            editor.labelInput.placeholder = selected.type === 'measure' ? 'Dimension, e.g. 4\' 6"' : 'Label';
+        }
+    }
+
+    function onLabelInput() {
+        const selected = getSelected();
+        if (!selected) return;
+        selected.text = editor.labelInput.value;
+        redraw();
+    }
+
+    function onKeyDown(e) {
+        if (e.key === 'Escape') {
+            runAction('cancel');
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && document.activeElement !== editor.labelInput) {
+            runAction('delete');
+            updateToolbar();
+            redraw();
+        }
+    }
+
+    // ============ POINTER HANDLING ============
+
+    function toImagePoint(e) {
+        const rect = editor.canvas.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+            y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+        };
+    }
+
+    function onPointerDown(e) {
+        e.preventDefault();
+        editor.canvas.setPointerCapture(e.pointerId);
+        const point = toImagePoint(e);
+
+        if (editor.tool === 'select') {
+            const hit = hitTest(point);
+            editor.selectedId = hit ? hit.id : null;
+            if (hit) {
+                pushHistory();
+                editor.drag = { mode: 'move', last: point };
+            }
+            updateToolbar();
+            redraw();
+            return;
+        }
+
+        pushHistory();
+        const shape = {
+            id: `shape_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            type: editor.tool,
+            color: editor.color,
+            size: editor.size,
+            points: editor.tool === 'text' ? [point] : [point, { ...point }]
+        };
+
+        if (shape.type === 'text') {
+            shape.text = 'Text';
+            editor.shapes.push(shape);
+            selectForLabel(shape);
+            return;
+        }
+        if (shape.type === 'measure') shape.text = '';
+
+        editor.shapes.push(shape);
+        editor.drag = { mode: 'draw', shape };
+        redraw();
+    }
+
+    function onPointerMove(e) {
+        if (!editor || !editor.drag) return;
+        const point = toImagePoint(e);
+        const { drag } = editor;
+
+        if (drag.mode === 'move') {
+            const dx = point.x - drag.last.x;
+            const dy = point.y - drag.last.y;
+            drag.last = point;
+            updateSelected(shape => {
+                shape.points.forEach(p => {
+                    p.x += dx;
+                    p.y += dy;
+                });
+            });
+        } else if (drag.shape.type === 'pen') {
+            drag.shape.points.push(point);
+        } else {
+            drag.shape.points[1] = point;
+        }
+        redraw();
+    }
+
+    function onPointerUp() {
+        if (!editor || !editor.drag) return;
+        const { drag } = editor;
+        editor.drag = null;
+
+        if (drag.mode === 'draw') {
+            const shape = drag.shape;
+            const [a, b] = [shape.points[0], shape.points[shape.points.length - 1]];
+            // A tap, not a drag - drop it
+            if (shape.type !== 'pen' && Math.hypot(a.x - b.x, a.y - b.y) < 0.01) {
+                editor.shapes = editor.shapes.filter(s => s.id !== shape.id);
+                editor.history.pop();
+            } else if (shape.type === 'measure') {
+                selectForLabel(shape);
+                return;
+            }
+        }
+        updateToolbar();
+        redraw();
+    }
+
+    // Select a text/dimension shape and put the cursor in its label box
+    function selectForLabel(shape) {
+        editor.tool = 'select';
+        editor.selectedId = shape.id;
+        editor.labelInput.blur();
+        updateToolbar();
+        redraw();
+        editor.labelInput.focus();
+        editor.labelInput.select();
+    }
+
+    /**
+     * Topmost shape under a point
+     */
+    function hitTest(point) {
+        const { canvas, ctx } = editor;
+        const rect = canvas.getBoundingClientRect();
+        const tolerance = 14 * (canvas.width / rect.width);
+        const p = { x: point.x * canvas.width, y: point.y * canvas.height };
+
+        for (let i = editor.shapes.length - 1; i >= 0; i--) {
+            const shape = editor.shapes[i];
+            const box = shapeBounds(shape, ctx, canvas.width, canvas.height);
+            const inBox = p.x >= box.x - tolerance && p.x <= box.x + box.w + tolerance &&
+                p.y >= box.y - tolerance && p.y <= box.y + box.h + tolerance;
+            if (!inBox) continue;
+
+            if (shape.type === 'arrow' || shape.type === 'measure' || shape.type === 'pen') {
+                const points = shape.points.map(q => ({ x: q.x * canvas.width, y: q.y * canvas.height }));
+                for (let j = 1; j < points.length; j++) {
+                    if (distanceToSegment(p, points[j - 1], points[j]) <= tolerance) return shape;
+                }
+                continue;
+            }
+            return shape;
+        }
+        return null;
+    }
+
+    function shapeBounds(shape, ctx, width, height) {
+        const points = shape.points.map(p => ({ x: p.x * width, y: p.y * height }));
+        if (shape.type !== 'text') return boundsOf(points);
+
+        const fontSize = textSize(shape, width / 1000);
+        ctx.save();
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        const textWidth = ctx.measureText(shape.text || '').width;
+        ctx.restore();
+        return { x: points[0].x, y: points[0].y, w: textWidth, h: fontSize };
+    }
+
+    function redraw() {
+        const { ctx, canvas, image } = editor;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0);
+        drawAnnotations(ctx, { shapes: editor.shapes }, canvas.width, canvas.height);
+
+        const selected = getSelected();
+        if (selected) {
+            const box = shapeBounds(selected, ctx, canvas.width, canvas.height);
+            const pad = 8 * (canvas.width / 1000);
+            ctx.save();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = Math.max(canvas.width / 500, 1);
+            ctx.setLineDash([ctx.lineWidth * 4, ctx.lineWidth * 3]);
+            ctx.strokeRect(box.x - pad, box.y - pad, box.w + pad * 2, box.h + pad * 2);
+            ctx.restore();
+        }
+    }
+
+    // ============ HELPERS ============
+
+    function getSelected() {
+        return editor.shapes.find(shape => shape.id === editor.selectedId) || null;
+    }
+
+    function updateSelected(change) {
+        const selected = getSelected();
+        if (selected) change(selected);
+    }
+
+    function pushHistory() {
+        editor.history.push(JSON.parse(JSON.stringify(editor.shapes)));
+        if (editor.history.length > 50) editor.history.shift();
+    }
+
+    function boundsOf(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+    }
+
+    function distanceToSegment(p, a, b) {
+        const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+        const t = Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSq));
+        return Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y)));
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            // Uploaded photos come from Supabase Storage - without CORS the canvas can't be exported
+            if (!src.startsWith('data:') && !src.startsWith('blob:')) img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load photo for annotation'));
+            img.src = src;
+        });
+    }
+
+    // Expose to window
+    window.photoAnnotator = {
+        open,
+        flatten,
+        hasShapes,
+        drawAnnotations
+    };
+})();
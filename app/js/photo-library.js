@@ -0,0 +1,374 @@
+/**
+ * Photo Library - Every photo of a project across reports, filters and before/after pairs
+ * FieldVoice Pro v6
+ *
+ * Photos are gathered from what's on the device (drafts, report data in the
+ * IndexedDB reports store, the IndexedDB photos store) and, when online, from
+ * Supabase (reports of the project + their photos rows). The same photo from
+ * both sides is merged by id.
+ *
+ * A pair shows progress at one spot: the newer photo keeps a snapshot of the
+ * earlier one as `pairedPhoto` ({ id, url, reportId, reportDate, takenAt, caption, gps }),
+ * so report.html / finalreview.html can show both without looking anything up.
+ * It's stored on the photo everywhere the photo lives - draft, report data,
+ * IndexedDB record and the `paired_photo` jsonb column of `photos`.
+ *
+ * Dependencies: config.js (supabaseClient), storage-keys.js, indexeddb-utils.js,
+ * sync-manager.js (optional - queues the photo row when offline)
+ *
+ * @module photo-library
+ */
+
+(function() {
+    'use strict';
+
+    const PAIR_RADIUS_M = 30;  // Photos this close are treated as the same spot
+    const EARTH_RADIUS_M = 6371000;
+
+    // ============ LOADING ============
+
+    function toDateOnly(value) {
+        if (!value) return '';
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Report photo (draft / report data shape) -> library photo
+    function fromReportPhoto(photo, report, source) {
+        return {
+            id: photo.id,
+            reportId: report.id,
+            reportDate: report.date,
+            reportStatus: report.status,
+            url: photo.url || '',
+            caption: photo.caption || '',
+            takenAt: photo.timestamp || null,
+            gps: photo.gps || null,
+            pairedPhoto: photo.pairedPhoto || null,
+            source
+        };
+    }
+
+    // Fill gaps in a with b (same photo from another source)
+    function mergePhoto(a, b) {
+        const merged = { ...a };
+        Object.keys(b).forEach(key => {
+            if (merged[key] === null || merged[key] === undefined || merged[key] === '') merged[key] = b[key];
+        });
+        // Uploaded copy over the device-only base64
+        if (merged.url.startsWith('data:') && b.url && !b.url.startsWith('data:')) merged.url = b.url;
+        if (a.source !== b.source) merged.source = 'both';
+        return merged;
+    }
+
+    async function loadLocalPhotos(projectId) {
+        const photos = {};
+        const add = (photo) => {
+            photos[photo.id] = photos[photo.id] ? mergePhoto(photos[photo.id], photo) : photo;
+        };
+
+        // Drafts in progress
+        const currentReports = getStorageItem(STORAGE_KEYS.CURRENT_REPORTS) || {};
+        Object.values(currentReports).forEach(r => {
+            if (r.project_id !== projectId || !r._draft_data?.photos) return;
+            const report = { id: r.id, date: toDateOnly(r.date), status: r.status || 'draft' };
+            r._draft_data.photos.forEach(p => add(fromReportPhoto(p, report, 'local')));
+        });
+
+        // Refined / submitted reports still on the device
+        try {
+            const records = await window.idb.getAllReportRecords();
+            records.filter(r => r.projectId === projectId).forEach(r => {
+                const report = { id: r.reportId, date: toDateOnly(r.reportDate), status: r.status || 'refined' };
+                (r.originalInput?.photos || []).forEach(p => add(fromReportPhoto(p, report, 'local')));
+            });
+        } catch (e) {
+            console.warn('[PHOTOS] Could not read local reports:', e);
+        }
+
+        // Photo records - base64 for photos that haven't uploaded yet
+        try {
+            const records = await window.idb.getAllPhotos();
+            records.forEach(record => {
+                const photo = photos[record.id];
+                if (!photo) return;
+                if (!photo.url) photo.url = record.url || record.base64 || '';
+                photo.pairedPhoto = photo.pairedPhoto || record.pairedPhoto || null;
+            });
+        } catch (e) {
+            console.warn('[PHOTOS] Could not read local photo records:', e);
+        }
+
+        return Object.values(photos);
+    }
+
+    async function loadRemotePhotos(projectId) {
+        const { data: reports, error: reportError } = await supabaseClient
+            .from('reports')
+            .select('id, report_date, status')
+            .eq('project_id', projectId);
+
+        if (reportError) throw new Error(reportError.message || 'Failed to load reports');
+        if (!reports || reports.length === 0) return [];
+
+        const reportsById = {};
+        reports.forEach(r => { reportsById[r.id] = r; });
+
+        const { data: rows, error } = await supabaseClient
+            .from('photos')
+            .select('id, report_id, photo_url, storage_path, caption, location_lat, location_lng, taken_at, paired_photo')
+            .in('report_id', reports.map(r => r.id));
+
+        if (error) throw new Error(error.message || 'Failed to load photos');
+
+        return (rows || []).map(row => {
+            const report = reportsById[row.report_id];
+            let url = row.photo_url || '';
+            if (!url && row.storage_path) {
+                const { data } = supabaseClient.storage.from('report-photos').getPublicUrl(row.storage_path);
+                url = data?.publicUrl || '';
+            }
+            return {
+                id: row.id,
+                reportId: row.report_id,
+                reportDate: toDateOnly(report.report_date),
+                reportStatus: report.status,
+                url,
+                caption: row.caption || '',
+                takenAt: row.taken_at || null,
+                gps: row.location_lat && row.location_lng ? { lat: row.location_lat, lng: row.location_lng } : null,
+                pairedPhoto: row.paired_photo || null,
+                source: 'cloud'
+            };
+        });
+    }
+
+    /**
+     * Every photo of a project, newest first
+     * @param {string} projectId
+     * @param {Object} [options]
+     * @param {boolean} [options.remote] - Include Supabase (default: when online)
+     * @returns {Promise<Array<Object>>} { id, reportId, reportDate, reportStatus, url, caption,
+     *   takenAt, gps, pairedPhoto, source: 'local' | 'cloud' | 'both' }
+     */
+    async function loadProjectPhotos(projectId, options = {}) {
+        const remote = options.remote ?? navigator.onLine;
+        const byId = {};
+
+        (await loadLocalPhotos(projectId)).forEach(p => { byId[p.id] = p; });
+
+        if (remote) {
+            try {
+                // The device's copy wins - it may have edits that haven't synced
+                (await loadRemotePhotos(projectId)).forEach(p => {
+                    byId[p.id] = byId[p.id] ? mergePhoto(byId[p.id], p) : p;
+                });
+            } catch (e) {
+                console.warn('[PHOTOS] Could not load photos from Supabase:', e);
+            }
+        }
+
+        const photos = Object.values(byId).filter(p => p.url);
+        console.log('[PHOTOS] Loaded', photos.length, 'photos for project', projectId);
+        return photos.sort((a, b) => getSortKey(b).localeCompare(getSortKey(a)));
+    }
+
+    function getSortKey(photo) {
+        return `${photo.reportDate || ''}|${photo.takenAt || ''}`;
+    }
+
+    // ============ FILTERS ============
+
+    /**
+     * Distance between two points in meters (haversine)
+     * @param {{lat: number, lng: number}} a
+     * @param {{lat: number, lng: number}} b
+     * @returns {number}
+     */
+    function distanceMeters(a, b) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Photos don't record a contractor, so a contractor's photos are the ones whose
+     * caption names it (full name, or abbreviation as a whole word)
+     * @param {Object} photo
+     * @param {{name: string, abbreviation?: string}} contractor
+     * @returns {boolean}
+     */
+    function mentionsContractor(photo, contractor) {
+        const caption = (photo.caption || '').toLowerCase();
+        if (!caption) return false;
+        if (contractor.name && caption.includes(contractor.name.toLowerCase())) return true;
+        return !!contractor.abbreviation &&
+            new RegExp(`\\b${escapeRegExp(contractor.abbreviation.toLowerCase())}\\b`).test(caption);
+    }
+
+    /**
+     * @param {Array<Object>} photos - From loadProjectPhotos()
+     * @param {Object} filters
+     * @param {string} [filters.from] - YYYY-MM-DD, report date on or after
+     * @param {string} [filters.to] - YYYY-MM-DD, report date on or before
+     * @param {Object} [filters.contractor] - { name, abbreviation }, see mentionsContractor()
+     * @param {string} [filters.text] - Caption contains (case-insensitive)
+     * @param {Object} [filters.near] - { lat, lng, radiusM } - photos without GPS are left out
+     * @returns {Array<Object>}
+     */
+    function filterPhotos(photos, filters = {}) {
+        const text = (filters.text || '').trim().toLowerCase();
+        return photos.filter(photo => {
+            if (filters.from && photo.reportDate < filters.from) return false;
+            if (filters.to && photo.reportDate > filters.to) return false;
+            if (text && !(photo.caption || '').toLowerCase().includes(text)) return false;
+            if (filters.contractor && !mentionsContractor(photo, filters.contractor)) return false;
+            if (filters.near) {
+                if (!photo.gps) return false;
+                if (distanceMeters(filters.near, photo.gps) > filters.near.radiusM) return false;
+            }
+            return true;
+        });
+    }
+
+    // ============ PAIRING ============
+
+    /**
+     * Earlier photos that could be the "before" of this one: from an earlier report date,
+     * within radiusM when both have GPS (closest first), otherwise every earlier photo
+     * (newest first)
+     * @param {Object} photo
+     * @param {Array<Object>} photos - From loadProjectPhotos()
+     * @param {number} [radiusM] - Infinity for every earlier photo, closest first
+     * @returns {Array<Object>} Photos with `distanceM` (null without GPS)
+     */
+    function findPairCandidates(photo, photos, radiusM = PAIR_RADIUS_M) {
+        const earlier = photos
+            .filter(p => p.id !== photo.id && p.reportDate && p.reportDate < photo.reportDate)
+            .map(p => ({ ...p, distanceM: photo.gps && p.gps ? Math.round(distanceMeters(photo.gps, p.gps)) : null }));
+
+        if (!photo.gps) return earlier.sort((a, b) => getSortKey(b).localeCompare(getSortKey(a)));
+
+        return earlier
+            .filter(p => radiusM === Infinity || (p.distanceM !== null && p.distanceM <= radiusM))
+            .sort((a, b) => (a.distanceM ?? Infinity) - (b.distanceM ?? Infinity) || getSortKey(b).localeCompare(getSortKey(a)));
+    }
+
+    /**
+     * What a photo keeps of the earlier photo it's paired with
+     * @param {Object} photo - Library photo
+     * @returns {{id: string, url: string, reportId: string, reportDate: string, takenAt: string|null, caption: string, gps: Object|null}}
+     */
+    function toPairSnapshot(photo) {
+        return {
+            id: photo.id,
+            url: photo.url,
+            reportId: photo.reportId,
+            reportDate: photo.reportDate,
+            takenAt: photo.takenAt || null,
+            caption: photo.caption || '',
+            gps: photo.gps || null
+        };
+    }
+
+    function setPairOnDrafts(photoId, snapshot) {
+        const currentReports = getStorageItem(STORAGE_KEYS.CURRENT_REPORTS) || {};
+        let changed = false;
+        Object.values(currentReports).forEach(r => {
+            const photo = r._draft_data?.photos?.find(p => p.id === photoId);
+            if (photo) {
+                photo.pairedPhoto = snapshot;
+                saveCurrentReport(r);
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    async function setPairOnReportData(reportId, photoId, snapshot) {
+        const reportData = await getReportData(reportId);
+        const photo = reportData?.originalInput?.photos?.find(p => p.id === photoId);
+        if (!photo) return false;
+        photo.pairedPhoto = snapshot;
+        return saveReportData(reportId, reportData);
+    }
+
+    /**
+     * Pair a photo with an earlier photo of the same spot (or unpair it), everywhere
+     * the photo is stored. The photos row is updated right away when online; a photo
+     * that's on this device and already synced goes back through the outbox otherwise.
+     * @param {Object} photo - Library photo (the "after")
+     * @param {Object|null} earlier - Library photo (the "before"), or null to unpair
+     * @returns {Promise<{pairedPhoto: Object|null, synced: boolean}>} synced: false when the
+     *   cloud copy still has to catch up
+     * @throws {Error} If the photo is only in the cloud and we're offline, or the earlier
+     *   photo hasn't uploaded (its image would only exist on this device)
+     */
+    async function pairPhoto(photo, earlier) {
+        if (earlier?.url.startsWith('data:')) {
+            throw new Error('That photo hasn\'t uploaded yet - pair it once it has');
+        }
+        const snapshot = earlier ? toPairSnapshot(earlier) : null;
+        let record = null;
+        try {
+            record = await window.idb.getPhoto(photo.id);
+        } catch (e) {
+            console.warn('[PHOTOS] Could not read photo record:', e);
+        }
+
+        if (!record && photo.source === 'cloud' && !navigator.onLine) {
+            throw new Error('Go online to pair a photo from another device');
+        }
+
+        setPairOnDrafts(photo.id, snapshot);
+        if (photo.reportId) await setPairOnReportData(photo.reportId, photo.id, snapshot);
+        if (record) {
+            record.pairedPhoto = snapshot;
+            await window.idb.savePhoto(record);
+        }
+
+        // A record that hasn't synced yet gets paired_photo when its row is upserted
+        let synced = !!record && record.syncStatus !== 'synced';
+        if (!synced && navigator.onLine) {
+            const { error } = await supabaseClient
+                .from('photos')
+                .update({ paired_photo: snapshot })
+                .eq('id', photo.id);
+            if (error) {
+                console.warn('[PHOTOS] Could not save pair to Supabase:', error);
+            } else {
+                synced = true;
+            }
+        }
+        if (!synced && record && typeof queuePhotoUpload === 'function') {
+            // pushPhoto() upserts the whole row from the record, paired_photo included
+            record.syncStatus = 'pending';
+            await window.idb.savePhoto(record);
+            await queuePhotoUpload(photo.reportId, photo.id);
+        }
+
+        console.log(`[PHOTOS] ${snapshot ? 'Paired' : 'Unpaired'} ${photo.id}${snapshot ? ` with ${snapshot.id}` : ''}`);
+        return { pairedPhoto: snapshot, synced };
+    }
+
+    // Expose to window
+    window.photoLibrary = {
+        PAIR_RADIUS_M,
+        loadProjectPhotos,
+        filterPhotos,
+        mentionsContractor,
+        distanceMeters,
+        findPairCandidates,
+        toPairSnapshot,
+        pairPhoto
+    };
+})();
@@ -0,0 +1,356 @@
+// FieldVoice Pro - Photo Library Page Logic
+// Every photo of the active project across reports (photo-library.js), with filters
+// and before/after pairing. ?photoId= opens a photo, &pair=1 goes straight to pairing,
+// &returnTo= adds a back button (report.html links here from its photo cards).
+
+// ============ STATE ============
+let activeProject = null;
+let allPhotos = [];
+let nearFilter = null;  // { lat, lng, label } - radius comes from the select
+let selectedPhotoId = null;
+let isLoading = false;
+
+// ============ LOADING ============
+async function loadLibrary() {
+    if (isLoading || !activeProject) return;
+    isLoading = true;
+
+    const section = document.getElementById('photoGridSection');
+    const refreshBtn = document.getElementById('refreshBtn');
+    if (refreshBtn) refreshBtn.innerHTML = '<i class="fas fa-sync-alt fa-spin"></i>';
+    if (allPhotos.length === 0) {
+        section.innerHTML = `
+            <div class="flex flex-col items-center justify-center py-16 px-4">
+                <i class="fas fa-spinner fa-spin text-slate-400 text-3xl mb-4"></i>
+                <p class="text-sm text-slate-500">Loading photos...</p>
+            </div>
+        `;
+    }
+
+    try {
+        allPhotos = await window.photoLibrary.loadProjectPhotos(activeProject.id);
+        applyFilters();
+    } catch (err) {
+        console.error('[PHOTOS] Error loading photos:', err);
+        section.innerHTML = `
+            <div class="flex flex-col items-center justify-center py-16 px-4">
+                <div class="w-20 h-20 bg-red-100 border-2 border-red-300 flex items-center justify-center mb-6">
+                    <i class="fas fa-exclamation-triangle text-red-500 text-3xl"></i>
+                </div>
+                <p class="text-lg font-bold text-slate-500 mb-2 text-center">Error loading photos</p>
+                <p class="text-sm text-red-500 text-center mb-6">${escapeHtml(err.message || 'Unknown error')}</p>
+            </div>
+        `;
+    } finally {
+        isLoading = false;
+        if (refreshBtn) refreshBtn.innerHTML = '<i class="fas fa-sync-alt"></i>';
+    }
+}
+
+function getPhotoById(photoId) {
+    return allPhotos.find(p => p.id === photoId) || null;
+}
+
+// ============ FILTERS ============
+function populateContractorFilter() {
+    const select = document.getElementById('filterContractor');
+    const contractors = activeProject?.contractors || [];
+    select.innerHTML = '<option value="">All contractors</option>' + contractors
+        .map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}${c.abbreviation ? ` (${escapeHtml(c.abbreviation)})` : ''}</option>`)
+        .join('');
+}
+
+function getFilters() {
+    const contractorId = document.getElementById('filterContractor').value;
+    return {
+        text: document.getElementById('filterText').value,
+        from: document.getElementById('filterFrom').value,
+        to: document.getElementById('filterTo').value,
+        contractor: contractorId ? (activeProject.contractors || []).find(c => c.id === contractorId) : null,
+        near: nearFilter
+            ? { lat: nearFilter.lat, lng: nearFilter.lng, radiusM: parseInt(document.getElementById('filterRadius').value, 10) }
+            : null
+    };
+}
+
+function applyFilters() {
+    const filters = getFilters();
+
+    const chip = document.getElementById('nearFilterChip');
+    chip.classList.toggle('hidden', !nearFilter);
+    if (nearFilter) {
+        document.getElementById('nearFilterText').textContent = `Within ${filters.near.radiusM} m of ${nearFilter.label}`;
+    }
+
+    renderGrid(window.photoLibrary.filterPhotos(allPhotos, filters));
+}
+
+async function filterNearMe() {
+    showToast('Getting your location...', 'info');
+    try {
+        const gps = await getHighAccuracyGPS(true);
+        if (!gps) {
+            showToast('Location unavailable', 'warning');
+            return;
+        }
+        nearFilter = { lat: gps.lat, lng: gps.lng, label: 'you' };
+        applyFilters();
+    } catch (err) {
+        console.warn('[PHOTOS] GPS failed:', err);
+        showToast('Location unavailable', 'warning');
+    }
+}
+
+function filterNearPhoto(photoId) {
+    const photo = getPhotoById(photoId);
+    if (!photo?.gps) return;
+    nearFilter = { lat: photo.gps.lat, lng: photo.gps.lng, label: `the ${formatDate(photo.reportDate, 'numeric')} photo` };
+    closePhoto();
+    applyFilters();
+}
+
+function clearNearFilter() {
+    nearFilter = null;
+    applyFilters();
+}
+
+// ============ RENDER ============
+function renderGrid(photos) {
+    const section = document.getElementById('photoGridSection');
+
+    if (photos.length === 0) {
+        const offlineMsg = !navigator.onLine ? '<p class="text-xs text-yellow-600 mb-4"><i class="fas fa-wifi-slash mr-1"></i>You are offline - showing photos on this device</p>' : '';
+        section.innerHTML = `
+            <div class="flex flex-col items-center justify-center py-16 px-4">
+                <div class="w-20 h-20 bg-slate-200 border-2 border-dashed border-slate-300 flex items-center justify-center mb-6">
+                    <i class="fas fa-images text-slate-400 text-3xl"></i>
+                </div>
+                <p class="text-lg font-bold text-slate-500 mb-2 text-center">${allPhotos.length ? 'No matching photos' : 'No photos yet'}</p>
+                ${offlineMsg}
+                <p class="text-sm text-slate-400 text-center">${allPhotos.length ? 'Try widening the filters.' : 'Photos from this project\'s reports will appear here.'}</p>
+            </div>
+        `;
+        return;
+    }
+
+    section.innerHTML = `
+        <p class="text-xs text-slate-500 mb-3 uppercase tracking-wider font-bold">
+            ${photos.length} of ${allPhotos.length} photo${allPhotos.length !== 1 ? 's' : ''}
+        </p>
+        <div class="grid grid-cols-3 gap-2">
+            ${photos.map(photo => renderPhotoTile(photo)).join('')}
+        </div>
+    `;
+}
+
+function renderPhotoTile(photo) {
+    return `
+        <button onclick="openPhoto('${photo.id}')" class="relative block bg-slate-200 border border-slate-300 overflow-hidden aspect-square">
+            <img src="${photo.url}" alt="" loading="lazy" class="w-full h-full object-cover">
+            <span class="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent px-1.5 pt-4 pb-1 text-[10px] font-bold text-white text-left">
+                ${formatDate(photo.reportDate, 'numeric')}
+            </span>
+            ${photo.pairedPhoto ? `
+                <span class="absolute top-1 right-1 w-5 h-5 bg-dot-orange text-white text-[9px] flex items-center justify-center" title="Paired with an earlier photo">
+                    <i class="fas fa-right-left"></i>
+                </span>
+            ` : ''}
+        </button>
+    `;
+}
+
+// ============ PHOTO DETAIL ============
+function openPhoto(photoId) {
+    const photo = getPhotoById(photoId);
+    if (!photo) return;
+    selectedPhotoId = photoId;
+    renderPhotoDetail(photo);
+    document.getElementById('photoModal').classList.remove('hidden');
+}
+
+function closePhoto() {
+    selectedPhotoId = null;
+    document.getElementById('photoModal').classList.add('hidden');
+}
+
+function renderPairImage(url, label, dateStr) {
+    return `
+        <div class="min-w-0">
+            <p class="text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-1">${label} · ${escapeHtml(dateStr)}</p>
+            <img src="${url}" alt="${label}" class="w-full aspect-square object-cover bg-slate-100 border border-slate-200">
+        </div>
+    `;
+}
+
+function renderPhotoDetail(photo) {
+    const pair = photo.pairedPhoto;
+    const takenTime = photo.takenAt ? formatTime(photo.takenAt) : '';
+    document.getElementById('photoModalTitle').textContent = pair ? 'Before / After' : 'Photo';
+
+    const images = pair
+        ? `
+            <div class="grid grid-cols-2 gap-2 p-4">
+                ${renderPairImage(pair.url, 'Before', formatDate(pair.reportDate, 'numeric'))}
+                ${renderPairImage(photo.url, 'After', formatDate(photo.reportDate, 'numeric'))}
+            </div>
+        `
+        : `<img src="${photo.url}" alt="" class="w-full max-h-[50vh] object-contain bg-slate-900">`;
+
+    const reportLink = photo.reportStatus !== 'draft'
+        ? `<a href="finalreview.html?date=${photo.reportDate}&reportId=${photo.reportId}" class="text-dot-blue font-bold hover:underline">Open report <i class="fas fa-chevron-right text-[10px]"></i></a>`
+        : '<span class="text-dot-orange font-bold">Draft</span>';
+
+    document.getElementById('photoModalBody').innerHTML = `
+        ${images}
+        <div class="p-4 space-y-3">
+            <div class="flex items-center justify-between gap-2 text-sm">
+                <span class="font-bold text-slate-800">${formatDate(photo.reportDate, 'long')}${takenTime ? ` · ${takenTime}` : ''}</span>
+                ${reportLink}
+            </div>
+            ${photo.gps ? `
+                <p class="text-xs text-slate-500"><i class="fas fa-map-marker-alt mr-1"></i>${photo.gps.lat.toFixed(5)}, ${photo.gps.lng.toFixed(5)}</p>
+            ` : '<p class="text-xs text-dot-orange"><i class="fas fa-location-crosshairs mr-1"></i>No GPS</p>'}
+            ${photo.caption ? `<p class="text-sm text-slate-700">${escapeHtml(photo.caption)}</p>` : ''}
+            <div class="grid grid-cols-2 gap-2">
+                <button onclick="showPairCandidates()" class="p-3 bg-dot-navy text-white text-xs font-bold uppercase hover:bg-slate-800 transition-colors flex items-center justify-center gap-2">
+                    <i class="fas fa-right-left"></i>
+                    ${pair ? 'Change Before' : 'Pair Before'}
+                </button>
+                ${pair ? `
+                    <button onclick="unpairPhoto()" class="p-3 bg-white border-2 border-slate-300 text-slate-700 text-xs font-bold uppercase hover:bg-slate-100 transition-colors flex items-center justify-center gap-2">
+                        <i class="fas fa-link-slash"></i>
+                        Unpair
+                    </button>
+                ` : photo.gps ? `
+                    <button onclick="filterNearPhoto('${photo.id}')" class="p-3 bg-white border-2 border-dot-navy text-dot-navy text-xs font-bold uppercase hover:bg-dot-navy hover:text-white transition-colors flex items-center justify-center gap-2">
+                        <i class="fas fa-location-dot"></i>
+                        Photos Here
+                    </button>
+                ` : ''}
+            </div>
+            <div id="pairCandidates" class="hidden"></div>
+        </div>
+    `;
+}
+
+/**
+ * Earlier photos of the same spot to pick the "before" from
+ * @param {boolean} [anyDistance] - Every earlier photo, not just ones nearby
+ */
+function showPairCandidates(anyDistance = false) {
+    const photo = getPhotoById(selectedPhotoId);
+    if (!photo) return;
+
+    const radius = anyDistance ? Infinity : window.photoLibrary.PAIR_RADIUS_M;
+    const candidates = window.photoLibrary.findPairCandidates(photo, allPhotos, radius);
+    const container = document.getElementById('pairCandidates');
+    container.classList.remove('hidden');
+
+    if (candidates.length === 0) {
+        container.innerHTML = `
+            <div class="bg-slate-50 border border-slate-200 p-3 text-center">
+                <p class="text-xs text-slate-500 mb-2">No earlier photos${photo.gps && !anyDistance ? ` within ${window.photoLibrary.PAIR_RADIUS_M} m` : ''}.</p>
+                ${photo.gps && !anyDistance ? '<button onclick="showPairCandidates(true)" class="text-xs font-bold text-dot-blue hover:underline">Show all earlier photos</button>' : ''}
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <p class="text-[10px] font-bold uppercase tracking-wider text-dot-blue mb-2">Pick the earlier photo</p>
+        <div class="grid grid-cols-3 gap-2">
+            ${candidates.map(c => `
+                <button onclick="choosePair('${c.id}')" class="relative block bg-slate-200 border-2 ${photo.pairedPhoto?.id === c.id ? 'border-dot-orange' : 'border-slate-300'} overflow-hidden aspect-square">
+                    <img src="${c.url}" alt="" loading="lazy" class="w-full h-full object-cover">
+                    <span class="absolute bottom-0 left-0 right-0 bg-black/70 px-1 py-0.5 text-[9px] font-bold text-white text-left">
+                        ${formatDate(c.reportDate, 'numeric')}${c.distanceM !== null ? ` · ${c.distanceM} m` : ''}
+                    </span>
+                </button>
+            `).join('')}
+        </div>
+        ${photo.gps && !anyDistance ? '<button onclick="showPairCandidates(true)" class="mt-2 text-xs font-bold text-dot-blue hover:underline">Show all earlier photos</button>' : ''}
+    `;
+}
+
+async function savePair(photo, earlier) {
+    try {
+        const { pairedPhoto, synced } = await window.photoLibrary.pairPhoto(photo, earlier);
+        photo.pairedPhoto = pairedPhoto;
+        renderPhotoDetail(photo);
+        applyFilters();
+        if (synced) {
+            showToast(earlier ? 'Photos paired' : 'Pair removed', 'success');
+        } else {
+            showToast('Saved on this device - will sync when online', 'warning');
+        }
+    } catch (err) {
+        console.error('[PHOTOS] Failed to save pair:', err);
+        showToast(err.message || 'Failed to save pair', 'error');
+    }
+}
+
+async function choosePair(earlierId) {
+    const photo = getPhotoById(selectedPhotoId);
+    const earlier = getPhotoById(earlierId);
+    if (!photo || !earlier) return;
+    await savePair(photo, earlier);
+}
+
+async function unpairPhoto() {
+    const photo = getPhotoById(selectedPhotoId);
+    if (!photo) return;
+    await savePair(photo, null);
+}
+
+// ============ INIT ============
+document.addEventListener('DOMContentLoaded', async () => {
+    const params = new URLSearchParams(window.location.search);
+
+    // Only pages of this app - returnTo is put in links by report.js
+    const returnTo = params.get('returnTo');
+    if (returnTo && /^[\w-]+\.html(\?\S*)?$/.test(returnTo)) {
+        const returnBtn = document.getElementById('returnBtn');
+        returnBtn.href = returnTo;
+        returnBtn.classList.remove('hidden');
+    }
+
+    try {
+        activeProject = await window.dataLayer.loadActiveProject();
+        if (!activeProject) {
+            document.getElementById('photoGridSection').innerHTML = `
+                <div class="flex flex-col items-center justify-center py-16 px-4">
+                    <p class="text-lg font-bold text-slate-500 mb-2 text-center">No active project</p>
+                    <a href="projects.html" class="px-6 py-3 bg-dot-navy text-white font-bold uppercase tracking-wide hover:bg-dot-blue transition-colors">
+                        <i class="fas fa-folder-open mr-2"></i>Choose a Project
+                    </a>
+                </div>
+            `;
+            return;
+        }
+
+        document.getElementById('projectNameText').textContent = activeProject.projectName || '';
+        populateContractorFilter();
+        await loadLibrary();
+
+        const photoId = params.get('photoId');
+        if (photoId) {
+            openPhoto(photoId);
+            if (params.get('pair') === '1') showPairCandidates();
+        }
+    } catch (err) {
+        console.error('Failed to initialize:', err);
+        showToast('Failed to load photos', 'error');
+    }
+});
+
+// ============ EXPOSE TO WINDOW FOR ONCLICK HANDLERS ============
+window.loadLibrary = loadLibrary;
+window.applyFilters = applyFilters;
+window.filterNearMe = filterNearMe;
+window.filterNearPhoto = filterNearPhoto;
+window.clearNearFilter = clearNearFilter;
+window.openPhoto = openPhoto;
+window.closePhoto = closePhoto;
+window.showPairCandidates = showPairCandidates;
+window.choosePair = choosePair;
+window.unpairPhoto = unpairPhoto;
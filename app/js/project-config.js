@@ -256,6 +256,8 @@ function createNewProject() {
         defaultEndTime: '16:00',
         weatherDays: 0,
         contractDayNo: '',
+        photoWatermark: { enabled: false, fields: [...PHOTO_WATERMARK_FIELDS] },
+        reportTemplate: window.reportTemplates.DEFAULT_TEMPLATE_ID,
         contractors: []
     };
     populateForm();
@@ -323,6 +325,11 @@ async function saveProject() {
     currentProject.defaultEndTime = document.getElementById('defaultEndTime').value || '16:00';
     currentProject.weatherDays = parseInt(document.getElementById('weatherDays').value) || 0;
     currentProject.contractDayNo = parseInt(document.getElementById('contractDayNo').value) || '';
+    currentProject.photoWatermark = {
+        enabled: document.getElementById('photoWatermarkEnabled').checked,
+        fields: Array.from(document.querySelectorAll('.photo-watermark-field:checked')).map(input => input.value)
+    };
+    currentProject.reportTemplate = document.getElementById('reportTemplate').value;
 
     // Ensure user_id is set for IndexedDB filtering
     const userId = getStorageItem(STORAGE_KEYS.USER_ID);
@@ -527,6 +534,15 @@ function populateForm() {
     document.getElementById('weatherDays').value = currentProject.weatherDays || 0;
     document.getElementById('contractDayNo').value = currentProject.contractDayNo || '';
 
+    const watermark = currentProject.photoWatermark || {};
+    const watermarkFields = watermark.fields || PHOTO_WATERMARK_FIELDS;
+    document.getElementById('photoWatermarkEnabled').checked = !!watermark.enabled;
+    document.querySelectorAll('.photo-watermark-field').forEach(input => {
+        input.checked = watermarkFields.includes(input.value);
+    });
+
+    renderReportTemplateOptions();
+
     // Handle logo preview
     // Priority: logoUrl (full quality) > logoThumbnail (compressed) > logo (legacy)
     const logoUploadZone = document.getElementById('logoUploadZone');
@@ -576,6 +592,21 @@ function updateActiveProjectBadge() {
     }
 }
 
+// Report template picker - the layout finalreview.html and the report PDF use (report-templates.js)
+function renderReportTemplateOptions() {
+    const select = document.getElementById('reportTemplate');
+    select.innerHTML = window.reportTemplates.listTemplates()
+        .map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`)
+        .join('');
+    select.value = window.reportTemplates.getTemplate(currentProject.reportTemplate).id;
+    updateReportTemplateDescription();
+}
+
+function updateReportTemplateDescription() {
+    const template = window.reportTemplates.getTemplate(document.getElementById('reportTemplate').value);
+    document.getElementById('reportTemplateDescription').textContent = template.description;
+}
+
 // ============ CONTRACTOR MANAGEMENT ============
 function renderContractors() {
     const container = document.getElementById('contractorList');
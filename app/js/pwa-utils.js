@@ -2,6 +2,11 @@
 // Service worker registration, offline detection, and PWA navigation handling
 // Single source of truth - do not duplicate in HTML files
 
+// Background Sync tags (must match sw.js)
+const OUTBOX_SYNC_TAG = 'fieldvoice-outbox';
+const OUTBOX_PERIODIC_SYNC_TAG = 'fieldvoice-outbox-periodic';
+const OUTBOX_PERIODIC_MIN_INTERVAL_MS = 15 * 60 * 1000;
+
 /**
  * Initialize all PWA features
  * Call this once at the end of any page that needs PWA support
@@ -16,6 +21,12 @@ function initPWA(options = {}) {
 
     if (!options.skipServiceWorker) {
         registerServiceWorker();
+        setupOutboxSync();
+    }
+
+    // Reports live in IndexedDB - ask the browser not to evict them (storage-quota.js)
+    if (typeof requestPersistentStorage === 'function') {
+        requestPersistentStorage();
     }
 
     setupOfflineBanner(options.onOnline, options.onOffline);
@@ -49,6 +60,8 @@ function registerServiceWorker() {
                 .then(registration => {
                     console.log('[PWA] Service Worker registered:', registration.scope);
 
+                    registerPeriodicOutboxSync(registration);
+
                     // Check for updates
                     registration.addEventListener('updatefound', () => {
                         const newWorker = registration.installing;
@@ -67,6 +80,76 @@ function registerServiceWorker() {
     }
 }
 
+/**
+ * Ask the service worker to drain the sync outbox
+ * Uses Background Sync when available so the flush happens even if the app is closed;
+ * otherwise posts FLUSH_OUTBOX to the active worker when online
+ */
+async function requestOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+
+        if ('sync' in registration) {
+            await registration.sync.register(OUTBOX_SYNC_TAG);
+            console.log('[PWA] Background sync registered:', OUTBOX_SYNC_TAG);
+            return;
+        }
+
+        if (navigator.onLine && registration.active) {
+            registration.active.postMessage({ type: 'FLUSH_OUTBOX' });
+        }
+    } catch (error) {
+        console.warn('[PWA] Could not request outbox sync:', error);
+    }
+}
+
+/**
+ * Register periodic background sync for the outbox (Chromium, installed PWA only)
+ *
+ * @param {ServiceWorkerRegistration} registration
+ */
+async function registerPeriodicOutboxSync(registration) {
+    if (!('periodicSync' in registration) || !navigator.permissions) return;
+
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') return;
+
+        await registration.periodicSync.register(OUTBOX_PERIODIC_SYNC_TAG, {
+            minInterval: OUTBOX_PERIODIC_MIN_INTERVAL_MS
+        });
+        console.log('[PWA] Periodic background sync registered:', OUTBOX_PERIODIC_SYNC_TAG);
+    } catch (error) {
+        console.warn('[PWA] Periodic background sync unavailable:', error);
+    }
+}
+
+/**
+ * Flush the outbox when the device comes online and relay service worker
+ * sync progress to the page as `fvp:outbox-sync` window events
+ * (event.detail is the message posted by sw.js)
+ */
+function setupOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    window.addEventListener('online', () => {
+        requestOutboxSync();
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const data = event.data;
+        if (!data || typeof data.type !== 'string' || !data.type.startsWith('OUTBOX_SYNC_')) return;
+
+        window.dispatchEvent(new CustomEvent('fvp:outbox-sync', { detail: data }));
+
+        if (data.type === 'OUTBOX_SYNC_COMPLETE' && data.dead > 0 && typeof showToast === 'function') {
+            showToast(`${data.dead} item(s) failed to sync - see Settings`, 'warning');
+        }
+    });
+}
+
 /**
  * Show/hide offline banner based on network status
  *
@@ -36,6 +36,7 @@
 
             if (!report.entries) report.entries = [];
             report.entries.push(entry);
+            claimDictationClips(section, entry);
 
             // Queue for real-time backup
             if (currentReportId) {
@@ -234,6 +235,7 @@
                         if (!report.entries) report.entries = [];
                         report.entries.push(entry);
                         currentEntryId = entry.id;
+                        claimDictationClips(section, entry);
                         
                         if (currentReportId) {
                             queueEntryBackup(currentReportId, entry);
@@ -248,6 +250,7 @@
                         const entry = report.entries?.find(e => e.id === currentEntryId);
                         if (entry) {
                             entry.content = text;
+                            claimDictationClips(section, entry);
                             if (currentReportId) {
                                 queueEntryBackup(currentReportId, entry);
                             }
@@ -268,6 +271,7 @@
                     const entry = report.entries?.find(e => e.id === currentEntryId);
                     if (entry && entry.content !== text) {
                         entry.content = text;
+                        claimDictationClips(section, entry);
                         if (currentReportId) queueEntryBackup(currentReportId, entry);
                         saveReport();
                         // Track in shared state so "+" button knows entry exists
@@ -320,6 +324,7 @@
                         if (!report.entries) report.entries = [];
                         report.entries.push(entry);
                         currentEntryId = entry.id;
+                        claimDictationClips(section, entry);
                         
                         if (currentReportId) {
                             queueEntryBackup(currentReportId, entry);
@@ -334,6 +339,7 @@
                         const entry = report.entries?.find(e => e.id === currentEntryId);
                         if (entry) {
                             entry.content = text;
+                            claimDictationClips(section, entry);
                             if (currentReportId) {
                                 queueEntryBackup(currentReportId, entry);
                             }
@@ -363,6 +369,7 @@
                     
                     if (!report.entries) report.entries = [];
                     report.entries.push(entry);
+                    claimDictationClips(section, entry);
                     
                     if (currentReportId) {
                         queueEntryBackup(currentReportId, entry);
@@ -574,7 +581,7 @@
         // ============ LOCALSTORAGE DRAFT MANAGEMENT ============
         // v6: Use STORAGE_KEYS from storage-keys.js for all localStorage operations
         // Draft storage uses STORAGE_KEYS.CURRENT_REPORTS via getCurrentReport()/saveCurrentReport()
-        // Sync queue uses STORAGE_KEYS.SYNC_QUEUE via getSyncQueue()/addToSyncQueue()
+        // Entry/report/photo sync ops use the IndexedDB outbox in sync-manager.js
 
         /**
          * Save all form data to localStorage
@@ -595,6 +602,7 @@
                     createdAt: report.meta?.createdAt,
                     version: report.meta?.version || 2,
                     naMarked: report.meta?.naMarked || {},
+                    dismissedSuggestions: report.meta?.dismissedSuggestions || [],
                     captureMode: report.meta?.captureMode,
                     status: 'draft'
                 },
@@ -638,11 +646,20 @@
                     id: p.id,
                     storagePath: p.storagePath || '',
                     url: p.url || '',
+                    annotatedStoragePath: p.annotatedStoragePath || null,
+                    annotatedUrl: p.annotatedUrl || null,
+                    annotations: p.annotations || null,
                     caption: p.caption || '',
                     timestamp: p.timestamp,
                     date: p.date,
                     time: p.time,
                     gps: p.gps,
+                    exif: p.exif || null,
+                    dateMismatch: !!p.dateMismatch,
+                    analysis: p.analysis || null,
+                    duplicateOf: p.duplicateOf || null,
+                    qualityKept: !!p.qualityKept,
+                    pairedPhoto: p.pairedPhoto || null,
                     fileName: p.fileName
                 })),
 
@@ -1047,9 +1064,154 @@
                 detailsEl.textContent = `Editor: ${lockInfo.inspectorName}`;
             }
 
+            // Live lock: follow the editor's presence and allow a handoff request
+            const handoffBtn = document.getElementById('lockHandoffBtn');
+            if (handoffBtn) {
+                handoffBtn.classList.toggle('hidden', !lockInfo.live);
+            }
+            if (lockInfo.live) {
+                window.lockManager.onPresenceChange(updateLockWarningPresence);
+            }
+
             modal.classList.remove('hidden');
         }
 
+        /**
+         * Update the lock warning modal as the editor's presence changes
+         * @param {Object} snapshot - { editor, members, isLive } from lockManager.onPresenceChange
+         */
+        function updateLockWarningPresence(snapshot) {
+            const messageEl = document.getElementById('lockWarningMessage');
+            const detailsEl = document.getElementById('lockWarningDetails');
+            const handoffBtn = document.getElementById('lockHandoffBtn');
+            const continueBtn = document.getElementById('lockContinueBtn');
+
+            if (snapshot.editor) {
+                if (detailsEl) {
+                    const viewers = snapshot.members.filter(m => m.role !== 'editor').length;
+                    detailsEl.textContent = `Editor: ${snapshot.editor.inspectorName || 'Another user'} (live)` +
+                        (viewers > 0 ? ` · ${viewers} other viewer(s)` : '');
+                }
+                continueBtn?.classList.add('hidden');
+                return;
+            }
+
+            // Editor disconnected or released - the report is free
+            if (messageEl) messageEl.textContent = 'The other device has stopped editing this report.';
+            if (detailsEl) detailsEl.textContent = '';
+            handoffBtn?.classList.add('hidden');
+            continueBtn?.classList.remove('hidden');
+        }
+
+        /**
+         * Handle "Continue" once the other editor has left
+         */
+        function handleLockWarningContinue() {
+            window.location.reload();
+        }
+
+        /**
+         * Handle "Request Handoff" from lock warning modal (ask the editor to hand over)
+         */
+        async function handleLockWarningRequestHandoff() {
+            const btn = document.getElementById('lockHandoffBtn');
+            if (btn) {
+                btn.disabled = true;
+                btn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Waiting for response...';
+            }
+
+            const result = await window.lockManager.requestHandoff(userSettings?.full_name || '');
+
+            if (result.accepted) {
+                showToast('Handoff accepted - loading report', 'success');
+                window.location.reload();
+                return;
+            }
+
+            showToast(result.timedOut ? 'No response from the other device' : 'Handoff declined', 'warning');
+            if (btn) {
+                btn.disabled = false;
+                btn.innerHTML = '<i class="fas fa-hand-paper mr-2"></i>Request Handoff';
+            }
+        }
+
+        // ============ LOCK HANDOFF (HOLDER SIDE) ============
+
+        let pendingHandoffRequest = null;
+
+        /**
+         * Show the handoff request modal to the device holding the lock
+         * @param {Object} request - Handoff request from lockManager.onHandoffRequest
+         */
+        function showHandoffRequestModal(request) {
+            // One request at a time - decline anything that arrives while one is open
+            if (pendingHandoffRequest) {
+                window.lockManager.respondToHandoff(request, false);
+                return;
+            }
+            pendingHandoffRequest = request;
+
+            const messageEl = document.getElementById('handoffRequestMessage');
+            if (messageEl) {
+                messageEl.textContent = `${request.fromName} is asking to take over editing this report.`;
+            }
+            document.getElementById('handoffRequestModal').classList.remove('hidden');
+        }
+
+        function hideHandoffRequestModal() {
+            document.getElementById('handoffRequestModal').classList.add('hidden');
+            pendingHandoffRequest = null;
+        }
+
+        /**
+         * Accept a handoff: save work, release the lock, then tell the requester
+         */
+        async function handleHandoffAccept() {
+            const request = pendingHandoffRequest;
+            if (!request) return;
+
+            const btn = document.getElementById('handoffAcceptBtn');
+            if (btn) {
+                btn.disabled = true;
+                btn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Saving...';
+            }
+
+            try {
+                saveToLocalStorage();
+                // An autosave may be running - wait for it, then save the latest state
+                await flushReportToSupabase();
+            } catch (e) {
+                console.error('[LOCK] Save before handoff failed:', e);
+            }
+
+            await window.lockManager.releaseCurrentLock();
+            await window.lockManager.respondToHandoff(request, true);
+            hideHandoffRequestModal();
+
+            window.location.href = 'index.html';
+        }
+
+        /**
+         * Decline a handoff request
+         */
+        async function handleHandoffDecline() {
+            const request = pendingHandoffRequest;
+            hideHandoffRequestModal();
+            if (request) {
+                await window.lockManager.respondToHandoff(request, false);
+            }
+        }
+
+        /**
+         * Another device force-took the lock while we were editing
+         * @param {Object} editor - The new editor's presence meta
+         */
+        function handleLockLost(editor) {
+            saveToLocalStorage();
+            alert(`${editor.inspectorName || 'Another user'} has taken over editing this report. Your changes were saved on this device.`);
+            window.location.href = 'index.html';
+        }
+
         /**
          * Handle "Go Back" from lock warning modal
          */
@@ -1146,8 +1308,13 @@
                 // Always delete from localStorage using the correct key
                 deleteCurrentReport(draftId);
 
+                // Voice memos are only kept for this report
+                window.audioMemos?.cancel();
+                await window.idb.deleteAudioMemosByReportId(getMemoReportId());
+
                 // Clear any sync queue items for this report
                 clearSyncQueueForReport(draftId);
+                window.reportMerge.clearBaseSnapshot(currentReportId);
 
                 // Reset local state
                 currentReportId = null;
@@ -1182,12 +1349,12 @@
                 // 1. Get photos to delete from storage
                 const { data: photos } = await supabaseClient
                     .from('photos')
-                    .select('id, storage_path')
+                    .select('id, storage_path, annotated_storage_path')
                     .eq('report_id', reportId);
 
-                // 2. Delete photos from storage bucket
+                // 2. Delete photos (and annotated copies) from storage bucket
                 if (photos && photos.length > 0) {
-                    const storagePaths = photos.map(p => p.storage_path).filter(Boolean);
+                    const storagePaths = photos.flatMap(p => [p.storage_path, p.annotated_storage_path]).filter(Boolean);
                     if (storagePaths.length > 0) {
                         await supabaseClient.storage
                             .from('report-photos')
@@ -1201,25 +1368,43 @@
                     .delete()
                     .eq('report_id', reportId);
 
-                // 4. Delete from report_entries
+                // 4. Delete voice memos from storage bucket
+                const { data: memos } = await supabaseClient
+                    .from('audio_memos')
+                    .select('id, storage_path')
+                    .eq('report_id', reportId);
+                const memoPaths = (memos || []).map(m => m.storage_path).filter(Boolean);
+                if (memoPaths.length > 0) {
+                    await supabaseClient.storage
+                        .from('report-audio')
+                        .remove(memoPaths);
+                }
+
+                // 5. Delete from audio_memos table
+                await supabaseClient
+                    .from('audio_memos')
+                    .delete()
+                    .eq('report_id', reportId);
+
+                // 6. Delete from report_entries
                 await supabaseClient
                     .from('report_entries')
                     .delete()
                     .eq('report_id', reportId);
 
-                // 5. Delete from report_raw_capture
+                // 7. Delete from report_raw_capture
                 await supabaseClient
                     .from('report_raw_capture')
                     .delete()
                     .eq('report_id', reportId);
 
-                // 6. Delete from ai_responses (if any)
+                // 8. Delete from ai_responses (if any)
                 await supabaseClient
                     .from('ai_responses')
                     .delete()
                     .eq('report_id', reportId);
 
-                // 7. Delete from reports (last, as it's the parent)
+                // 9. Delete from reports (last, as it's the parent)
                 await supabaseClient
                     .from('reports')
                     .delete()
@@ -1244,6 +1429,7 @@
                 const queue = getStorageItem(STORAGE_KEYS.SYNC_QUEUE) || [];
                 const filtered = queue.filter(item => item.reportId !== reportId);
                 setStorageItem(STORAGE_KEYS.SYNC_QUEUE, filtered);
+                clearOutboxForReport(reportId);
                 console.log('[CANCEL] Cleared sync queue for report:', reportId);
             } catch (error) {
                 console.error('[CANCEL] Error clearing sync queue:', error);
@@ -1384,6 +1570,10 @@
                         <div class="flex items-center justify-between px-3 py-2 bg-slate-50 border-b border-slate-200">
                             <span class="text-xs text-slate-500 font-medium">${time}</span>
                             <div class="flex items-center gap-3">
+                                <button type="button" data-dictation-freeform="${entry.id}" class="dictation-btn hidden text-slate-400 hover:text-dot-blue p-1" title="Hold to dictate" aria-label="Hold to dictate">
+                                    <i class="fas fa-microphone text-xs"></i>
+                                </button>
+                                ${renderEntryMemoButton(entry, 'freeform')}
                                 <button onclick="startFreeformEdit('${entry.id}')" class="freeform-edit-btn text-slate-400 hover:text-dot-blue p-1" title="Edit">
                                     <i class="fas fa-pencil-alt text-xs"></i>
                                 </button>
@@ -1398,6 +1588,8 @@
                     </div>
                 `;
             }).join('');
+
+            initDictationButtons(container);
         }
 
         /**
@@ -1432,6 +1624,7 @@
                             entry.content = textarea.value.trim();
                             entry.updated_at = Date.now();
                             entry.synced = false;
+                            claimDictationClips(`freeform:${entryId}`, entry);
                             if (currentReportId) {
                                 queueEntryBackup(currentReportId, entry);
                             }
@@ -1451,6 +1644,7 @@
                             entry.content = newContent;
                             entry.updated_at = Date.now();
                             entry.synced = false;
+                            claimDictationClips(`freeform:${entryId}`, entry);
                             if (currentReportId) queueEntryBackup(currentReportId, entry);
                             saveReport();
                             console.log('[AUTOSAVE] Freeform entry saved on blur:', entryId);
@@ -1488,6 +1682,7 @@
                 entry.content = newContent;
                 entry.updated_at = Date.now();
                 entry.synced = false;
+                claimDictationClips(`freeform:${entryId}`, entry);
                 
                 // Queue for real-time backup to Supabase
                 if (currentReportId) {
@@ -1720,13 +1915,21 @@
             grid.innerHTML = photos.map((p, idx) => `
                 <div class="border-2 border-slate-300 overflow-hidden bg-slate-100">
                     <div class="relative">
-                        <img src="${p.url}" class="w-full aspect-square object-cover" onerror="this.onerror=null; this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23cbd5e1%22 width=%22100%22 height=%22100%22/><text x=%2250%22 y=%2250%22 text-anchor=%22middle%22 dy=%22.3em%22 fill=%22%2364748b%22 font-size=%2212%22>Error</text></svg>';">
+                        <img src="${p.annotatedUrl || p.url}" class="w-full aspect-square object-cover" onerror="this.onerror=null; this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23cbd5e1%22 width=%22100%22 height=%22100%22/><text x=%2250%22 y=%2250%22 text-anchor=%22middle%22 dy=%22.3em%22 fill=%22%2364748b%22 font-size=%2212%22>Error</text></svg>';">
                         <button onclick="deleteMinimalPhoto(${idx})" class="absolute top-2 right-2 w-7 h-7 bg-red-600 text-white text-xs flex items-center justify-center shadow-lg"><i class="fas fa-times"></i></button>
+                        <button onclick="annotatePhoto(${idx})" class="absolute top-2 left-2 w-7 h-7 ${p.annotatedUrl ? 'bg-dot-orange' : 'bg-dot-navy'} text-white text-xs flex items-center justify-center shadow-lg" title="Mark up photo"><i class="fas fa-pen"></i></button>
                         <div class="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/90 via-black/60 to-transparent p-2 pt-6">
                             <div class="flex items-center gap-1 text-white/90 mb-1">
                                 <i class="fas fa-clock text-[8px]"></i>
                                 <p class="text-[10px] font-medium">${p.date || ''} ${p.time || ''}</p>
                             </div>
+                            ${p.dateMismatch ? `
+                                <div class="flex items-center gap-1 text-dot-orange mb-1">
+                                    <i class="fas fa-calendar-xmark text-[8px]"></i>
+                                    <p class="text-[9px] font-bold">Not taken on report date</p>
+                                </div>
+                            ` : ''}
+                            ${getPhotoWarningHtml(p)}
                             ${p.gps ? `
                                 <div class="flex items-center gap-1 text-safety-green">
                                     <i class="fas fa-map-marker-alt text-[8px]"></i>
@@ -1742,6 +1945,7 @@
                         </div>
                     </div>
                     <div class="p-2 bg-white">
+                        <div id="upload-status-${p.id}">${getPhotoUploadStatusHtml(p)}</div>
                         <textarea
                             class="w-full text-xs border border-slate-200 rounded p-2 bg-slate-50 focus:bg-white focus:border-dot-blue focus:outline-none resize-none"
                             placeholder="Add caption..."
@@ -1767,48 +1971,33 @@
                 try {
                     showToast('Processing photo...', 'info');
 
-                    // Get GPS if available (using multi-reading high accuracy)
-                    let gps = null;
-                    try {
-                        gps = await getHighAccuracyGPS(true);
-                    } catch (e) {
-                        console.warn('[PHOTO] GPS failed:', e);
-                    }
+                    // Capture time and GPS from EXIF, falling back to now and a live GPS fix
+                    const { exif, capturedAt, gps, dateMismatch } = await getPhotoCaptureInfo(file);
 
                     const photoId = crypto.randomUUID();
-                    const now = new Date();
 
-                    // Compress image
+                    // Compress image (rotated upright - the compressed copy has no EXIF),
+                    // harder on a slow connection
+                    const { maxWidth, quality } = window.uploadManager.getCompressionSettings();
                     const rawDataUrl = await readFileAsDataURL(file);
-                    const compressedDataUrl = await compressImage(rawDataUrl, 1200, 0.7);
-
-                    // Try to upload to Supabase if online, otherwise store base64 for later
-                    let storagePath = null;
-                    let publicUrl = compressedDataUrl; // Use base64 as fallback URL for display
-
-                    if (navigator.onLine) {
-                        try {
-                            showToast('Uploading photo...', 'info');
-                            const compressedBlob = await dataURLtoBlob(compressedDataUrl);
-                            const result = await uploadPhotoToSupabase(compressedBlob, photoId);
-                            storagePath = result.storagePath;
-                            publicUrl = result.publicUrl;
-                        } catch (uploadErr) {
-                            console.warn('[PHOTO] Upload failed, saving locally:', uploadErr);
-                            // Keep base64 for later upload
-                        }
-                    }
+                    const compressedDataUrl = await compressImage(rawDataUrl, maxWidth, quality, exif?.orientation || 1);
+                    const { analysis, duplicateOf } = await checkNewPhoto(compressedDataUrl);
 
+                    // Saved locally first; uploadLocalPhoto() sends it up in the background
                     const photoObj = {
                         id: photoId,
-                        url: publicUrl,
-                        base64: storagePath ? null : compressedDataUrl, // Only store base64 if not uploaded
-                        storagePath: storagePath,
+                        url: compressedDataUrl,
+                        base64: compressedDataUrl,
+                        storagePath: null,
                         caption: '',
-                        timestamp: now.toISOString(),
-                        date: now.toLocaleDateString(),
-                        time: now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+                        timestamp: capturedAt.toISOString(),
+                        date: capturedAt.toLocaleDateString(),
+                        time: capturedAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
                         gps: gps,
+                        exif: exif,
+                        dateMismatch: dateMismatch,
+                        analysis: analysis,
+                        duplicateOf: duplicateOf,
                         fileName: file.name,
                         fileSize: file.size,
                         fileType: file.type
@@ -1821,7 +2010,7 @@
 
                     renderMinimalPhotos();
                     saveReport();
-                    showToast(storagePath ? 'Photo saved' : 'Photo saved locally', 'success');
+                    announceNewPhoto(photoObj);
                 } catch (err) {
                     console.error('Error adding photo:', err);
                     showToast('Failed to add photo', 'error');
@@ -1841,20 +2030,7 @@
             if (!confirm('Delete this photo?')) return;
 
             const photo = report.photos[idx];
-            if (photo) {
-                // Delete from IndexedDB first
-                try {
-                    await window.idb.deletePhoto(photo.id);
-                    console.log('[PHOTO] Deleted from IndexedDB:', photo.id);
-                } catch (err) {
-                    console.warn('[PHOTO] Failed to delete from IndexedDB:', err);
-                }
-
-                // Delete from Supabase if it was uploaded
-                if (photo.storagePath) {
-                    await deletePhotoFromSupabase(photo.id, photo.storagePath);
-                }
-            }
+            if (photo) await discardPhoto(photo);
 
             report.photos.splice(idx, 1);
             saveReport();
@@ -1872,8 +2048,6 @@
         }
 
         // ============ AI PROCESSING WEBHOOK ============
-        const N8N_PROCESS_WEBHOOK = 'https://advidere.app.n8n.cloud/webhook/fieldvoice-refine-v6.6';
-
         /**
          * Build the payload for AI processing
          */
@@ -1919,11 +2093,17 @@
                     id: p.id,
                     url: p.url,
                     storagePath: p.storagePath,
+                    annotatedUrl: p.annotatedUrl || null,
+                    annotatedStoragePath: p.annotatedStoragePath || null,
+                    annotations: p.annotations || null,
                     caption: p.caption || '',
                     timestamp: p.timestamp,
                     date: p.date,
                     time: p.time,
-                    gps: p.gps
+                    gps: p.gps,
+                    exif: p.exif || null,
+                    dateMismatch: !!p.dateMismatch,
+                    pairedPhoto: p.pairedPhoto || null
                 })),
 
                 reportDate: report.overview?.date || new Date().toLocaleDateString(),
@@ -1942,63 +2122,85 @@
         }
 
         /**
-         * Call the AI processing webhook
+         * Call the AI processing webhook (provider selected in Settings, see ai-provider.js)
+         * aiGenerated comes back repaired to the ai-schema.js schema, with data.validation
          */
         async function callProcessWebhook(payload) {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
+            const data = await window.aiProvider.refine(payload);
 
-            try {
-                const response = await fetch(N8N_PROCESS_WEBHOOK, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
-                });
+            if (!data.validation.valid) {
+                console.warn('[AI] Response still fails schema after repair:', data.validation.errors);
+            }
 
-                clearTimeout(timeoutId);
+            // Log the AI response for debugging
+            console.log('[AI] Received response from', data.provider + ':', JSON.stringify(data.aiGenerated, null, 2));
 
-                if (!response.ok) {
-                    throw new Error(`Webhook failed: ${response.status}`);
-                }
+            return data;
+        }
 
-                const data = await response.json();
+        /**
+         * Streaming providers: save the report without AI content and open report.html,
+         * which streams the refine (report.js startStreamingRefine) and fills in
+         * sections as they arrive instead of waiting here for the whole response
+         * @param {Object} payload - Refine payload
+         * @param {string} defaultCaptureMode - 'minimal' or 'guided'
+         */
+        async function openReportForStreamingRefine(payload, defaultCaptureMode) {
+            report.meta.status = 'refined';
+            await saveReportToSupabase();
 
-                // Validate response structure
-                if (!data.success && !data.aiGenerated) {
-                    console.error('Invalid webhook response:', data);
-                    throw new Error('Invalid response from AI processing');
-                }
+            const todayStr = getTodayDateString();
+            const reportDataPackage = {
+                reportId: currentReportId,
+                projectId: activeProject?.id,
+                reportDate: todayStr,
+                status: 'refined',
+                aiGenerated: {},
+                aiValidation: null,
+                captureMode: report.meta?.captureMode || defaultCaptureMode,
+                originalInput: payload,
+                userEdits: {},
+
+                // Picked up by report.html - cleared once every section has arrived
+                refineStream: {
+                    payload,
+                    startedAt: new Date().toISOString(),
+                    failedSections: null
+                },
 
-                // If aiGenerated is a string, try to parse it
-                if (typeof data.aiGenerated === 'string') {
-                    try {
-                        data.aiGenerated = JSON.parse(data.aiGenerated);
-                    } catch (e) {
-                        console.error('Failed to parse aiGenerated string:', e);
-                    }
-                }
+                createdAt: report.meta?.createdAt || new Date().toISOString(),
+                lastSaved: new Date().toISOString()
+            };
 
-                // Validate required fields in AI response
-                const ai = data.aiGenerated;
-                if (ai) {
-                    // Ensure arrays exist
-                    ai.activities = ai.activities || [];
-                    ai.operations = ai.operations || [];
-                    ai.equipment = ai.equipment || [];
-                    ai.generalIssues = ai.generalIssues || [];
-                    ai.qaqcNotes = ai.qaqcNotes || [];
-                    ai.safety = ai.safety || { hasIncidents: false, noIncidents: true, notes: '' };
-                }
+            const saveSuccess = await saveReportData(currentReportId, reportDataPackage);
+            if (!saveSuccess) {
+                throw new Error('Failed to save report package');
+            }
+            console.log('[LOCAL] Report package saved for streaming refine:', currentReportId);
 
-                // Log the AI response for debugging
-                console.log('[AI] Received response:', JSON.stringify(data.aiGenerated, null, 2));
+            const currentReports = JSON.parse(localStorage.getItem('fvp_current_reports') || '{}');
+            currentReports[currentReportId] = {
+                id: currentReportId,
+                project_id: activeProject?.id,
+                project_name: activeProject?.projectName || activeProject?.project_name,
+                date: todayStr,
+                report_date: todayStr,
+                status: 'refined',
+                created_at: report.meta?.createdAt ? new Date(report.meta.createdAt).getTime() : Date.now(),
+                lastSaved: new Date().toISOString()
+            };
+            localStorage.setItem('fvp_current_reports', JSON.stringify(currentReports));
 
-                return data;
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
+            const draftKey = `draft_${activeProject?.id}_${todayStr}`;
+            if (currentReportId && currentReportId !== draftKey) {
+                deleteCurrentReport(draftKey);
+            }
+
+            if (window.lockManager) {
+                await window.lockManager.releaseCurrentLock();
             }
+
+            window.location.href = `report.html?date=${todayStr}&reportId=${currentReportId}`;
         }
 
         /**
@@ -2012,16 +2214,20 @@
 
         /**
          * Save AI response to Supabase
+         * @param {Object} response - aiGenerated
+         * @param {number} processingTimeMs
+         * @param {Object} [validation] - Schema validation report (ai-schema.js)
          */
-        async function saveAIResponse(response, processingTimeMs) {
+        async function saveAIResponse(response, processingTimeMs, validation) {
             if (!currentReportId) return;
 
             try {
                 const responseData = {
                     report_id: currentReportId,
                     response_payload: response,
-                    model_used: 'n8n-fieldvoice-refine',
+                    model_used: window.aiProvider.getProviderConfig().modelUsed,
                     processing_time_ms: processingTimeMs,
+                    validation_report: validation || null,
                     received_at: new Date().toISOString()
                 };
 
@@ -2086,49 +2292,11 @@
 
         /**
          * Handle offline/error scenario for AI processing
-         * v6: Uses addToSyncQueue() from storage-keys.js for offline queue
+         * The report is kept locally as pending_refine; report.html retries the refine
+         * (retryRefineProcessing()), so nothing is queued for sync here
          */
         function handleOfflineProcessing(payload, redirectToDrafts = false) {
-            const activeProjectId = getStorageItem(STORAGE_KEYS.ACTIVE_PROJECT_ID);
-            const todayStr = getTodayDateString();
-
-            // v6: Use addToSyncQueue for offline operations
-            const syncOperation = {
-                type: 'report',
-                action: 'upsert',
-                data: {
-                    projectId: activeProjectId,
-                    projectName: report.overview?.projectName || activeProject?.projectName || 'Unknown Project',
-                    reportDate: todayStr,
-                    captureMode: report.meta?.captureMode || 'guided',
-                    payload: payload,
-                    reportData: {
-                        meta: report.meta,
-                        overview: report.overview,
-                        weather: report.overview?.weather,
-                        guidedNotes: report.guidedNotes,
-                        fieldNotes: report.fieldNotes,
-                        activities: report.activities,
-                        operations: report.operations,
-                        equipment: report.equipment,
-                        photos: report.photos,
-                        safety: report.safety,
-                        generalIssues: report.generalIssues,
-                        qaqcNotes: report.qaqcNotes,
-                        contractorCommunications: report.contractorCommunications,
-                        visitorsRemarks: report.visitorsRemarks,
-                        additionalNotes: report.additionalNotes,
-                        reporter: report.reporter
-                    }
-                },
-                timestamp: Date.now()
-            };
-
-            // v6: Add to sync queue using storage-keys.js helper
-            addToSyncQueue(syncOperation);
-            console.log('[OFFLINE] Report added to sync queue');
-
-            // Also update local meta status
+            // Mark for the refine retry on report.html
             report.meta.status = 'pending_refine';
             saveReport();
 
@@ -2166,6 +2334,9 @@
                 return;
             }
 
+            // Offer to drop duplicate / low-quality photos before they upload
+            if (!(await reviewFlaggedPhotos(renderMinimalPhotos))) return;
+
             // Get button reference for loading state
             const finishBtn = document.querySelector('#minimalModeScreen button[onclick="finishMinimalReport()"]');
             const originalBtnHtml = finishBtn ? finishBtn.innerHTML : '';
@@ -2186,6 +2357,7 @@
 
             // Upload any pending photos and insert metadata into photos table
             await uploadPendingPhotos();
+            await uploadPendingAudioMemos();
 
             // Build payload
             const payload = buildProcessPayload();
@@ -2199,6 +2371,21 @@
             // Save AI request to Supabase
             await saveAIRequest(payload);
 
+            // Streaming provider - report.html renders sections as they arrive
+            if (window.aiProvider.getProviderConfig().streaming) {
+                try {
+                    await openReportForStreamingRefine(payload, 'minimal');
+                } catch (error) {
+                    console.error('[AI] Could not hand off to streaming refine:', error);
+                    if (finishBtn) {
+                        finishBtn.disabled = false;
+                        finishBtn.innerHTML = originalBtnHtml;
+                    }
+                    showToast('Could not open the report. Your data is safe - please try again.', 'error');
+                }
+                return;
+            }
+
             const startTime = Date.now();
 
             // Call webhook
@@ -2207,7 +2394,7 @@
                 const processingTime = Date.now() - startTime;
 
                 // Save AI response to Supabase
-                await saveAIResponse(result.aiGenerated, processingTime);
+                await saveAIResponse(result.aiGenerated, processingTime, result.validation);
 
                 // Save AI response to local report
                 if (result.aiGenerated) {
@@ -2216,7 +2403,7 @@
                 report.meta.status = 'refined';
                 await saveReportToSupabase();
 
-                // v6.6.2: Save complete report package to single localStorage key
+                // v6.6.2: Save complete report package (IndexedDB via saveReportData)
                 // This is the source of truth for report.html
                 const todayStr = getTodayDateString();
                 const reportDataPackage = {
@@ -2227,6 +2414,7 @@
 
                     // From n8n webhook response
                     aiGenerated: result.aiGenerated || {},
+                    aiValidation: result.validation || null,
                     captureMode: result.captureMode || report.meta?.captureMode || 'minimal',
 
                     // Original field notes (for "Original Notes" tab)
@@ -2240,11 +2428,11 @@
                     lastSaved: new Date().toISOString()
                 };
 
-                const saveSuccess = saveReportData(currentReportId, reportDataPackage);
+                const saveSuccess = await saveReportData(currentReportId, reportDataPackage);
                 if (saveSuccess) {
-                    console.log('[LOCAL] Complete report package saved to localStorage:', currentReportId);
+                    console.log('[LOCAL] Complete report package saved:', currentReportId);
                 } else {
-                    console.warn('[LOCAL] Failed to save report package to localStorage');
+                    console.warn('[LOCAL] Failed to save report package');
                 }
 
                 // v6.6.3: Update fvp_current_reports so dashboard can find this refined report
@@ -2466,6 +2654,7 @@
                                     <p class="entry-content text-sm text-slate-700 mt-1">${escapeHtml(entry.content)}</p>
                                 </div>
                                 <div class="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                    ${renderEntryMemoButton(entry)}
                                     <button onclick="startEditEntry('${entry.id}', 'contractor-work')" 
                                             class="edit-btn text-slate-400 hover:text-dot-blue p-1">
                                         <i class="fas fa-pencil-alt text-xs"></i>
@@ -2531,8 +2720,13 @@
                                             class="px-4 py-2 ${bgColor} hover:opacity-90 text-white font-bold rounded transition-colors">
                                         <i class="fas fa-plus"></i>
                                     </button>
+                                    <button type="button" data-dictation-section="work_${contractor.id}" data-dictation-target="work-input-${contractor.id}"
+                                            class="dictation-btn hidden px-4 py-2 bg-dot-blue hover:bg-dot-navy text-white font-bold rounded transition-colors"
+                                            title="Hold to dictate" aria-label="Hold to dictate">
+                                        <i class="fas fa-microphone"></i>
+                                    </button>
                                 </div>
-                                <p class="text-xs text-slate-400"><i class="fas fa-microphone mr-1"></i>Tap keyboard mic to dictate</p>
+                                <p class="text-xs text-slate-400"><i class="fas fa-microphone mr-1"></i>Hold the mic or use your keyboard mic to dictate</p>
                             </div>
                         </div>
                     </div>
@@ -2546,6 +2740,8 @@
             projectContractors.forEach(contractor => {
                 initContractorWorkAutoSave(contractor.id);
             });
+
+            initDictationButtons(container);
         }
 
         /**
@@ -3045,14 +3241,16 @@
 
         /**
          * v6.6: Add a new equipment row
+         * @param {Object} [fields] - Prefilled contractorId/type/qty/status (voice commands)
+         * @returns {Object} The new row
          */
-        function addEquipmentRow() {
+        function addEquipmentRow(fields = {}) {
             const row = {
                 id: `eq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                contractorId: '',
-                type: '',
-                qty: 1,
-                status: 'Idle',
+                contractorId: fields.contractorId || '',
+                type: fields.type || '',
+                qty: fields.qty || 1,
+                status: fields.status || 'Idle',
                 timestamp: new Date().toISOString()
             };
             if (!report.equipmentRows) report.equipmentRows = [];
@@ -3061,6 +3259,7 @@
             renderEquipmentSection();
             updateEquipmentPreview();
             updateProgress();
+            return row;
         }
 
         /**
@@ -3120,9 +3319,206 @@
             return (report.equipmentRows || []).length > 0;
         }
 
+        // ============ CREW SUGGESTIONS ============
+        // Personnel counts and equipment picked out of the inspector's notes (crew-parser.js),
+        // shown at the top of the Personnel and Equipment sections for one-tap acceptance.
+        // Dismissed suggestions are kept in report.meta.dismissedSuggestions.
+        let crewSuggestions = { personnel: [], equipment: [] };
+
+        /**
+         * Note text to look through - guided entries (work card entries default to that
+         * contractor), freeform entries and the legacy work summary
+         */
+        function getCrewSuggestionSources() {
+            const sources = (report.entries || [])
+                .filter(e => !e.is_deleted && e.content)
+                .map(e => ({
+                    text: e.content,
+                    contractorId: e.section?.startsWith('work_') ? e.section.slice(5) : ''
+                }));
+
+            (report.freeform_entries || []).forEach(e => {
+                if (e.content) sources.push({ text: e.content });
+            });
+            if (report.guidedNotes?.workSummary) sources.push({ text: report.guidedNotes.workSummary });
+
+            return sources;
+        }
+
+        function getCrewSuggestionKey(type, suggestion) {
+            if (type === 'personnel') {
+                return `personnel:${suggestion.contractorId}:${window.crewParser.ROLES.map(role => suggestion.counts[role] || 0).join('/')}`;
+            }
+            return `equipment:${suggestion.contractorId}:${suggestion.type.toLowerCase()}:${suggestion.qty}:${suggestion.status}`;
+        }
+
+        /**
+         * Proposals that aren't already on the cards/rows and haven't been dismissed
+         */
+        function getCrewSuggestions() {
+            if (!window.crewParser || !report) return { personnel: [], equipment: [] };
+
+            const proposals = window.crewParser.propose(getCrewSuggestionSources(), {
+                contractors: projectContractors,
+                equipment: activeProject?.equipment || []
+            });
+            const dismissed = report.meta?.dismissedSuggestions || [];
+
+            const personnel = proposals.personnel.filter(suggestion => {
+                if (!projectContractors.some(c => c.id === suggestion.contractorId)) return false;
+                const ops = getContractorOperations(suggestion.contractorId) || {};
+                const applied = Object.entries(suggestion.counts).every(([role, count]) => ops[role] === count);
+                return !applied && !dismissed.includes(getCrewSuggestionKey('personnel', suggestion));
+            });
+
+            const equipment = proposals.equipment.filter(suggestion => {
+                const exists = (report.equipmentRows || []).some(row =>
+                    (row.type || '').trim().toLowerCase() === suggestion.type.toLowerCase() &&
+                    (row.contractorId || '') === suggestion.contractorId
+                );
+                return !exists && !dismissed.includes(getCrewSuggestionKey('equipment', suggestion));
+            });
+
+            return { personnel, equipment };
+        }
+
+        /**
+         * Render the suggestion boxes in the guided Personnel and Equipment sections
+         */
+        function renderCrewSuggestions() {
+            crewSuggestions = getCrewSuggestions();
+
+            // Nothing to put personnel on when the section is marked "no contractors"
+            const personnel = getToggleState('personnel_onsite') === false ? [] : crewSuggestions.personnel;
+            renderCrewSuggestionBox('personnel-suggestions', 'personnel', personnel, suggestion => {
+                const contractor = projectContractors.find(c => c.id === suggestion.contractorId);
+                return {
+                    title: contractor ? contractor.abbreviation || contractor.name : 'Contractor',
+                    detail: window.crewParser.describeCounts(suggestion.counts)
+                };
+            });
+
+            renderCrewSuggestionBox('equipment-suggestions', 'equipment', crewSuggestions.equipment, suggestion => {
+                const contractor = projectContractors.find(c => c.id === suggestion.contractorId);
+                return {
+                    title: `${suggestion.qty > 1 ? `${suggestion.qty}x ` : ''}${suggestion.type}`,
+                    detail: `${suggestion.status === 'Idle' ? 'Idle' : suggestion.status}${contractor ? ` • ${contractor.abbreviation || contractor.name}` : ''}`
+                };
+            });
+        }
+
+        function renderCrewSuggestionBox(containerId, type, suggestions, describe) {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+
+            if (suggestions.length === 0) {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                return;
+            }
+
+            container.classList.remove('hidden');
+            container.innerHTML = `
+                <div class="flex items-center justify-between mb-2">
+                    <p class="text-xs font-bold text-dot-blue uppercase"><i class="fas fa-wand-magic-sparkles mr-1"></i>From your notes</p>
+                    ${suggestions.length > 1 ? `
+                        <button onclick="applyAllCrewSuggestions('${type}')" class="text-xs font-bold text-dot-blue uppercase hover:underline">Apply all</button>
+                    ` : ''}
+                </div>
+                <div class="space-y-2">
+                    ${suggestions.map((suggestion, index) => {
+                        const { title, detail } = describe(suggestion);
+                        return `
+                            <div class="bg-white border border-dot-blue/30 p-2 flex items-center gap-2">
+                                <div class="flex-1 min-w-0">
+                                    <p class="text-sm font-bold text-slate-800 truncate">${escapeHtml(title)}</p>
+                                    <p class="text-xs text-slate-600">${escapeHtml(detail)}</p>
+                                    <p class="text-[10px] text-slate-400 italic truncate">"${escapeHtml(suggestion.heard[0])}"</p>
+                                </div>
+                                <button onclick="applyCrewSuggestion('${type}', ${index})" class="px-3 py-2 bg-dot-blue text-white text-xs font-bold uppercase" title="Apply">
+                                    <i class="fas fa-check"></i>
+                                </button>
+                                <button onclick="dismissCrewSuggestion('${type}', ${index})" class="px-2 py-2 text-slate-400 hover:text-slate-600" title="Dismiss">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        }
+
+        /**
+         * Apply one suggestion - personnel counts fill only the roles that were mentioned
+         * @param {string} type - 'personnel' or 'equipment'
+         * @param {number} index - Index into crewSuggestions[type]
+         */
+        function applyCrewSuggestion(type, index) {
+            const suggestion = crewSuggestions[type]?.[index];
+            if (!suggestion) return;
+
+            applyCrewSuggestionData(type, suggestion);
+            afterCrewSuggestionsApplied(type);
+            showToast(type === 'personnel' ? 'Personnel counts filled in' : 'Equipment added', 'success');
+        }
+
+        function applyAllCrewSuggestions(type) {
+            const suggestions = crewSuggestions[type] || [];
+            if (suggestions.length === 0) return;
+
+            suggestions.forEach(suggestion => applyCrewSuggestionData(type, suggestion));
+            afterCrewSuggestionsApplied(type);
+            showToast(`${suggestions.length} suggestions applied`, 'success');
+        }
+
+        function applyCrewSuggestionData(type, suggestion) {
+            if (type === 'personnel') {
+                initializeOperations();
+                const ops = getContractorOperations(suggestion.contractorId);
+                if (!ops) return;
+                Object.entries(suggestion.counts).forEach(([role, count]) => {
+                    ops[role] = count;
+                });
+                console.log('[CREW] Applied personnel for', suggestion.contractorId, suggestion.counts);
+            } else {
+                if (!report.equipmentRows) report.equipmentRows = [];
+                report.equipmentRows.push({
+                    id: `eq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    contractorId: suggestion.contractorId,
+                    type: suggestion.type,
+                    qty: suggestion.qty,
+                    status: suggestion.status,
+                    timestamp: new Date().toISOString()
+                });
+                console.log('[CREW] Added equipment', suggestion.type, suggestion.status);
+            }
+        }
+
+        function afterCrewSuggestionsApplied(type) {
+            saveReport();
+            if (type === 'personnel') {
+                renderSection('personnel');
+            } else {
+                renderEquipmentSection();
+            }
+            updateAllPreviews();
+            updateProgress();
+        }
+
+        function dismissCrewSuggestion(type, index) {
+            const suggestion = crewSuggestions[type]?.[index];
+            if (!suggestion) return;
+
+            if (!report.meta.dismissedSuggestions) report.meta.dismissedSuggestions = [];
+            report.meta.dismissedSuggestions.push(getCrewSuggestionKey(type, suggestion));
+            saveReport();
+            renderCrewSuggestions();
+        }
+
         // ============ STORAGE (SUPABASE) ============
         let saveReportTimeout = null;
         let isSaving = false;
+        let activeSave = null;  // Resolves when the save in flight finishes
 
         /**
          * Generate a report storage key (kept for legacy/reference)
@@ -3205,6 +3601,11 @@
                     reportRow, rawCapture, contractorWork, personnel, equipmentUsage, photos
                 );
 
+                // First load on this device: the remote state is the merge base
+                if (!window.reportMerge.getBaseSnapshot(reportRow.id)) {
+                    window.reportMerge.saveBaseSnapshot(reportRow.id, window.reportMerge.fromRawData(rawCapture?.raw_data));
+                }
+
                 return reconstructedReport;
             } catch (e) {
                 console.error('Failed to load report from Supabase:', e);
@@ -3277,6 +3678,14 @@
                 }));
             }
 
+            // Set entries and equipment rows (stored in raw_data for cross-device merge)
+            if (Array.isArray(rawCapture?.raw_data?.entries)) {
+                report.entries = rawCapture.raw_data.entries;
+            }
+            if (Array.isArray(rawCapture?.raw_data?.equipment_rows)) {
+                report.equipmentRows = rawCapture.raw_data.equipment_rows;
+            }
+
             // Set equipment usage
             if (equipmentUsage && equipmentUsage.length > 0) {
                 report.equipment = equipmentUsage.map(eu => ({
@@ -3301,11 +3710,17 @@
                         id: p.id,
                         url: url,
                         storagePath: p.storage_path,
+                        annotatedUrl: p.annotated_url || null,
+                        annotatedStoragePath: p.annotated_storage_path || null,
+                        annotations: p.annotations || null,
                         caption: p.caption || '',
                         timestamp: p.taken_at,
                         date: new Date(p.taken_at).toLocaleDateString(),
                         time: new Date(p.taken_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
                         gps: p.location_lat && p.location_lng ? { lat: p.location_lat, lng: p.location_lng } : null,
+                        exif: p.exif || null,
+                        dateMismatch: !!p.exif?.takenDate && p.exif.takenDate !== reportRow.report_date,
+                        pairedPhoto: p.paired_photo || null,
                         fileName: p.photo_type,
                         fileType: p.photo_type
                     };
@@ -3381,7 +3796,11 @@
         async function saveReportToSupabase() {
             if (isSaving || !activeProject) return;
             isSaving = true;
+            let finishSave;
+            activeSave = new Promise(resolve => { finishSave = resolve; });
 
+            let mergeConflicts = [];
+            let saved = false;
             try {
                 const todayStr = getTodayDateString();
 
@@ -3399,6 +3818,10 @@
                     reportId = existingReport?.id || generateId();
                 }
 
+                // Merge in edits another device saved since our last sync (instead of last-write-wins).
+                // Conflicting fields are saved with this device's value and asked about afterwards.
+                mergeConflicts = await mergeRemoteChanges(reportId);
+
                 const reportData = {
                     id: reportId,
                     project_id: activeProject.id,
@@ -3471,7 +3894,10 @@
                     raw_data: {
                         contractor_work: contractorWorkArray,
                         personnel: personnelArray,
-                        equipment_usage: equipmentUsageArray
+                        equipment_usage: equipmentUsageArray,
+                        // Stored for cross-device merge (see report-merge.js)
+                        entries: report.entries || [],
+                        equipment_rows: report.equipmentRows || []
                     }
                 };
 
@@ -3493,55 +3919,447 @@
 
                 // Note: Photos are saved separately when uploaded via uploadPhotoToSupabase
 
+                // What we just wrote is the new common ancestor for the next merge
+                window.reportMerge.saveBaseSnapshot(reportId, window.reportMerge.extractMergeState(report));
+
                 console.log('[SUPABASE] Report saved successfully');
+                saved = true;
             } catch (err) {
                 console.error('[SUPABASE] Save failed:', err);
                 showToast('Failed to save report', 'error');
             } finally {
                 isSaving = false;
+                activeSave = null;
+                finishSave();
+            }
+
+            // Not awaited - callers (finish, handoff) don't wait on the inspector's choices
+            if (saved && mergeConflicts.length > 0) {
+                resolveMergeConflicts(mergeConflicts);
             }
         }
 
         /**
-         * Upload photo to Supabase Storage
+         * Save to Supabase once any save already in flight has finished, so what is on
+         * screen now is what gets saved (saveReportToSupabase() skips while one is running)
+         * @returns {Promise<void>}
          */
-        async function uploadPhotoToSupabase(file, photoId) {
-            if (!currentReportId) {
-                // Create report first if it doesn't exist
-                await saveReportToSupabase();
+        async function flushReportToSupabase() {
+            while (activeSave) {
+                await activeSave;
             }
+            await saveReportToSupabase();
+        }
 
-            const fileName = `${currentReportId}/${photoId}_${file.name}`;
-
+        /**
+         * Three-way merge remote entries/operations/equipmentRows into the local report
+         * Uses the base snapshot from the last sync. Conflicting fields keep the local value;
+         * they are returned for resolveMergeConflicts() to ask about once the save is done.
+         * @param {string} reportId - The Supabase report ID
+         * @returns {Promise<Array>} Conflicts from reportMerge.threeWayMerge (empty if none)
+         */
+        async function mergeRemoteChanges(reportId) {
             try {
-                const { data, error } = await supabaseClient.storage
-                    .from('report-photos')
-                    .upload(fileName, file, {
-                        cacheControl: '3600',
-                        upsert: false
-                    });
+                const { data: remoteCapture, error } = await supabaseClient
+                    .from('report_raw_capture')
+                    .select('raw_data')
+                    .eq('report_id', reportId)
+                    .maybeSingle();
 
-                if (error) {
-                    console.error('Error uploading photo:', error);
-                    throw error;
-                }
+                if (error || !remoteCapture) return []; // Nothing saved remotely yet
 
-                // Get public URL
-                const { data: urlData } = supabaseClient.storage
-                    .from('report-photos')
-                    .getPublicUrl(fileName);
+                const merge = window.reportMerge;
+                const base = merge.getBaseSnapshot(reportId);
+                const remote = merge.fromRawData(remoteCapture.raw_data);
 
-                return {
-                    storagePath: fileName,
-                    publicUrl: urlData?.publicUrl || ''
-                };
-            } catch (err) {
-                console.error('Photo upload failed:', err);
-                throw err;
-            }
-        }
+                // Remote unchanged since our last sync - local edits win outright
+                if (base && merge.statesEqual(base, remote)) return [];
 
-        /**
+                const result = merge.threeWayMerge(base, merge.extractMergeState(report), remote);
+                if (!result.changed && result.conflicts.length === 0) return [];
+
+                applyMergeState(result.state);
+
+                console.log('[MERGE] Merged remote changes:', result.conflicts.length, 'conflict(s)');
+                if (result.changed) {
+                    showToast('Merged changes from another device', 'info');
+                }
+                return result.conflicts;
+            } catch (e) {
+                // Fall back to saving local state as before
+                console.error('[MERGE] Merge failed, keeping local version:', e);
+                return [];
+            }
+        }
+
+        /**
+         * Put a merge state into the report and refresh the page
+         * @param {Object} state - { entries, operations, equipmentRows }
+         */
+        function applyMergeState(state) {
+            report.entries = state.entries;
+            report.operations = state.operations;
+            report.equipmentRows = state.equipmentRows;
+
+            saveToLocalStorage();
+            renderAllSections();
+            updateAllPreviews();
+            updateProgress();
+        }
+
+        // Conflict prompts run one after another if a later save finds more
+        let mergeConflictPrompt = Promise.resolve();
+
+        /**
+         * Ask which side wins for fields changed on both devices. The local values are
+         * already saved; fields switched to the other device's value are applied to the
+         * report as it is now (edits made while the modal was open are kept) and saved again.
+         * @param {Array} conflicts - Conflicts from reportMerge.threeWayMerge
+         * @returns {Promise<void>}
+         */
+        function resolveMergeConflicts(conflicts) {
+            mergeConflictPrompt = mergeConflictPrompt.then(async () => {
+                const resolutions = await showMergeConflictModal(conflicts);
+                const remoteChoices = conflicts.filter(c => resolutions[c.key] === 'remote');
+                if (remoteChoices.length === 0) return;
+
+                const merge = window.reportMerge;
+                applyMergeState(merge.applyResolutions(
+                    { state: merge.extractMergeState(report), conflicts: remoteChoices },
+                    resolutions
+                ));
+                console.log('[MERGE] Took the other device\'s value for', remoteChoices.length, 'conflict(s)');
+                await flushReportToSupabase();
+            }).catch(e => {
+                console.error('[MERGE] Conflict resolution failed:', e);
+            });
+            return mergeConflictPrompt;
+        }
+
+        // ============ PHOTO REVIEW MODAL ============
+        let photoReviewResolver = null;
+        let photoReviewRender = null;
+
+        /**
+         * Before photos go up on Finish, offer to drop the ones flagged as duplicates,
+         * blurry or badly exposed. Photos the inspector keeps aren't asked about again.
+         * @param {Function} render - Redraws the photo grid of the current mode
+         * @returns {Promise<boolean>} false to stay on the page instead of finishing
+         */
+        function reviewFlaggedPhotos(render) {
+            const flagged = (report.photos || []).filter(p => getPhotoWarnings(p).length > 0);
+            if (flagged.length === 0) return Promise.resolve(true);
+
+            photoReviewRender = render;
+            document.getElementById('photoReviewList').innerHTML = flagged.map(p => `
+                <label class="flex items-center gap-3 p-2 border border-slate-200 cursor-pointer">
+                    <input type="checkbox" class="photo-review-drop" value="${p.id}" checked>
+                    <img src="${p.annotatedUrl || p.url}" alt="" class="w-14 h-14 object-cover bg-slate-100 shrink-0">
+                    <span class="flex-1 min-w-0">
+                        <span class="block text-sm font-bold text-slate-800">Photo ${report.photos.indexOf(p) + 1}</span>
+                        <span class="block text-xs text-dot-orange">${escapeHtml(getPhotoWarnings(p).join(', '))}</span>
+                        ${p.caption ? `<span class="block text-xs text-slate-500 truncate">${escapeHtml(p.caption)}</span>` : ''}
+                    </span>
+                </label>
+            `).join('');
+
+            document.getElementById('photoReviewModal').classList.remove('hidden');
+
+            return new Promise(resolve => {
+                photoReviewResolver = resolve;
+            });
+        }
+
+        /**
+         * Close the review: drop the ticked photos (drop = true), keep the rest, carry on finishing.
+         * With continueFinish = false the report stays open and nothing changes.
+         */
+        async function closePhotoReview(drop, continueFinish = true) {
+            document.getElementById('photoReviewModal').classList.add('hidden');
+
+            if (continueFinish) {
+                const dropIds = drop
+                    ? Array.from(document.querySelectorAll('.photo-review-drop:checked')).map(input => input.value)
+                    : [];
+
+                for (const photo of report.photos.filter(p => dropIds.includes(p.id))) {
+                    await discardPhoto(photo);
+                }
+                report.photos = report.photos.filter(p => !dropIds.includes(p.id));
+                report.photos.forEach(p => {
+                    if (dropIds.includes(p.duplicateOf)) p.duplicateOf = null;
+                    if (getPhotoWarnings(p).length) p.qualityKept = true;
+                });
+
+                if (dropIds.length) {
+                    console.log(`[PHOTO] Dropped ${dropIds.length} flagged photo(s) before upload`);
+                    showToast(`${dropIds.length} photo${dropIds.length > 1 ? 's' : ''} removed`, 'info');
+                }
+                saveReport();
+                if (photoReviewRender) photoReviewRender();
+            }
+
+            photoReviewRender = null;
+            if (photoReviewResolver) {
+                photoReviewResolver(continueFinish);
+                photoReviewResolver = null;
+            }
+        }
+
+        // ============ MERGE CONFLICT MODAL ============
+        let mergeConflictResolver = null;
+        let pendingMergeConflicts = [];
+
+        /**
+         * Show the conflict resolution modal
+         * @param {Array} conflicts - Conflicts from reportMerge.threeWayMerge
+         * @returns {Promise<Object>} Map of conflict key -> 'local' | 'remote'
+         */
+        function showMergeConflictModal(conflicts) {
+            pendingMergeConflicts = conflicts;
+            const list = document.getElementById('mergeConflictList');
+            list.innerHTML = conflicts.map((conflict, i) => `
+                <div class="border border-slate-200 p-3">
+                    <p class="text-xs font-bold text-dot-blue uppercase tracking-wider mb-2">${escapeHtml(describeMergeConflict(conflict))}</p>
+                    <label class="flex items-start gap-2 p-2 border border-slate-200 mb-1 cursor-pointer">
+                        <input type="radio" name="mergeConflict_${i}" value="local" checked class="mt-1">
+                        <span class="text-sm text-slate-700"><span class="font-bold">This device:</span> ${escapeHtml(formatMergeValue(conflict, 'local'))}</span>
+                    </label>
+                    <label class="flex items-start gap-2 p-2 border border-slate-200 cursor-pointer">
+                        <input type="radio" name="mergeConflict_${i}" value="remote" class="mt-1">
+                        <span class="text-sm text-slate-700"><span class="font-bold">Other device:</span> ${escapeHtml(formatMergeValue(conflict, 'remote'))}</span>
+                    </label>
+                </div>
+            `).join('');
+
+            document.getElementById('mergeConflictModal').classList.remove('hidden');
+
+            return new Promise(resolve => {
+                mergeConflictResolver = resolve;
+            });
+        }
+
+        /**
+         * Select the same side for every conflict
+         * @param {'local'|'remote'} side
+         */
+        function selectAllMergeConflicts(side) {
+            pendingMergeConflicts.forEach((_, i) => {
+                const input = document.querySelector(`input[name="mergeConflict_${i}"][value="${side}"]`);
+                if (input) input.checked = true;
+            });
+        }
+
+        /**
+         * Apply the chosen resolutions and close the modal
+         */
+        function applyMergeConflictChoices() {
+            const resolutions = {};
+            pendingMergeConflicts.forEach((conflict, i) => {
+                const checked = document.querySelector(`input[name="mergeConflict_${i}"]:checked`);
+                resolutions[conflict.key] = checked ? checked.value : 'local';
+            });
+
+            document.getElementById('mergeConflictModal').classList.add('hidden');
+            pendingMergeConflicts = [];
+
+            if (mergeConflictResolver) {
+                mergeConflictResolver(resolutions);
+                mergeConflictResolver = null;
+            }
+        }
+
+        /**
+         * Human-readable label for a merge conflict
+         */
+        function describeMergeConflict(conflict) {
+            const item = conflict.local || conflict.remote || conflict.base || {};
+            const fieldLabel = conflict.field ? ` - ${conflict.field.replace(/_/g, ' ')}` : '';
+
+            if (conflict.collection === 'operations') {
+                const contractor = projectContractors.find(c => c.id === conflict.id);
+                return `Personnel: ${contractor?.name || 'Contractor'}${fieldLabel}`;
+            }
+            if (conflict.collection === 'equipmentRows') {
+                return `Equipment: ${item.type || 'Row'}${fieldLabel}`;
+            }
+            return `Note (${item.section || 'entry'})${fieldLabel}`;
+        }
+
+        /**
+         * Display value for one side of a merge conflict
+         */
+        function formatMergeValue(conflict, side) {
+            const value = conflict[side];
+            if (!conflict.field) {
+                if (value === null) return '(deleted)';
+                return value.content || value.type || 'Edited';
+            }
+            if (value === null || value === undefined || value === '') return '(empty)';
+            return String(value);
+        }
+
+        /**
+         * Upload photo to Supabase Storage - resumable and chunked (upload-manager.js), so a
+         * dropped connection picks up where it left off. Same path as the outbox (sync-manager.js
+         * pushPhoto), so either one can finish an upload the other started.
+         * Rejects with err.code PAUSED / WIFI_REQUIRED / OFFLINE when it can't go right now.
+         */
+        async function uploadPhotoToSupabase(file, photoId, fileName) {
+            if (!currentReportId) {
+                // Create report first if it doesn't exist
+                await saveReportToSupabase();
+            }
+
+            const storagePath = `${currentReportId}/${photoId}_${fileName || file.name || photoId}`;
+
+            try {
+                return await window.uploadManager.upload(file, {
+                    bucket: 'report-photos',
+                    path: storagePath,
+                    key: photoId
+                });
+            } catch (err) {
+                if (!UPLOAD_PUT_OFF_CODES.includes(err.code)) {
+                    console.error('Photo upload failed:', err);
+                }
+                throw err;
+            }
+        }
+
+        /**
+         * Upload a photo that so far is only on the device, in the background - progress shows
+         * under the photo. If it can't finish (paused, Wi-Fi only, offline, failed) the photo
+         * stays pending in IndexedDB and goes up with uploadPendingPhotos() on Finish.
+         */
+        async function uploadLocalPhoto(photoId) {
+            const photo = report.photos.find(p => p.id === photoId);
+            if (!photo || photo.storagePath || !navigator.onLine) return;
+
+            let result;
+            try {
+                // Drafts don't keep base64 - after a reload it's only in IndexedDB
+                const base64 = photo.base64 || (await window.idb.getPhoto(photoId))?.base64;
+                if (!base64) return;
+
+                const blob = await dataURLtoBlob(base64);
+                result = await uploadPhotoToSupabase(blob, photo.id, photo.fileName);
+            } catch (err) {
+                if (!UPLOAD_PUT_OFF_CODES.includes(err.code)) {
+                    console.warn('[PHOTO] Background upload failed, will retry on Finish:', photoId);
+                }
+                return;
+            }
+
+            // Deleted while it was uploading
+            const current = report.photos.find(p => p.id === photoId);
+            if (!current) {
+                await deletePhotoFromSupabase(photoId, result.storagePath);
+                return;
+            }
+
+            current.storagePath = result.storagePath;
+            current.url = result.publicUrl;
+            current.base64 = null;
+
+            // Re-read the record rather than overwrite it - it may have been marked up meanwhile.
+            // It stays 'pending' until uploadPendingPhotos() saves the metadata row.
+            try {
+                const record = await window.idb.getPhoto(photoId);
+                if (record) {
+                    record.storagePath = result.storagePath;
+                    record.url = result.publicUrl;
+                    record.base64 = null;
+                    await window.idb.savePhoto(record);
+                }
+            } catch (err) {
+                console.warn('[PHOTO] Failed to update IndexedDB after upload:', err);
+            }
+
+            saveReport();
+            console.log('[PHOTO] Uploaded in background:', photoId);
+        }
+
+        /**
+         * Upload progress bar and pause/resume button under a photo (empty once uploaded)
+         */
+        function getPhotoUploadStatusHtml(photo) {
+            const state = window.uploadManager.getState(photo.id);
+            if (photo.storagePath || state?.status === 'done') return '';
+
+            const percent = state?.total ? Math.round((state.sent / state.total) * 100) : 0;
+            const labels = {
+                uploading: `Uploading ${percent}%`,
+                queued: 'Queued',
+                paused: `Paused at ${percent}%`,
+                waiting: 'Waiting for Wi-Fi',
+                offline: 'Offline - uploads when back online',
+                error: 'Upload failed - tap to retry'
+            };
+            const label = state ? labels[state.status] : getPhotoWarnings(photo).length ? 'Held - review on Finish' : 'Saved on device';
+            const uploading = state?.status === 'uploading';
+            const canToggle = !state || ['uploading', 'paused', 'error'].includes(state.status);
+            const barColor = state?.status === 'error' ? 'bg-red-600' : uploading ? 'bg-dot-blue' : 'bg-slate-400';
+
+            return `
+                <div class="flex items-center gap-2 mb-2">
+                    <div class="flex-1 min-w-0">
+                        <div class="h-1.5 bg-slate-200 overflow-hidden">
+                            <div class="h-full ${barColor} transition-all" style="width: ${percent}%"></div>
+                        </div>
+                        <p class="text-[9px] ${state?.status === 'error' ? 'text-red-600' : 'text-slate-500'} mt-0.5 truncate">${label}</p>
+                    </div>
+                    ${canToggle ? `
+                        <button onclick="togglePhotoUpload('${photo.id}')" class="w-6 h-6 shrink-0 bg-slate-100 border border-slate-300 text-slate-600 text-[10px] flex items-center justify-center" title="${uploading ? 'Pause upload' : 'Upload now'}">
+                            <i class="fas ${uploading ? 'fa-pause' : 'fa-play'}"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        /**
+         * Pause button / play button under a photo
+         */
+        function togglePhotoUpload(photoId) {
+            const state = window.uploadManager.getState(photoId);
+            if (state?.status === 'uploading') {
+                window.uploadManager.pause(photoId);
+                return;
+            }
+            if (!navigator.onLine) {
+                showToast('Offline - photo will upload when you\'re back online', 'warning');
+                return;
+            }
+
+            if (state) {
+                window.uploadManager.resume(photoId);  // Back to 'queued' - handlePhotoUploadChange() restarts it
+            } else {
+                // Uploading a held photo means keeping it
+                const photo = report.photos.find(p => p.id === photoId);
+                if (photo && getPhotoWarnings(photo).length) {
+                    photo.qualityKept = true;
+                    saveReport();
+                }
+                uploadLocalPhoto(photoId);
+            }
+        }
+
+        /**
+         * upload-manager.js progress listener: redraw the photo's status and restart uploads
+         * that were resumed or got their connection back
+         */
+        function handlePhotoUploadChange(state) {
+            const photo = report.photos?.find(p => p.id === state.key);
+            if (!photo) return;
+
+            const el = document.getElementById(`upload-status-${state.key}`);
+            if (el) el.innerHTML = getPhotoUploadStatusHtml(photo);
+
+            if (state.status === 'queued') uploadLocalPhoto(state.key);
+        }
+
+        /**
          * Save photo to IndexedDB (local-first)
          * Photos are uploaded to Supabase only on explicit Submit
          */
@@ -3553,8 +4371,15 @@
                     base64: photo.base64 || null, // For offline storage
                     url: photo.url || null,
                     storagePath: photo.storagePath || null,
+                    annotations: photo.annotations || null,
+                    annotatedBase64: null,
+                    annotatedUrl: photo.annotatedUrl || null,
+                    annotatedStoragePath: photo.annotatedStoragePath || null,
                     caption: photo.caption || '',
                     gps: photo.gps || null,
+                    exif: photo.exif || null,
+                    analysis: photo.analysis || null,
+                    pairedPhoto: photo.pairedPhoto || null,
                     timestamp: photo.timestamp || new Date().toISOString(),
                     fileName: photo.fileName || photo.id,
                     syncStatus: 'pending', // Always pending until metadata saved to photos table
@@ -3583,12 +4408,15 @@
                     if (photo.base64 && !photo.storagePath) {
                         showToast('Uploading photos...', 'info');
                         const blob = await dataURLtoBlob(photo.base64);
-                        const { storagePath, publicUrl } = await uploadPhotoToSupabase(blob, photo.id);
+                        const { storagePath, publicUrl } = await uploadPhotoToSupabase(blob, photo.id, photo.fileName);
 
                         photo.storagePath = storagePath;
                         photo.url = publicUrl;
                     }
 
+                    // Annotated copy (photo-annotator.js), if marked up since the last upload
+                    await pushAnnotatedPhoto(currentReportId, photo);
+
                     // Save metadata to Supabase
                     if (photo.storagePath) {
                         const photoData = {
@@ -3601,7 +4429,12 @@
                             location_lat: photo.gps?.lat || null,
                             location_lng: photo.gps?.lng || null,
                             taken_at: photo.timestamp || new Date().toISOString(),
-                            created_at: photo.createdAt || new Date().toISOString()
+                            created_at: photo.createdAt || new Date().toISOString(),
+                            annotated_storage_path: photo.annotatedStoragePath || null,
+                            annotated_url: photo.annotatedUrl || null,
+                            annotations: photo.annotations || null,
+                            exif: photo.exif || null,
+                            paired_photo: photo.pairedPhoto || null
                         };
 
                         const { error } = await supabaseClient
@@ -3610,6 +4443,9 @@
 
                         if (error) {
                             console.error('[PHOTO] Supabase metadata error:', error);
+                            // Keep the uploaded storagePath so the outbox retry skips re-uploading
+                            await window.idb.savePhoto(photo);
+                            await queuePhotoUpload(currentReportId, photo.id, error.message);
                             continue;
                         }
                     }
@@ -3619,8 +4455,25 @@
                     photo.syncStatus = 'synced';
                     await window.idb.savePhoto(photo);
                     console.log('[PHOTO] Synced to Supabase:', photo.id);
+
+                    // Swap base64 placeholders in the report for the uploaded URLs
+                    const reportPhoto = report.photos.find(p => p.id === photo.id);
+                    if (reportPhoto) {
+                        reportPhoto.url = photo.url || reportPhoto.url;
+                        reportPhoto.storagePath = photo.storagePath || reportPhoto.storagePath;
+                        reportPhoto.annotatedUrl = photo.annotatedUrl || null;
+                        reportPhoto.annotatedStoragePath = photo.annotatedStoragePath || null;
+                    }
                 } catch (err) {
+                    if (UPLOAD_PUT_OFF_CODES.includes(err.code)) {
+                        // Paused or waiting for Wi-Fi - the outbox holds it without counting a failure
+                        console.log('[PHOTO] Upload put off:', photo.id, err.message);
+                        await queuePhotoUpload(currentReportId, photo.id);
+                        continue;
+                    }
                     console.error('[PHOTO] Failed to sync photo:', photo.id, err);
+                    // Hand off to the durable outbox so the upload survives this page
+                    await queuePhotoUpload(currentReportId, photo.id, err.message);
                 }
             }
         }
@@ -3637,13 +4490,14 @@
         /**
          * Delete photo from Supabase
          */
-        async function deletePhotoFromSupabase(photoId, storagePath) {
+        async function deletePhotoFromSupabase(photoId, storagePath, annotatedStoragePath) {
             try {
-                // Delete from storage
-                if (storagePath) {
+                // Delete from storage (original and annotated copy)
+                const paths = [storagePath, annotatedStoragePath].filter(Boolean);
+                if (paths.length > 0) {
                     await supabaseClient.storage
                         .from('report-photos')
-                        .remove([storagePath]);
+                        .remove(paths);
                 }
 
                 // Delete metadata
@@ -3658,16 +4512,6 @@
 
         // compressImage() moved to /js/media-utils.js
 
-        function getStorageUsage() {
-            let total = 0;
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    total += localStorage[key].length * 2; // UTF-16 = 2 bytes per char
-                }
-            }
-            return total;
-        }
-
         // ============ WEATHER ============
         async function fetchWeather() {
             try {
@@ -3733,6 +4577,323 @@
             });
         }
 
+        // ============ DICTATION ============
+        // Push-to-talk mic buttons (dictation.js). A clip waits here until autosave or "+"
+        // saves the dictated text as an entry. Keys: entry section ('issues', 'work_<id>')
+        // or 'freeform:<entryId>'
+        const pendingDictationClips = {};
+
+        /**
+         * Attach waiting dictation clips to the entry their text was saved in
+         * @param {string} key - Section or 'freeform:<entryId>'
+         * @param {Object} entry - Guided or freeform entry (gets audio_clip_ids)
+         */
+        function claimDictationClips(key, entry) {
+            const clipIds = pendingDictationClips[key];
+            if (!clipIds || !entry || !window.dictation) return;
+            delete pendingDictationClips[key];
+
+            entry.audio_clip_ids = [...(entry.audio_clip_ids || []), ...clipIds];
+            window.dictation.linkClips(clipIds, entry.id);
+        }
+
+        /**
+         * Wire up hold-to-talk buttons ([data-dictation-section] or [data-dictation-freeform])
+         * Hidden when no dictation backend is available
+         * @param {ParentNode} [root=document]
+         */
+        function initDictationButtons(root = document) {
+            if (!root || !window.dictation) return;
+            const available = window.dictation.isAvailable();
+
+            root.querySelectorAll('[data-dictation-section], [data-dictation-freeform]').forEach(button => {
+                button.classList.toggle('hidden', !available);
+                if (!available) return;
+
+                const freeformId = button.dataset.dictationFreeform;
+                const key = freeformId ? `freeform:${freeformId}` : button.dataset.dictationSection;
+
+                window.dictation.attachPushToTalk(button, {
+                    getTarget: () => freeformId
+                        ? getFreeformEditTextarea(freeformId)
+                        : document.getElementById(button.dataset.dictationTarget),
+                    getContext: () => ({ reportId: currentReportId, section: freeformId ? 'freeform' : key }),
+                    onResult: ({ text, clipId }) => {
+                        if (!text) {
+                            showToast('No speech recognized', 'warning');
+                            return;
+                        }
+                        if (clipId) {
+                            pendingDictationClips[key] = [...(pendingDictationClips[key] || []), clipId];
+                        }
+                    },
+                    onError: (error, clipId) => {
+                        console.warn('[DICTATION] Failed:', error);
+                        showToast(clipId ? 'Transcription failed - the recording was kept' : error.message, 'error');
+                    }
+                });
+            });
+        }
+
+        /**
+         * Freeform entries are only editable after tapping edit - open the editor for dictation
+         */
+        function getFreeformEditTextarea(entryId) {
+            if (!document.getElementById(`freeform-edit-textarea-${entryId}`)) {
+                startFreeformEdit(entryId);
+            }
+            return document.getElementById(`freeform-edit-textarea-${entryId}`);
+        }
+
+        // ============ VOICE COMMANDS ============
+        // Hold the Command button and speak (grammar in voice-commands.js). Each command
+        // calls the same function as the button it replaces, then confirms in the
+        // command bubble and, if enabled in Settings > Dictation, out loud.
+
+        // Guided sections with a Yes/No toggle instead of an N/A button
+        const VOICE_TOGGLE_SECTIONS = {
+            personnel: 'personnel_onsite',
+            communications: 'communications_made',
+            qaqc: 'qaqc_performed',
+            visitors: 'visitors_present'
+        };
+
+        function initVoiceCommands() {
+            const bar = document.getElementById('voiceCommandBar');
+            if (!bar || !window.dictation || !window.voiceCommands) return;
+
+            const available = window.dictation.isAvailable();
+            bar.classList.toggle('hidden', !available);
+            if (!available) return;
+
+            window.dictation.attachPushToTalk(document.getElementById('voiceCommandBtn'), {
+                keepAudio: false,
+                getTarget: () => {
+                    const input = document.getElementById('voiceCommandInput');
+                    input.value = '';
+                    showVoiceCommandFeedback('', null);
+                    return input;
+                },
+                getContext: () => ({ reportId: currentReportId, section: 'command' }),
+                onResult: ({ text }) => {
+                    if (!text) {
+                        showVoiceCommandFeedback('No speech recognized', false);
+                        return;
+                    }
+                    handleVoiceCommand(text);
+                },
+                onError: (error) => {
+                    console.warn('[VOICE] Command failed:', error);
+                    showVoiceCommandFeedback(error.message, false);
+                }
+            });
+        }
+
+        /**
+         * Parse and run a spoken command
+         * @param {string} text - Transcribed utterance
+         */
+        function handleVoiceCommand(text) {
+            const contractors = projectContractors.map(c => ({ id: c.id, name: c.name, abbreviation: c.abbreviation }));
+            const command = window.voiceCommands.parse(text, { contractors });
+            if (!command) {
+                confirmVoiceCommand(`Didn't catch a command in "${text}". Say "help" for examples.`, false);
+                return;
+            }
+
+            console.log('[VOICE] Command:', command);
+            try {
+                const result = runVoiceCommand(command);
+                confirmVoiceCommand(result.message, result.ok);
+            } catch (e) {
+                console.error('[VOICE] Command error:', e);
+                confirmVoiceCommand('That command failed', false);
+            }
+        }
+
+        /**
+         * @param {Object} command - voiceCommands.parse() result
+         * @returns {{ok: boolean, message: string}}
+         */
+        function runVoiceCommand(command) {
+            const { SECTION_ORDER, SECTION_LABELS, EXAMPLES } = window.voiceCommands;
+            const label = SECTION_LABELS[command.section];
+
+            switch (command.action) {
+                case 'next':
+                case 'previous': {
+                    const current = SECTION_ORDER.indexOf(getExpandedSection());
+                    const step = command.action === 'next' ? 1 : -1;
+                    const index = current === -1 ? 0 : current + step;
+                    if (index < 0 || index >= SECTION_ORDER.length) {
+                        return { ok: false, message: `Already at the ${step > 0 ? 'last' : 'first'} section` };
+                    }
+                    openGuidedSection(SECTION_ORDER[index]);
+                    return { ok: true, message: SECTION_LABELS[SECTION_ORDER[index]] };
+                }
+
+                case 'close': {
+                    const current = getExpandedSection();
+                    if (current) toggleSection(current);
+                    return { ok: true, message: 'Closed' };
+                }
+
+                case 'open':
+                    openGuidedSection(command.section);
+                    return { ok: true, message: label };
+
+                case 'none':
+                    return markSectionNoneByVoice(command.section);
+
+                case 'yes':
+                    return markSectionYesByVoice(command.section);
+
+                case 'addEquipment': {
+                    openGuidedSection('equipment');
+                    const row = addEquipmentRow(command.equipment);
+                    if (!row.type) return { ok: true, message: 'Added a blank equipment row' };
+
+                    const contractor = projectContractors.find(c => c.id === row.contractorId);
+                    const hours = row.status === 'Idle' ? 'idle' : `${parseInt(row.status, 10)} hours`;
+                    return {
+                        ok: true,
+                        message: `Added ${row.qty > 1 ? `${row.qty} ` : ''}${row.type}, ${hours}${contractor ? ` for ${contractor.name}` : ''}`
+                    };
+                }
+
+                case 'openContractor': {
+                    const contractor = projectContractors.find(c => c.id === command.contractorId);
+                    openGuidedSection('activities');
+                    const content = document.getElementById(`contractor-content-${contractor.id}`);
+                    if (content?.classList.contains('hidden')) toggleContractorCard(contractor.id);
+                    content?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    return { ok: true, message: contractor.name };
+                }
+
+                case 'noWork': {
+                    const contractor = projectContractors.find(c => c.id === command.contractorId);
+                    if (getContractorWorkEntries(contractor.id).length > 0) {
+                        return { ok: false, message: `${contractor.name} already has work entries` };
+                    }
+                    openGuidedSection('activities');
+                    toggleNoWork(contractor.id, true);
+                    return { ok: true, message: `${contractor.name}: no work performed` };
+                }
+
+                case 'help':
+                    return { ok: true, message: `Try: ${EXAMPLES.map(e => `"${e}"`).join(', ')}` };
+
+                default:
+                    return { ok: false, message: 'Unknown command' };
+            }
+        }
+
+        /**
+         * "personnel none", "mark issues N/A", "no incidents"
+         */
+        function markSectionNoneByVoice(section) {
+            const label = window.voiceCommands.SECTION_LABELS[section];
+            openGuidedSection(section);
+
+            const toggle = VOICE_TOGGLE_SECTIONS[section];
+            if (toggle) {
+                const state = getToggleState(toggle);
+                if (state === true) return { ok: false, message: `${label} is already set to Yes` };
+                if (state === null) handleToggle(toggle, false);
+                if (getToggleState(toggle) !== false) return { ok: false, message: `${label} is locked` };
+                return { ok: true, message: `${label}: none` };
+            }
+
+            if (section === 'safety') {
+                setVoiceCheckbox('no-incidents');
+                return { ok: true, message: 'Safety: no incidents' };
+            }
+
+            if (section === 'issues' || section === 'photos') {
+                if (!report.meta.naMarked?.[section]) markNA(section);
+                return { ok: true, message: `${label} marked N/A` };
+            }
+
+            return { ok: false, message: `${label} can't be marked N/A` };
+        }
+
+        /**
+         * "communications yes", "safety incident"
+         */
+        function markSectionYesByVoice(section) {
+            const label = window.voiceCommands.SECTION_LABELS[section];
+            openGuidedSection(section);
+
+            const toggle = VOICE_TOGGLE_SECTIONS[section];
+            if (toggle) {
+                const state = getToggleState(toggle);
+                if (state === false) return { ok: false, message: `${label} is already set to No` };
+                if (state === null) handleToggle(toggle, true);
+                if (getToggleState(toggle) !== true) return { ok: false, message: `${label} is locked` };
+                return { ok: true, message: `${label}: yes` };
+            }
+
+            if (section === 'safety') {
+                setVoiceCheckbox('has-incidents');
+                return { ok: true, message: 'Safety: incident reported' };
+            }
+
+            return { ok: false, message: `${label} doesn't have a yes/no question` };
+        }
+
+        // Tick a checkbox through its change listener so report state stays in sync
+        function setVoiceCheckbox(id) {
+            const checkbox = document.getElementById(id);
+            if (!checkbox || checkbox.checked) return;
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change'));
+        }
+
+        function getExpandedSection() {
+            return document.querySelector('.section-card.expanded')?.dataset.section || null;
+        }
+
+        function openGuidedSection(section) {
+            if (getExpandedSection() !== section) toggleSection(section);
+            document.querySelector(`.section-card[data-section="${section}"]`)
+                ?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        /**
+         * Show the result in the command bubble and read it aloud
+         */
+        function confirmVoiceCommand(message, ok) {
+            showVoiceCommandFeedback(message, ok);
+
+            const config = window.dictation.getConfig();
+            if (!window.speechSynthesis || !config.speakConfirmations) return;
+            window.speechSynthesis.cancel();
+            const utterance = new SpeechSynthesisUtterance(message);
+            utterance.lang = config.lang;
+            window.speechSynthesis.speak(utterance);
+        }
+
+        let voiceFeedbackTimer = null;
+
+        /**
+         * @param {string} message - Result line ('' while listening)
+         * @param {boolean|null} ok - null while listening
+         */
+        function showVoiceCommandFeedback(message, ok) {
+            const feedback = document.getElementById('voiceCommandFeedback');
+            const result = document.getElementById('voiceCommandResult');
+            clearTimeout(voiceFeedbackTimer);
+
+            feedback.classList.remove('hidden');
+            result.textContent = message;
+            result.className = `text-sm font-bold mt-1 ${ok === false ? 'text-red-600' : 'text-safety-green'}`;
+            result.classList.toggle('hidden', !message);
+
+            if (ok !== null) {
+                voiceFeedbackTimer = setTimeout(() => feedback.classList.add('hidden'), 5000);
+            }
+        }
+
         // ============ DICTATION HINT BANNER ============
         function dismissDictationHint() {
             localStorage.setItem(STORAGE_KEYS.DICTATION_HINT_DISMISSED, 'true');
@@ -3746,6 +4907,13 @@
             if (banner && dismissed) {
                 banner.classList.add('hidden');
             }
+
+            // Built-in dictation available - point at the mic buttons instead of the keyboard
+            const hintText = document.getElementById('dictationHintText');
+            if (hintText && window.dictation?.isAvailable()) {
+                hintText.innerHTML = '<span class="font-medium">Pro tip:</span> Hold ' +
+                    '<i class="fas fa-microphone text-xs"></i> next to a field to dictate, or use your keyboard mic';
+            }
         }
 
         // ============ MANUAL ADD FUNCTIONS ============
@@ -3899,6 +5067,121 @@
         }
 
         // ============ PHOTOS ============
+        // A photo taken this recently is assumed to be from the camera, not the gallery,
+        // so the phone's current position is a fair stand-in for missing EXIF GPS
+        const FRESH_PHOTO_MS = 10 * 60 * 1000;
+        // upload-manager.js rejects with these when an upload can't go right now - not failures
+        const UPLOAD_PUT_OFF_CODES = ['PAUSED', 'WIFI_REQUIRED', 'OFFLINE'];
+
+        /**
+         * Work out when and where a photo was taken - from its EXIF block when it has one
+         * (gallery picks can be hours old), otherwise the time it was added and a live GPS fix
+         * @param {File} file - Original photo
+         * @returns {Promise<{exif: Object|null, capturedAt: Date, gps: Object|null, dateMismatch: boolean}>}
+         */
+        async function getPhotoCaptureInfo(file) {
+            const exif = await readPhotoMetadata(file);
+            const capturedAt = exif?.takenAt ? new Date(exif.takenAt) : new Date();
+
+            let gps = exif?.gps ? { lat: exif.gps.lat, lng: exif.gps.lng } : null;
+            if (!gps && Date.now() - capturedAt.getTime() < FRESH_PHOTO_MS) {
+                try {
+                    console.log('[PHOTO] Requesting GPS coordinates (multi-reading)...');
+                    gps = await getHighAccuracyGPS(true);
+                    if (gps) {
+                        console.log(`[PHOTO] GPS acquired: ${gps.lat.toFixed(6)}, ${gps.lng.toFixed(6)} (±${gps.accuracy}m)`);
+                    }
+                } catch (err) {
+                    console.warn('[PHOTO] GPS failed:', err);
+                    // Continue without GPS - don't block the photo
+                }
+            } else if (!gps) {
+                console.log('[PHOTO] Older photo without EXIF GPS - skipping live GPS');
+            }
+
+            // Drafts are always for today (see saveToLocalStorage)
+            const dateMismatch = !!exif?.takenDate && exif.takenDate !== getTodayDateString();
+            if (dateMismatch) {
+                console.warn(`[PHOTO] Taken ${exif.takenDate}, not on the report date`);
+            }
+
+            return { exif, capturedAt, gps, dateMismatch };
+        }
+
+        const PHOTO_ISSUE_LABELS = { blurry: 'Blurry', dark: 'Too dark', overexposed: 'Overexposed' };
+
+        /**
+         * Score a new photo (media-utils.js) and look for a near-identical one already in the
+         * report. Never blocks adding the photo - a failed check just means no warning.
+         * @param {string} dataUrl - Compressed photo
+         * @returns {Promise<{analysis: Object|null, duplicateOf: string|null}>}
+         */
+        async function checkNewPhoto(dataUrl) {
+            let analysis = null;
+            try {
+                const blob = await dataURLtoBlob(dataUrl);
+                ({ analysis } = await compressImageToThumbnail(blob, 400, 0.7, { analyze: true }));
+            } catch (err) {
+                console.warn('[PHOTO] Quality check failed:', err);
+                return { analysis: null, duplicateOf: null };
+            }
+
+            let duplicateOf = null;
+            let closest = PHOTO_DUPLICATE_DISTANCE + 1;
+            (report.photos || []).forEach(p => {
+                const distance = photoHashDistance(analysis.hash, p.analysis?.hash);
+                if (distance < closest) {
+                    closest = distance;
+                    duplicateOf = p.id;
+                }
+            });
+            if (duplicateOf) console.warn(`[PHOTO] Near-identical to ${duplicateOf} (${closest} bits apart)`);
+
+            return { analysis, duplicateOf };
+        }
+
+        /**
+         * Why a photo was flagged - empty once the inspector chose to keep it
+         * @returns {Array<string>} e.g. ['Same as photo 2', 'Blurry']
+         */
+        function getPhotoWarnings(photo) {
+            if (photo.qualityKept) return [];
+
+            const warnings = [];
+            const duplicateIndex = photo.duplicateOf ? report.photos.findIndex(p => p.id === photo.duplicateOf) : -1;
+            if (duplicateIndex !== -1) warnings.push(`Same as photo ${duplicateIndex + 1}`);
+            (photo.analysis?.issues || []).forEach(issue => warnings.push(PHOTO_ISSUE_LABELS[issue] || issue));
+            return warnings;
+        }
+
+        /**
+         * Orange warning line on a photo tile (duplicate / blurry / exposure)
+         */
+        function getPhotoWarningHtml(photo) {
+            const warnings = getPhotoWarnings(photo);
+            if (warnings.length === 0) return '';
+            return `
+                <div class="flex items-center gap-1 text-dot-orange mb-1">
+                    <i class="fas fa-triangle-exclamation text-[8px]"></i>
+                    <p class="text-[9px] font-bold">${warnings.join(' · ')}</p>
+                </div>
+            `;
+        }
+
+        /**
+         * Toast after adding a photo - flagged photos wait for the review on Finish
+         * instead of uploading in the background
+         */
+        function announceNewPhoto(photo) {
+            const warnings = getPhotoWarnings(photo);
+            if (warnings.length === 0) {
+                showToast('Photo saved', 'success');
+                uploadLocalPhoto(photo.id);
+                return;
+            }
+            showToast(`Photo saved - ${warnings.join(', ').toLowerCase()}. You can drop it on Finish.`, 'warning');
+        }
+
         /**
          * Handle photo input (full mode)
          * Saves to IndexedDB locally, uploads to Supabase on Submit
@@ -3936,67 +5219,41 @@
                 // Show processing indicator
                 showToast('Processing photo...', 'info');
 
-                // Get GPS coordinates (using multi-reading high accuracy)
-                let gps = null;
-                try {
-                    console.log('[PHOTO] Requesting GPS coordinates (multi-reading)...');
-                    gps = await getHighAccuracyGPS(true);
-                    if (gps) {
-                        console.log(`[PHOTO] GPS acquired: ${gps.lat.toFixed(6)}, ${gps.lng.toFixed(6)} (±${gps.accuracy}m)`);
-                    }
-                } catch (err) {
-                    console.warn('[PHOTO] GPS failed:', err);
-                    // Continue without GPS - don't block the photo
-                }
+                // Capture time and GPS from EXIF, falling back to now and a live GPS fix
+                const { exif, capturedAt, gps, dateMismatch } = await getPhotoCaptureInfo(file);
 
                 try {
                     // Create timestamp
-                    const now = new Date();
-                    const timestamp = now.toISOString();
-                    const date = now.toLocaleDateString();
-                    const time = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+                    const timestamp = capturedAt.toISOString();
+                    const date = capturedAt.toLocaleDateString();
+                    const time = capturedAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' });
 
                     const photoId = crypto.randomUUID();
 
-                    // Compress image
+                    // Compress image (rotated upright - the compressed copy has no EXIF)
                     showToast('Compressing photo...', 'info');
                     console.log('[PHOTO] Reading file for compression...');
                     const rawDataUrl = await readFileAsDataURL(file);
-                    const compressedDataUrl = await compressImage(rawDataUrl, 1200, 0.7);
-
-                    // Try to upload to Supabase if online, otherwise store base64 for later
-                    let storagePath = null;
-                    let publicUrl = compressedDataUrl; // Use base64 as fallback URL for display
-
-                    if (navigator.onLine) {
-                        try {
-                            const compressedBlob = await dataURLtoBlob(compressedDataUrl);
-                            console.log(`[PHOTO] Compressed: ${Math.round(file.size/1024)}KB -> ${Math.round(compressedBlob.size/1024)}KB`);
-
-                            showToast('Uploading photo...', 'info');
-                            console.log('[PHOTO] Uploading to Supabase Storage...');
-                            const result = await uploadPhotoToSupabase(compressedBlob, photoId);
-                            storagePath = result.storagePath;
-                            publicUrl = result.publicUrl;
-                        } catch (uploadErr) {
-                            console.warn('[PHOTO] Upload failed, saving locally:', uploadErr);
-                            // Keep base64 for later upload
-                        }
-                    } else {
-                        console.log('[PHOTO] Offline - saving locally for later upload');
-                    }
+                    const { maxWidth, quality, tier } = window.uploadManager.getCompressionSettings();
+                    const compressedDataUrl = await compressImage(rawDataUrl, maxWidth, quality, exif?.orientation || 1);
+                    console.log(`[PHOTO] Compressed for a ${tier} connection: ${Math.round(file.size/1024)}KB -> ${Math.round(compressedDataUrl.length * 0.75 / 1024)}KB`);
+                    const { analysis, duplicateOf } = await checkNewPhoto(compressedDataUrl);
 
-                    // Create photo object
+                    // Create photo object - saved locally first, uploadLocalPhoto() sends it up in the background
                     const photoObj = {
                         id: photoId,
-                        url: publicUrl,
-                        base64: storagePath ? null : compressedDataUrl, // Only store base64 if not uploaded
-                        storagePath: storagePath,
+                        url: compressedDataUrl,
+                        base64: compressedDataUrl,
+                        storagePath: null,
                         caption: '',
                         timestamp: timestamp,
                         date: date,
                         time: time,
                         gps: gps,
+                        exif: exif,
+                        dateMismatch: dateMismatch,
+                        analysis: analysis,
+                        duplicateOf: duplicateOf,
                         fileName: file.name,
                         fileSize: file.size,
                         fileType: file.type
@@ -4005,9 +5262,7 @@
                     console.log('[PHOTO] Adding photo to report:', {
                         id: photoObj.id,
                         timestamp: photoObj.timestamp,
-                        gps: photoObj.gps,
-                        storagePath: storagePath,
-                        hasBase64: !!photoObj.base64
+                        gps: photoObj.gps
                     });
 
                     // Add to local report
@@ -4019,7 +5274,7 @@
                     // Update UI
                     renderSection('photos');
                     saveReport();
-                    showToast(storagePath ? 'Photo saved' : 'Photo saved locally', 'success');
+                    announceNewPhoto(photoObj);
 
                     console.log(`[PHOTO] Success! Total photos: ${report.photos.length}`);
 
@@ -4033,29 +5288,100 @@
             e.target.value = '';
         }
 
+        /**
+         * Stop a photo's upload and delete its local and uploaded copies
+         * (the caller takes it out of report.photos)
+         */
+        async function discardPhoto(photo) {
+            window.uploadManager.cancel(photo.id);
+
+            // Delete from IndexedDB first
+            try {
+                await window.idb.deletePhoto(photo.id);
+                console.log('[PHOTO] Deleted from IndexedDB:', photo.id);
+            } catch (err) {
+                console.warn('[PHOTO] Failed to delete from IndexedDB:', err);
+            }
+
+            // Delete from Supabase if it was uploaded
+            if (photo.storagePath) {
+                await deletePhotoFromSupabase(photo.id, photo.storagePath, photo.annotatedStoragePath);
+            }
+        }
+
         async function removePhoto(index) {
             console.log(`[PHOTO] Removing photo at index ${index}`);
             const photo = report.photos[index];
+            if (photo) await discardPhoto(photo);
 
-            if (photo) {
-                // Delete from IndexedDB first
+            report.photos.splice(index, 1);
+            saveReport();
+            renderSection('photos');
+            showToast('Photo removed', 'info');
+        }
+
+        /**
+         * Mark up a photo (photo-annotator.js). The original stays as-is; the markup is kept
+         * as vector layers on the IndexedDB photo record and a flattened copy is shown in the
+         * report and PDF. The copy uploads with the photos on Finish.
+         */
+        async function annotatePhoto(index) {
+            const photo = report.photos[index];
+            if (!photo || !window.photoAnnotator) return;
+
+            let record = null;
+            try {
+                record = await window.idb.getPhoto(photo.id);
+                if (!record) {
+                    // Loaded from Supabase on another device - start a local record for the markup
+                    await savePhotoToIndexedDB(photo);
+                    record = await window.idb.getPhoto(photo.id);
+                }
+            } catch (err) {
+                console.warn('[PHOTO] Could not read photo from IndexedDB:', err);
+            }
+
+            let result;
+            try {
+                result = await window.photoAnnotator.open(record?.base64 || record?.url || photo.url, record?.annotations || photo.annotations);
+            } catch (err) {
+                console.error('[PHOTO] Annotation editor failed:', err);
+                showToast('Could not open photo for markup', 'error');
+                return;
+            }
+            if (!result) return;
+
+            const previousPath = record?.annotatedStoragePath || photo.annotatedStoragePath;
+            const annotations = window.photoAnnotator.hasShapes(result.annotations) ? result.annotations : null;
+
+            photo.annotations = annotations;
+            photo.annotatedUrl = result.dataUrl;
+            photo.annotatedStoragePath = null;
+
+            if (record) {
+                record.annotations = annotations;
+                record.annotatedBase64 = result.dataUrl;
+                record.annotatedUrl = null;
+                record.annotatedStoragePath = null;
+                record.syncStatus = 'pending';
                 try {
-                    await window.idb.deletePhoto(photo.id);
-                    console.log('[PHOTO] Deleted from IndexedDB:', photo.id);
+                    await window.idb.savePhoto(record);
                 } catch (err) {
-                    console.warn('[PHOTO] Failed to delete from IndexedDB:', err);
+                    console.warn('[PHOTO] Failed to save markup to IndexedDB:', err);
                 }
+            }
 
-                // Delete from Supabase if it was uploaded
-                if (photo.storagePath) {
-                    await deletePhotoFromSupabase(photo.id, photo.storagePath);
-                }
+            // Markup cleared - the uploaded copy is no longer needed (re-annotating overwrites it)
+            if (!annotations && previousPath && navigator.onLine) {
+                supabaseClient.storage.from('report-photos').remove([previousPath]).catch(err => {
+                    console.warn('[PHOTO] Failed to remove annotated copy:', err);
+                });
             }
 
-            report.photos.splice(index, 1);
             saveReport();
             renderSection('photos');
-            showToast('Photo removed', 'info');
+            renderMinimalPhotos();
+            showToast(annotations ? 'Markup saved' : 'Markup removed', 'success');
         }
 
         // Update photo caption - save to localStorage and IndexedDB (Supabase on Submit)
@@ -4102,6 +5428,220 @@
             autoExpand(textarea, 40, 128);
         }
 
+        // ============ VOICE MEMOS ============
+        // Short recordings kept with the report (audio-memos.js). The memo button on an
+        // entry attaches one to that entry; Record Memo in the Voice Memos card attaches
+        // one to the whole report. Memos upload with the photos on Finish.
+        let reportMemos = [];
+        let memoPlaybackUrls = [];
+
+        function getMemoReportId() {
+            return currentReportId || 'pending';
+        }
+
+        /**
+         * Load this report's memos and show the record buttons if the device can record
+         */
+        async function loadReportMemos() {
+            if (!window.audioMemos) return;
+
+            const canRecord = window.audioMemos.canRecord();
+            document.querySelectorAll('[data-memo-record]').forEach(btn => btn.classList.toggle('hidden', !canRecord));
+
+            reportMemos = await window.audioMemos.getMemos(getMemoReportId());
+            renderMemoLists();
+            updateMemoButtons();
+        }
+
+        /**
+         * Memo button for an entry's action row (blank if memos can't be recorded here)
+         * @param {Object} entry - Guided or freeform entry
+         * @param {string} [section] - Defaults to entry.section
+         */
+        function renderEntryMemoButton(entry, section) {
+            if (!window.audioMemos?.canRecord()) return '';
+            return `
+                <button type="button" onclick="toggleMemoRecording('${entry.id}', '${section || entry.section}')" data-memo-entry="${entry.id}" class="text-slate-400 hover:text-dot-orange p-1" title="Voice memo">${getMemoButtonInner(entry.id)}</button>
+            `;
+        }
+
+        function getMemoButtonInner(entryId) {
+            const count = reportMemos.filter(m => m.entryId === entryId).length;
+            const recording = window.audioMemos.getActive()?.entryId === entryId;
+            const icon = recording ? 'fa-stop-circle text-red-600' : 'fa-microphone-alt';
+            return `<i class="fas ${icon} text-xs"></i>${count ? `<span class="text-[10px] font-bold ml-0.5">${count}</span>` : ''}`;
+        }
+
+        /**
+         * Refresh memo counts/recording state on entry buttons and the Record Memo buttons
+         * @param {boolean} [saving] - A memo is being transcribed and saved
+         */
+        function updateMemoButtons(saving = false) {
+            if (!window.audioMemos) return;
+            document.querySelectorAll('[data-memo-entry]').forEach(btn => {
+                btn.innerHTML = getMemoButtonInner(btn.dataset.memoEntry);
+                btn.disabled = saving;
+            });
+
+            const active = window.audioMemos.getActive();
+            const recordingReportMemo = !!active && !active.entryId;
+            document.querySelectorAll('[data-memo-record]').forEach(btn => {
+                btn.disabled = saving;
+                btn.classList.toggle('bg-dot-navy', !recordingReportMemo);
+                btn.classList.toggle('bg-red-600', recordingReportMemo);
+                btn.innerHTML = saving
+                    ? '<i class="fas fa-spinner fa-spin"></i><span class="font-bold uppercase text-sm">Saving...</span>'
+                    : recordingReportMemo
+                        ? '<i class="fas fa-stop"></i><span class="font-bold uppercase text-sm">Stop Recording</span>'
+                        : '<i class="fas fa-microphone-alt"></i><span class="font-bold uppercase text-sm">Record Memo</span>';
+            });
+        }
+
+        /**
+         * Start a memo, or stop the one recording
+         * @param {string} [entryId] - Attach to this entry (omit for the whole report)
+         * @param {string} [section] - The entry's section
+         */
+        async function toggleMemoRecording(entryId = null, section = null) {
+            if (window.audioMemos.getActive()) {
+                await stopMemoRecording();
+                return;
+            }
+
+            try {
+                await window.audioMemos.start({ reportId: getMemoReportId(), entryId, section }, {
+                    onInterim: (text) => setMemoLiveText(text),
+                    onLimit: () => {
+                        showToast('Memo length limit reached', 'warning');
+                        stopMemoRecording();
+                    }
+                });
+                updateMemoButtons();
+                setMemoLiveText('');
+                showToast('Recording memo - tap again to stop', 'info');
+            } catch (e) {
+                console.warn('[MEMO] Could not start recording:', e);
+                showToast(e.message || 'Could not start recording', 'error');
+                updateMemoButtons();
+            }
+        }
+
+        async function stopMemoRecording() {
+            updateMemoButtons(true);
+            try {
+                const memo = await window.audioMemos.stop();
+                if (memo) {
+                    reportMemos.push(memo);
+                    showToast(memo.transcript ? 'Memo saved' : 'Memo saved - no transcript', 'success');
+                } else {
+                    showToast('Nothing was recorded', 'warning');
+                }
+            } catch (e) {
+                console.error('[MEMO] Failed to save memo:', e);
+                showToast('Could not save memo', 'error');
+            }
+            setMemoLiveText(null);
+            updateMemoButtons();
+            renderMemoLists();
+        }
+
+        // Live transcript under the Record Memo buttons (null hides it)
+        function setMemoLiveText(text) {
+            document.querySelectorAll('[data-memo-live]').forEach(el => {
+                el.classList.toggle('hidden', text === null);
+                el.textContent = text || 'Listening...';
+            });
+        }
+
+        /**
+         * Render the memo list in the guided Voice Memos card and the minimal-mode card
+         */
+        function renderMemoLists() {
+            memoPlaybackUrls.forEach(url => URL.revokeObjectURL(url));
+            memoPlaybackUrls = [];
+
+            const html = reportMemos.length === 0
+                ? '<p class="text-sm text-slate-400 text-center py-2">No voice memos yet</p>'
+                : reportMemos.map(memo => {
+                    const url = window.audioMemos.getPlaybackUrl(memo);
+                    if (memo.blob) memoPlaybackUrls.push(url);
+                    const time = new Date(memo.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+                    const syncIcon = memo.syncStatus === 'synced'
+                        ? '<i class="fas fa-cloud text-safety-green" title="Uploaded"></i>'
+                        : '<i class="fas fa-mobile-alt text-slate-400" title="On this device"></i>';
+
+                    return `
+                        <div class="bg-slate-50 border border-slate-200 p-3">
+                            <div class="flex items-center gap-2 mb-2">
+                                <span class="flex-1 text-xs font-bold text-slate-600 uppercase truncate">${escapeHtml(describeMemoTarget(memo))}</span>
+                                <span class="text-[10px] text-slate-400">${time} &middot; ${window.audioMemos.formatDuration(memo.durationMs)}</span>
+                                ${syncIcon}
+                                <button onclick="deleteVoiceMemo('${memo.id}')" class="text-red-400 hover:text-red-600 p-1" title="Delete memo">
+                                    <i class="fas fa-trash text-xs"></i>
+                                </button>
+                            </div>
+                            <audio controls preload="none" src="${url}" class="w-full h-8"></audio>
+                            <p class="text-sm text-slate-700 mt-2">${escapeHtml(memo.transcript) || '<em class="text-slate-400">No transcript</em>'}</p>
+                        </div>
+                    `;
+                }).join('');
+
+            ['memos-list', 'minimalMemosList'].forEach(id => {
+                const container = document.getElementById(id);
+                if (container) container.innerHTML = html;
+            });
+
+            const countText = reportMemos.length === 0
+                ? 'No memos yet'
+                : `${reportMemos.length} memo${reportMemos.length === 1 ? '' : 's'}`;
+            ['memos-preview', 'minimalMemosCount'].forEach(id => {
+                const el = document.getElementById(id);
+                if (el) el.textContent = countText;
+            });
+        }
+
+        /**
+         * "Whole report", or the entry a memo belongs to, e.g. "Issues: Crane down for..."
+         */
+        function describeMemoTarget(memo) {
+            return window.audioMemos.describeTarget(memo, {
+                entries: report.entries,
+                freeformEntries: report.freeform_entries,
+                contractors: projectContractors
+            });
+        }
+
+        async function deleteVoiceMemo(memoId) {
+            if (!confirm('Delete this voice memo?')) return;
+            try {
+                await window.audioMemos.deleteMemo(memoId);
+                reportMemos = reportMemos.filter(m => m.id !== memoId);
+                renderMemoLists();
+                updateMemoButtons();
+            } catch (e) {
+                console.error('[MEMO] Failed to delete memo:', e);
+                showToast('Could not delete memo', 'error');
+            }
+        }
+
+        /**
+         * Upload pending memos for this report (called on Finish, next to uploadPendingPhotos)
+         * Failed uploads go to the outbox (sync-manager.js syncAudioMemo)
+         */
+        async function uploadPendingAudioMemos() {
+            if (!currentReportId || !window.idb) return;
+
+            const pending = await window.idb.getAudioMemosBySyncStatus('pending');
+            const memos = pending.filter(m => m.reportId === currentReportId || m.reportId === 'pending');
+            for (const memo of memos) {
+                if (memo.reportId !== currentReportId) {
+                    memo.reportId = currentReportId;
+                    await window.idb.saveAudioMemo(memo);
+                }
+                await syncAudioMemo(currentReportId, memo.id);
+            }
+        }
+
         // ============ RENDER SECTIONS ============
         function renderSection(section) {
             switch (section) {
@@ -4131,6 +5671,7 @@
                                     <p class="text-[10px] text-slate-400 mt-1">${new Date(entry.timestamp).toLocaleTimeString()}</p>
                                 </div>
                                 <div class="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                    ${renderEntryMemoButton(entry)}
                                     <button onclick="startEditEntry('${entry.id}', 'issues')" class="edit-btn text-slate-400 hover:text-dot-blue p-1">
                                         <i class="fas fa-pencil-alt text-xs"></i>
                                     </button>
@@ -4182,6 +5723,7 @@
                                     <p class="text-[10px] text-slate-400 mt-1">${new Date(entry.timestamp).toLocaleTimeString()}</p>
                                 </div>
                                 <div class="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                    ${renderEntryMemoButton(entry)}
                                     <button onclick="startEditEntry('${entry.id}', 'safety')" class="edit-btn text-slate-400 hover:text-dot-blue p-1">
                                         <i class="fas fa-pencil-alt text-xs"></i>
                                     </button>
@@ -4234,9 +5776,11 @@
                         // Toggle not set - show cards for input
                         renderPersonnelCards();
                     }
+                    renderCrewSuggestions();
                     break;
                 case 'equipment':
                     renderEquipmentSection();
+                    renderCrewSuggestions();
                     break;
                 case 'communications':
                     // Render toggle
@@ -4263,6 +5807,7 @@
                                     <p class="text-[10px] text-slate-400 mt-1">${new Date(entry.timestamp).toLocaleTimeString()}</p>
                                 </div>
                                 <div class="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                    ${renderEntryMemoButton(entry)}
                                     <button onclick="startEditEntry('${entry.id}', 'communications')" class="edit-btn text-slate-400 hover:text-dot-blue p-1">
                                         <i class="fas fa-pencil-alt text-xs"></i>
                                     </button>
@@ -4310,6 +5855,7 @@
                                     <p class="text-[10px] text-slate-400 mt-1">${new Date(entry.timestamp).toLocaleTimeString()}</p>
                                 </div>
                                 <div class="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                    ${renderEntryMemoButton(entry)}
                                     <button onclick="startEditEntry('${entry.id}', 'qaqc')" class="edit-btn text-slate-400 hover:text-dot-blue p-1">
                                         <i class="fas fa-pencil-alt text-xs"></i>
                                     </button>
@@ -4357,6 +5903,7 @@
                                     <p class="text-[10px] text-slate-400 mt-1">${new Date(entry.timestamp).toLocaleTimeString()}</p>
                                 </div>
                                 <div class="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                    ${renderEntryMemoButton(entry)}
                                     <button onclick="startEditEntry('${entry.id}', 'visitors')" class="edit-btn text-slate-400 hover:text-dot-blue p-1">
                                         <i class="fas fa-pencil-alt text-xs"></i>
                                     </button>
@@ -4383,18 +5930,26 @@
                     document.getElementById('photos-grid').innerHTML = report.photos.map((p, i) => `
                         <div class="border-2 border-slate-300 overflow-hidden bg-slate-100">
                             <div class="relative">
-                                <img src="${p.url}" class="w-full aspect-square object-cover" onerror="this.onerror=null; this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23cbd5e1%22 width=%22100%22 height=%22100%22/><text x=%2250%22 y=%2250%22 text-anchor=%22middle%22 dy=%22.3em%22 fill=%22%2364748b%22 font-size=%2212%22>Error</text></svg>';">
+                                <img src="${p.annotatedUrl || p.url}" class="w-full aspect-square object-cover" onerror="this.onerror=null; this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23cbd5e1%22 width=%22100%22 height=%22100%22/><text x=%2250%22 y=%2250%22 text-anchor=%22middle%22 dy=%22.3em%22 fill=%22%2364748b%22 font-size=%2212%22>Error</text></svg>';">
                                 <button onclick="removePhoto(${i})" class="absolute top-2 right-2 w-7 h-7 bg-red-600 text-white text-xs flex items-center justify-center shadow-lg"><i class="fas fa-times"></i></button>
+                                <button onclick="annotatePhoto(${i})" class="absolute top-2 left-2 w-7 h-7 ${p.annotatedUrl ? 'bg-dot-orange' : 'bg-dot-navy'} text-white text-xs flex items-center justify-center shadow-lg" title="Mark up photo"><i class="fas fa-pen"></i></button>
                                 <div class="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/90 via-black/60 to-transparent p-2 pt-6">
                                     <div class="flex items-center gap-1 text-white/90 mb-1">
                                         <i class="fas fa-clock text-[8px]"></i>
                                         <p class="text-[10px] font-medium">${p.date} ${p.time}</p>
                                     </div>
+                                    ${p.dateMismatch ? `
+                                        <div class="flex items-center gap-1 text-dot-orange mb-1">
+                                            <i class="fas fa-calendar-xmark text-[8px]"></i>
+                                            <p class="text-[9px] font-bold">Not taken on report date</p>
+                                        </div>
+                                    ` : ''}
+                                    ${getPhotoWarningHtml(p)}
                                     ${p.gps ? `
                                         <div class="flex items-center gap-1 text-safety-green">
                                             <i class="fas fa-map-marker-alt text-[8px]"></i>
                                             <p class="text-[9px] font-mono">${p.gps.lat.toFixed(5)}, ${p.gps.lng.toFixed(5)}</p>
-                                            <span class="text-[8px] text-white/60">(±${p.gps.accuracy}m)</span>
+                                            ${p.gps.accuracy ? `<span class="text-[8px] text-white/60">(±${p.gps.accuracy}m)</span>` : ''}
                                         </div>
                                     ` : `
                                         <div class="flex items-center gap-1 text-dot-orange">
@@ -4405,6 +5960,7 @@
                                 </div>
                             </div>
                             <div class="p-2 bg-white">
+                                <div id="upload-status-${p.id}">${getPhotoUploadStatusHtml(p)}</div>
                                 <textarea
                                     id="caption-input-${i}"
                                     class="caption-textarea w-full text-xs border border-slate-200 rounded p-2 bg-slate-50 focus:bg-white focus:border-dot-blue focus:outline-none"
@@ -4519,6 +6075,7 @@
             document.getElementById('photos-preview').textContent = naMarked.photos ? 'N/A - No photos' : report.photos.length > 0 ? `${report.photos.length} photos` : 'No photos';
 
             updateStatusIcons();
+            renderCrewSuggestions();
         }
 
         function updateStatusIcons() {
@@ -4816,6 +6373,9 @@
                 return;
             }
 
+            // Offer to drop duplicate / low-quality photos before they upload
+            if (!(await reviewFlaggedPhotos(() => renderSection('photos')))) return;
+
             // Get button reference for loading state
             const finishBtn = document.querySelector('button[onclick="finishReport()"]');
             const originalBtnHtml = finishBtn ? finishBtn.innerHTML : '';
@@ -4847,6 +6407,7 @@
             // Upload any pending photos from IndexedDB before saving report
             if (navigator.onLine) {
                 await uploadPendingPhotos();
+                await uploadPendingAudioMemos();
             }
 
             // Ensure report is saved to Supabase first
@@ -4864,6 +6425,21 @@
             // Save AI request to Supabase
             await saveAIRequest(payload);
 
+            // Streaming provider - report.html renders sections as they arrive
+            if (window.aiProvider.getProviderConfig().streaming) {
+                try {
+                    await openReportForStreamingRefine(payload, 'guided');
+                } catch (error) {
+                    console.error('[AI] Could not hand off to streaming refine:', error);
+                    if (finishBtn) {
+                        finishBtn.disabled = false;
+                        finishBtn.innerHTML = originalBtnHtml;
+                    }
+                    showToast('Could not open the report. Your data is safe - please try again.', 'error');
+                }
+                return;
+            }
+
             const startTime = Date.now();
 
             // Call webhook
@@ -4872,7 +6448,7 @@
                 const processingTime = Date.now() - startTime;
 
                 // Save AI response to Supabase
-                await saveAIResponse(result.aiGenerated, processingTime);
+                await saveAIResponse(result.aiGenerated, processingTime, result.validation);
 
                 // Save AI response to local report
                 if (result.aiGenerated) {
@@ -4881,7 +6457,7 @@
                 report.meta.status = 'refined';
                 await saveReportToSupabase();
 
-                // v6.6.2: Save complete report package to single localStorage key
+                // v6.6.2: Save complete report package (IndexedDB via saveReportData)
                 // This is the source of truth for report.html
                 const todayStr = getTodayDateString();
                 const reportDataPackage = {
@@ -4892,6 +6468,7 @@
 
                     // From n8n webhook response
                     aiGenerated: result.aiGenerated || {},
+                    aiValidation: result.validation || null,
                     captureMode: result.captureMode || report.meta?.captureMode || 'guided',
 
                     // Original field notes (for "Original Notes" tab)
@@ -4905,11 +6482,11 @@
                     lastSaved: new Date().toISOString()
                 };
 
-                const saveSuccess = saveReportData(currentReportId, reportDataPackage);
+                const saveSuccess = await saveReportData(currentReportId, reportDataPackage);
                 if (saveSuccess) {
-                    console.log('[LOCAL] Complete report package saved to localStorage:', currentReportId);
+                    console.log('[LOCAL] Complete report package saved:', currentReportId);
                 } else {
-                    console.warn('[LOCAL] Failed to save report package to localStorage');
+                    console.warn('[LOCAL] Failed to save report package');
                 }
 
                 // v6.6.3: Update fvp_current_reports so dashboard can find this refined report
@@ -5023,6 +6600,9 @@
                 // v6: Initialize sync manager for real-time backup
                 initSyncManager();
 
+                // Per-photo upload progress, pause/resume and Wi-Fi only (upload-manager.js)
+                window.uploadManager.onChange(handlePhotoUploadChange);
+
                 // Load active project and contractors from Supabase
                 updateLoadingStatus('Loading project data...');
                 activeProject = await window.dataLayer.loadActiveProject();
@@ -5104,6 +6684,9 @@
 
                 checkAndShowWarningBanner();
                 checkDictationHintBanner();
+                initDictationButtons();
+                initVoiceCommands();
+                loadReportMemos();
 
                 // Acquire lock on this report (if online)
                 if (activeProject && navigator.onLine) {
@@ -5112,6 +6695,9 @@
                     const lockAcquired = await window.lockManager.acquireLock(activeProject.id, todayStr, inspectorName);
                     if (!lockAcquired) {
                         console.warn('[INIT] Failed to acquire lock - may have been taken by another device');
+                    } else {
+                        window.lockManager.onHandoffRequest(showHandoffRequestModal);
+                        window.lockManager.onLockLost(handleLockLost);
                     }
                 }
             } catch (error) {
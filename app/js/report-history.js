@@ -0,0 +1,357 @@
+/**
+ * Report History - Revision snapshots with diff and restore
+ * FieldVoice Pro v6
+ *
+ * Each save of report data (report.html, finalreview.html) records a snapshot of
+ * the editable parts of the report - userEdits and aiGenerated - so text that was
+ * overwritten or cleared can be compared and restored later.
+ *
+ * Snapshots live in the IndexedDB `revisions` store and are pushed best-effort to
+ * the Supabase `report_revisions` table:
+ *   id uuid PK, report_id uuid, device_id text, device_label text, author text,
+ *   reason text, user_edits jsonb, ai_generated jsonb, created_at timestamptz
+ *
+ * Autosaves are throttled (AUTOSAVE_INTERVAL_MS) unless a field was cleared or
+ * lost most of its text; explicit saves and restores are always recorded.
+ *
+ * Dependencies: storage-keys.js (getDeviceId), indexeddb-utils.js (window.idb),
+ *               config.js (supabaseClient, optional)
+ *
+ * @module report-history
+ */
+
+(function() {
+    'use strict';
+
+    const AUTOSAVE_INTERVAL_MS = 60 * 1000;
+    const MAX_LOCAL_REVISIONS = 100;
+    // A field losing more than this share of its text counts as a destructive edit
+    const SHRINK_RATIO = 0.5;
+
+    const lastRecorded = {};  // reportId -> latest revision (cached per page load)
+
+    // ============ RECORDING ============
+
+    /**
+     * Record a revision for a report if its content changed
+     * @param {string} reportId - The report UUID
+     * @param {Object} data - Report data ({ userEdits, aiGenerated })
+     * @param {Object} [options]
+     * @param {'autosave'|'save'|'restore'} [options.reason='autosave']
+     * @param {string} [options.author] - Inspector name shown in the timeline
+     * @returns {Promise<Object|null>} The recorded revision, or null if skipped
+     */
+    async function recordRevision(reportId, data, options = {}) {
+        if (!reportId || !data || !window.idb) return null;
+
+        const reason = options.reason || 'autosave';
+        const snapshot = {
+            userEdits: clone(data.userEdits || {}),
+            aiGenerated: clone(data.aiGenerated || {})
+        };
+
+        try {
+            const previous = await getLatestRevision(reportId);
+            if (previous && isSameContent(previous, snapshot)) return null;
+
+            if (previous && reason === 'autosave') {
+                const elapsed = Date.now() - new Date(previous.createdAt).getTime();
+                if (elapsed < AUTOSAVE_INTERVAL_MS && !isDestructiveChange(previous, snapshot)) {
+                    return null;
+                }
+            }
+
+            const revision = {
+                id: crypto.randomUUID(),
+                reportId,
+                createdAt: new Date().toISOString(),
+                deviceId: getDeviceId(),
+                deviceLabel: describeDevice(),
+                author: options.author || '',
+                reason,
+                userEdits: snapshot.userEdits,
+                aiGenerated: snapshot.aiGenerated,
+                synced: false
+            };
+
+            await window.idb.saveRevision(revision);
+            lastRecorded[reportId] = revision;
+            console.log('[HISTORY] Recorded revision:', reportId, reason);
+
+            await pruneRevisions(reportId);
+            pushRevision(revision);
+            return revision;
+        } catch (e) {
+            console.warn('[HISTORY] Failed to record revision:', e);
+            return null;
+        }
+    }
+
+    async function getLatestRevision(reportId) {
+        if (lastRecorded[reportId]) return lastRecorded[reportId];
+
+        const revisions = sortNewestFirst(await window.idb.getRevisionsByReportId(reportId));
+        lastRecorded[reportId] = revisions[0] || null;
+        return lastRecorded[reportId];
+    }
+
+    /**
+     * Keep the newest MAX_LOCAL_REVISIONS; never drop one that hasn't reached Supabase
+     */
+    async function pruneRevisions(reportId) {
+        const revisions = sortNewestFirst(await window.idb.getRevisionsByReportId(reportId));
+        const stale = revisions.slice(MAX_LOCAL_REVISIONS).filter(r => r.synced);
+        for (const revision of stale) {
+            await window.idb.deleteRevision(revision.id);
+        }
+    }
+
+    // ============ SUPABASE ============
+
+    function canSync() {
+        return typeof supabaseClient !== 'undefined' && navigator.onLine;
+    }
+
+    function toSupabaseRow(revision) {
+        return {
+            id: revision.id,
+            report_id: revision.reportId,
+            device_id: revision.deviceId,
+            device_label: revision.deviceLabel,
+            author: revision.author || null,
+            reason: revision.reason,
+            user_edits: revision.userEdits,
+            ai_generated: revision.aiGenerated,
+            created_at: revision.createdAt
+        };
+    }
+
+    function fromSupabaseRow(row) {
+        return {
+            id: row.id,
+            reportId: row.report_id,
+            createdAt: row.created_at,
+            deviceId: row.device_id,
+            deviceLabel: row.device_label || '',
+            author: row.author || '',
+            reason: row.reason || 'save',
+            userEdits: row.user_edits || {},
+            aiGenerated: row.ai_generated || {},
+            synced: true
+        };
+    }
+
+    /**
+     * Upload one revision; leaves it unsynced on failure so syncRevisions() retries
+     */
+    async function pushRevision(revision) {
+        if (!canSync()) return false;
+
+        try {
+            const { error } = await supabaseClient
+                .from('report_revisions')
+                .upsert(toSupabaseRow(revision), { onConflict: 'id' });
+
+            if (error) throw error;
+
+            revision.synced = true;
+            await window.idb.saveRevision(revision);
+            return true;
+        } catch (e) {
+            console.warn('[HISTORY] Revision upload failed, will retry:', e.message || e);
+            return false;
+        }
+    }
+
+    /**
+     * Upload any revisions for a report that haven't reached Supabase yet
+     * @param {string} reportId - The report UUID
+     * @returns {Promise<number>} Number of revisions uploaded
+     */
+    async function syncRevisions(reportId) {
+        if (!reportId || !window.idb || !canSync()) return 0;
+
+        const pending = (await window.idb.getRevisionsByReportId(reportId)).filter(r => !r.synced);
+        let uploaded = 0;
+        for (const revision of pending) {
+            if (await pushRevision(revision)) uploaded++;
+        }
+        if (uploaded) console.log('[HISTORY] Uploaded', uploaded, 'pending revision(s)');
+        return uploaded;
+    }
+
+    // ============ READING ============
+
+    /**
+     * Get all revisions for a report, newest first
+     * Merges revisions from other devices (Supabase) into the local store when online
+     * @param {string} reportId - The report UUID
+     * @returns {Promise<Array>}
+     */
+    async function getRevisions(reportId) {
+        if (!reportId || !window.idb) return [];
+
+        await syncRevisions(reportId);
+        const local = await window.idb.getRevisionsByReportId(reportId);
+        const byId = new Map(local.map(r => [r.id, r]));
+
+        if (canSync()) {
+            try {
+                const { data, error } = await supabaseClient
+                    .from('report_revisions')
+                    .select('*')
+                    .eq('report_id', reportId)
+                    .order('created_at', { ascending: false })
+                    .limit(MAX_LOCAL_REVISIONS);
+
+                if (error) throw error;
+
+                for (const row of data || []) {
+                    if (byId.has(row.id)) continue;
+                    const revision = fromSupabaseRow(row);
+                    byId.set(revision.id, revision);
+                    await window.idb.saveRevision(revision);
+                }
+            } catch (e) {
+                console.warn('[HISTORY] Could not load remote revisions:', e.message || e);
+            }
+        }
+
+        return sortNewestFirst([...byId.values()]);
+    }
+
+    // ============ DIFF ============
+
+    /**
+     * Compare two revisions field by field
+     * Keys are userEdits paths (e.g. 'issues', 'activity_<id>') and 'ai:<key>' for
+     * top-level aiGenerated fields
+     * @param {Object|null} older - Revision (null = empty report)
+     * @param {Object} newer - Revision
+     * @returns {Array<{key: string, source: 'edit'|'ai', path: string, before: *, after: *}>}
+     */
+    function diffRevisions(older, newer) {
+        const changes = [];
+
+        const compare = (source, a, b) => {
+            const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+            keys.forEach(path => {
+                const before = a ? a[path] : undefined;
+                const after = b ? b[path] : undefined;
+                if (isEqual(before, after)) return;
+                changes.push({
+                    key: source === 'ai' ? `ai:${path}` : path,
+                    source,
+                    path,
+                    before: clone(before),
+                    after: clone(after)
+                });
+            });
+        };
+
+        compare('edit', older?.userEdits, newer?.userEdits);
+        compare('ai', older?.aiGenerated, newer?.aiGenerated);
+        return changes;
+    }
+
+    /**
+     * Apply one field (or the whole revision) to report data
+     * @param {Object} data - Current report data ({ userEdits, aiGenerated }), not modified
+     * @param {Object} revision - Revision to restore from
+     * @param {string} [key] - Key from diffRevisions(); omit to restore everything
+     * @returns {{userEdits: Object, aiGenerated: Object}}
+     */
+    function applyRevision(data, revision, key) {
+        if (!key) {
+            return {
+                userEdits: clone(revision.userEdits || {}),
+                aiGenerated: clone(revision.aiGenerated || {})
+            };
+        }
+
+        const result = {
+            userEdits: clone(data.userEdits || {}),
+            aiGenerated: clone(data.aiGenerated || {})
+        };
+        const isAi = key.startsWith('ai:');
+        const target = isAi ? result.aiGenerated : result.userEdits;
+        const source = (isAi ? revision.aiGenerated : revision.userEdits) || {};
+        const path = isAi ? key.slice(3) : key;
+
+        // A field the revision never edited falls back to the AI text again
+        if (Object.prototype.hasOwnProperty.call(source, path)) {
+            target[path] = clone(source[path]);
+        } else {
+            delete target[path];
+        }
+        return result;
+    }
+
+    /**
+     * Remove all local revisions for a report
+     * @param {string} reportId - The report UUID
+     */
+    async function clearRevisions(reportId) {
+        if (!reportId || !window.idb) return;
+        delete lastRecorded[reportId];
+        await window.idb.deleteRevisionsByReportId(reportId);
+    }
+
+    // ============ HELPERS ============
+
+    function isSameContent(a, b) {
+        return isEqual(a.userEdits, b.userEdits) && isEqual(a.aiGenerated, b.aiGenerated);
+    }
+
+    /**
+     * True if any text field was cleared or lost most of its content
+     * (clearing a field that only showed AI text adds an empty userEdits entry)
+     */
+    function isDestructiveChange(previous, snapshot) {
+        return diffRevisions(previous, snapshot).some(({ before, after }) => {
+            if (typeof after === 'string' && !after.trim()) return true;
+            const beforeLength = textLength(before);
+            if (!beforeLength) return false;
+            return textLength(after) < beforeLength * SHRINK_RATIO;
+        });
+    }
+
+    function textLength(value) {
+        if (value === undefined || value === null) return 0;
+        return (typeof value === 'string' ? value : JSON.stringify(value)).trim().length;
+    }
+
+    function describeDevice() {
+        const ua = navigator.userAgent || '';
+        if (/iPad/.test(ua)) return 'iPad';
+        if (/iPhone/.test(ua)) return 'iPhone';
+        if (/Android/.test(ua)) return /Mobile/.test(ua) ? 'Android phone' : 'Android tablet';
+        if (/Macintosh/.test(ua)) return navigator.maxTouchPoints > 1 ? 'iPad' : 'Mac';
+        if (/Windows/.test(ua)) return 'Windows PC';
+        if (/Linux/.test(ua)) return 'Linux PC';
+        return 'Unknown device';
+    }
+
+    function sortNewestFirst(revisions) {
+        return revisions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    function isEqual(a, b) {
+        // Strict: an empty userEdits entry (field cleared) differs from no entry (AI text shown)
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // Expose to window
+    window.reportHistory = {
+        recordRevision,
+        getRevisions,
+        syncRevisions,
+        diffRevisions,
+        applyRevision,
+        clearRevisions
+    };
+})();
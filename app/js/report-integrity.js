@@ -0,0 +1,173 @@
+/**
+ * Report Integrity - Tamper-evident hashes for submitted reports
+ * FieldVoice Pro v6
+ *
+ * At submit time finalreview.js seals the report: a SHA-256 of the PDF bytes and a
+ * SHA-256 of a canonical JSON snapshot of the report data go into final_reports
+ * alongside the snapshot itself:
+ *   report_json jsonb, report_sha256 text, pdf_sha256 text, hash_algorithm text
+ *
+ * verifyFinalReport() recomputes both from what is stored now (the final_reports row
+ * and the PDF at pdf_url) and compares. A mismatch means the PDF or the report data
+ * changed after submission. The hashes live in the same database as the data, so this
+ * detects edits and corruption - it is not a signature by an outside authority.
+ *
+ * Canonical JSON sorts object keys and drops undefined values, so the hash survives the
+ * round trip through Postgres jsonb (which doesn't keep key order).
+ *
+ * Dependencies: config.js (supabaseClient), Web Crypto (crypto.subtle)
+ *
+ * @module report-integrity
+ */
+
+(function() {
+    'use strict';
+
+    const HASH_ALGORITHM = 'SHA-256';
+
+    // ============ HASHING ============
+
+    /**
+     * Hex SHA-256 of a Blob, ArrayBuffer or string
+     * @param {Blob|ArrayBuffer|string} data
+     * @returns {Promise<string>}
+     */
+    async function sha256Hex(data) {
+        if (!window.crypto?.subtle) {
+            throw new Error('Web Crypto is not available (requires HTTPS)');
+        }
+
+        let bytes = data;
+        if (typeof data === 'string') {
+            bytes = new TextEncoder().encode(data);
+        } else if (data instanceof Blob) {
+            bytes = await data.arrayBuffer();
+        }
+
+        const digest = await crypto.subtle.digest(HASH_ALGORITHM, bytes);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * JSON with object keys sorted at every level; undefined and function values are dropped
+     * (as JSON.stringify does), so equal data always gives the same string
+     * @param {*} value
+     * @returns {string}
+     */
+    function canonicalJson(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value) ?? 'null';
+        }
+        if (typeof value.toJSON === 'function') {
+            return canonicalJson(value.toJSON());
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(item => canonicalJson(item)).join(',')}]`;
+        }
+
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    // ============ SEALING ============
+
+    /**
+     * Hashes for a submission - spread into the final_reports row
+     * @param {Blob} pdfBlob - The submitted PDF
+     * @param {Object} reportJson - Snapshot of the report data the PDF was built from
+     * @returns {Promise<{report_json: Object, report_sha256: string, pdf_sha256: string, hash_algorithm: string}>}
+     */
+    async function sealSubmission(pdfBlob, reportJson) {
+        // Store exactly what was hashed (a plain JSON copy)
+        const snapshot = JSON.parse(canonicalJson(reportJson));
+
+        const [reportSha256, pdfSha256] = await Promise.all([
+            sha256Hex(canonicalJson(snapshot)),
+            sha256Hex(pdfBlob)
+        ]);
+
+        return {
+            report_json: snapshot,
+            report_sha256: reportSha256,
+            pdf_sha256: pdfSha256,
+            hash_algorithm: HASH_ALGORITHM
+        };
+    }
+
+    // ============ VERIFICATION ============
+
+    /**
+     * Check a submitted report against the hashes stored when it was submitted
+     * @param {string} reportId - The Supabase report ID
+     * @returns {Promise<{verified: boolean, sealed: boolean, reportMatches: boolean|null,
+     *   pdfMatches: boolean|null, submittedAt: string|null, error: string|null}>}
+     *   sealed is false for reports submitted before hashes were stored
+     */
+    async function verifyFinalReport(reportId) {
+        const result = {
+            verified: false,
+            sealed: false,
+            reportMatches: null,
+            pdfMatches: null,
+            submittedAt: null,
+            error: null
+        };
+
+        try {
+            const { data: row, error } = await supabaseClient
+                .from('final_reports')
+                .select('report_id, submitted_at, pdf_url, report_json, report_sha256, pdf_sha256, hash_algorithm')
+                .eq('report_id', reportId)
+                .maybeSingle();
+
+            if (error) throw new Error(error.message);
+            if (!row) throw new Error('No submitted report found');
+
+            result.submittedAt = row.submitted_at || null;
+            if (!row.report_sha256 || !row.pdf_sha256) {
+                return result;
+            }
+            result.sealed = true;
+
+            if (row.hash_algorithm && row.hash_algorithm !== HASH_ALGORITHM) {
+                throw new Error(`Unsupported hash algorithm: ${row.hash_algorithm}`);
+            }
+
+            result.reportMatches = row.report_json
+                ? (await sha256Hex(canonicalJson(row.report_json))) === row.report_sha256
+                : false;
+
+            if (row.pdf_url) {
+                // Bypass the HTTP cache so a replaced file is what gets hashed
+                const response = await fetch(row.pdf_url, { cache: 'no-store' });
+                if (!response.ok) throw new Error(`PDF download failed (${response.status})`);
+                result.pdfMatches = (await sha256Hex(await response.blob())) === row.pdf_sha256;
+            } else {
+                result.pdfMatches = false;
+            }
+
+            result.verified = result.reportMatches && result.pdfMatches;
+            console.log('[INTEGRITY] Verified report', reportId, result);
+        } catch (e) {
+            console.error('[INTEGRITY] Verification failed:', reportId, e);
+            result.error = e.message;
+        }
+
+        return result;
+    }
+
+    // ============ EXPORTS ============
+
+    window.reportIntegrity = {
+        HASH_ALGORITHM,
+        sha256Hex,
+        canonicalJson,
+        sealSubmission,
+        verifyFinalReport
+    };
+})();
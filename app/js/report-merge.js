@@ -0,0 +1,340 @@
+/**
+ * Report Merge - Field-level three-way merge for reports edited on two devices
+ * FieldVoice Pro v6
+ *
+ * Keeps a base snapshot per report (the state last synced with Supabase) and,
+ * before a save, merges local and remote changes against it by item id:
+ * - entries by id
+ * - operations (personnel) by contractorId
+ * - equipmentRows by id
+ *
+ * Non-conflicting changes are merged automatically. Fields changed differently
+ * on both sides (or deleted on one side and edited on the other) are returned as
+ * conflicts for the user to resolve; merged state defaults to the local value.
+ *
+ * Dependencies: storage-keys.js
+ *
+ * @module report-merge
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Mergeable collections: report property, id field, and the fields compared per item
+     */
+    const COLLECTIONS = {
+        entries: {
+            idField: 'id',
+            fields: ['section', 'content', 'entry_order', 'is_deleted', 'timestamp']
+        },
+        operations: {
+            idField: 'contractorId',
+            fields: ['superintendents', 'foremen', 'operators', 'laborers', 'surveyors', 'others']
+        },
+        equipmentRows: {
+            idField: 'id',
+            fields: ['contractorId', 'type', 'qty', 'status', 'timestamp']
+        }
+    };
+
+    // ============ SNAPSHOTS ============
+
+    /**
+     * Extract the mergeable part of a report
+     * @param {Object} report - Report object (quick-interview format)
+     * @returns {{entries: Array, operations: Array, equipmentRows: Array}}
+     */
+    function extractMergeState(report) {
+        return {
+            entries: clone(report?.entries || []),
+            // Same 0 -> null normalization as the Supabase round trip (see fromRawData)
+            operations: (report?.operations || []).map(o => normalizeOperation(o.contractorId, o)),
+            equipmentRows: clone(report?.equipmentRows || [])
+        };
+    }
+
+    /**
+     * Build a merge state from a report_raw_capture.raw_data blob
+     * Collections written by older clients (no entries/equipment_rows key) come back as null,
+     * which the merge treats as "unknown" rather than "everything deleted"
+     * @param {Object} rawData - raw_data JSONB from Supabase
+     * @returns {{entries: Array|null, operations: Array, equipmentRows: Array|null}}
+     */
+    function fromRawData(rawData) {
+        const data = rawData || {};
+        return {
+            entries: Array.isArray(data.entries) ? clone(data.entries) : null,
+            operations: (data.personnel || []).map(p => normalizeOperation(p.contractor_id, p)),
+            equipmentRows: Array.isArray(data.equipment_rows) ? clone(data.equipment_rows) : null
+        };
+    }
+
+    /**
+     * Get the base snapshot for a report
+     * @param {string} reportId - The report UUID
+     * @returns {Object|null} Merge state last synced with Supabase, or null
+     */
+    function getBaseSnapshot(reportId) {
+        if (!reportId) return null;
+        const stored = getStorageItem(`${STORAGE_KEYS.MERGE_BASE}${reportId}`);
+        return stored && typeof stored === 'object' ? stored.state : null;
+    }
+
+    /**
+     * Save the base snapshot for a report (call after a successful sync)
+     * @param {string} reportId - The report UUID
+     * @param {Object} state - Merge state (from extractMergeState or fromRawData)
+     * @returns {boolean} True on success
+     */
+    function saveBaseSnapshot(reportId, state) {
+        if (!reportId || !state) return false;
+        return setStorageItem(`${STORAGE_KEYS.MERGE_BASE}${reportId}`, {
+            state,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Remove the base snapshot for a report
+     * @param {string} reportId - The report UUID
+     */
+    function clearBaseSnapshot(reportId) {
+        if (!reportId) return;
+        removeStorageItem(`${STORAGE_KEYS.MERGE_BASE}${reportId}`);
+    }
+
+    // ============ MERGE ============
+
+    /**
+     * Three-way merge of local and remote state against a base
+     * @param {Object|null} base - Base merge state (null = no common ancestor)
+     * @param {Object} local - Local merge state
+     * @param {Object} remote - Remote merge state
+     * @returns {{state: Object, conflicts: Array, changed: boolean}}
+     *   state - merged state (conflicting fields hold the local value)
+     *   conflicts - [{ key, collection, id, field, base, local, remote }]; field is null for delete/edit conflicts
+     *   changed - true if remote changes were merged into local
+     */
+    function threeWayMerge(base, local, remote) {
+        const result = { state: {}, conflicts: [], changed: false };
+        const baseState = base || { entries: [], operations: [], equipmentRows: [] };
+
+        Object.keys(COLLECTIONS).forEach(collection => {
+            // Remote never stored this collection - nothing to merge against
+            if (!remote[collection]) {
+                result.state[collection] = clone(local[collection] || []);
+                return;
+            }
+
+            const merged = mergeCollection(
+                collection,
+                baseState[collection] || [],
+                local[collection] || [],
+                remote[collection] || []
+            );
+            result.state[collection] = merged.items;
+            result.conflicts.push(...merged.conflicts);
+            if (merged.changed) result.changed = true;
+        });
+
+        return result;
+    }
+
+    /**
+     * Merge one collection by id
+     */
+    function mergeCollection(collection, baseItems, localItems, remoteItems) {
+        const { idField, fields } = COLLECTIONS[collection];
+        const baseById = indexById(baseItems, idField);
+        const localById = indexById(localItems, idField);
+        const remoteById = indexById(remoteItems, idField);
+
+        const items = [];
+        const conflicts = [];
+        let changed = false;
+
+        // Walk local order first, then remote-only additions
+        const ids = [...localById.keys()];
+        remoteById.forEach((_, id) => {
+            if (!localById.has(id)) ids.push(id);
+        });
+        baseById.forEach((_, id) => {
+            if (!localById.has(id) && !remoteById.has(id)) ids.push(id);
+        });
+
+        ids.forEach(id => {
+            const baseItem = baseById.get(id);
+            const localItem = localById.get(id);
+            const remoteItem = remoteById.get(id);
+
+            // Present on both sides - merge field by field
+            if (localItem && remoteItem) {
+                const mergedItem = clone(localItem);
+                fields.forEach(field => {
+                    const b = baseItem ? baseItem[field] : undefined;
+                    const l = localItem[field];
+                    const r = remoteItem[field];
+
+                    if (isEqual(l, r) || isEqual(r, b)) return;  // Same, or only local changed
+                    if (isEqual(l, b)) {                          // Only remote changed
+                        mergedItem[field] = clone(r);
+                        changed = true;
+                        return;
+                    }
+                    conflicts.push(makeConflict(collection, id, field, b, l, r));
+                });
+                items.push(mergedItem);
+                return;
+            }
+
+            // Added on one side only
+            if (!baseItem) {
+                if (localItem) {
+                    items.push(clone(localItem));
+                } else {
+                    items.push(clone(remoteItem));
+                    changed = true;
+                }
+                return;
+            }
+
+            // Deleted on both sides
+            if (!localItem && !remoteItem) return;
+
+            // Deleted locally - keep deleted unless remote edited it
+            if (!localItem) {
+                if (!isItemEqual(baseItem, remoteItem, fields)) {
+                    conflicts.push(makeConflict(collection, id, null, baseItem, null, remoteItem));
+                }
+                return;
+            }
+
+            // Deleted remotely - drop unless local edited it
+            if (isItemEqual(baseItem, localItem, fields)) {
+                changed = true;
+                return;
+            }
+            conflicts.push(makeConflict(collection, id, null, baseItem, localItem, null));
+            items.push(clone(localItem));
+        });
+
+        return { items, conflicts, changed };
+    }
+
+    /**
+     * Apply user conflict choices to a merge result
+     * @param {Object} mergeResult - Result from threeWayMerge
+     * @param {Object} resolutions - Map of conflict key -> 'local' | 'remote' (missing = 'local')
+     * @returns {Object} Resolved merge state
+     */
+    function applyResolutions(mergeResult, resolutions) {
+        const state = clone(mergeResult.state);
+
+        mergeResult.conflicts.forEach(conflict => {
+            if ((resolutions || {})[conflict.key] !== 'remote') return;
+
+            const { idField } = COLLECTIONS[conflict.collection];
+            const items = state[conflict.collection];
+            const index = items.findIndex(item => item[idField] === conflict.id);
+
+            if (conflict.field) {
+                if (index !== -1) items[index][conflict.field] = clone(conflict.remote);
+                return;
+            }
+
+            // Item-level conflict: take the remote item (or its deletion)
+            if (conflict.remote === null) {
+                if (index !== -1) items.splice(index, 1);
+            } else if (index !== -1) {
+                items[index] = clone(conflict.remote);
+            } else {
+                items.push(clone(conflict.remote));
+            }
+        });
+
+        return state;
+    }
+
+    /**
+     * Check whether two merge states hold the same data
+     * @param {Object} a - Merge state
+     * @param {Object} b - Merge state
+     * @returns {boolean}
+     */
+    function statesEqual(a, b) {
+        return Object.keys(COLLECTIONS).every(collection => {
+            const { idField, fields } = COLLECTIONS[collection];
+            if (!a || !b || !a[collection] !== !b[collection]) return false;
+            const aById = indexById((a && a[collection]) || [], idField);
+            const bById = indexById((b && b[collection]) || [], idField);
+            if (aById.size !== bById.size) return false;
+            for (const [id, item] of aById) {
+                if (!bById.has(id) || !isItemEqual(item, bById.get(id), fields)) return false;
+            }
+            return true;
+        });
+    }
+
+    // ============ HELPERS ============
+
+    function normalizeOperation(contractorId, o) {
+        return {
+            contractorId,
+            superintendents: o.superintendents || null,
+            foremen: o.foremen || null,
+            operators: o.operators || null,
+            laborers: o.laborers || null,
+            surveyors: o.surveyors || null,
+            others: o.others || null
+        };
+    }
+
+    function makeConflict(collection, id, field, base, local, remote) {
+        return {
+            key: `${collection}:${id}:${field || '*'}`,
+            collection,
+            id,
+            field,
+            base: clone(base),
+            local: clone(local),
+            remote: clone(remote)
+        };
+    }
+
+    function indexById(items, idField) {
+        const map = new Map();
+        items.forEach(item => {
+            if (item && item[idField] !== undefined && item[idField] !== null) {
+                map.set(item[idField], item);
+            }
+        });
+        return map;
+    }
+
+    function isItemEqual(a, b, fields) {
+        return fields.every(field => isEqual(a[field], b[field]));
+    }
+
+    function isEqual(a, b) {
+        // Treat missing/null/empty-string as the same "no value"
+        const norm = v => (v === undefined || v === null || v === '') ? null : v;
+        return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // Expose to window
+    window.reportMerge = {
+        extractMergeState,
+        fromRawData,
+        getBaseSnapshot,
+        saveBaseSnapshot,
+        clearBaseSnapshot,
+        threeWayMerge,
+        applyResolutions,
+        statesEqual
+    };
+})();
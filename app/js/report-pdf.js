@@ -0,0 +1,508 @@
+/**
+ * Report PDF - Vector PDF renderer for the RPR daily report
+ * FieldVoice Pro v6
+ *
+ * Builds the submitted PDF straight from report data instead of screenshotting the
+ * page, so text stays searchable/copyable, tables are real tables and the layout
+ * doesn't depend on the viewport. finalreview.js assembles the model
+ * (buildPdfModel()) and this module only lays it out.
+ *
+ * Model:
+ *   { title, logo, logoText, logoPlacement: 'left'|'right'|'none', footerText,
+ *     metadata: { title, subject, author }, blocks: [] }
+ *
+ * Blocks (drawn top to bottom, breaking pages as needed):
+ *   { type: 'section', title }
+ *   { type: 'fields', rows: [[label, value, label, value], ...] }
+ *     a value may be { content, colSpan?, image? } - image (e.g. a drawn signature) is drawn
+ *     centred above the text
+ *   { type: 'table', head: [], body: [[]], widths?: [], emptyText? }
+ *   { type: 'text', text, bold?, uppercase?, size? }
+ *   { type: 'bullets', lines: [] }                       - 'N/A.' when empty
+ *   { type: 'checkboxes', label, options: [{ label, checked }] }
+ *   { type: 'photos', title, continuedTitle, info: [[label, value]], columns?, rows?,
+ *     emptyText?, items: [{ src, label, caption, meta, before?: { src, label } }] }
+ *   { type: 'pageBreak' }
+ *
+ * Every page gets the logo/title header and an "N of M" footer once the content is laid out.
+ *
+ * Dependencies: jsPDF (window.jspdf), jspdf-autotable
+ *
+ * @module report-pdf
+ */
+
+(function() {
+    'use strict';
+
+    // Letter, in points
+    const PAGE_WIDTH = 612;
+    const PAGE_HEIGHT = 792;
+    const MARGIN = 36;
+    const HEADER_HEIGHT = 54;
+    const FOOTER_HEIGHT = 24;
+    const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+    const CONTENT_TOP = MARGIN + HEADER_HEIGHT;
+    const CONTENT_BOTTOM = PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+
+    const FONT = 'helvetica';
+    const BODY_SIZE = 9;
+    const LINE_HEIGHT = 1.3;
+    const BLOCK_GAP = 8;
+
+    const COLORS = {
+        section: '#4a7c34',
+        label: '#f5f5f5',
+        border: '#999999',
+        text: '#000000',
+        muted: '#666666'
+    };
+
+    // Photos are re-encoded so the PDF size stays predictable
+    const PHOTO_MAX_PX = 1200;
+    const PHOTO_QUALITY = 0.8;
+    const LOGO_MAX_PX = 600;
+    const CELL_IMAGE_MAX_PX = 600;
+    const CELL_IMAGE_HEIGHT = 36;
+    const PHOTO_GAP = 12;
+
+    // ============ RENDER ============
+
+    /**
+     * Render the report model to a PDF
+     * @param {Object} model - See module header
+     * @returns {Promise<Blob>}
+     */
+    async function renderReportPdf(model) {
+        if (!window.jspdf?.jsPDF) {
+            throw new Error('PDF library not loaded');
+        }
+
+        const doc = new window.jspdf.jsPDF({ unit: 'pt', format: 'letter', orientation: 'portrait' });
+        if (typeof doc.autoTable !== 'function') {
+            throw new Error('PDF table plugin not loaded');
+        }
+
+        doc.setProperties({
+            title: model.metadata?.title || model.title || '',
+            subject: model.metadata?.subject || '',
+            author: model.metadata?.author || '',
+            creator: 'FieldVoice Pro'
+        });
+
+        const ctx = { doc, y: CONTENT_TOP };
+
+        for (const block of model.blocks || []) {
+            switch (block.type) {
+                case 'section': drawSection(ctx, block.title); break;
+                case 'fields': await drawFields(ctx, block); break;
+                case 'table': drawTable(ctx, block); break;
+                case 'text': drawText(ctx, block); break;
+                case 'bullets': drawBullets(ctx, block.lines); break;
+                case 'checkboxes': drawCheckboxes(ctx, block); break;
+                case 'photos': await drawPhotos(ctx, block); break;
+                case 'pageBreak': newPage(ctx); break;
+                default:
+                    console.warn('[PDF] Unknown block type:', block.type);
+            }
+        }
+
+        const logo = model.logo ? await loadImage(model.logo, LOGO_MAX_PX, 'image/png') : null;
+        drawPageChrome(doc, model, logo);
+
+        return doc.output('blob');
+    }
+
+    // ============ LAYOUT HELPERS ============
+
+    function newPage(ctx) {
+        ctx.doc.addPage();
+        ctx.y = CONTENT_TOP;
+    }
+
+    // Start a new page unless `height` more points fit on this one
+    function ensureSpace(ctx, height) {
+        if (ctx.y + height > CONTENT_BOTTOM && ctx.y > CONTENT_TOP) {
+            newPage(ctx);
+        }
+    }
+
+    function setFont(doc, size = BODY_SIZE, style = 'normal', color = COLORS.text) {
+        doc.setFont(FONT, style);
+        doc.setFontSize(size);
+        doc.setTextColor(color);
+    }
+
+    function lineHeight(size) {
+        return size * LINE_HEIGHT;
+    }
+
+    // Shared autotable options so every table looks like the page's tables
+    function tableOptions(ctx) {
+        return {
+            startY: ctx.y,
+            margin: { top: CONTENT_TOP, bottom: PAGE_HEIGHT - CONTENT_BOTTOM, left: MARGIN, right: MARGIN },
+            theme: 'grid',
+            styles: {
+                font: FONT,
+                fontSize: BODY_SIZE - 1,
+                textColor: COLORS.text,
+                lineColor: COLORS.border,
+                lineWidth: 0.5,
+                cellPadding: 4,
+                overflow: 'linebreak',
+                valign: 'top'
+            },
+            headStyles: {
+                fillColor: COLORS.label,
+                textColor: COLORS.text,
+                fontStyle: 'bold',
+                halign: 'center'
+            }
+        };
+    }
+
+    function afterTable(ctx) {
+        ctx.y = ctx.doc.lastAutoTable.finalY + BLOCK_GAP;
+    }
+
+    // ============ BLOCKS ============
+
+    function drawSection(ctx, title) {
+        const { doc } = ctx;
+        const barHeight = 16;
+
+        // Keep the heading with at least a couple of lines of its content
+        ensureSpace(ctx, barHeight + lineHeight(BODY_SIZE) * 3);
+
+        setFont(doc, BODY_SIZE + 1, 'bold', '#ffffff');
+        const lines = doc.splitTextToSize(String(title || '').toUpperCase(), CONTENT_WIDTH - 12);
+        const height = Math.max(barHeight, lines.length * lineHeight(BODY_SIZE + 1) + 5);
+
+        doc.setFillColor(COLORS.section);
+        doc.rect(MARGIN, ctx.y, CONTENT_WIDTH, height, 'F');
+        doc.text(lines, MARGIN + 6, ctx.y + 11.5, { lineHeightFactor: LINE_HEIGHT });
+
+        ctx.y += height + 6;
+    }
+
+    async function drawFields(ctx, block) {
+        const labelStyle = { fillColor: COLORS.label, fontStyle: 'bold', cellWidth: 110 };
+
+        // Cells with an image get top padding to leave room for it; the image is drawn once
+        // autotable has placed the cell
+        const cellImages = new Map();
+        const body = await Promise.all(block.rows.map(row => Promise.all(row.map(async cell => {
+            if (!cell?.image) return cell;
+
+            const { image: imageSrc, ...rest } = cell;
+            const image = await loadImage(imageSrc, CELL_IMAGE_MAX_PX, 'image/png');
+            if (!image) return rest;
+
+            const padded = {
+                ...rest,
+                styles: { ...rest.styles, halign: 'center', cellPadding: { top: CELL_IMAGE_HEIGHT + 6, right: 4, bottom: 4, left: 4 } }
+            };
+            cellImages.set(padded, image);
+            return padded;
+        }))));
+
+        ctx.doc.autoTable({
+            ...tableOptions(ctx),
+            body,
+            columnStyles: { 0: labelStyle, 2: labelStyle },
+            didDrawCell: data => {
+                const image = data.section === 'body' && cellImages.get(data.cell.raw);
+                if (!image) return;
+
+                const scale = Math.min(CELL_IMAGE_HEIGHT / image.height, (data.cell.width - 8) / image.width);
+                const width = image.width * scale;
+                const height = image.height * scale;
+                data.doc.addImage(image.dataUrl, 'PNG', data.cell.x + (data.cell.width - width) / 2,
+                    data.cell.y + 4 + (CELL_IMAGE_HEIGHT - height) / 2, width, height);
+            }
+        });
+        afterTable(ctx);
+    }
+
+    function drawTable(ctx, block) {
+        const columnStyles = {};
+        (block.widths || []).forEach((width, i) => {
+            if (width) columnStyles[i] = { cellWidth: width };
+        });
+
+        const body = block.body.length > 0
+            ? block.body
+            : [[{
+                content: block.emptyText || 'None',
+                colSpan: block.head.length,
+                styles: { halign: 'center', textColor: COLORS.muted, fontStyle: 'italic' }
+            }]];
+
+        ctx.doc.autoTable({
+            ...tableOptions(ctx),
+            head: [block.head],
+            body,
+            columnStyles
+        });
+        afterTable(ctx);
+    }
+
+    function drawText(ctx, block) {
+        const { doc } = ctx;
+        const size = block.size || BODY_SIZE;
+        let text = String(block.text || '');
+        if (block.uppercase) text = text.toUpperCase();
+
+        setFont(doc, size, block.bold ? 'bold' : 'normal');
+        writeLines(ctx, doc.splitTextToSize(text, CONTENT_WIDTH), MARGIN, size);
+        ctx.y += 3;
+    }
+
+    function drawBullets(ctx, lines) {
+        const { doc } = ctx;
+        const indent = 12;
+
+        if (!lines || lines.length === 0) {
+            setFont(doc, BODY_SIZE, 'normal', COLORS.muted);
+            writeLines(ctx, ['N/A.'], MARGIN + indent, BODY_SIZE);
+            ctx.y += BLOCK_GAP;
+            return;
+        }
+
+        setFont(doc);
+        lines.forEach(line => {
+            const wrapped = doc.splitTextToSize(line, CONTENT_WIDTH - indent);
+            ensureSpace(ctx, lineHeight(BODY_SIZE));
+            doc.text('•', MARGIN + 2, ctx.y + BODY_SIZE);
+            writeLines(ctx, wrapped, MARGIN + indent, BODY_SIZE);
+        });
+        ctx.y += BLOCK_GAP;
+    }
+
+    function drawCheckboxes(ctx, block) {
+        const { doc } = ctx;
+        const box = 9;
+
+        ensureSpace(ctx, lineHeight(BODY_SIZE) + 4);
+        setFont(doc, BODY_SIZE, 'bold');
+        doc.text(block.label, MARGIN, ctx.y + BODY_SIZE);
+
+        let x = MARGIN + doc.getTextWidth(block.label) + 16;
+        setFont(doc);
+        doc.setDrawColor(COLORS.text);
+        doc.setLineWidth(0.75);
+        block.options.forEach(option => {
+            doc.rect(x, ctx.y + 1, box, box);
+            if (option.checked) {
+                setFont(doc, BODY_SIZE, 'bold');
+                doc.text('X', x + box / 2, ctx.y + box - 0.5, { align: 'center' });
+                setFont(doc);
+            }
+            doc.text(option.label, x + box + 4, ctx.y + BODY_SIZE);
+            x += box + 4 + doc.getTextWidth(option.label) + 16;
+        });
+
+        ctx.y += lineHeight(BODY_SIZE) + 6;
+    }
+
+    // Write pre-wrapped lines, breaking pages between lines
+    function writeLines(ctx, lines, x, size) {
+        const step = lineHeight(size);
+        lines.forEach(line => {
+            ensureSpace(ctx, step);
+            ctx.doc.text(line, x, ctx.y + size);
+            ctx.y += step;
+        });
+    }
+
+    // ============ PHOTOS ============
+
+    async function drawPhotos(ctx, block) {
+        const { doc } = ctx;
+        const columns = block.columns || 2;
+        const rows = block.rows || 2;
+        const perPage = columns * rows;
+
+        drawSection(ctx, block.title);
+        if (block.info?.length) {
+            await drawFields(ctx, { rows: block.info.map(([label, value]) => [label, value]) });
+        }
+
+        if (!block.items.length) {
+            setFont(doc, BODY_SIZE, 'italic', COLORS.muted);
+            writeLines(ctx, [block.emptyText || 'No photos.'], MARGIN, BODY_SIZE);
+            ctx.y += BLOCK_GAP;
+            return;
+        }
+
+        const cellWidth = (CONTENT_WIDTH - PHOTO_GAP * (columns - 1)) / columns;
+        let gridTop = ctx.y;
+        let cellHeight = (CONTENT_BOTTOM - gridTop - PHOTO_GAP * (rows - 1)) / rows;
+
+        for (let i = 0; i < block.items.length; i++) {
+            const slot = i % perPage;
+            if (i > 0 && slot === 0) {
+                newPage(ctx);
+                drawSection(ctx, block.continuedTitle || block.title);
+                gridTop = ctx.y;
+                cellHeight = (CONTENT_BOTTOM - gridTop - PHOTO_GAP * (rows - 1)) / rows;
+            }
+
+            const x = MARGIN + (slot % columns) * (cellWidth + PHOTO_GAP);
+            const y = gridTop + Math.floor(slot / columns) * (cellHeight + PHOTO_GAP);
+            await drawPhotoCell(doc, block.items[i], x, y, cellWidth, cellHeight);
+        }
+
+        ctx.y = CONTENT_BOTTOM;
+    }
+
+    async function drawPhotoCell(doc, item, x, y, width, height) {
+        const pad = 4;
+        const captionSize = BODY_SIZE - 1;
+
+        // Caption and date under the image, capped at a few lines so the image keeps its space
+        setFont(doc, captionSize);
+        const captionLines = doc.splitTextToSize(item.caption || '', width - pad * 2).slice(0, 4);
+        const textLines = 1 + captionLines.length;
+        const imageHeight = height - pad * 3 - textLines * lineHeight(captionSize);
+
+        doc.setDrawColor(COLORS.border);
+        doc.setLineWidth(0.5);
+        doc.rect(x, y, width, height);
+
+        const imageTop = y + pad;
+        const imageWidth = width - pad * 2;
+        if (item.before?.src) {
+            const half = (imageWidth - pad) / 2;
+            await drawImageFit(doc, item.before.src, x + pad, imageTop, half, imageHeight, item.before.label);
+            await drawImageFit(doc, item.src, x + pad * 2 + half, imageTop, half, imageHeight, item.label);
+        } else {
+            await drawImageFit(doc, item.src, x + pad, imageTop, imageWidth, imageHeight);
+        }
+
+        let textY = imageTop + imageHeight + pad + captionSize;
+        setFont(doc, captionSize, 'bold');
+        doc.text(item.meta || '', x + pad, textY);
+        setFont(doc, captionSize);
+        captionLines.forEach(line => {
+            textY += lineHeight(captionSize);
+            doc.text(line, x + pad, textY);
+        });
+    }
+
+    // Draw an image scaled to fit the box (centred), with an optional label under it
+    async function drawImageFit(doc, src, x, y, width, height, label) {
+        const labelHeight = label ? lineHeight(BODY_SIZE - 2) : 0;
+        const boxHeight = height - labelHeight;
+        const image = src ? await loadImage(src, PHOTO_MAX_PX, 'image/jpeg', PHOTO_QUALITY) : null;
+
+        if (image) {
+            const scale = Math.min(width / image.width, boxHeight / image.height);
+            const w = image.width * scale;
+            const h = image.height * scale;
+            doc.addImage(image.dataUrl, 'JPEG', x + (width - w) / 2, y + (boxHeight - h) / 2, w, h);
+        } else {
+            doc.setFillColor(COLORS.label);
+            doc.rect(x, y, width, boxHeight, 'F');
+            setFont(doc, BODY_SIZE - 1, 'italic', COLORS.muted);
+            doc.text('Photo unavailable', x + width / 2, y + boxHeight / 2, { align: 'center' });
+        }
+
+        if (label) {
+            setFont(doc, BODY_SIZE - 2, 'normal', COLORS.muted);
+            doc.text(label, x + width / 2, y + height - 2, { align: 'center' });
+        }
+    }
+
+    // ============ HEADER / FOOTER ============
+
+    function drawPageChrome(doc, model, logo) {
+        const total = doc.getNumberOfPages();
+
+        for (let page = 1; page <= total; page++) {
+            doc.setPage(page);
+
+            // Header: logo (or agency name) on one side, report title on the other
+            const logoRight = model.logoPlacement === 'right';
+            const logoHeight = HEADER_HEIGHT - 14;
+            if (model.logoPlacement !== 'none') {
+                if (logo) {
+                    const scale = Math.min(180 / logo.width, logoHeight / logo.height);
+                    const width = logo.width * scale;
+                    const x = logoRight ? PAGE_WIDTH - MARGIN - width : MARGIN;
+                    doc.addImage(logo.dataUrl, 'PNG', x, MARGIN, width, logo.height * scale);
+                } else if (model.logoText) {
+                    setFont(doc, BODY_SIZE - 1, 'bold', COLORS.section);
+                    doc.text(model.logoText.split('\n'), logoRight ? PAGE_WIDTH - MARGIN : MARGIN, MARGIN + BODY_SIZE, {
+                        align: logoRight ? 'right' : 'left',
+                        lineHeightFactor: 1.2
+                    });
+                }
+            }
+
+            setFont(doc, 16, 'bold', COLORS.section);
+            if (logoRight) {
+                doc.text(model.title || '', MARGIN, MARGIN + 24);
+            } else {
+                doc.text(model.title || '', PAGE_WIDTH - MARGIN, MARGIN + 24, { align: 'right' });
+            }
+
+            doc.setDrawColor(COLORS.section);
+            doc.setLineWidth(1.5);
+            doc.line(MARGIN, CONTENT_TOP - 8, PAGE_WIDTH - MARGIN, CONTENT_TOP - 8);
+
+            // Footer: report identity left, "N of M" centred
+            const footerY = PAGE_HEIGHT - MARGIN;
+            setFont(doc, BODY_SIZE - 1, 'normal', COLORS.muted);
+            if (model.footerText) doc.text(model.footerText, MARGIN, footerY);
+            doc.text(`${page} of ${total}`, PAGE_WIDTH / 2, footerY, { align: 'center' });
+        }
+    }
+
+    // ============ IMAGES ============
+
+    /**
+     * Load an image and re-encode it through a canvas, scaled down to maxPx on its long side
+     * @returns {Promise<{dataUrl: string, width: number, height: number}|null>} null if it can't be loaded
+     */
+    function loadImage(src, maxPx, type, quality) {
+        return new Promise(resolve => {
+            const img = new Image();
+            if (!src.startsWith('data:')) img.crossOrigin = 'anonymous';
+
+            img.onload = () => {
+                try {
+                    const scale = Math.min(1, maxPx / Math.max(img.naturalWidth, img.naturalHeight));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+                    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+                    const c = canvas.getContext('2d');
+                    if (type === 'image/jpeg') {
+                        // JPEG has no alpha - flatten transparent areas onto white
+                        c.fillStyle = '#ffffff';
+                        c.fillRect(0, 0, canvas.width, canvas.height);
+                    }
+                    c.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+                    resolve({ dataUrl: canvas.toDataURL(type, quality), width: canvas.width, height: canvas.height });
+                } catch (err) {
+                    // Tainted canvas (no CORS headers on the image host)
+                    console.warn('[PDF] Could not encode image:', src.substring(0, 80), err);
+                    resolve(null);
+                }
+            };
+            img.onerror = () => {
+                console.warn('[PDF] Could not load image:', src.substring(0, 80));
+                resolve(null);
+            };
+            img.src = src;
+        });
+    }
+
+    // ============ EXPORTS ============
+
+    window.reportPdf = {
+        renderReportPdf
+    };
+})();
@@ -18,12 +18,15 @@
 /**
  * Report status values
  * Flow: draft → pending_refine → refined → submitted
+ * Submitted offline, a report waits as submitted-pending-upload (read-only) until
+ * sync-manager.js has uploaded it
  * @constant {Object}
  */
 const REPORT_STATUS = {
   DRAFT: 'draft',
   PENDING_REFINE: 'pending_refine',
   REFINED: 'refined',
+  SUBMITTED_PENDING_UPLOAD: 'submitted-pending-upload',
   SUBMITTED: 'submitted'
 };
 
@@ -79,9 +82,21 @@ const STATUS_FLOW = [
   REPORT_STATUS.DRAFT,
   REPORT_STATUS.PENDING_REFINE,
   REPORT_STATUS.REFINED,
+  REPORT_STATUS.SUBMITTED_PENDING_UPLOAD,
   REPORT_STATUS.SUBMITTED
 ];
 
+/**
+ * Checks if a status counts as submitted - the inspector is done with the report,
+ * whether or not it has reached the server yet
+ *
+ * @param {string} status - Report status
+ * @returns {boolean}
+ */
+function isSubmittedStatus(status) {
+  return status === REPORT_STATUS.SUBMITTED || status === REPORT_STATUS.SUBMITTED_PENDING_UPLOAD;
+}
+
 // ============================================================================
 // DATE/TIME HELPERS
 // ============================================================================
@@ -122,7 +137,7 @@ function isReportLate(report) {
   if (!report || !report.date) {
     return false;
   }
-  return report.date < getTodayDateString() && report.status !== REPORT_STATUS.SUBMITTED;
+  return report.date < getTodayDateString() && !isSubmittedStatus(report.status);
 }
 
 // ============================================================================
@@ -153,7 +168,7 @@ function canStartNewReport(projectId) {
 
   // Check 1: Unfinished report from a PREVIOUS day
   const unfinishedPrevious = projectReports.find(
-    r => r.date < today && r.status !== REPORT_STATUS.SUBMITTED
+    r => r.date < today && !isSubmittedStatus(r.status)
   );
   if (unfinishedPrevious) {
     return {
@@ -165,7 +180,7 @@ function canStartNewReport(projectId) {
 
   // Check 2: Already submitted report for TODAY
   const submittedToday = projectReports.find(
-    r => r.date === today && r.status === REPORT_STATUS.SUBMITTED
+    r => r.date === today && isSubmittedStatus(r.status)
   );
   if (submittedToday) {
     return {
@@ -177,7 +192,7 @@ function canStartNewReport(projectId) {
 
   // Check 3: In-progress report for TODAY (not blocked, but caller should continue)
   const inProgressToday = projectReports.find(
-    r => r.date === today && r.status !== REPORT_STATUS.SUBMITTED
+    r => r.date === today && !isSubmittedStatus(r.status)
   );
   if (inProgressToday) {
     return {
@@ -214,11 +229,12 @@ function getProjectsEligibleForNewReport() {
 /**
  * Gets all reports categorized by urgency
  *
- * @returns {{late: Object[], todayDrafts: Object[], todayReady: Object[], todaySubmitted: Object[]}}
+ * @returns {{late: Object[], todayDrafts: Object[], todayReady: Object[], todaySubmitted: Object[], pendingUpload: Object[]}}
  *   - late: Previous days, not submitted (red warning) - sorted oldest first
  *   - todayDrafts: Today, status = draft or pending_refine - sorted newest first
  *   - todayReady: Today, status = refined (needs review) - sorted newest first
  *   - todaySubmitted: Today, status = submitted (done) - sorted newest first
+ *   - pendingUpload: Any day, submitted offline and waiting to upload - sorted oldest first
  */
 function getReportsByUrgency() {
   const reports = getStorageItem(STORAGE_KEYS.CURRENT_REPORTS) || {};
@@ -228,11 +244,14 @@ function getReportsByUrgency() {
     late: [],
     todayDrafts: [],
     todayReady: [],
-    todaySubmitted: []
+    todaySubmitted: [],
+    pendingUpload: []
   };
 
   for (const report of Object.values(reports)) {
-    if (report.date < today && report.status !== REPORT_STATUS.SUBMITTED) {
+    if (report.status === REPORT_STATUS.SUBMITTED_PENDING_UPLOAD) {
+      result.pendingUpload.push(report);
+    } else if (report.date < today && report.status !== REPORT_STATUS.SUBMITTED) {
       // Late reports (previous days, not submitted)
       result.late.push(report);
     } else if (report.date === today) {
@@ -249,6 +268,7 @@ function getReportsByUrgency() {
 
   // Sort late reports by date (oldest first)
   result.late.sort((a, b) => a.date.localeCompare(b.date));
+  result.pendingUpload.sort((a, b) => a.date.localeCompare(b.date));
 
   // Sort today's reports by created_at (newest first)
   result.todayDrafts.sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
@@ -296,8 +316,10 @@ function canTransitionStatus(reportId, targetStatus) {
     return { allowed: false, reason: 'CANNOT_GO_BACKWARDS' };
   }
 
-  // Cannot skip steps (must be exactly one step forward)
-  if (targetIndex > currentIndex + 1) {
+  // Cannot skip steps (must be exactly one step forward) - except an online submit,
+  // which goes straight from refined to submitted
+  const onlineSubmit = report.status === REPORT_STATUS.REFINED && targetStatus === REPORT_STATUS.SUBMITTED;
+  if (targetIndex > currentIndex + 1 && !onlineSubmit) {
     return { allowed: false, reason: 'CANNOT_SKIP_STEPS' };
   }
 
@@ -587,6 +609,7 @@ if (typeof window !== 'undefined') {
   window.getTodayDateString = getTodayDateString;
   window.isReportFromToday = isReportFromToday;
   window.isReportLate = isReportLate;
+  window.isSubmittedStatus = isSubmittedStatus;
 
   // Project eligibility
   window.canStartNewReport = canStartNewReport;
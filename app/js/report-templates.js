@@ -0,0 +1,232 @@
+/**
+ * Report Templates - Per-agency layouts for the daily report
+ * FieldVoice Pro v6
+ *
+ * A template decides how finalreview.html and the submitted PDF lay out a report:
+ * which sections appear and in what order, their headings, where pages break, which
+ * Project Overview fields are shown (and their labels), the report title, logo
+ * placement and how many photos go on a photo page.
+ *
+ * Projects pick a template in project-config.html (project.reportTemplate, stored in
+ * the `report_template` column of `projects`). Projects without one use the DOT form.
+ *
+ * Template shape:
+ *   { id, name, description, title, logo: 'left'|'right'|'none', logoText,
+ *     photoGrid: { columns, rows }, fields: [fieldKey], fieldLabels: { fieldKey: label },
+ *     sections: [{ id: sectionId, heading?, pageBreak? }] }
+ *
+ * Dependencies: none
+ *
+ * @module report-templates
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_TEMPLATE_ID = 'dot';
+
+    // Sections finalreview.js knows how to render, with their default headings
+    const SECTION_HEADINGS = {
+        overview: 'Project Overview',
+        workSummary: 'Daily Work Summary',
+        operations: 'Daily Operations',
+        equipment: 'Mobilized Equipment & Daily Utilization',
+        issues: 'General Issues; Unforeseen Conditions; Notices Given',
+        communications: 'Communications with the Contractor',
+        qaqc: 'QA/QC Testing and/or Inspections',
+        safety: 'Safety Report',
+        visitors: 'Visitors; Deliveries; Additional Contract and/or Change Order Activities; Other Remarks',
+        photos: 'Daily Photos'
+    };
+
+    // Project Overview fields (keys of getOverviewFields() in finalreview.js), with default labels.
+    // `weather` and `signature` are the multi-line blocks at the bottom of the overview.
+    const FIELD_LABELS = {
+        projectName: 'PROJECT NAME:',
+        reportDate: 'DATE:',
+        noabProjectNo: 'NOAB PROJECT NO.:',
+        location: 'LOCATION:',
+        cnoSolicitationNo: 'CNO SOLICITATION NO.:',
+        engineer: 'ENGINEER:',
+        noticeToProceed: 'NOTICE TO PROCEED:',
+        contractor: 'CONTRACTOR:',
+        contractDuration: 'CONTRACT DURATION:',
+        startTime: 'START TIME:',
+        expectedCompletion: 'EXPECTED COMPLETION:',
+        endTime: 'END TIME:',
+        contractDay: 'CONTRACT DAY #:',
+        shiftDuration: 'SHIFT DURATION:',
+        weatherDays: 'WEATHER DAYS:',
+        completedBy: 'COMPLETED BY:',
+        weather: 'WEATHER:',
+        signature: 'SIGNATURE:'
+    };
+
+    const BLOCK_FIELDS = ['weather', 'signature'];
+
+    const TEMPLATES = {
+        dot: {
+            id: 'dot',
+            name: 'DOT RPR Daily Report',
+            description: 'Four-page resident project representative report with contract and weather details.',
+            title: 'RPR DAILY REPORT',
+            logo: 'left',
+            logoText: 'LOUIS ARMSTRONG\nNEW ORLEANS\nINTERNATIONAL AIRPORT',
+            photoGrid: { columns: 2, rows: 2 },
+            fields: [
+                'projectName', 'reportDate', 'noabProjectNo', 'location', 'cnoSolicitationNo', 'engineer',
+                'noticeToProceed', 'contractor', 'contractDuration', 'startTime', 'expectedCompletion', 'endTime',
+                'contractDay', 'shiftDuration', 'weatherDays', 'completedBy', 'weather', 'signature'
+            ],
+            sections: [
+                { id: 'overview' },
+                { id: 'workSummary' },
+                { id: 'operations', pageBreak: true },
+                { id: 'equipment' },
+                { id: 'issues' },
+                { id: 'communications' },
+                { id: 'qaqc', pageBreak: true },
+                { id: 'safety' },
+                { id: 'visitors' },
+                { id: 'photos', pageBreak: true }
+            ]
+        },
+
+        airport: {
+            id: 'airport',
+            name: 'Airport Daily Inspector\'s Report',
+            description: 'Safety-first layout for airport improvement projects, six photos per page.',
+            title: 'DAILY INSPECTOR\'S REPORT',
+            logo: 'right',
+            logoText: 'AIRPORT AUTHORITY',
+            photoGrid: { columns: 3, rows: 2 },
+            fields: [
+                'projectName', 'reportDate', 'noabProjectNo', 'location', 'contractor', 'engineer',
+                'startTime', 'endTime', 'contractDay', 'weatherDays', 'completedBy', 'shiftDuration',
+                'weather', 'signature'
+            ],
+            fieldLabels: {
+                noabProjectNo: 'AIP PROJECT NO.:',
+                engineer: 'ENGINEER OF RECORD:',
+                completedBy: 'INSPECTOR:'
+            },
+            sections: [
+                { id: 'overview' },
+                { id: 'safety', heading: 'Safety & Airfield Operations' },
+                { id: 'workSummary', heading: 'Work Performed' },
+                { id: 'operations', heading: 'Contractor Manpower', pageBreak: true },
+                { id: 'equipment', heading: 'Equipment on Site' },
+                { id: 'qaqc', heading: 'Materials Testing & Inspections' },
+                { id: 'issues', heading: 'Issues, Delays & Notices' },
+                { id: 'communications', heading: 'Contractor Communications' },
+                { id: 'visitors', heading: 'Visitors & Deliveries' },
+                { id: 'photos', heading: 'Photo Log', pageBreak: true }
+            ]
+        },
+
+        municipal: {
+            id: 'municipal',
+            name: 'Public Works Daily Field Report',
+            description: 'Short city/county field report without contract fields, two large photos per page.',
+            title: 'DAILY FIELD REPORT',
+            logo: 'left',
+            logoText: 'DEPARTMENT OF\nPUBLIC WORKS',
+            photoGrid: { columns: 1, rows: 2 },
+            fields: [
+                'projectName', 'reportDate', 'noabProjectNo', 'location', 'contractor', 'completedBy',
+                'startTime', 'endTime', 'weather'
+            ],
+            fieldLabels: {
+                noabProjectNo: 'PROJECT NO.:',
+                completedBy: 'INSPECTOR:'
+            },
+            sections: [
+                { id: 'overview', heading: 'Project Information' },
+                { id: 'workSummary', heading: 'Work Completed Today' },
+                { id: 'operations', heading: 'Manpower' },
+                { id: 'equipment', heading: 'Equipment' },
+                { id: 'issues', heading: 'Issues & Delays' },
+                { id: 'safety', heading: 'Safety' },
+                { id: 'visitors', heading: 'Deliveries & Visitors' },
+                { id: 'photos', heading: 'Site Photos', pageBreak: true }
+            ]
+        }
+    };
+
+    // ============ LOOKUP ============
+
+    /**
+     * Template by id with every option filled in; unknown or empty ids give the default template
+     * @param {string} [templateId] - project.reportTemplate
+     * @returns {Object} Resolved template - sections carry their heading, fields their label
+     */
+    function getTemplate(templateId) {
+        const template = TEMPLATES[templateId] || TEMPLATES[DEFAULT_TEMPLATE_ID];
+        if (templateId && !TEMPLATES[templateId]) {
+            console.warn('[TEMPLATES] Unknown report template, using default:', templateId);
+        }
+
+        return {
+            ...template,
+            photoGrid: { columns: 2, rows: 2, ...template.photoGrid },
+            fields: template.fields.filter(key => FIELD_LABELS[key]),
+            fieldLabels: { ...FIELD_LABELS, ...template.fieldLabels },
+            sections: template.sections
+                .filter(section => SECTION_HEADINGS[section.id])
+                .map(section => ({
+                    id: section.id,
+                    heading: section.heading || SECTION_HEADINGS[section.id],
+                    pageBreak: !!section.pageBreak
+                }))
+        };
+    }
+
+    /**
+     * Templates a project can choose from
+     * @returns {Array<{id: string, name: string, description: string}>}
+     */
+    function listTemplates() {
+        return Object.values(TEMPLATES).map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    // ============ LAYOUT HELPERS ============
+
+    /**
+     * @param {Object} template - Resolved template (getTemplate())
+     * @param {string} sectionId
+     * @returns {boolean}
+     */
+    function hasSection(template, sectionId) {
+        return template.sections.some(section => section.id === sectionId);
+    }
+
+    /**
+     * Project Overview layout: the template's fields two to a row, then the weather and
+     * signature blocks if the template shows them
+     * @param {Object} template - Resolved template (getTemplate())
+     * @returns {{rows: Array<Array<string|null>>, weather: boolean, signature: boolean}}
+     */
+    function getOverviewLayout(template) {
+        const single = template.fields.filter(key => !BLOCK_FIELDS.includes(key));
+        const rows = [];
+        for (let i = 0; i < single.length; i += 2) {
+            rows.push([single[i], single[i + 1] || null]);
+        }
+
+        return {
+            rows,
+            weather: template.fields.includes('weather'),
+            signature: template.fields.includes('signature')
+        };
+    }
+
+    // ============ EXPORTS ============
+
+    window.reportTemplates = {
+        DEFAULT_TEMPLATE_ID,
+        getTemplate,
+        listTemplates,
+        hasSection,
+        getOverviewLayout
+    };
+})();
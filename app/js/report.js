@@ -6,6 +6,9 @@
 // - config.js: supabaseClient
 // - supabase-utils.js: fromSupabaseProject, fromSupabaseContractor, fromSupabaseEquipment
 // - ui-utils.js: escapeHtml
+// - report-rules.js: REPORT_STATUS
+// - report-history.js: window.reportHistory (revision snapshots, diff, restore)
+// - ai-provider.js: window.aiProvider (refine retry, streaming refine)
 // ============================================================================
 
 (function() {
@@ -23,8 +26,6 @@
     let isReadonly = false;
     let currentTab = 'form';
 
-    const N8N_PROCESS_WEBHOOK = 'https://advidere.app.n8n.cloud/webhook/fieldvoice-refine-v6.6';
-
     // ============ INITIALIZATION ============
     document.addEventListener('DOMContentLoaded', async () => {
         try {
@@ -42,6 +43,12 @@
             // Load report data from Supabase
             report = await loadReport();
 
+            // Submitted offline and waiting to upload - read-only, shown by finalreview.html
+            if (report.meta?.status === REPORT_STATUS.SUBMITTED_PENDING_UPLOAD) {
+                window.location.href = `finalreview.html?date=${getReportDateStr()}&reportId=${currentReportId}`;
+                return;
+            }
+
             // Initialize user edits tracking
             if (!report.userEdits) report.userEdits = {};
             userEdits = report.userEdits;
@@ -60,6 +67,9 @@
             // Check for pending refine status
             checkPendingRefineStatus();
 
+            // Streaming refine handed off from quick-interview (or interrupted earlier)
+            resumeStreamingRefine();
+
             // Setup auto-save listeners
             setupAutoSave();
 
@@ -456,35 +466,16 @@
         retryBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Processing...';
 
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-            const response = await fetch(N8N_PROCESS_WEBHOOK, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(queued.payload),
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`Webhook failed: ${response.status}`);
-            }
+            // Provider selected in Settings (ai-provider.js)
+            const result = await window.aiProvider.refine(queued.payload);
 
-            const result = await response.json();
-
-            // Save AI response - handle new n8n response structure
-            // New structure: { success, captureMode, originalInput, refinedReport }
-            // Legacy structure: { aiGenerated }
-            if (result.refinedReport) {
-                report.aiGenerated = result.refinedReport;
-                report.originalInput = result.originalInput || null;
-                report.aiCaptureMode = result.captureMode || null;
-            } else if (result.aiGenerated) {
-                // Legacy fallback
+            // Save AI response - refine() normalizes refinedReport/aiGenerated into aiGenerated
+            if (result.aiGenerated) {
                 report.aiGenerated = result.aiGenerated;
+                report.aiValidation = result.validation || null;
             }
+            if (result.originalInput) report.originalInput = result.originalInput;
+            if (result.captureMode) report.aiCaptureMode = result.captureMode;
             report.meta.status = 'refined';
 
             // Remove from offline queue
@@ -504,6 +495,262 @@
         }
     }
 
+    // ============ STREAMING REFINE ============
+    // Streaming providers (ai-provider.js refineStream) hand off here straight from
+    // Finish: report.meta.refineStream holds the payload until every section arrived.
+    // Keys are aiProvider.sectionKey() values ('issues_delays', 'activities:<id>')
+    let refineStatus = {}; // key -> { state: 'pending'|'error', message }
+    let isStreamingRefine = false;
+
+    /**
+     * Start (or resume after a reload) the refine stream, or show retry for failed sections
+     */
+    function resumeStreamingRefine() {
+        const stream = report.meta?.refineStream;
+        if (!stream?.payload) return;
+
+        if (Array.isArray(stream.failedSections)) {
+            setFailedSections(stream.failedSections);
+            return;
+        }
+        startStreamingRefine();
+    }
+
+    async function startStreamingRefine() {
+        const stream = report.meta?.refineStream;
+        if (!stream?.payload || isStreamingRefine) return;
+
+        refineStatus = {};
+        window.aiProvider.getStreamSections().forEach(section => {
+            refineStatus[section] = { state: 'pending' };
+        });
+        renderRefineStatus();
+
+        if (!navigator.onLine) {
+            failPendingSections('Offline');
+            showToast('Offline - AI sections will be refined when you retry online', 'warning');
+            return;
+        }
+
+        isStreamingRefine = true;
+        const startTime = Date.now();
+        try {
+            const result = await window.aiProvider.refineStream(stream.payload, {
+                base: report.aiGenerated || {},
+                onMeta: (meta) => {
+                    if (meta.captureMode) report.aiCaptureMode = meta.captureMode;
+                },
+                onSection: applyStreamedSection,
+                onSectionError: (failure) => {
+                    refineStatus[window.aiProvider.sectionKey(failure)] = { state: 'error', message: failure.message };
+                    renderRefineStatus();
+                }
+            });
+            await finishStreamingRefine(result, Date.now() - startTime, result.failedSections);
+        } catch (error) {
+            console.error('[AI] Streaming refine failed:', error);
+            failPendingSections(error.name === 'AbortError' ? 'Timed out' : 'Connection failed');
+            showToast('AI processing was interrupted - retry the sections marked below', 'warning');
+        } finally {
+            isStreamingRefine = false;
+        }
+    }
+
+    /**
+     * Re-request one failed section (or one contractor's activity)
+     * @param {string} key - Section key from aiProvider.sectionKey()
+     */
+    async function retryRefineSection(key) {
+        const stream = report.meta?.refineStream;
+        const failed = stream?.failedSections || [];
+        const failure = failed.find(f => window.aiProvider.sectionKey(f) === key);
+        if (!failure) return;
+
+        if (isStreamingRefine) {
+            showToast('AI is still working - try again in a moment', 'info');
+            return;
+        }
+        if (!navigator.onLine) {
+            showToast('Still offline - connect to the internet and try again', 'warning');
+            return;
+        }
+
+        refineStatus[key] = { state: 'pending' };
+        renderRefineStatus();
+
+        isStreamingRefine = true;
+        const startTime = Date.now();
+        try {
+            const result = await window.aiProvider.refineStream(stream.payload, {
+                base: report.aiGenerated || {},
+                sections: [{ section: failure.section, contractorId: failure.contractorId || undefined }],
+                onSection: applyStreamedSection
+            });
+            const stillFailed = failed.filter(f => f !== failure).concat(result.failedSections);
+            await finishStreamingRefine(result, Date.now() - startTime, stillFailed);
+        } catch (error) {
+            console.error('[AI] Section retry failed:', key, error);
+            refineStatus[key] = { state: 'error', message: error.name === 'AbortError' ? 'Timed out' : 'Connection failed' };
+            renderRefineStatus();
+        } finally {
+            isStreamingRefine = false;
+        }
+    }
+
+    /**
+     * Render a section as soon as it arrives
+     * @param {Object} message - { section, contractorId }
+     * @param {Object} aiGenerated - Repaired result so far; only message.section is taken from it
+     */
+    function applyStreamedSection(message, aiGenerated) {
+        if (!(message.section in aiGenerated)) return;
+
+        report.aiGenerated = report.aiGenerated || {};
+        report.aiGenerated[message.section] = aiGenerated[message.section];
+
+        delete refineStatus[window.aiProvider.sectionKey(message)];
+        if (!message.contractorId) delete refineStatus[message.section];
+
+        renderStreamedSection(message.section);
+        renderRefineStatus();
+    }
+
+    function renderStreamedSection(section) {
+        switch (section) {
+            case 'activities':
+                renderWorkSummary();
+                break;
+            case 'operations':
+                renderPersonnelTable();
+                break;
+            case 'equipment':
+                renderEquipmentTable();
+                break;
+            default:
+                populateTextSection(section);
+        }
+        markUserEditedFields();
+        initAllAutoExpandTextareas();
+    }
+
+    /**
+     * Store the final (schema-repaired) result and what is left to retry
+     * @param {Object} result - aiProvider.refineStream() result
+     * @param {number} processingTimeMs
+     * @param {Array} failedSections - Sections still missing after this run
+     */
+    async function finishStreamingRefine(result, processingTimeMs, failedSections) {
+        report.aiGenerated = result.aiGenerated;
+        report.aiValidation = result.validation || null;
+        if (result.captureMode) report.aiCaptureMode = result.captureMode;
+
+        report.meta.refineStream = failedSections.length > 0
+            ? { ...report.meta.refineStream, failedSections }
+            : null;
+
+        window.aiProvider.getStreamSections().forEach(renderStreamedSection);
+        setFailedSections(failedSections);
+
+        await saveReportToLocalStorage('save');
+        showSaveIndicator();
+        saveStreamedAIResponse(result, processingTimeMs);
+        initializeDebugPanel();
+
+        if (failedSections.length > 0) {
+            showToast(`${failedSections.length} section(s) could not be refined - tap Retry`, 'warning');
+        } else {
+            showToast('AI refine complete', 'success');
+        }
+    }
+
+    /**
+     * The stream broke off - keep everything not yet received for retry
+     */
+    function failPendingSections(message) {
+        const failed = Object.entries(refineStatus).map(([key, status]) => {
+            const [section, contractorId] = key.split(':');
+            return {
+                section,
+                contractorId: contractorId || null,
+                message: status.state === 'pending' ? message : status.message
+            };
+        });
+
+        report.meta.refineStream = { ...report.meta.refineStream, failedSections: failed };
+        setFailedSections(failed);
+        saveReportToLocalStorage('autosave');
+    }
+
+    function setFailedSections(failedSections) {
+        refineStatus = {};
+        failedSections.forEach(failure => {
+            refineStatus[window.aiProvider.sectionKey(failure)] = { state: 'error', message: failure.message };
+        });
+        renderRefineStatus();
+    }
+
+    /**
+     * Show "Refining..." or a retry prompt in each [data-refine-section] slot
+     */
+    function renderRefineStatus() {
+        document.querySelectorAll('[data-refine-section]').forEach(el => {
+            const key = el.dataset.refineSection;
+            const status = refineStatus[key];
+
+            if (!status) {
+                el.classList.add('hidden');
+                el.innerHTML = '';
+                return;
+            }
+
+            el.classList.remove('hidden');
+            if (status.state === 'pending') {
+                el.innerHTML = `
+                    <div class="flex items-center gap-2 bg-blue-50 border border-blue-200 px-3 py-2 text-xs text-dot-blue">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        <span>Refining with AI...</span>
+                    </div>
+                `;
+            } else {
+                el.innerHTML = `
+                    <div class="flex items-center justify-between gap-2 bg-red-50 border border-red-300 px-3 py-2 text-xs text-red-700">
+                        <span><i class="fas fa-exclamation-circle mr-1"></i>AI refine failed: ${escapeHtml(status.message || 'Unknown error')}</span>
+                        <button onclick="retryRefineSection('${escapeHtml(key)}')" class="px-3 py-1 bg-red-600 hover:bg-red-700 text-white font-bold uppercase transition-colors">
+                            <i class="fas fa-redo mr-1"></i>Retry
+                        </button>
+                    </div>
+                `;
+            }
+        });
+    }
+
+    /**
+     * Save the streamed AI response to Supabase (quick-interview.js saveAIResponse does this
+     * for non-streaming refines)
+     */
+    async function saveStreamedAIResponse(result, processingTimeMs) {
+        if (!currentReportId || typeof supabaseClient === 'undefined') return;
+
+        try {
+            const { error } = await supabaseClient
+                .from('ai_responses')
+                .upsert({
+                    report_id: currentReportId,
+                    response_payload: result.aiGenerated,
+                    model_used: result.modelUsed,
+                    processing_time_ms: processingTimeMs,
+                    validation_report: result.validation || null,
+                    received_at: new Date().toISOString()
+                }, { onConflict: 'report_id' });
+
+            if (error) {
+                console.error('Error saving AI response:', error);
+            }
+        } catch (err) {
+            console.error('Failed to save AI response:', err);
+        }
+    }
+
     // Save report without showing indicator (for silent updates)
     async function saveReportSilent() {
         try {
@@ -609,8 +856,8 @@
     }
 
     /**
-     * v6.6.2: Load report from localStorage ONLY
-     * Source of truth is now fvp_report_{reportId} key
+     * v6.6.2: Load report from local storage ONLY (no Supabase fetch)
+     * Source of truth is getReportData() (IndexedDB reports store)
      */
     async function loadReport() {
         // Clear any stale report ID before loading
@@ -629,7 +876,7 @@
         }
 
         // Load from single localStorage key
-        const reportData = getReportData(reportIdParam);
+        const reportData = await getReportData(reportIdParam);
 
         if (!reportData) {
             console.error('[LOAD] No report data found in localStorage for:', reportIdParam);
@@ -660,6 +907,8 @@
 
         // AI-generated content
         loadedReport.aiGenerated = reportData.aiGenerated || null;
+        loadedReport.aiValidation = reportData.aiValidation || null;
+        loadedReport.meta.refineStream = reportData.refineStream || null;
 
         // Original input for "Original Notes" tab
         loadedReport.originalInput = reportData.originalInput || null;
@@ -1038,24 +1287,7 @@
 
         // Text sections - check AI-generated paths with correct field names
         // Priority: userEdits > aiGenerated > guidedNotes/fieldNotes > report defaults
-        // v6.6: Updated field names (issues_delays, qaqc_notes, communications, visitors_deliveries, safety.summary)
-        document.getElementById('issuesText').value = getTextFieldValue('issues', 'issues_delays',
-            report.guidedNotes?.issues || '', 'generalIssues');
-        document.getElementById('qaqcText').value = getTextFieldValue('qaqc', 'qaqc_notes', '', 'qaqcNotes');
-        document.getElementById('safetyText').value = getTextFieldValue('safety.notes', 'safety.summary',
-            report.guidedNotes?.safety || '', 'safety.notes');
-        document.getElementById('communicationsText').value = getTextFieldValue('communications',
-            'communications', '', 'contractorCommunications');
-        document.getElementById('visitorsText').value = getTextFieldValue('visitors', 'visitors_deliveries', '', 'visitorsRemarks');
-
-        // Safety incident toggle
-        // v6.6: Check both old (hasIncident/hasIncidents) and new (has_incidents) field names
-        const hasIncident = getValue('safety.hasIncident', false) || 
-                            report.aiGenerated?.safety?.has_incidents || 
-                            report.aiGenerated?.safety?.hasIncidents || 
-                            false;
-        document.getElementById('safetyNoIncident').checked = !hasIncident;
-        document.getElementById('safetyHasIncident').checked = hasIncident;
+        TEXT_SECTIONS.forEach(populateTextSection);
 
         // Signature
         document.getElementById('signatureName').value = getValue('signature.name', '');
@@ -1068,11 +1300,59 @@
         renderPersonnelTable();
         renderEquipmentTable();
         renderPhotos();
+        renderVoiceMemos();
 
         // Mark user-edited fields
         markUserEditedFields();
     }
 
+    // v6.6: Updated field names (issues_delays, qaqc_notes, communications, visitors_deliveries, safety.summary)
+    const TEXT_SECTIONS = ['issues_delays', 'qaqc_notes', 'safety', 'communications', 'visitors_deliveries'];
+
+    /**
+     * Fill the textarea for one aiGenerated text section (plus the incident toggle for safety)
+     * Also used by the streaming refine as each section arrives
+     * @param {string} section - aiGenerated field name
+     */
+    function populateTextSection(section) {
+        switch (section) {
+            case 'issues_delays':
+                setFieldValue('issuesText', getTextFieldValue('issues', 'issues_delays',
+                    report.guidedNotes?.issues || '', 'generalIssues'));
+                break;
+            case 'qaqc_notes':
+                setFieldValue('qaqcText', getTextFieldValue('qaqc', 'qaqc_notes', '', 'qaqcNotes'));
+                break;
+            case 'communications':
+                setFieldValue('communicationsText', getTextFieldValue('communications',
+                    'communications', '', 'contractorCommunications'));
+                break;
+            case 'visitors_deliveries':
+                setFieldValue('visitorsText', getTextFieldValue('visitors', 'visitors_deliveries', '', 'visitorsRemarks'));
+                break;
+            case 'safety': {
+                setFieldValue('safetyText', getTextFieldValue('safety.notes', 'safety.summary',
+                    report.guidedNotes?.safety || '', 'safety.notes'));
+
+                // Safety incident toggle
+                // v6.6: Check both old (hasIncident/hasIncidents) and new (has_incidents) field names
+                const hasIncident = getValue('safety.hasIncident', false) ||
+                                    report.aiGenerated?.safety?.has_incidents ||
+                                    report.aiGenerated?.safety?.hasIncidents ||
+                                    false;
+                document.getElementById('safetyNoIncident').checked = !hasIncident;
+                document.getElementById('safetyHasIncident').checked = hasIncident;
+                break;
+            }
+        }
+    }
+
+    // Leave unchanged fields alone so a field being typed in keeps its cursor
+    function setFieldValue(fieldId, value) {
+        const field = document.getElementById(fieldId);
+        if (field && field.value !== value) field.value = value;
+    }
+
     function calculateShiftDuration() {
         const startTime = document.getElementById('startTime').value;
         const endTime = document.getElementById('endTime').value;
@@ -1182,6 +1462,7 @@
                             <span class="font-bold text-slate-800">${escapeHtml(contractor.name)}</span>
                             ${contractor.trades ? `<span class="text-xs text-slate-500">(${escapeHtml(contractor.trades)})</span>` : ''}
                         </div>
+                        <div class="hidden mb-3" data-refine-section="activities:${contractor.id}"></div>
 
                         <label class="flex items-center gap-2 p-2 bg-slate-100 border border-slate-200 cursor-pointer mb-3">
                             <input type="checkbox" class="w-4 h-4 no-work-checkbox"
@@ -1222,6 +1503,7 @@
 
         initAllAutoExpandTextareas();
         setupContractorListeners();
+        renderRefineStatus();
     }
 
     /**
@@ -1672,6 +1954,8 @@
                     <!-- Photo Header -->
                     <div class="photo-card-header">
                         <span>Photo ${photoNum} of ${totalPhotos}</span>
+                        ${photo.annotatedUrl ? '<span class="ml-2 text-xs font-normal"><i class="fas fa-pen mr-1"></i>Marked up</span>' : ''}
+                        ${photo.dateMismatch ? '<span class="ml-2 text-xs font-normal text-dot-orange"><i class="fas fa-calendar-xmark mr-1"></i>Not taken on report date</span>' : ''}
                     </div>
 
                     <!-- Photo Image Container -->
@@ -1682,7 +1966,7 @@
                         </div>
                         <!-- Image (hidden until loaded) -->
                         <img
-                            src="${photo.url}"
+                            src="${photo.annotatedUrl || photo.url}"
                             alt="Progress photo ${photoNum}"
                             id="photo-img-${index}"
                             style="display: none;"
@@ -1711,6 +1995,9 @@
                             ` : ''}
                         </div>
 
+                        <!-- Before photo (paired in photos.html) -->
+                        ${getPhotoPairHtml(photo)}
+
                         <!-- Caption -->
                         <div>
                             <label class="block text-xs font-bold text-slate-500 uppercase mb-1">Caption</label>
@@ -1747,6 +2034,37 @@
         initAllAutoExpandTextareas();
     }
 
+    /**
+     * Earlier photo of the same spot shown next to this one in the final report,
+     * with a link to the photo library to pick or change it
+     */
+    function getPhotoPairHtml(photo) {
+        const returnTo = encodeURIComponent(window.location.pathname.split('/').pop() + window.location.search);
+        const pairUrl = `photos.html?photoId=${encodeURIComponent(photo.id)}&pair=1&returnTo=${returnTo}`;
+        const before = photo.pairedPhoto;
+
+        if (!before) {
+            return `
+                <div class="photo-card-pair">
+                    <a href="${pairUrl}" class="font-bold text-dot-blue hover:underline">
+                        <i class="fas fa-right-left mr-1"></i>Pair with earlier photo
+                    </a>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="photo-card-pair">
+                <img src="${before.url}" alt="Before">
+                <div class="flex-1 min-w-0">
+                    <p class="font-bold text-slate-700 uppercase">Before &middot; ${formatDate(before.reportDate, 'short')}</p>
+                    ${before.caption ? `<p class="truncate">${escapeHtml(before.caption)}</p>` : ''}
+                </div>
+                <a href="${pairUrl}" class="font-bold text-dot-blue hover:underline">Change</a>
+            </div>
+        `;
+    }
+
     /**
      * Handle successful photo load - detect orientation and show image
      */
@@ -1806,6 +2124,61 @@
         };
     }
 
+    // ============ RENDER VOICE MEMOS ============
+    let memoPlaybackUrls = [];
+
+    /**
+     * Render the report's voice memos (audio-memos.js) with players and transcripts
+     */
+    async function renderVoiceMemos() {
+        const container = document.getElementById('memosContainer');
+        if (!container || !window.audioMemos) return;
+
+        const memos = await window.audioMemos.getMemos(currentReportId, { remote: true });
+        const totalMemos = memos.length;
+
+        memoPlaybackUrls.forEach(url => URL.revokeObjectURL(url));
+        memoPlaybackUrls = [];
+
+        document.getElementById('memoCount').textContent = `${totalMemos} memo${totalMemos !== 1 ? 's' : ''}`;
+
+        if (totalMemos === 0) {
+            container.innerHTML = `
+                <div class="text-center text-slate-400 py-8">
+                    <i class="fas fa-microphone-slash text-4xl mb-2"></i>
+                    <p class="text-sm">No voice memos recorded</p>
+                </div>
+            `;
+            return;
+        }
+
+        const original = report.originalInput || {};
+        const targetContext = {
+            entries: original.entries,
+            freeformEntries: original.fieldNotes?.freeform_entries,
+            contractors: projectContractors
+        };
+
+        container.innerHTML = memos.map(memo => {
+            const url = window.audioMemos.getPlaybackUrl(memo);
+            if (memo.blob) memoPlaybackUrls.push(url);
+            const recordedAt = new Date(memo.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+            return `
+                <div class="border border-slate-200 bg-slate-50 p-3 mb-3 last:mb-0">
+                    <div class="flex items-center gap-2 mb-2">
+                        <span class="flex-1 text-xs font-bold text-slate-600 uppercase truncate">${escapeHtml(window.audioMemos.describeTarget(memo, targetContext))}</span>
+                        <span class="text-xs text-slate-400">${recordedAt} &middot; ${window.audioMemos.formatDuration(memo.durationMs)}</span>
+                    </div>
+                    ${url
+                        ? `<audio controls preload="none" src="${url}" class="w-full h-8"></audio>`
+                        : '<p class="text-xs text-slate-400"><i class="fas fa-cloud-upload-alt mr-1"></i>Audio not available on this device yet</p>'}
+                    <p class="text-sm text-slate-700 mt-2">${escapeHtml(memo.transcript) || '<em class="text-slate-400">No transcript</em>'}</p>
+                </div>
+            `;
+        }).join('');
+    }
+
     // ============ AUTO-SAVE ============
     function setupAutoSave() {
         // Field mappings for auto-save
@@ -1917,28 +2290,31 @@
     function scheduleSave() {
         if (saveTimeout) clearTimeout(saveTimeout);
         saveTimeout = setTimeout(() => {
-            saveReport();
+            saveReport('autosave');
         }, 500);
     }
 
-    async function saveReport() {
+    /**
+     * @param {'autosave'|'save'|'restore'} [reason='save'] - Recorded on the revision snapshot
+     */
+    async function saveReport(reason = 'save') {
         // Save to localStorage (primary storage for report.html)
-        saveReportToLocalStorage();
+        saveReportToLocalStorage(reason);
         showSaveIndicator();
     }
 
     /**
-     * v6.6.2: Save report data to localStorage using single key pattern
-     * Key: fvp_report_{reportId}
+     * v6.6.2: Save report data via saveReportData() (IndexedDB reports store)
+     * @param {'autosave'|'save'|'restore'} [reason='autosave'] - Recorded on the revision snapshot
      */
-    function saveReportToLocalStorage() {
+    async function saveReportToLocalStorage(reason = 'autosave') {
         if (!currentReportId) {
             console.warn('[LOCAL] No reportId, cannot save');
             return;
         }
 
         // Read current data to preserve fields we don't modify here
-        const existingData = getReportData(currentReportId) || {};
+        const existingData = (await getReportData(currentReportId)) || {};
 
         // Build the report object to save (matches spec structure)
         const reportToSave = {
@@ -1949,6 +2325,7 @@
 
             // From n8n webhook response (preserve original)
             aiGenerated: report.aiGenerated || existingData.aiGenerated || {},
+            aiValidation: report.aiValidation || existingData.aiValidation || null,
             captureMode: report.aiCaptureMode || existingData.captureMode || 'minimal',
 
             // Original field notes (preserve original)
@@ -1957,17 +2334,21 @@
             // User edits - this is what we're updating
             userEdits: report.userEdits || {},
 
+            // Streaming refine still in progress or with sections left to retry
+            refineStream: report.meta?.refineStream || null,
+
             // Metadata
             createdAt: existingData.createdAt || report.meta?.createdAt || new Date().toISOString(),
             lastSaved: new Date().toISOString()
         };
 
         // Use saveReportData from storage-keys.js
-        const success = saveReportData(currentReportId, reportToSave);
+        const success = await saveReportData(currentReportId, reportToSave);
         if (success) {
-            console.log('[LOCAL] Report saved to localStorage:', currentReportId);
+            console.log('[LOCAL] Report saved:', currentReportId);
+            await recordReportRevision(reportToSave, reason);
         } else {
-            console.error('[LOCAL] Failed to save report to localStorage');
+            console.error('[LOCAL] Failed to save report');
         }
     }
 
@@ -2118,6 +2499,249 @@
         }, 2000);
     }
 
+    // ============ REVISION HISTORY ============
+    let historyRevisions = [];
+    let historyChanges = [];
+
+    const HISTORY_FIELD_LABELS = {
+        'overview.projectName': 'Project Name',
+        'overview.noabProjectNo': 'NOAB Project No.',
+        'overview.cnoSolicitationNo': 'CNO Solicitation No.',
+        'overview.location': 'Location',
+        'overview.date': 'Report Date',
+        'overview.contractDay': 'Contract Day',
+        'overview.weatherDays': 'Weather Days',
+        'overview.engineer': 'Engineer',
+        'overview.contractor': 'Contractor',
+        'overview.startTime': 'Start Time',
+        'overview.endTime': 'End Time',
+        'overview.completedBy': 'Completed By',
+        'overview.weather.highTemp': 'High Temp',
+        'overview.weather.lowTemp': 'Low Temp',
+        'overview.weather.precipitation': 'Precipitation',
+        'overview.weather.generalCondition': 'General Condition',
+        'overview.weather.jobSiteCondition': 'Job Site Condition',
+        'overview.weather.adverseConditions': 'Adverse Conditions',
+        'issues': 'Issues & Delays',
+        'qaqc': 'QA/QC',
+        'safety.notes': 'Safety Notes',
+        'safety.hasIncident': 'Safety Incident',
+        'communications': 'Communications',
+        'visitors': 'Visitors & Deliveries',
+        'signature.name': 'Signature Name',
+        'signature.title': 'Signature Title',
+        'signature.company': 'Signature Company',
+        'guidedNotes.workSummary': 'Work Summary'
+    };
+
+    /**
+     * Snapshot the saved report for the history timeline
+     */
+    async function recordReportRevision(savedData, reason) {
+        if (!window.reportHistory) return;
+        await window.reportHistory.recordRevision(currentReportId, savedData, {
+            reason,
+            author: report.overview?.completedBy || userSettings?.full_name || ''
+        });
+    }
+
+    async function showHistoryPanel() {
+        if (!window.reportHistory || !currentReportId) {
+            showToast('Revision history is not available for this report', 'error');
+            return;
+        }
+
+        document.getElementById('historyPanel').classList.remove('hidden');
+        document.getElementById('historyList').innerHTML =
+            '<p class="text-sm text-slate-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading revisions...</p>';
+        document.getElementById('historyDiff').innerHTML = '';
+
+        // Make sure the newest revision matches what's on screen
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+        }
+        await saveReportToLocalStorage('save');
+
+        historyRevisions = await window.reportHistory.getRevisions(currentReportId);
+        renderHistoryList();
+        renderHistoryDiff();
+    }
+
+    function hideHistoryPanel() {
+        document.getElementById('historyPanel').classList.add('hidden');
+    }
+
+    function formatRevisionLabel(revision) {
+        const time = new Date(revision.createdAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        return `${time} - ${revision.deviceLabel || 'Unknown device'}`;
+    }
+
+    function renderHistoryList() {
+        const list = document.getElementById('historyList');
+        const fromSelect = document.getElementById('historyCompareFrom');
+        const toSelect = document.getElementById('historyCompareTo');
+
+        if (historyRevisions.length === 0) {
+            list.innerHTML = '<p class="text-sm text-slate-500">No revisions saved yet.</p>';
+            fromSelect.innerHTML = '';
+            toSelect.innerHTML = '';
+            return;
+        }
+
+        const reasonBadges = {
+            autosave: 'bg-slate-100 text-slate-600',
+            save: 'bg-blue-100 text-dot-blue',
+            restore: 'bg-orange-100 text-dot-orange'
+        };
+        const thisDevice = getDeviceId();
+
+        list.innerHTML = historyRevisions.map((revision, index) => `
+            <button onclick="compareWithRevision(${index})" class="w-full text-left p-2 border border-slate-200 hover:bg-slate-50 flex items-center justify-between gap-2">
+                <div class="min-w-0">
+                    <p class="text-sm font-medium text-slate-800">${escapeHtml(formatRevisionLabel(revision))}${revision.deviceId === thisDevice ? ' <span class="text-xs text-slate-400">(this device)</span>' : ''}</p>
+                    <p class="text-xs text-slate-500 truncate">${escapeHtml(revision.author || 'Unknown inspector')}${revision.synced ? '' : ' &middot; <i class="fas fa-cloud-upload-alt"></i> not synced'}</p>
+                </div>
+                <span class="text-[10px] font-bold uppercase px-2 py-1 shrink-0 ${reasonBadges[revision.reason] || reasonBadges.autosave}">${escapeHtml(revision.reason)}</span>
+            </button>
+        `).join('');
+
+        const options = historyRevisions.map((revision, index) =>
+            `<option value="${index}">${escapeHtml(formatRevisionLabel(revision))}</option>`
+        ).join('');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+
+        // Default: previous revision (left) vs newest (right)
+        fromSelect.value = String(Math.min(1, historyRevisions.length - 1));
+        toSelect.value = '0';
+    }
+
+    /**
+     * Timeline click: compare that revision (left) with the newest (right)
+     */
+    function compareWithRevision(index) {
+        document.getElementById('historyCompareFrom').value = String(index);
+        document.getElementById('historyCompareTo').value = '0';
+        renderHistoryDiff();
+    }
+
+    function getHistoryFieldLabel(change) {
+        if (change.source === 'ai') return `AI: ${change.path}`;
+        if (HISTORY_FIELD_LABELS[change.path]) return HISTORY_FIELD_LABELS[change.path];
+
+        const match = change.path.match(/^(activity|operations)_(.+)$/);
+        if (match) {
+            const contractor = projectContractors.find(c => c.id === match[2]);
+            const name = contractor?.name || 'Contractor';
+            return match[1] === 'activity' ? `Work Summary - ${name}` : `Personnel - ${name}`;
+        }
+        return change.path;
+    }
+
+    function formatHistoryValue(value, source) {
+        if (value === undefined) {
+            return source === 'edit'
+                ? '<span class="italic text-slate-400">Not edited (AI text shown)</span>'
+                : '<span class="italic text-slate-400">None</span>';
+        }
+        if (value === '' || value === null) return '<span class="italic text-slate-400">Empty</span>';
+        const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        return `<pre class="whitespace-pre-wrap break-words font-sans">${escapeHtml(text)}</pre>`;
+    }
+
+    function getCompareRevisions() {
+        const from = historyRevisions[parseInt(document.getElementById('historyCompareFrom').value, 10)];
+        const to = historyRevisions[parseInt(document.getElementById('historyCompareTo').value, 10)];
+        return { from, to };
+    }
+
+    function renderHistoryDiff() {
+        const container = document.getElementById('historyDiff');
+        const restoreAllBtn = document.getElementById('historyRestoreAllBtn');
+        const { from, to } = getCompareRevisions();
+        historyChanges = [];
+
+        if (!from || !to || from === to) {
+            container.innerHTML = '<p class="text-sm text-slate-500">Pick two different revisions to compare.</p>';
+            restoreAllBtn.classList.toggle('hidden', !from || from === historyRevisions[0]);
+            return;
+        }
+
+        restoreAllBtn.classList.remove('hidden');
+        historyChanges = window.reportHistory.diffRevisions(from, to);
+
+        if (historyChanges.length === 0) {
+            container.innerHTML = '<p class="text-sm text-slate-500">These revisions have the same content.</p>';
+            return;
+        }
+
+        // Left = "from" revision (before), right = "to" revision (after)
+        container.innerHTML = historyChanges.map((change, index) => `
+            <div class="border border-slate-200">
+                <div class="bg-slate-50 px-3 py-2 flex items-center justify-between gap-2">
+                    <p class="text-xs font-bold text-slate-700 uppercase">${escapeHtml(getHistoryFieldLabel(change))}</p>
+                    <button onclick="restoreHistoryField(${index})" class="text-xs font-bold text-dot-orange hover:underline shrink-0">
+                        <i class="fas fa-undo mr-1"></i>Restore left
+                    </button>
+                </div>
+                <div class="grid grid-cols-2 divide-x divide-slate-200 text-sm">
+                    <div class="p-3 bg-red-50 text-slate-700">${formatHistoryValue(change.before, change.source)}</div>
+                    <div class="p-3 bg-green-50 text-slate-700">${formatHistoryValue(change.after, change.source)}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Restore one field from the left-hand revision
+     */
+    async function restoreHistoryField(index) {
+        const { from } = getCompareRevisions();
+        const change = historyChanges[index];
+        if (!from || !change) return;
+
+        await applyRestoredRevision(window.reportHistory.applyRevision(report, from, change.key));
+        showToast(`${getHistoryFieldLabel(change)} restored`, 'success');
+    }
+
+    /**
+     * Restore the whole report to the left-hand revision
+     */
+    async function restoreWholeRevision() {
+        const { from } = getCompareRevisions();
+        if (!from) return;
+        if (!confirm(`Restore the whole report to the version from ${formatRevisionLabel(from)}? The current version stays in history.`)) return;
+
+        await applyRestoredRevision(window.reportHistory.applyRevision(report, from));
+        showToast('Report restored', 'success');
+    }
+
+    async function applyRestoredRevision(restored) {
+        report.userEdits = restored.userEdits;
+        report.aiGenerated = restored.aiGenerated;
+        await saveReportToLocalStorage('restore');
+
+        // Rebuild from storage so restored fields drop any stale in-memory values
+        const meta = report.meta;
+        report = await loadReport();
+        report.meta = { ...report.meta, ...meta };
+        userEdits = report.userEdits;
+
+        document.querySelectorAll('.user-edited').forEach(el => el.classList.remove('user-edited'));
+        populateAllFields();
+        document.querySelectorAll('textarea.auto-expand').forEach(textarea => autoExpand(textarea));
+
+        historyRevisions = await window.reportHistory.getRevisions(currentReportId);
+        renderHistoryList();
+        renderHistoryDiff();
+    }
+
     // initAllAutoExpandTextareas() replaced by initAllAutoExpandTextareas() from /js/ui-utils.js
 
     // ============ UI HELPERS ============
@@ -2166,7 +2790,7 @@
 
     /**
      * Detect field mapping mismatches between AI response and expected structure
-     * Returns array of issue objects: { type: 'schema'|'empty'|'type'|'contractor', field: string, message: string }
+     * Returns array of issue objects: { type: 'schema'|'empty'|'type'|'contractor'|'repair', field: string, message: string }
      */
     function detectFieldMismatches() {
         const issues = [];
@@ -2176,173 +2800,45 @@
             return issues; // No AI data to check
         }
 
-        // Expected top-level keys in aiGenerated
-        const expectedTopLevelKeys = [
-            'activities', 'generalIssues', 'qaqcNotes', 'safety',
-            'contractorCommunications', 'visitorsRemarks', 'operations', 'equipment'
-        ];
-
-        // a) Schema mismatches - check for unexpected top-level keys
-        Object.keys(ai).forEach(key => {
-            if (!expectedTopLevelKeys.includes(key)) {
-                issues.push({
-                    type: 'schema',
-                    field: `aiGenerated.${key}`,
-                    message: `Unexpected top-level key "${key}" in AI response`
-                });
-            }
+        // a) Schema, type and contractorId checks against the aiGenerated schema (ai-schema.js)
+        const result = window.aiSchema.validateAiGenerated(ai, { contractors: projectContractors });
+        result.errors.forEach(error => {
+            issues.push({ type: error.kind, field: error.path, message: error.message });
         });
-
-        // Check activities structure
-        if (ai.activities && Array.isArray(ai.activities)) {
-            ai.activities.forEach((activity, index) => {
-                const expectedActivityKeys = ['contractorId', 'narrative', 'noWork', 'equipmentUsed', 'crew'];
-                Object.keys(activity).forEach(key => {
-                    if (!expectedActivityKeys.includes(key)) {
-                        issues.push({
-                            type: 'schema',
-                            field: `aiGenerated.activities[${index}].${key}`,
-                            message: `Unexpected key "${key}" in activity at index ${index}`
-                        });
-                    }
-                });
-            });
-        }
-
-        // Check safety structure
-        if (ai.safety && typeof ai.safety === 'object') {
-            const expectedSafetyKeys = ['notes', 'hasIncident', 'noIncidents'];
-            Object.keys(ai.safety).forEach(key => {
-                if (!expectedSafetyKeys.includes(key)) {
-                    issues.push({
-                        type: 'schema',
-                        field: `aiGenerated.safety.${key}`,
-                        message: `Unexpected key "${key}" in safety section`
-                    });
-                }
-            });
-        }
-
-        // Check operations structure
-        if (ai.operations && Array.isArray(ai.operations)) {
-            ai.operations.forEach((op, index) => {
-                const expectedOpKeys = ['contractorId', 'superintendents', 'foremen', 'operators', 'laborers', 'surveyors', 'others'];
-                Object.keys(op).forEach(key => {
-                    if (!expectedOpKeys.includes(key)) {
-                        issues.push({
-                            type: 'schema',
-                            field: `aiGenerated.operations[${index}].${key}`,
-                            message: `Unexpected key "${key}" in operations at index ${index}`
-                        });
-                    }
-                });
-            });
-        }
-
-        // b) Empty responses - AI returned null/empty when fieldNotes had content
-        const fieldNotes = report.fieldNotes || {};
-        const guidedNotes = report.guidedNotes || {};
-
-        // Check if AI generalIssues is empty but guidedNotes.issues has content
-        if (guidedNotes.issues && guidedNotes.issues.trim()) {
-            const aiIssues = ai.generalIssues;
-            if (!aiIssues || (Array.isArray(aiIssues) && aiIssues.length === 0) || aiIssues === '') {
-                issues.push({
-                    type: 'empty',
-                    field: 'aiGenerated.generalIssues',
-                    message: 'AI returned empty generalIssues but guidedNotes.issues has content'
-                });
-            }
-        }
-
-        // Check if AI safety.notes is empty but guidedNotes.safety has content
-        if (guidedNotes.safety && guidedNotes.safety.trim()) {
-            const aiSafetyNotes = ai.safety?.notes;
-            if (!aiSafetyNotes || (Array.isArray(aiSafetyNotes) && aiSafetyNotes.length === 0) || aiSafetyNotes === '') {
-                issues.push({
-                    type: 'empty',
-                    field: 'aiGenerated.safety.notes',
-                    message: 'AI returned empty safety.notes but guidedNotes.safety has content'
-                });
-            }
-        }
-
-        // Check if AI activities is empty but guidedNotes.workSummary has content
-        if (guidedNotes.workSummary && guidedNotes.workSummary.trim()) {
-            const aiActivities = ai.activities;
-            if (!aiActivities || (Array.isArray(aiActivities) && aiActivities.length === 0)) {
-                issues.push({
-                    type: 'empty',
-                    field: 'aiGenerated.activities',
-                    message: 'AI returned empty activities but guidedNotes.workSummary has content'
-                });
-            }
-        }
-
-        // c) Type mismatches - expected array but got string or vice versa
-        const arrayFields = ['generalIssues', 'qaqcNotes', 'activities', 'operations', 'equipment'];
-        arrayFields.forEach(fieldName => {
-            const value = ai[fieldName];
-            if (value !== undefined && value !== null) {
-                if (typeof value === 'string' && value.trim() !== '') {
-                    issues.push({
-                        type: 'type',
-                        field: `aiGenerated.${fieldName}`,
-                        message: `Expected array for "${fieldName}" but got string`
-                    });
-                }
-            }
+        result.unknownKeys.forEach(path => {
+            issues.push({ type: 'schema', field: path, message: `Unexpected key "${path.split('.').pop()}" in AI response` });
         });
 
-        // Check safety.notes - should be array or string
-        if (ai.safety?.notes !== undefined && ai.safety?.notes !== null) {
-            // This is acceptable as either array or string, but flag if it's something else
-            const notesType = typeof ai.safety.notes;
-            if (notesType !== 'string' && !Array.isArray(ai.safety.notes)) {
-                issues.push({
-                    type: 'type',
-                    field: 'aiGenerated.safety.notes',
-                    message: `Expected array or string for "safety.notes" but got ${notesType}`
-                });
-            }
-        }
+        // Repairs made when the response arrived (stored with the AI response)
+        (report.aiValidation?.repairs || []).forEach(repair => {
+            issues.push({ type: 'repair', field: repair.path, message: `${repair.action}: ${repair.detail}` });
+        });
 
-        // d) ContractorId mismatches - AI contractorId doesn't match any project contractor
-        const validContractorIds = projectContractors.map(c => c.id);
+        // b) Empty responses - AI returned null/empty when guidedNotes had content
+        const guidedNotes = report.guidedNotes || {};
+        const isEmptyValue = value => !value || (Array.isArray(value) && value.length === 0);
 
-        if (ai.activities && Array.isArray(ai.activities)) {
-            ai.activities.forEach((activity, index) => {
-                if (activity.contractorId && !validContractorIds.includes(activity.contractorId)) {
-                    issues.push({
-                        type: 'contractor',
-                        field: `aiGenerated.activities[${index}].contractorId`,
-                        message: `ContractorId "${activity.contractorId}" doesn't match any project contractor`
-                    });
-                }
+        if (guidedNotes.issues && guidedNotes.issues.trim() && isEmptyValue(ai.issues_delays)) {
+            issues.push({
+                type: 'empty',
+                field: 'aiGenerated.issues_delays',
+                message: 'AI returned empty issues_delays but guidedNotes.issues has content'
             });
         }
 
-        if (ai.operations && Array.isArray(ai.operations)) {
-            ai.operations.forEach((op, index) => {
-                if (op.contractorId && !validContractorIds.includes(op.contractorId)) {
-                    issues.push({
-                        type: 'contractor',
-                        field: `aiGenerated.operations[${index}].contractorId`,
-                        message: `ContractorId "${op.contractorId}" doesn't match any project contractor`
-                    });
-                }
+        if (guidedNotes.safety && guidedNotes.safety.trim() && isEmptyValue(ai.safety?.summary)) {
+            issues.push({
+                type: 'empty',
+                field: 'aiGenerated.safety.summary',
+                message: 'AI returned empty safety.summary but guidedNotes.safety has content'
             });
         }
 
-        if (ai.equipment && Array.isArray(ai.equipment)) {
-            ai.equipment.forEach((equip, index) => {
-                if (equip.contractorId && !validContractorIds.includes(equip.contractorId)) {
-                    issues.push({
-                        type: 'contractor',
-                        field: `aiGenerated.equipment[${index}].contractorId`,
-                        message: `ContractorId "${equip.contractorId}" doesn't match any project contractor`
-                    });
-                }
+        if (guidedNotes.workSummary && guidedNotes.workSummary.trim() && isEmptyValue(ai.activities)) {
+            issues.push({
+                type: 'empty',
+                field: 'aiGenerated.activities',
+                message: 'AI returned empty activities but guidedNotes.workSummary has content'
             });
         }
 
@@ -2392,8 +2888,8 @@
         // Update Issues section
         updateDebugIssues();
 
-        // Show/hide banner based on issues
-        if (fieldMappingIssues.length > 0 && !debugBannerDismissed) {
+        // Show/hide banner based on issues (repairs already applied are informational)
+        if (fieldMappingIssues.some(issue => issue.type !== 'repair') && !debugBannerDismissed) {
             document.getElementById('debugIssueBanner').classList.remove('hidden');
         }
     }
@@ -2611,10 +3107,17 @@
     // ============ EXPOSE FUNCTIONS TO WINDOW ============
     // Functions called from onclick handlers in HTML must be globally accessible
     window.saveReport = saveReport;
+    window.showHistoryPanel = showHistoryPanel;
+    window.hideHistoryPanel = hideHistoryPanel;
+    window.compareWithRevision = compareWithRevision;
+    window.renderHistoryDiff = renderHistoryDiff;
+    window.restoreHistoryField = restoreHistoryField;
+    window.restoreWholeRevision = restoreWholeRevision;
     window.exportPDF = exportPDF;
     window.goToFinalReview = goToFinalReview;
     window.switchTab = switchTab;
     window.retryRefineProcessing = retryRefineProcessing;
+    window.retryRefineSection = retryRefineSection;
     window.scrollToDebugPanel = scrollToDebugPanel;
     window.dismissDebugBanner = dismissDebugBanner;
     window.addEquipmentRow = addEquipmentRow;
@@ -8,6 +8,8 @@ let currentProfileId = null;
 let isDirty = false;
 // Store original values to compare for dirty detection
 let originalValues = {};
+// Drawn signature as a PNG data URL (null when none)
+let signatureImage = null;
 
 // Storage key for scratch pad (localStorage)
 const SETTINGS_SCRATCH_KEY = 'fvp_settings_scratch';
@@ -25,6 +27,7 @@ async function loadSettings() {
         document.getElementById('company').value = scratch.company || '';
         document.getElementById('email').value = scratch.email || '';
         document.getElementById('phone').value = scratch.phone || '';
+        signatureImage = scratch.signatureImage || null;
 
         // Mark as dirty since we have unsaved changes
         setDirty(true);
@@ -41,6 +44,7 @@ async function loadSettings() {
             document.getElementById('company').value = profile.company || '';
             document.getElementById('email').value = profile.email || '';
             document.getElementById('phone').value = profile.phone || '';
+            signatureImage = profile.signatureImage || null;
         }
 
         // Not dirty - data matches saved state
@@ -49,6 +53,7 @@ async function loadSettings() {
 
     // Store original values for dirty detection
     storeOriginalValues();
+    drawSignatureImage(signatureImage);
     updateSignaturePreview();
 }
 
@@ -76,6 +81,7 @@ function saveScratchData() {
         company: document.getElementById('company').value.trim(),
         email: document.getElementById('email').value.trim(),
         phone: document.getElementById('phone').value.trim(),
+        signatureImage,
         hasUnsavedChanges: isDirty,
         updatedAt: new Date().toISOString()
     };
@@ -103,7 +109,8 @@ function storeOriginalValues() {
         title: document.getElementById('title').value.trim(),
         company: document.getElementById('company').value.trim(),
         email: document.getElementById('email').value.trim(),
-        phone: document.getElementById('phone').value.trim()
+        phone: document.getElementById('phone').value.trim(),
+        signatureImage
     };
 }
 
@@ -116,7 +123,8 @@ function checkIfDirty() {
         title: document.getElementById('title').value.trim(),
         company: document.getElementById('company').value.trim(),
         email: document.getElementById('email').value.trim(),
-        phone: document.getElementById('phone').value.trim()
+        phone: document.getElementById('phone').value.trim(),
+        signatureImage
     };
 
     const dirty = Object.keys(originalValues).some(key =>
@@ -176,6 +184,7 @@ async function saveSettings() {
         company: document.getElementById('company').value.trim(),
         email: document.getElementById('email').value.trim() || '',
         phone: document.getElementById('phone').value.trim() || '',
+        signatureImage,
         updatedAt: new Date().toISOString()
     };
 
@@ -287,6 +296,8 @@ async function refreshFromCloud() {
         document.getElementById('company').value = data.company || '';
         document.getElementById('email').value = data.email || '';
         document.getElementById('phone').value = data.phone || '';
+        signatureImage = data.signature_image || null;
+        drawSignatureImage(signatureImage);
 
         // Store user_id
         if (data.id) {
@@ -322,6 +333,162 @@ function updateSignaturePreview() {
     }
 
     document.getElementById('signaturePreview').textContent = signature;
+
+    const preview = document.getElementById('signaturePreviewImage');
+    if (preview) {
+        preview.classList.toggle('hidden', !signatureImage);
+        if (signatureImage) preview.src = signatureImage;
+        else preview.removeAttribute('src');
+    }
+}
+
+// ============ SIGNATURE PAD ============
+// Exported signatures are trimmed to the ink and capped at this size (PNG, transparent)
+const SIGNATURE_MAX_WIDTH = 600;
+const SIGNATURE_MAX_HEIGHT = 200;
+const SIGNATURE_PADDING = 8;
+
+/**
+ * Set up pointer drawing on the signature canvas (mouse, touch and stylus)
+ */
+function initSignaturePad() {
+    const canvas = document.getElementById('signaturePad');
+    if (!canvas) return;
+
+    let drawing = false;
+
+    const pointAt = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        drawing = true;
+
+        const ctx = canvas.getContext('2d');
+        const { x, y } = pointAt(e);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        // A dot for taps without movement
+        ctx.lineTo(x + 0.1, y + 0.1);
+        ctx.stroke();
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drawing) return;
+        const ctx = canvas.getContext('2d');
+        const { x, y } = pointAt(e);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+    });
+
+    const endStroke = () => {
+        if (!drawing) return;
+        drawing = false;
+
+        signatureImage = exportSignature(canvas);
+        updateSignaturePreview();
+        checkIfDirty();
+        if (isDirty) {
+            saveScratchData();
+        }
+    };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+
+    // Canvas pixels track its CSS size; resizing clears it, so redraw the saved signature
+    window.addEventListener('resize', () => {
+        resizeSignaturePad(canvas);
+        drawSignatureImage(signatureImage);
+    });
+    resizeSignaturePad(canvas);
+}
+
+/**
+ * Match the canvas backing store to its displayed size (sharp lines on high-DPI screens)
+ * @param {HTMLCanvasElement} canvas
+ */
+function resizeSignaturePad(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * dpr);
+    canvas.height = Math.round(canvas.clientHeight * dpr);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#1e3a5f';
+}
+
+/**
+ * Draw a saved signature onto the pad, centred and scaled to fit
+ * @param {string|null} dataUrl
+ */
+function drawSignatureImage(dataUrl) {
+    const canvas = document.getElementById('signaturePad');
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+    if (!dataUrl) return;
+
+    const img = new Image();
+    img.onload = () => {
+        const scale = Math.min(1, canvas.clientWidth / img.width, canvas.clientHeight / img.height);
+        const width = img.width * scale;
+        const height = img.height * scale;
+        ctx.drawImage(img, (canvas.clientWidth - width) / 2, (canvas.clientHeight - height) / 2, width, height);
+    };
+    img.src = dataUrl;
+}
+
+/**
+ * Crop the pad to the drawn ink and export it as a PNG data URL
+ * @param {HTMLCanvasElement} canvas
+ * @returns {string|null} null if the pad is empty
+ */
+function exportSignature(canvas) {
+    const { width, height } = canvas;
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (pixels[(y * width + x) * 4 + 3] > 0) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+    if (maxX < 0) return null;
+
+    const cropWidth = maxX - minX + 1;
+    const cropHeight = maxY - minY + 1;
+    const scale = Math.min(1, (SIGNATURE_MAX_WIDTH - SIGNATURE_PADDING * 2) / cropWidth,
+        (SIGNATURE_MAX_HEIGHT - SIGNATURE_PADDING * 2) / cropHeight);
+
+    const out = document.createElement('canvas');
+    out.width = Math.round(cropWidth * scale) + SIGNATURE_PADDING * 2;
+    out.height = Math.round(cropHeight * scale) + SIGNATURE_PADDING * 2;
+    out.getContext('2d').drawImage(canvas, minX, minY, cropWidth, cropHeight,
+        SIGNATURE_PADDING, SIGNATURE_PADDING, out.width - SIGNATURE_PADDING * 2, out.height - SIGNATURE_PADDING * 2);
+
+    return out.toDataURL('image/png');
+}
+
+function clearSignaturePad() {
+    signatureImage = null;
+    drawSignatureImage(null);
+    updateSignaturePreview();
+    checkIfDirty();
+    if (isDirty) {
+        saveScratchData();
+    }
 }
 
 // Note: This function is kept for compatibility but now fetches from Supabase
@@ -350,6 +517,373 @@ async function getFormattedSignature() {
     }
 }
 
+// ============ SYNC OUTBOX ============
+const OUTBOX_TYPE_LABELS = {
+    ENTRY_BACKUP: 'Entry backup',
+    ENTRY_DELETE: 'Entry delete',
+    REPORT_SYNC: 'Report sync',
+    RAW_CAPTURE_SYNC: 'Raw capture sync',
+    PHOTO_UPLOAD: 'Photo upload',
+    AUDIO_MEMO_UPLOAD: 'Voice memo upload',
+    REPORT_SUBMIT: 'Report submission'
+};
+
+/**
+ * Load outbox contents from IndexedDB and render the Sync Outbox panel
+ */
+async function loadOutboxPanel() {
+    const summary = document.getElementById('outboxSummary');
+    if (!summary) return;
+
+    try {
+        const { pending, dead } = await getOutboxStatus();
+
+        if (pending.length === 0 && dead.length === 0) {
+            summary.textContent = 'Everything is synced.';
+        } else {
+            summary.textContent = `${pending.length} waiting to sync, ${dead.length} failed`;
+        }
+
+        document.getElementById('outboxPendingList').innerHTML = pending.map(op => renderOutboxOp(op, false)).join('');
+        document.getElementById('outboxDeadList').innerHTML = dead.map(op => renderOutboxOp(op, true)).join('');
+        document.getElementById('outboxDeadSection').classList.toggle('hidden', dead.length === 0);
+    } catch (e) {
+        console.error('[SETTINGS] Failed to load outbox:', e);
+        summary.textContent = 'Could not read the sync outbox.';
+    }
+}
+
+/**
+ * Render one outbox operation row
+ * @param {Object} op - Outbox operation
+ * @param {boolean} isDead - Whether the op is in the dead-letter list
+ * @returns {string} HTML
+ */
+function renderOutboxOp(op, isDead) {
+    const label = OUTBOX_TYPE_LABELS[op.type] || op.type;
+    const queued = new Date(op.queuedAt).toLocaleString();
+    const nextAttempt = !isDead && op.attempts > 0
+        ? ` &middot; next try ${new Date(op.nextAttemptAt).toLocaleTimeString()}`
+        : '';
+    const actions = isDead
+        ? `<div class="flex gap-2 mt-2">
+               <button onclick="retryOutboxItem('${escapeHtml(op.id)}')" class="flex-1 p-2 bg-dot-blue text-white text-xs font-bold uppercase">Retry</button>
+               <button onclick="discardOutboxItem('${escapeHtml(op.id)}')" class="flex-1 p-2 bg-white border border-red-500 text-red-600 text-xs font-bold uppercase">Discard</button>
+           </div>`
+        : '';
+
+    return `
+        <div class="border ${isDead ? 'border-red-300 bg-red-50' : 'border-slate-200 bg-slate-50'} p-3">
+            <p class="text-sm font-bold text-slate-700">${escapeHtml(label)}</p>
+            <p class="text-xs text-slate-500">Queued ${escapeHtml(queued)} &middot; ${op.attempts || 0} attempt(s)${nextAttempt}</p>
+            ${op.lastError ? `<p class="text-xs text-red-600 mt-1">${escapeHtml(op.lastError)}</p>` : ''}
+            ${actions}
+        </div>
+    `;
+}
+
+async function syncOutboxNow() {
+    if (!navigator.onLine) {
+        showToast('You are offline. Sync will run when you reconnect.', 'warning');
+        return;
+    }
+    showToast('Syncing...', 'info');
+    await processOfflineQueue();
+    await loadOutboxPanel();
+}
+
+async function retryOutboxItem(opId) {
+    if (!navigator.onLine) {
+        showToast('You are offline. Cannot retry now.', 'warning');
+        return;
+    }
+    await retryOutboxOp(opId);
+    await loadOutboxPanel();
+}
+
+async function retryAllOutbox() {
+    if (!navigator.onLine) {
+        showToast('You are offline. Cannot retry now.', 'warning');
+        return;
+    }
+    await retryAllDeadOutboxOps();
+    await loadOutboxPanel();
+}
+
+async function discardOutboxItem(opId) {
+    if (!confirm('Discard this item? The change will not be synced to the cloud.')) {
+        return;
+    }
+    await discardOutboxOp(opId);
+    await loadOutboxPanel();
+}
+
+// ============ AI REFINE PROVIDER ============
+/**
+ * Fill the provider form from the saved config (see ai-provider.js)
+ */
+function loadAIProviderPanel() {
+    const select = document.getElementById('aiProvider');
+    if (!select || !window.aiProvider) return;
+
+    const providers = window.aiProvider.getProviders();
+    select.innerHTML = Object.entries(providers)
+        .map(([id, preset]) => `<option value="${id}">${escapeHtml(preset.label)}</option>`)
+        .join('');
+
+    const config = window.aiProvider.getProviderConfig();
+    select.value = config.provider;
+    document.getElementById('aiEndpoint').value = config.endpoint;
+    document.getElementById('aiVersion').value = config.version;
+    document.getElementById('aiTimeout').value = Math.round(config.timeoutMs / 1000);
+    document.getElementById('aiStreaming').checked = config.streaming;
+    document.getElementById('aiAuthHeaderName').value = config.authHeaderName;
+    document.getElementById('aiAuthHeaderValue').value = config.authHeaderValue;
+}
+
+/**
+ * Switching provider resets endpoint/version/timeout/streaming to that provider's defaults
+ */
+function onAIProviderChange() {
+    const preset = window.aiProvider.getProviders()[document.getElementById('aiProvider').value];
+    document.getElementById('aiEndpoint').value = preset.endpoint;
+    document.getElementById('aiVersion').value = preset.version;
+    document.getElementById('aiTimeout').value = Math.round(preset.timeoutMs / 1000);
+    document.getElementById('aiStreaming').checked = preset.streaming;
+    setAIProviderStatus('');
+}
+
+function getAIProviderForm() {
+    return {
+        provider: document.getElementById('aiProvider').value,
+        endpoint: document.getElementById('aiEndpoint').value.trim(),
+        version: document.getElementById('aiVersion').value.trim(),
+        timeoutMs: (parseInt(document.getElementById('aiTimeout').value, 10) || 0) * 1000,
+        streaming: document.getElementById('aiStreaming').checked,
+        authHeaderName: document.getElementById('aiAuthHeaderName').value.trim(),
+        authHeaderValue: document.getElementById('aiAuthHeaderValue').value
+    };
+}
+
+function setAIProviderStatus(message, isError) {
+    const statusEl = document.getElementById('aiProviderStatus');
+    statusEl.textContent = message;
+    statusEl.className = `text-xs font-bold ${isError ? 'text-red-600' : 'text-safety-green'}`;
+    statusEl.classList.toggle('hidden', !message);
+}
+
+function saveAIProvider() {
+    try {
+        window.aiProvider.saveProviderConfig(getAIProviderForm());
+        loadAIProviderPanel();
+        setAIProviderStatus('');
+        showToast('AI provider saved', 'success');
+    } catch (e) {
+        setAIProviderStatus(e.message, true);
+    }
+}
+
+async function testAIProvider() {
+    const form = getAIProviderForm();
+    if (!form.endpoint) {
+        setAIProviderStatus('Enter an endpoint URL first', true);
+        return;
+    }
+
+    setAIProviderStatus('Testing...');
+    const overrides = { ...form, timeoutMs: form.timeoutMs || 30000 };
+    const result = await window.aiProvider.testProvider(overrides);
+    setAIProviderStatus(
+        result.ok ? `Connected - responded in ${(result.ms / 1000).toFixed(1)}s` : `Failed: ${result.error}`,
+        !result.ok
+    );
+}
+
+// ============ DICTATION ============
+/**
+ * Fill the dictation form from the saved config (see dictation.js)
+ */
+function loadDictationPanel() {
+    const select = document.getElementById('dictationBackend');
+    if (!select || !window.dictation) return;
+
+    const options = [{ name: 'auto', label: 'Automatic (best available)', available: true }]
+        .concat(window.dictation.getBackends());
+    select.innerHTML = options
+        .map(b => `<option value="${b.name}">${escapeHtml(b.label)}${b.available ? '' : ' (unavailable)'}</option>`)
+        .join('');
+
+    const config = window.dictation.getConfig();
+    select.value = config.backend;
+    document.getElementById('dictationLocalEndpoint').value = config.localEndpoint;
+    document.getElementById('dictationLang').value = config.lang;
+    document.getElementById('dictationSpeakConfirmations').checked = config.speakConfirmations;
+}
+
+function setDictationStatus(message, isError) {
+    const statusEl = document.getElementById('dictationStatus');
+    statusEl.textContent = message;
+    statusEl.className = `text-xs font-bold ${isError ? 'text-red-600' : 'text-safety-green'}`;
+    statusEl.classList.toggle('hidden', !message);
+}
+
+function saveDictationSettings() {
+    try {
+        window.dictation.saveConfig({
+            backend: document.getElementById('dictationBackend').value,
+            localEndpoint: document.getElementById('dictationLocalEndpoint').value,
+            lang: document.getElementById('dictationLang').value,
+            speakConfirmations: document.getElementById('dictationSpeakConfirmations').checked
+        });
+        loadDictationPanel();
+        const available = window.dictation.isAvailable();
+        setDictationStatus(available ? '' : 'No transcription backend is available on this device', !available);
+        showToast('Dictation settings saved', 'success');
+    } catch (e) {
+        setDictationStatus(e.message, true);
+    }
+}
+
+// ============ PHOTO UPLOADS ============
+/**
+ * Fill the photo upload form from the saved config (see upload-manager.js)
+ */
+function loadUploadPanel() {
+    if (!window.uploadManager || !document.getElementById('uploadWifiOnly')) return;
+
+    const config = window.uploadManager.getConfig();
+    document.getElementById('uploadWifiOnly').checked = config.wifiOnly;
+    document.getElementById('uploadAdaptiveQuality').checked = config.adaptiveQuality;
+    document.getElementById('uploadEndpoint').value = config.endpoint;
+    document.getElementById('uploadChunkSize').value = Math.round(config.chunkSize / 1024);
+
+    const { tier, bytesPerSec, maxWidth, quality } = window.uploadManager.getCompressionSettings();
+    document.getElementById('uploadSpeedText').textContent = bytesPerSec
+        ? `${Math.round(bytesPerSec / 1024)} KB/s (${tier}) - photos ${maxWidth}px at ${Math.round(quality * 100)}% quality`
+        : `Not measured yet - photos ${maxWidth}px at ${Math.round(quality * 100)}% quality`;
+}
+
+function setUploadStatus(message, isError) {
+    const statusEl = document.getElementById('uploadStatus');
+    statusEl.textContent = message;
+    statusEl.className = `text-xs font-bold ${isError ? 'text-red-600' : 'text-safety-green'}`;
+    statusEl.classList.toggle('hidden', !message);
+}
+
+function saveUploadSettings() {
+    try {
+        window.uploadManager.saveConfig({
+            wifiOnly: document.getElementById('uploadWifiOnly').checked,
+            adaptiveQuality: document.getElementById('uploadAdaptiveQuality').checked,
+            endpoint: document.getElementById('uploadEndpoint').value,
+            chunkSize: (parseInt(document.getElementById('uploadChunkSize').value, 10) || 0) * 1024
+        });
+        loadUploadPanel();
+        setUploadStatus('');
+        showToast('Upload settings saved', 'success');
+    } catch (e) {
+        setUploadStatus(e.message, true);
+    }
+}
+
+// ============ STORAGE DASHBOARD ============
+const STORAGE_BAR_COLORS = {
+    ok: 'bg-safety-green',
+    warning: 'bg-dot-yellow',
+    critical: 'bg-red-600'
+};
+
+/**
+ * Render storage usage bars and persistence status (see storage-quota.js)
+ */
+async function loadStoragePanel() {
+    if (typeof getStorageEstimate !== 'function') return;
+
+    const estimate = await getStorageEstimate();
+
+    const deviceLevel = renderStorageBar('storageDevice', estimate.usage, estimate.quota, estimate.ratio);
+    const localLevel = renderStorageBar('storageLocal', estimate.localStorage.usage, estimate.localStorage.quota, estimate.localStorage.ratio);
+
+    const warningEl = document.getElementById('storageWarning');
+    const worst = [deviceLevel, localLevel].includes('critical') ? 'critical'
+        : [deviceLevel, localLevel].includes('warning') ? 'warning' : 'ok';
+    warningEl.classList.toggle('hidden', worst === 'ok');
+    warningEl.textContent = worst === 'critical'
+        ? 'Storage is almost full. Submit or delete old reports before saving more.'
+        : 'Storage is getting full. Submit finished reports to free space.';
+
+    document.getElementById('storagePersistStatus').textContent = estimate.persisted
+        ? 'Data on this device is protected from automatic cleanup.'
+        : 'The browser may clear data on this device when space runs low.';
+    document.getElementById('storagePersistBtn').classList.toggle('hidden', estimate.persisted);
+}
+
+/**
+ * Fill one usage bar
+ * @returns {'ok'|'warning'|'critical'} Usage level
+ */
+function renderStorageBar(idPrefix, usage, quota, ratio) {
+    const bar = document.getElementById(`${idPrefix}Bar`);
+    const text = document.getElementById(`${idPrefix}Text`);
+    const level = getStorageLevel(ratio);
+
+    text.textContent = quota ? `${formatBytes(usage)} of ${formatBytes(quota)}` : 'Unavailable';
+    bar.style.width = `${Math.min(100, Math.round((ratio || 0) * 100))}%`;
+    bar.className = `h-2 ${STORAGE_BAR_COLORS[level]}`;
+    return level;
+}
+
+async function requestStoragePersistence() {
+    const granted = await requestPersistentStorage();
+    showToast(granted ? 'Data will be kept on this device' : 'The browser declined - installing the app usually allows this', granted ? 'success' : 'warning');
+    await loadStoragePanel();
+}
+
+// ============ STORAGE MIGRATIONS ============
+/**
+ * Show the storage schema status and the rollback option (see storage-migrations.js)
+ */
+function loadMigrationPanel() {
+    const statusEl = document.getElementById('migrationStatus');
+    if (!statusEl || !window.storageMigrations) return;
+
+    const status = window.storageMigrations.getMigrationStatus();
+    const outdated = status.targets.reduce((sum, t) => sum + t.outdated, 0);
+
+    let text = outdated > 0
+        ? `Storage schema: ${outdated} item(s) not fully migrated.`
+        : 'Storage schema: up to date.';
+    if (status.lastRun?.failed?.length > 0) {
+        text += ` Last run had ${status.lastRun.failed.length} failure(s).`;
+    }
+    statusEl.textContent = text;
+
+    const rollbackBtn = document.getElementById('migrationRollbackBtn');
+    if (rollbackBtn) {
+        rollbackBtn.classList.toggle('hidden', !status.backup);
+        if (status.backup) {
+            const backupDate = new Date(status.backup.createdAt).toLocaleString();
+            rollbackBtn.title = `Backup from ${backupDate}: ${status.backup.migrations.join(', ')}`;
+        }
+    }
+}
+
+function rollbackStorageMigration() {
+    const backup = window.storageMigrations.getMigrationBackup();
+    if (!backup) return;
+
+    const backupDate = new Date(backup.createdAt).toLocaleString();
+    if (!confirm(`Restore ${Object.keys(backup.items).length} stored item(s) to how they were before the storage update on ${backupDate}?`)) {
+        return;
+    }
+
+    const result = window.storageMigrations.rollbackLastMigration();
+    if (result) {
+        showToast(`Restored ${result.restored.length} item(s)`, 'success');
+    }
+    loadMigrationPanel();
+}
+
 // ============ PWA REFRESH FUNCTIONS ============
 function refreshApp() {
     console.log('[PWA Refresh] Opening refresh confirmation modal');
@@ -500,6 +1034,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    initSignaturePad();
+
     // Warn user before leaving with unsaved changes
     window.addEventListener('beforeunload', (e) => {
         if (isDirty) {
@@ -511,12 +1047,37 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Load settings from IndexedDB (or scratch pad if unsaved changes exist)
     loadSettings();
+    loadOutboxPanel();
+    loadStoragePanel();
+    loadMigrationPanel();
+    loadAIProviderPanel();
+    loadDictationPanel();
+    loadUploadPanel();
+
+    // Refresh the outbox panel as the service worker drains it (see pwa-utils.js)
+    window.addEventListener('fvp:outbox-sync', (e) => {
+        if (e.detail.type === 'OUTBOX_SYNC_COMPLETE') {
+            loadOutboxPanel();
+        }
+    });
 });
 
 // ============ EXPOSE TO WINDOW FOR ONCLICK HANDLERS ============
 window.saveSettings = saveSettings;
 window.refreshFromCloud = refreshFromCloud;
+window.clearSignaturePad = clearSignaturePad;
 window.refreshApp = refreshApp;
 window.hideRefreshModal = hideRefreshModal;
 window.executeRefresh = executeRefresh;
 window.resetAllData = resetAllData;
+window.syncOutboxNow = syncOutboxNow;
+window.retryOutboxItem = retryOutboxItem;
+window.retryAllOutbox = retryAllOutbox;
+window.discardOutboxItem = discardOutboxItem;
+window.rollbackStorageMigration = rollbackStorageMigration;
+window.requestStoragePersistence = requestStoragePersistence;
+window.onAIProviderChange = onAIProviderChange;
+window.saveAIProvider = saveAIProvider;
+window.testAIProvider = testAIProvider;
+window.saveDictationSettings = saveDictationSettings;
+window.saveUploadSettings = saveUploadSettings;
@@ -18,11 +18,20 @@ const STORAGE_KEYS = {
   ACTIVE_PROJECT_ID: 'fvp_active_project_id',
   CURRENT_REPORTS: 'fvp_current_reports',
   REPORT_DATA: 'fvp_report_',  // Pattern: fvp_report_{reportId}
+  MERGE_BASE: 'fvp_merge_base_',  // Pattern: fvp_merge_base_{reportId}
+  SCHEMA_VERSIONS: 'fvp_schema_versions',
+  MIGRATION_BACKUP: 'fvp_migration_backup',
   AI_REPORTS: 'fvp_ai_reports',
   DRAFTS: 'fvp_drafts',
   SYNC_QUEUE: 'fvp_sync_queue',
   LAST_SYNC: 'fvp_last_sync',
   DEVICE_ID: 'fvp_device_id',
+  AI_PROVIDER: 'fvp_ai_provider',  // AI refine provider settings (ai-provider.js)
+  DICTATION: 'fvp_dictation',  // Dictation backend settings (dictation.js)
+  UPLOADS: 'fvp_uploads',  // Photo upload settings (upload-manager.js)
+  UPLOAD_RESUME: 'fvp_upload_resume',  // TUS upload URLs of unfinished uploads (upload-manager.js)
+  UPLOAD_THROUGHPUT: 'fvp_upload_throughput',  // Last measured upload speed (upload-manager.js)
+  LOCK_TRANSPORT: 'fvp_lock_transport',  // 'local' = BroadcastChannel presence stand-in (testing)
   USER_ID: 'fvp_user_id',
   OFFLINE_QUEUE: 'fvp_offline_queue',
   MIC_GRANTED: 'fvp_mic_granted',
@@ -140,6 +149,8 @@ const STORAGE_KEYS = {
  */
 
 /**
+ * Legacy localStorage sync queue op - new ops go to the IndexedDB outbox (sync-manager.js),
+ * which moves any left here over on init
  * @typedef {Object} SyncOperation
  * @property {'entry'|'report'|'photo'} type - Type of operation
  * @property {'upsert'|'delete'} action - Action to perform
@@ -244,6 +255,10 @@ function saveCurrentReport(report) {
   report.updated_at = Date.now();
   reports[report.id] = report;
 
+  if (typeof checkLocalStorageHeadroom === 'function') {
+    checkLocalStorageHeadroom(JSON.stringify(report).length * 2);
+  }
+
   return setStorageItem(STORAGE_KEYS.CURRENT_REPORTS, reports);
 }
 
@@ -287,32 +302,6 @@ function getActiveProject() {
   return projects[activeProjectId] || null;
 }
 
-/**
- * Adds an operation to the sync queue for later processing
- * Used for offline operations that need to be synced when online
- *
- * @param {SyncOperation} operation - The operation to queue
- * @param {('entry'|'report'|'photo')} operation.type - Type of operation
- * @param {('upsert'|'delete')} operation.action - Action to perform
- * @param {Object} operation.data - Operation data
- * @param {number} [operation.timestamp] - When operation was queued (defaults to now)
- * @returns {boolean} True on success, false on failure
- */
-function addToSyncQueue(operation) {
-  const queue = getStorageItem(STORAGE_KEYS.SYNC_QUEUE) || [];
-
-  // Ensure timestamp is set
-  if (!operation.timestamp) {
-    operation.timestamp = Date.now();
-  }
-
-  queue.push(operation);
-
-  console.log('Added to sync queue:', operation.type, operation.action);
-
-  return setStorageItem(STORAGE_KEYS.SYNC_QUEUE, queue);
-}
-
 /**
  * Gets all operations in the sync queue
  *
@@ -339,24 +328,74 @@ function getReportDataKey(reportId) {
   return `${STORAGE_KEYS.REPORT_DATA}${reportId}`;
 }
 
+// In-flight report writes, so a read right after a save sees the saved data
+const pendingReportWrites = {};
+
+/**
+ * Whether the IndexedDB report stores are available (indexeddb-utils.js loaded)
+ * @returns {boolean}
+ */
+function hasReportStore() {
+  return typeof window !== 'undefined' && typeof indexedDB !== 'undefined' &&
+    !!window.idb && typeof window.idb.getReportRecord === 'function';
+}
+
 /**
- * Gets report data from localStorage by reportId
+ * Gets report data by reportId
+ * Reads the IndexedDB reports + aiResponses stores. A payload in the legacy
+ * fvp_report_{reportId} localStorage key is always the newest copy (written before
+ * the move, or by a fallback save) and is moved to IndexedDB on read.
+ * Falls back to localStorage on pages without indexeddb-utils.js.
+ *
  * @param {string} reportId - The report UUID
- * @returns {Object|null} The report data or null if not found
+ * @returns {Promise<Object|null>} The report data or null if not found
  */
-function getReportData(reportId) {
+async function getReportData(reportId) {
   if (!reportId) return null;
   const key = getReportDataKey(reportId);
-  return getStorageItem(key);
+
+  if (!hasReportStore()) {
+    return getStorageItem(key);
+  }
+
+  await pendingReportWrites[reportId];
+
+  // Legacy localStorage payload - move it to IndexedDB
+  const legacy = getStorageItem(key);
+  if (legacy && typeof legacy === 'object') {
+    if (await writeReportRecord(reportId, legacy)) {
+      removeStorageItem(key);
+      console.log('[STORAGE] Moved report data to IndexedDB:', reportId);
+    }
+    return legacy;
+  }
+
+  try {
+    const record = await window.idb.getReportRecord(reportId);
+    if (!record) return null;
+    const ai = await window.idb.getAIResponse(reportId);
+    return {
+      ...record,
+      aiGenerated: (ai && ai.response) || {},
+      aiValidation: (ai && ai.validation) || null
+    };
+  } catch (e) {
+    console.error('[STORAGE] IndexedDB read failed:', e);
+    return null;
+  }
 }
 
 /**
- * Saves report data to localStorage
+ * Saves report data
+ * Writes to IndexedDB (aiGenerated in the aiResponses store, the rest in reports);
+ * falls back to localStorage if IndexedDB is unavailable or the write fails.
+ * Warns (via storage-quota.js) when the device is running out of space.
+ *
  * @param {string} reportId - The report UUID
  * @param {Object} data - The report data to save
- * @returns {boolean} True on success, false on failure
+ * @returns {Promise<boolean>} True on success, false on failure
  */
-function saveReportData(reportId, data) {
+async function saveReportData(reportId, data) {
   if (!reportId || !data) {
     console.error('Cannot save report data: missing reportId or data');
     return false;
@@ -364,18 +403,117 @@ function saveReportData(reportId, data) {
 
   const key = getReportDataKey(reportId);
   data.lastSaved = new Date().toISOString();
+
+  if (hasReportStore()) {
+    // Register before the first await so a following getReportData() waits for it
+    const write = (async () => {
+      if (typeof checkStorageHeadroom === 'function') {
+        await checkStorageHeadroom(JSON.stringify(data).length * 2);
+      }
+      return writeReportRecord(reportId, data);
+    })();
+    pendingReportWrites[reportId] = write;
+    const ok = await write;
+    if (pendingReportWrites[reportId] === write) delete pendingReportWrites[reportId];
+
+    if (ok) {
+      removeStorageItem(key);
+      return true;
+    }
+  }
+
+  if (typeof checkLocalStorageHeadroom === 'function') {
+    checkLocalStorageHeadroom(JSON.stringify(data).length * 2);
+  }
   return setStorageItem(key, data);
 }
 
 /**
- * Deletes report data from localStorage
+ * Writes a report payload to the IndexedDB stores
+ * @param {string} reportId - The report UUID
+ * @param {Object} data - The report data
+ * @returns {Promise<boolean>} True on success
+ */
+async function writeReportRecord(reportId, data) {
+  const { aiGenerated, aiValidation, ...record } = data;
+  try {
+    await window.idb.saveReportRecord({ ...record, reportId });
+    await window.idb.saveAIResponse({
+      reportId,
+      response: aiGenerated || {},
+      validation: aiValidation || null,
+      cachedAt: new Date().toISOString()
+    });
+    return true;
+  } catch (e) {
+    console.error('[STORAGE] Failed to write report to IndexedDB:', e);
+    return false;
+  }
+}
+
+/**
+ * Deletes report data (IndexedDB, including dictation audio, and any legacy localStorage copy)
  * @param {string} reportId - The report UUID
+ * @returns {Promise<void>}
  */
-function deleteReportData(reportId) {
+async function deleteReportData(reportId) {
   if (!reportId) return;
   const key = getReportDataKey(reportId);
   removeStorageItem(key);
-  console.log('Report data deleted:', key);
+
+  if (hasReportStore()) {
+    try {
+      await window.idb.deleteReportRecord(reportId);
+      await window.idb.deleteAIResponse(reportId);
+      await window.idb.deleteAudioClipsByReportId(reportId);
+      await window.idb.deleteAudioMemosByReportId(reportId);
+    } catch (e) {
+      console.warn('[STORAGE] Failed to delete report from IndexedDB:', e);
+    }
+  }
+
+  // Revision history: upload what we can, then drop the local copies
+  if (window.reportHistory) {
+    try {
+      await window.reportHistory.syncRevisions(reportId);
+      await window.reportHistory.clearRevisions(reportId);
+    } catch (e) {
+      console.warn('[STORAGE] Failed to clear report revisions:', e);
+    }
+  }
+  console.log('Report data deleted:', reportId);
+}
+
+/**
+ * Moves every legacy fvp_report_{reportId} localStorage payload into IndexedDB
+ * Frees localStorage for reports that are never opened again
+ * @returns {Promise<number>} Number of reports moved
+ */
+async function migrateLegacyReportData() {
+  if (!hasReportStore()) return 0;
+
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(STORAGE_KEYS.REPORT_DATA)) keys.push(key);
+  }
+
+  let moved = 0;
+  for (const key of keys) {
+    const data = getStorageItem(key);
+    const reportId = key.slice(STORAGE_KEYS.REPORT_DATA.length);
+    if (!data || typeof data !== 'object') continue;
+
+    if (await writeReportRecord(reportId, data)) {
+      removeStorageItem(key);
+      moved++;
+    }
+  }
+
+  if (moved > 0) {
+    console.log('[STORAGE] Moved', moved, 'report(s) from localStorage to IndexedDB');
+  }
+  return moved;
 }
 
 // Expose to window for non-module scripts
@@ -389,11 +527,11 @@ if (typeof window !== 'undefined') {
   window.saveCurrentReport = saveCurrentReport;
   window.deleteCurrentReport = deleteCurrentReport;
   window.getActiveProject = getActiveProject;
-  window.addToSyncQueue = addToSyncQueue;
   window.getSyncQueue = getSyncQueue;
   window.clearSyncQueue = clearSyncQueue;
   window.getReportDataKey = getReportDataKey;
   window.getReportData = getReportData;
   window.saveReportData = saveReportData;
   window.deleteReportData = deleteReportData;
+  window.migrateLegacyReportData = migrateLegacyReportData;
 }
@@ -0,0 +1,394 @@
+/**
+ * Storage Migrations - Versioned schema upgrades for fvp_* localStorage data
+ * FieldVoice Pro v6
+ *
+ * Every migrated key has its schema version recorded in fvp_schema_versions.
+ * On load, pending migrations run in version order for:
+ * - CURRENT_REPORTS (fvp_current_reports)
+ * - REPORT_DATA (each fvp_report_{reportId} still in localStorage; storage-keys.js
+ *   moves these to IndexedDB after they are migrated)
+ * - PROJECTS (fvp_projects)
+ * - USER_PROFILE (fvp_user_profile)
+ *
+ * Before any value is rewritten, its raw pre-migration string is backed up to
+ * fvp_migration_backup so the run can be rolled back. A rolled-back migration
+ * is not re-applied; ship the fix as a new migration id for the same version.
+ *
+ * Runs synchronously when the script loads, so include it right after
+ * storage-keys.js and before any page script reads localStorage.
+ *
+ * Dependencies: storage-keys.js
+ *
+ * @module storage-migrations
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Which localStorage keys each migration target covers
+     */
+    const TARGETS = {
+        CURRENT_REPORTS: () => [STORAGE_KEYS.CURRENT_REPORTS],
+        REPORT_DATA: () => listKeysWithPrefix(STORAGE_KEYS.REPORT_DATA),
+        PROJECTS: () => [STORAGE_KEYS.PROJECTS],
+        USER_PROFILE: () => [STORAGE_KEYS.USER_PROFILE]
+    };
+
+    /**
+     * Migration registry - one step per target per version
+     * up(value) receives the parsed value and returns the upgraded value.
+     * Steps must tolerate data that is already in the new shape.
+     */
+    const MIGRATIONS = [
+        {
+            id: 'current-reports-1-freeform-entries',
+            target: 'CURRENT_REPORTS',
+            version: 1,
+            description: 'Move legacy single-string freeformNotes into freeform_entries',
+            up(reports) {
+                if (!reports || typeof reports !== 'object') return reports;
+
+                Object.values(reports).forEach(r => {
+                    const draft = r && r._draft_data;
+                    const oldNotes = draft?.freeformNotes;
+                    if (!oldNotes || !oldNotes.trim()) return;
+                    if (draft.freeform_entries && draft.freeform_entries.length > 0) return;
+
+                    draft.freeform_entries = [{
+                        id: crypto.randomUUID(),
+                        content: oldNotes.trim(),
+                        created_at: draft.meta?.createdAt || r.created_at || Date.now(),
+                        updated_at: Date.now(),
+                        synced: false
+                    }];
+                    draft.freeformNotes = '';
+                });
+                return reports;
+            }
+        },
+        {
+            id: 'report-data-1-ai-field-names',
+            target: 'REPORT_DATA',
+            version: 1,
+            description: 'Rename pre-v6.6 aiGenerated fields (generalIssues, qaqcNotes, ...)',
+            up(data) {
+                const ai = data?.aiGenerated;
+                if (!ai || typeof ai !== 'object') return data;
+
+                const renames = {
+                    generalIssues: 'issues_delays',
+                    qaqcNotes: 'qaqc_notes',
+                    contractorCommunications: 'communications',
+                    visitorsRemarks: 'visitors_deliveries'
+                };
+                Object.entries(renames).forEach(([legacy, current]) => {
+                    if (!(legacy in ai)) return;
+                    if (isEmpty(ai[current])) ai[current] = ai[legacy];
+                    delete ai[legacy];
+                });
+
+                // safety.notes -> safety.summary
+                if (ai.safety && typeof ai.safety === 'object' && 'notes' in ai.safety) {
+                    if (isEmpty(ai.safety.summary)) ai.safety.summary = ai.safety.notes;
+                    delete ai.safety.notes;
+                }
+                return data;
+            }
+        },
+        {
+            id: 'projects-1-camel-case',
+            target: 'PROJECTS',
+            version: 1,
+            description: 'Normalize snake_case project fields and move legacy logo to logoThumbnail',
+            up(projects) {
+                if (!projects || typeof projects !== 'object') return projects;
+
+                Object.values(projects).forEach(p => {
+                    if (!p || typeof p !== 'object') return;
+                    renameField(p, 'project_name', 'projectName');
+                    renameField(p, 'noab_project_no', 'noabProjectNo');
+                    renameField(p, 'cno_solicitation_no', 'cnoSolicitationNo');
+                    renameField(p, 'prime_contractor', 'primeContractor');
+                    renameField(p, 'user_id', 'userId');
+                    renameField(p, 'logo_url', 'logoUrl');
+                    renameField(p, 'logo_thumbnail', 'logoThumbnail');
+                    renameField(p, 'logo', 'logoThumbnail');
+                });
+                return projects;
+            }
+        },
+        {
+            id: 'user-profile-1-camel-case',
+            target: 'USER_PROFILE',
+            version: 1,
+            description: 'Normalize snake_case profile fields',
+            up(profile) {
+                if (!profile || typeof profile !== 'object') return profile;
+                renameField(profile, 'full_name', 'fullName');
+                renameField(profile, 'device_id', 'deviceId');
+                return profile;
+            }
+        }
+    ];
+
+    // ============ STATE ============
+
+    /**
+     * Read the schema version record
+     * @returns {{versions: Object, rolledBack: string[], lastRun: Object|null}}
+     */
+    function getSchemaState() {
+        const stored = getStorageItem(STORAGE_KEYS.SCHEMA_VERSIONS);
+        return {
+            versions: (stored && stored.versions) || {},
+            rolledBack: (stored && stored.rolledBack) || [],
+            lastRun: (stored && stored.lastRun) || null
+        };
+    }
+
+    /**
+     * Latest schema version for a target
+     * @param {string} target - Key of TARGETS
+     * @returns {number}
+     */
+    function getLatestVersion(target) {
+        return MIGRATIONS
+            .filter(m => m.target === target)
+            .reduce((max, m) => Math.max(max, m.version), 0);
+    }
+
+    /**
+     * Get the schema version recorded for a localStorage key
+     * @param {string} key - localStorage key
+     * @returns {number} 0 if never migrated
+     */
+    function getKeyVersion(key) {
+        return getSchemaState().versions[key] || 0;
+    }
+
+    // ============ RUN ============
+
+    /**
+     * Run all pending migrations
+     * New values are computed first; only keys that actually change are backed up
+     * and rewritten. If the backup cannot be written, nothing is migrated.
+     * @returns {{migrated: string[], failed: Array, skipped: boolean}}
+     */
+    function runMigrations() {
+        const result = { migrated: [], failed: [], skipped: false };
+        const state = getSchemaState();
+        const versions = {};
+        const pending = [];     // { key, raw, value, applied }
+
+        Object.keys(TARGETS).forEach(target => {
+            const steps = MIGRATIONS
+                .filter(m => m.target === target)
+                .sort((a, b) => a.version - b.version);
+
+            TARGETS[target]().forEach(key => {
+                const raw = localStorage.getItem(key);
+                if (raw === null) return;
+
+                let version = state.versions[key] || 0;
+                let value = parseRaw(raw);
+                const applied = [];
+
+                for (const step of steps) {
+                    if (step.version <= version) continue;
+                    // A rolled-back step halts this target until a fixed step ships
+                    if (state.rolledBack.includes(step.id)) break;
+
+                    try {
+                        value = step.up(value);
+                        version = step.version;
+                        applied.push(step.id);
+                    } catch (e) {
+                        console.error(`[MIGRATE] ${step.id} failed for ${key}:`, e);
+                        result.failed.push({ key, migration: step.id, error: e.message });
+                        break;
+                    }
+                }
+
+                versions[key] = version;
+                if (applied.length > 0) {
+                    pending.push({ key, raw, value, applied, fromVersion: state.versions[key] || 0 });
+                }
+            });
+        });
+
+        const changed = pending.filter(p => JSON.stringify(p.value) !== JSON.stringify(parseRaw(p.raw)));
+
+        if (changed.length > 0) {
+            const backup = {
+                createdAt: new Date().toISOString(),
+                items: {},
+                versions: {},
+                migrations: []
+            };
+            changed.forEach(p => {
+                backup.items[p.key] = p.raw;
+                backup.versions[p.key] = p.fromVersion;
+                p.applied.forEach(id => {
+                    if (!backup.migrations.includes(id)) backup.migrations.push(id);
+                });
+            });
+
+            if (!setStorageItem(STORAGE_KEYS.MIGRATION_BACKUP, backup)) {
+                console.warn('[MIGRATE] Could not write backup (storage full?) - migrations skipped');
+                result.skipped = true;
+                return result;
+            }
+
+            changed.forEach(p => {
+                if (setStorageItem(p.key, p.value)) {
+                    result.migrated.push(p.key);
+                } else {
+                    // Leave the old version recorded so the step runs again next load
+                    versions[p.key] = p.fromVersion;
+                    result.failed.push({ key: p.key, migration: p.applied.join(','), error: 'Write failed' });
+                }
+            });
+        }
+
+        // Versions only track keys that still exist
+        setStorageItem(STORAGE_KEYS.SCHEMA_VERSIONS, {
+            versions,
+            rolledBack: state.rolledBack,
+            lastRun: changed.length > 0 || result.failed.length > 0
+                ? { at: new Date().toISOString(), migrated: result.migrated, failed: result.failed }
+                : state.lastRun
+        });
+
+        if (result.migrated.length > 0) {
+            console.log('[MIGRATE] Migrated', result.migrated.length, 'key(s):', result.migrated);
+        }
+        return result;
+    }
+
+    // ============ BACKUP / ROLLBACK ============
+
+    /**
+     * Get the backup from the last migration run that changed data
+     * @returns {{createdAt: string, items: Object, versions: Object, migrations: string[]}|null}
+     */
+    function getMigrationBackup() {
+        const backup = getStorageItem(STORAGE_KEYS.MIGRATION_BACKUP);
+        return backup && typeof backup === 'object' && backup.items ? backup : null;
+    }
+
+    /**
+     * Restore the pre-migration values from the last backup
+     * The migrations in that run are marked rolled back so they don't re-apply on next load
+     * @returns {{restored: string[], migrations: string[]}|null} null if there is no backup
+     */
+    function rollbackLastMigration() {
+        const backup = getMigrationBackup();
+        if (!backup) return null;
+
+        const state = getSchemaState();
+        const restored = [];
+
+        Object.entries(backup.items).forEach(([key, raw]) => {
+            try {
+                localStorage.setItem(key, raw);
+                state.versions[key] = backup.versions[key] || 0;
+                restored.push(key);
+            } catch (e) {
+                console.error('[MIGRATE] Rollback failed for', key, e);
+            }
+        });
+
+        backup.migrations.forEach(id => {
+            if (!state.rolledBack.includes(id)) state.rolledBack.push(id);
+        });
+
+        setStorageItem(STORAGE_KEYS.SCHEMA_VERSIONS, state);
+        removeStorageItem(STORAGE_KEYS.MIGRATION_BACKUP);
+
+        console.log('[MIGRATE] Rolled back', restored.length, 'key(s), migrations:', backup.migrations);
+        return { restored, migrations: backup.migrations };
+    }
+
+    /**
+     * Delete the migration backup (frees space once the migrated data is known good)
+     */
+    function clearMigrationBackup() {
+        removeStorageItem(STORAGE_KEYS.MIGRATION_BACKUP);
+    }
+
+    /**
+     * Summary for the settings page
+     * @returns {{targets: Array, backup: Object|null, lastRun: Object|null, rolledBack: string[]}}
+     */
+    function getMigrationStatus() {
+        const state = getSchemaState();
+        const backup = getMigrationBackup();
+
+        return {
+            targets: Object.keys(TARGETS).map(target => {
+                const keys = TARGETS[target]().filter(key => localStorage.getItem(key) !== null);
+                const latest = getLatestVersion(target);
+                return {
+                    target,
+                    latest,
+                    keys: keys.length,
+                    outdated: keys.filter(key => (state.versions[key] || 0) < latest).length
+                };
+            }),
+            backup: backup
+                ? { createdAt: backup.createdAt, keys: Object.keys(backup.items), migrations: backup.migrations }
+                : null,
+            lastRun: state.lastRun,
+            rolledBack: state.rolledBack
+        };
+    }
+
+    // ============ HELPERS ============
+
+    function listKeysWithPrefix(prefix) {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
+    function parseRaw(raw) {
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return raw;
+        }
+    }
+
+    function renameField(obj, from, to) {
+        if (!(from in obj)) return;
+        if (isEmpty(obj[to])) obj[to] = obj[from];
+        delete obj[from];
+    }
+
+    function isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // Run on load, before page scripts read storage
+    try {
+        runMigrations();
+    } catch (e) {
+        console.error('[MIGRATE] Migration run failed:', e);
+    }
+
+    // Expose to window
+    window.storageMigrations = {
+        MIGRATIONS,
+        runMigrations,
+        getKeyVersion,
+        getLatestVersion,
+        getMigrationBackup,
+        rollbackLastMigration,
+        clearMigrationBackup,
+        getMigrationStatus
+    };
+})();
@@ -0,0 +1,180 @@
+/**
+ * Storage Quota - Usage estimates, persistent storage, and low-space warnings
+ * FieldVoice Pro v6
+ *
+ * localStorage is capped around 5MB per origin; IndexedDB shares the much larger
+ * browser quota reported by navigator.storage.estimate(). Writers call
+ * checkStorageHeadroom()/checkLocalStorageHeadroom() before saving so the user is
+ * warned while there is still room, instead of after a write fails.
+ *
+ * Dependencies: ui-utils.js (showToast, optional)
+ *
+ * @module storage-quota
+ */
+
+// Browsers don't expose the localStorage cap; 5MB is the common minimum
+const LOCAL_STORAGE_LIMIT_BYTES = 5 * 1024 * 1024;
+const STORAGE_WARN_RATIO = 0.8;
+const STORAGE_CRITICAL_RATIO = 0.95;
+// Don't repeat the same warning on every keystroke save
+const STORAGE_WARNING_INTERVAL_MS = 5 * 60 * 1000;
+
+let lastStorageWarning = { level: null, at: 0 };
+
+/**
+ * Approximate bytes used by localStorage (UTF-16 = 2 bytes per char)
+ * @returns {number}
+ */
+function getLocalStorageUsage() {
+    let total = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        total += (key.length + (localStorage.getItem(key) || '').length) * 2;
+    }
+    return total;
+}
+
+/**
+ * Get storage usage for the dashboard
+ * @returns {Promise<{usage: number|null, quota: number|null, ratio: number|null, persisted: boolean, localStorage: {usage: number, quota: number, ratio: number}}>}
+ */
+async function getStorageEstimate() {
+    const localUsage = getLocalStorageUsage();
+    const result = {
+        usage: null,
+        quota: null,
+        ratio: null,
+        persisted: false,
+        localStorage: {
+            usage: localUsage,
+            quota: LOCAL_STORAGE_LIMIT_BYTES,
+            ratio: localUsage / LOCAL_STORAGE_LIMIT_BYTES
+        }
+    };
+
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            result.usage = usage;
+            result.quota = quota;
+            result.ratio = quota ? usage / quota : null;
+        } catch (e) {
+            console.warn('[STORAGE] Could not estimate storage:', e);
+        }
+    }
+
+    if (navigator.storage && navigator.storage.persisted) {
+        result.persisted = await navigator.storage.persisted().catch(() => false);
+    }
+
+    return result;
+}
+
+/**
+ * Ask the browser not to evict this origin's data under storage pressure
+ * @returns {Promise<boolean>} True if storage is persistent
+ */
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+
+    try {
+        if (await navigator.storage.persisted()) return true;
+
+        const granted = await navigator.storage.persist();
+        console.log('[STORAGE] Persistent storage', granted ? 'granted' : 'not granted');
+        return granted;
+    } catch (e) {
+        console.warn('[STORAGE] Persistent storage request failed:', e);
+        return false;
+    }
+}
+
+/**
+ * Classify a usage ratio
+ * @param {number|null} ratio
+ * @returns {'ok'|'warning'|'critical'}
+ */
+function getStorageLevel(ratio) {
+    if (ratio === null || ratio === undefined) return 'ok';
+    if (ratio >= STORAGE_CRITICAL_RATIO) return 'critical';
+    if (ratio >= STORAGE_WARN_RATIO) return 'warning';
+    return 'ok';
+}
+
+/**
+ * Check browser storage (IndexedDB) before writing
+ * @param {number} [bytes=0] - Approximate size of the write
+ * @returns {Promise<'ok'|'warning'|'critical'>}
+ */
+async function checkStorageHeadroom(bytes = 0) {
+    if (!navigator.storage || !navigator.storage.estimate) return 'ok';
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        if (!quota) return 'ok';
+
+        const level = getStorageLevel((usage + bytes) / quota);
+        warnStorageLevel(level, 'Device storage');
+        return level;
+    } catch (e) {
+        return 'ok';
+    }
+}
+
+/**
+ * Check localStorage before writing (synchronous, for localStorage writers)
+ * @param {number} [bytes=0] - Approximate size of the write
+ * @returns {'ok'|'warning'|'critical'}
+ */
+function checkLocalStorageHeadroom(bytes = 0) {
+    const level = getStorageLevel((getLocalStorageUsage() + bytes) / LOCAL_STORAGE_LIMIT_BYTES);
+    warnStorageLevel(level, 'Local draft storage');
+    return level;
+}
+
+/**
+ * Show a throttled low-storage toast
+ * @param {'ok'|'warning'|'critical'} level
+ * @param {string} label - Which storage area
+ */
+function warnStorageLevel(level, label) {
+    if (level === 'ok') return;
+
+    const now = Date.now();
+    const escalated = level === 'critical' && lastStorageWarning.level !== 'critical';
+    if (!escalated && now - lastStorageWarning.at < STORAGE_WARNING_INTERVAL_MS) return;
+
+    lastStorageWarning = { level, at: now };
+    const message = level === 'critical'
+        ? `${label} is almost full - submit or delete old reports now to avoid losing changes`
+        : `${label} is getting full - see Settings > Storage`;
+
+    console.warn('[STORAGE]', message);
+    if (typeof showToast === 'function') {
+        showToast(message, level === 'critical' ? 'error' : 'warning');
+    }
+}
+
+/**
+ * Format bytes for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '--';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// Expose to window for non-module scripts
+if (typeof window !== 'undefined') {
+    window.getLocalStorageUsage = getLocalStorageUsage;
+    window.getStorageEstimate = getStorageEstimate;
+    window.requestPersistentStorage = requestPersistentStorage;
+    window.getStorageLevel = getStorageLevel;
+    window.checkStorageHeadroom = checkStorageHeadroom;
+    window.checkLocalStorageHeadroom = checkLocalStorageHeadroom;
+    window.formatBytes = formatBytes;
+}
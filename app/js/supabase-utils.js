@@ -18,7 +18,8 @@
  *             location, engineer, prime_contractor, notice_to_proceed,
  *             contract_duration, expected_completion, default_start_time,
  *             default_end_time, weather_days, logo_thumbnail, logo_url,
- *             logo (legacy), status, created_at, updated_at
+ *             logo (legacy), photo_watermark (jsonb), report_template, status,
+ *             created_at, updated_at
  *
  * NOTE: Database migration required to add logo_thumbnail and logo_url columns
  *
@@ -46,6 +47,10 @@ function fromSupabaseProject(row) {
         logoUrl: row.logo_url || null,
         // Legacy logo field for backwards compatibility
         logo: row.logo || null,
+        // { enabled, fields } - see PHOTO_WATERMARK_FIELDS in media-utils.js
+        photoWatermark: row.photo_watermark || null,
+        // Template id - see report-templates.js
+        reportTemplate: row.report_template || null,
         status: row.status || 'active',
         userId: row.user_id || null,
         createdAt: row.created_at,
@@ -77,6 +82,8 @@ function toSupabaseProject(project) {
         // New logo fields
         logo_thumbnail: project.logoThumbnail || null,
         logo_url: project.logoUrl || null,
+        photo_watermark: project.photoWatermark || null,
+        report_template: project.reportTemplate || null,
         status: project.status || 'active'
     };
 
@@ -618,7 +625,9 @@ function toSupabasePhoto(photo, reportId) {
 /**
  * Convert Supabase user_profiles row to JS format
  *
- * DB columns: id, device_id, full_name, title, company, email, phone, created_at, updated_at
+ * DB columns: id, device_id, full_name, title, company, email, phone, signature_image,
+ *             created_at, updated_at
+ * signature_image is the drawn signature (PNG data URL) from settings.html
  */
 function fromSupabaseUserProfile(row) {
     if (!row) return null;
@@ -630,6 +639,7 @@ function fromSupabaseUserProfile(row) {
         company: row.company || '',
         email: row.email || '',
         phone: row.phone || '',
+        signatureImage: row.signature_image || null,
         createdAt: row.created_at,
         updatedAt: row.updated_at
     };
@@ -647,6 +657,7 @@ function toSupabaseUserProfile(profile) {
         company: profile.company || '',
         email: profile.email || '',
         phone: profile.phone || '',
+        signature_image: profile.signatureImage || null,
         updated_at: new Date().toISOString()
     };
 
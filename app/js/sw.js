@@ -1,9 +1,31 @@
 // FieldVoice Pro Service Worker
 // Enables offline functionality for PWA
 
-const CACHE_VERSION = 'v1.19.0';
+const CACHE_VERSION = 'v1.42.0';
 const CACHE_NAME = `fieldvoice-pro-${CACHE_VERSION}`;
 
+// Background Sync tags (must match pwa-utils.js)
+const OUTBOX_SYNC_TAG = 'fieldvoice-outbox';
+const OUTBOX_PERIODIC_SYNC_TAG = 'fieldvoice-outbox-periodic';
+
+// Load the shared sync stack so queued uploads can be drained while the app is closed.
+// Those scripts export onto `window`, so alias it to the worker global first.
+let outboxAvailable = false;
+try {
+    self.window = self;
+    importScripts(
+        'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2',
+        './config.js',
+        './storage-keys.js',
+        './supabase-utils.js',
+        './indexeddb-utils.js',
+        './sync-manager.js'
+    );
+    outboxAvailable = true;
+} catch (err) {
+    console.warn('[SW] Sync scripts failed to load, background sync disabled:', err);
+}
+
 // Files to cache for offline use
 const STATIC_ASSETS = [
     './',
@@ -16,6 +38,7 @@ const STATIC_ASSETS = [
     './settings.html',
     './landing.html',
     './archives.html',
+    './photos.html',
     './drafts.html',
     './project-config.html',
     './projects.html',
@@ -36,6 +59,8 @@ const STATIC_ASSETS = [
 // External CDN assets to cache
 const CDN_ASSETS = [
     'https://cdn.tailwindcss.com',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.2/jspdf.plugin.autotable.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
@@ -46,7 +71,8 @@ const CDN_ASSETS = [
 const API_PATTERNS = [
     'api.open-meteo.com',
     'n8n',
-    'webhook'
+    'webhook',
+    '/refine'
 ];
 
 // Install event - cache static assets
@@ -205,12 +231,78 @@ async function updateCacheInBackground(request) {
     }
 }
 
+// ============ BACKGROUND SYNC ============
+
+// Post a message to every open page
+async function postToClients(message) {
+    const clientList = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clientList.forEach(client => client.postMessage(message));
+}
+
+// Drain the IndexedDB outbox (sync-manager.js) and report progress to open pages
+async function drainOutbox(source) {
+    if (!outboxAvailable) {
+        console.warn('[SW] Outbox drain skipped - sync scripts unavailable');
+        return;
+    }
+
+    console.log('[SW] Draining outbox, triggered by:', source);
+    await postToClients({ type: 'OUTBOX_SYNC_STARTED', source });
+
+    await processOfflineQueue({
+        onProgress: ({ done, total, op, success }) => {
+            postToClients({
+                type: 'OUTBOX_SYNC_PROGRESS',
+                done,
+                total,
+                opType: op.type,
+                reportId: op.reportId,
+                success
+            });
+        }
+    });
+
+    const { pending, dead } = await getOutboxStatus();
+    await postToClients({
+        type: 'OUTBOX_SYNC_COMPLETE',
+        pending: pending.length,
+        dead: dead.length
+    });
+
+    // Reject so the browser re-fires the one-off sync later if due work is left
+    const now = Date.now();
+    if (source === 'sync' && pending.some(op => (op.nextAttemptAt || 0) <= now)) {
+        throw new Error('Outbox not fully drained');
+    }
+}
+
+// One-off Background Sync - fires when connectivity returns, even with the app closed
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(drainOutbox('sync'));
+    }
+});
+
+// Periodic Background Sync - catches backed-off ops on browsers that support it
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === OUTBOX_PERIODIC_SYNC_TAG) {
+        event.waitUntil(drainOutbox('periodicsync'));
+    }
+});
+
 // Listen for messages from the main app
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
     }
 
+    // Fallback for browsers without Background Sync (pages post this when they come online)
+    if (event.data && event.data.type === 'FLUSH_OUTBOX') {
+        event.waitUntil(drainOutbox('message').catch(err => {
+            console.warn('[SW] Outbox flush failed:', err);
+        }));
+    }
+
     if (event.data && event.data.type === 'GET_VERSION') {
         event.ports[0].postMessage({ version: CACHE_VERSION });
     }
@@ -2,7 +2,12 @@
  * sync-manager.js
  * Real-time entry backup and offline sync for FieldVoice Pro v6
  *
- * Dependencies: storage-keys.js, supabase-utils.js, config.js
+ * Dependencies: storage-keys.js, supabase-utils.js, config.js, indexeddb-utils.js
+ *
+ * Failed/offline operations go to the durable IndexedDB outbox (idb syncOutbox store).
+ * An op stays in the outbox until it succeeds, so a crash mid-flush loses nothing.
+ * Ops that keep failing back off exponentially and end up in the dead-letter list
+ * (status 'dead'), which settings.html shows for manual retry.
  *
  * @module sync-manager
  */
@@ -14,13 +19,16 @@ const AUTO_SYNC_ENABLED = false;
 
 // ============ CONSTANTS ============
 const DEBOUNCE_MS = 2000;  // 2 second debounce for entry backup
-const RETRY_DELAY_MS = 5000;  // 5 seconds between retry attempts
-const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 5000;  // Base delay for outbox backoff (doubles per attempt)
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;  // Backoff cap: 30 minutes
+const MAX_ATTEMPTS = 6;  // After this many failures an op moves to the dead-letter list
+const DEFER_DELAY_MS = 60 * 1000;  // Recheck for ops put off without failing (paused / Wi-Fi only uploads)
 
 // ============ STATE ============
 let entryBackupTimers = {};  // reportId -> timeout
 let isProcessingQueue = false;
 let onlineListener = null;
+let outboxRetryTimer = null;
 
 // ============ ENTRY BACKUP ============
 
@@ -57,16 +65,25 @@ function queueEntryBackup(reportId, entry) {
 async function backupEntry(reportId, entry) {
     if (!navigator.onLine) {
         // Queue for later
-        addToSyncQueue({
-            type: 'ENTRY_BACKUP',
-            reportId,
-            entry,
-            timestamp: new Date().toISOString()
-        });
+        await enqueueOutboxOp('ENTRY_BACKUP', reportId, { entry });
         console.log('[SYNC] Offline - entry queued for backup');
         return { success: false, error: 'offline' };
     }
 
+    const result = await pushEntryBackup(reportId, entry);
+    if (!result.success) {
+        await enqueueOutboxOp('ENTRY_BACKUP', reportId, { entry }, result.error);
+    }
+    return result;
+}
+
+/**
+ * Upsert an entry to Supabase without queueing on failure
+ * @param {string} reportId - The report ID
+ * @param {Object} entry - The entry object
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function pushEntryBackup(reportId, entry) {
     try {
         const supabaseEntry = toSupabaseEntry(entry, reportId);
 
@@ -80,12 +97,6 @@ async function backupEntry(reportId, entry) {
 
         if (error) {
             console.error('[SYNC] Entry backup failed:', error);
-            addToSyncQueue({
-                type: 'ENTRY_BACKUP',
-                reportId,
-                entry,
-                timestamp: new Date().toISOString()
-            });
             return { success: false, error: error.message };
         }
 
@@ -105,14 +116,9 @@ async function backupEntry(reportId, entry) {
  */
 async function backupAllEntries(reportId, entries) {
     if (!navigator.onLine) {
-        entries.forEach(entry => {
-            addToSyncQueue({
-                type: 'ENTRY_BACKUP',
-                reportId,
-                entry,
-                timestamp: new Date().toISOString()
-            });
-        });
+        for (const entry of entries) {
+            await enqueueOutboxOp('ENTRY_BACKUP', reportId, { entry });
+        }
         return { success: false, backed: 0, failed: entries.length };
     }
 
@@ -147,15 +153,24 @@ async function backupAllEntries(reportId, entries) {
  */
 async function deleteEntry(reportId, localId) {
     if (!navigator.onLine) {
-        addToSyncQueue({
-            type: 'ENTRY_DELETE',
-            reportId,
-            localId,
-            timestamp: new Date().toISOString()
-        });
+        await enqueueOutboxOp('ENTRY_DELETE', reportId, { localId });
         return { success: false, error: 'offline' };
     }
 
+    const result = await pushEntryDelete(reportId, localId);
+    if (!result.success) {
+        await enqueueOutboxOp('ENTRY_DELETE', reportId, { localId }, result.error);
+    }
+    return result;
+}
+
+/**
+ * Soft delete an entry in Supabase without queueing on failure
+ * @param {string} reportId - The report ID
+ * @param {string} localId - The entry's local_id
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function pushEntryDelete(reportId, localId) {
     try {
         const { error } = await supabaseClient
             .from('report_entries')
@@ -184,18 +199,28 @@ async function deleteEntry(reportId, localId) {
  */
 async function syncReport(report, projectId) {
     if (!navigator.onLine) {
-        addToSyncQueue({
-            type: 'REPORT_SYNC',
-            report,
-            projectId,
-            timestamp: new Date().toISOString()
-        });
+        await enqueueOutboxOp('REPORT_SYNC', report.id, { report, projectId, identity: getQueuedIdentity() });
         return { success: false, error: 'offline' };
     }
 
+    const result = await pushReport(report, projectId);
+    if (!result.success) {
+        await enqueueOutboxOp('REPORT_SYNC', report.id, { report, projectId, identity: getQueuedIdentity() }, result.error);
+    }
+    return result;
+}
+
+/**
+ * Create or update a report in Supabase without queueing on failure
+ * @param {Object} report - The report object from localStorage
+ * @param {string} projectId - The project ID
+ * @param {Object} [identity] - userId/deviceId captured at queue time (needed in the service worker)
+ * @returns {Promise<{success: boolean, reportId?: string, error?: string}>}
+ */
+async function pushReport(report, projectId, identity = {}) {
     try {
-        const userId = await getCurrentUserId();
-        const deviceId = getDeviceId();
+        const userId = await getCurrentUserId(identity);
+        const deviceId = identity.deviceId || getDeviceId();
         const supabaseReport = toSupabaseReport(report, projectId, userId, deviceId);
 
         // Check if report exists
@@ -235,12 +260,6 @@ async function syncReport(report, projectId) {
         return { success: true, reportId };
     } catch (e) {
         console.error('[SYNC] Report sync failed:', e);
-        addToSyncQueue({
-            type: 'REPORT_SYNC',
-            report,
-            projectId,
-            timestamp: new Date().toISOString()
-        });
         return { success: false, error: e.message };
     }
 }
@@ -253,15 +272,24 @@ async function syncReport(report, projectId) {
  */
 async function syncRawCapture(captureData, reportId) {
     if (!navigator.onLine) {
-        addToSyncQueue({
-            type: 'RAW_CAPTURE_SYNC',
-            captureData,
-            reportId,
-            timestamp: new Date().toISOString()
-        });
+        await enqueueOutboxOp('RAW_CAPTURE_SYNC', reportId, { captureData });
         return { success: false, error: 'offline' };
     }
 
+    const result = await pushRawCapture(captureData, reportId);
+    if (!result.success) {
+        await enqueueOutboxOp('RAW_CAPTURE_SYNC', reportId, { captureData }, result.error);
+    }
+    return result;
+}
+
+/**
+ * Upsert raw capture data to Supabase without queueing on failure
+ * @param {Object} captureData - Raw capture object
+ * @param {string} reportId - The Supabase report ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function pushRawCapture(captureData, reportId) {
     try {
         const supabaseCapture = toSupabaseRawCapture(captureData, reportId);
 
@@ -282,72 +310,1098 @@ async function syncRawCapture(captureData, reportId) {
     }
 }
 
-// ============ OFFLINE QUEUE PROCESSING ============
+// ============ PHOTO SYNC ============
 
 /**
- * Process all pending operations in the sync queue
- * Call this when coming back online
+ * Upload a photo from IndexedDB to Supabase storage and save its metadata row
+ * Queues the upload in the outbox if offline or if it fails
+ * @param {string} reportId - The Supabase report ID
+ * @param {string} photoId - The photo ID in the IndexedDB photos store
+ * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function processOfflineQueue() {
-    if (isProcessingQueue) {
-        console.log('[SYNC] Already processing queue');
-        return;
+async function syncPhoto(reportId, photoId) {
+    if (!navigator.onLine) {
+        await queuePhotoUpload(reportId, photoId);
+        return { success: false, error: 'offline' };
+    }
+
+    const result = await pushPhoto(reportId, photoId);
+    if (!result.success) {
+        // A paused or Wi-Fi only upload hasn't failed - don't count it toward the dead-letter list
+        await queuePhotoUpload(reportId, photoId, result.deferred ? null : result.error);
     }
+    return result;
+}
 
+/**
+ * Queue a photo upload in the outbox (used when an in-page upload fails)
+ * @param {string} reportId - The Supabase report ID
+ * @param {string} photoId - The photo ID in the IndexedDB photos store
+ * @param {string} [error] - The error that caused the upload to be queued
+ * @returns {Promise<void>}
+ */
+async function queuePhotoUpload(reportId, photoId, error) {
+    // The service worker can't read upload settings (localStorage), so the op carries Wi-Fi only
+    const wifiOnly = !!window.uploadManager?.getConfig().wifiOnly;
+    await enqueueOutboxOp('PHOTO_UPLOAD', reportId, { photoId, wifiOnly }, error);
+}
+
+/**
+ * Upload a photo and upsert its metadata without queueing on failure
+ * @param {string} reportId - The Supabase report ID
+ * @param {string} photoId - The photo ID in the IndexedDB photos store
+ * @param {Object} [options]
+ * @param {boolean} [options.wifiOnly] - Upload settings when queued (used where upload-manager.js isn't loaded)
+ * @returns {Promise<{success: boolean, deferred?: boolean, error?: string}>} deferred: the upload
+ *   is paused or waiting for Wi-Fi - not a failure
+ */
+async function pushPhoto(reportId, photoId, options = {}) {
+    try {
+        const photo = await window.idb.getPhoto(photoId);
+        if (!photo) {
+            // Photo was deleted locally - nothing left to upload
+            console.log('[SYNC] Photo no longer exists, skipping:', photoId);
+            return { success: true };
+        }
+        if (photo.syncStatus === 'synced') {
+            return { success: true };
+        }
+
+        // Upload the file if it has not reached storage yet
+        if (photo.base64 && !photo.storagePath) {
+            const blob = await (await fetch(photo.base64)).blob();
+            const fileName = `${reportId}/${photo.id}_${photo.fileName || photo.id}`;
+
+            if (window.uploadManager) {
+                // Resumable, and honours pause and Wi-Fi only (upload-manager.js)
+                const result = await window.uploadManager.upload(blob, {
+                    bucket: 'report-photos',
+                    path: fileName,
+                    key: photo.id
+                });
+                photo.storagePath = result.storagePath;
+                photo.url = result.publicUrl;
+            } else {
+                if (options.wifiOnly && navigator.connection?.type === 'cellular') {
+                    console.log('[SYNC] Photo waiting for Wi-Fi:', photoId);
+                    return { success: false, deferred: true, error: 'Waiting for Wi-Fi' };
+                }
+
+                const { error: uploadError } = await supabaseClient.storage
+                    .from('report-photos')
+                    .upload(fileName, blob, {
+                        cacheControl: '3600',
+                        upsert: true
+                    });
+
+                if (uploadError) throw uploadError;
+
+                const { data: urlData } = supabaseClient.storage
+                    .from('report-photos')
+                    .getPublicUrl(fileName);
+
+                photo.storagePath = fileName;
+                photo.url = urlData?.publicUrl || '';
+            }
+
+            // Persist storage path right away so a retry skips the upload
+            await window.idb.savePhoto(photo);
+        }
+
+        await pushAnnotatedPhoto(reportId, photo);
+
+        if (photo.storagePath) {
+            const { error } = await supabaseClient
+                .from('photos')
+                .upsert({
+                    id: photo.id,
+                    report_id: reportId,
+                    storage_path: photo.storagePath,
+                    photo_url: photo.url || null,
+                    caption: photo.caption || '',
+                    photo_type: photo.fileType || photo.fileName || null,
+                    location_lat: photo.gps?.lat || null,
+                    location_lng: photo.gps?.lng || null,
+                    taken_at: photo.timestamp || new Date().toISOString(),
+                    created_at: photo.createdAt || new Date().toISOString(),
+                    annotated_storage_path: photo.annotatedStoragePath || null,
+                    annotated_url: photo.annotatedUrl || null,
+                    annotations: photo.annotations || null,
+                    exif: photo.exif || null,
+                    paired_photo: photo.pairedPhoto || null
+                }, { onConflict: 'id' });
+
+            if (error) throw error;
+        }
+
+        photo.reportId = reportId;
+        photo.syncStatus = 'synced';
+        await window.idb.savePhoto(photo);
+
+        console.log('[SYNC] Photo synced:', photoId);
+        return { success: true };
+    } catch (e) {
+        if (['PAUSED', 'WIFI_REQUIRED', 'OFFLINE'].includes(e.code)) {
+            console.log('[SYNC] Photo upload put off:', photoId, e.message);
+            return { success: false, deferred: true, error: e.message };
+        }
+        // Cancelled in upload-manager.js (the photo was deleted) - not a failure
+        if (e.code === 'CANCELLED') {
+            const stillExists = await window.idb.getPhoto(photoId).catch(() => null);
+            if (!stillExists) {
+                console.log('[SYNC] Photo upload cancelled, photo deleted:', photoId);
+                return { success: true };
+            }
+            console.log('[SYNC] Photo upload cancelled, will try again:', photoId);
+            return { success: false, deferred: true, error: e.message };
+        }
+        console.error('[SYNC] Photo sync failed:', e);
+        return { success: false, error: e.message };
+    }
+}
+
+/**
+ * Upload a photo's annotated copy (photo-annotator.js) if it has not reached storage yet.
+ * Always the same path per photo, overwritten on re-annotation - the original is untouched.
+ * @param {string} reportId - The Supabase report ID
+ * @param {Object} photo - IndexedDB photo record (updated and saved in place)
+ * @returns {Promise<void>}
+ */
+async function pushAnnotatedPhoto(reportId, photo) {
+    if (!photo.annotatedBase64 || photo.annotatedStoragePath) return;
+
+    const blob = await (await fetch(photo.annotatedBase64)).blob();
+    const fileName = `${reportId}/${photo.id}_annotated.jpg`;
+
+    const { error } = await supabaseClient.storage
+        .from('report-photos')
+        .upload(fileName, blob, {
+            cacheControl: '3600',
+            contentType: 'image/jpeg',
+            upsert: true
+        });
+
+    if (error) throw error;
+
+    const { data: urlData } = supabaseClient.storage
+        .from('report-photos')
+        .getPublicUrl(fileName);
+
+    // Same path on every re-annotation, so bust cached copies of the old markup
+    photo.annotatedStoragePath = fileName;
+    photo.annotatedUrl = urlData?.publicUrl ? `${urlData.publicUrl}?v=${Date.now()}` : '';
+    await window.idb.savePhoto(photo);
+}
+
+// ============ AUDIO MEMO SYNC ============
+
+/**
+ * Upload a voice memo from IndexedDB to the report-audio bucket and save its audio_memos row
+ * Queues the upload in the outbox if offline or if it fails
+ * @param {string} reportId - The Supabase report ID
+ * @param {string} memoId - The memo ID in the IndexedDB audioMemos store
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function syncAudioMemo(reportId, memoId) {
     if (!navigator.onLine) {
-        console.log('[SYNC] Still offline, skipping queue processing');
+        await enqueueOutboxOp('AUDIO_MEMO_UPLOAD', reportId, { memoId });
+        return { success: false, error: 'offline' };
+    }
+
+    const result = await pushAudioMemo(reportId, memoId);
+    if (!result.success) {
+        await enqueueOutboxOp('AUDIO_MEMO_UPLOAD', reportId, { memoId }, result.error);
+    }
+    return result;
+}
+
+/**
+ * Upload a voice memo and upsert its row without queueing on failure
+ * @param {string} reportId - The Supabase report ID
+ * @param {string} memoId - The memo ID in the IndexedDB audioMemos store
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function pushAudioMemo(reportId, memoId) {
+    try {
+        const memo = await window.idb.getAudioMemo(memoId);
+        if (!memo) {
+            console.log('[SYNC] Audio memo no longer exists, skipping:', memoId);
+            return { success: true };
+        }
+        if (memo.syncStatus === 'synced') {
+            return { success: true };
+        }
+
+        if (memo.blob && !memo.storagePath) {
+            const fileName = `${reportId}/${memo.id}.${audioExtension(memo.mimeType)}`;
+
+            const { error: uploadError } = await supabaseClient.storage
+                .from('report-audio')
+                .upload(fileName, memo.blob, {
+                    cacheControl: '3600',
+                    contentType: memo.mimeType || 'audio/webm',
+                    upsert: true
+                });
+
+            if (uploadError) throw uploadError;
+
+            const { data: urlData } = supabaseClient.storage
+                .from('report-audio')
+                .getPublicUrl(fileName);
+
+            // Persist storage path right away so a retry skips the upload
+            memo.storagePath = fileName;
+            memo.url = urlData?.publicUrl || '';
+            await window.idb.saveAudioMemo(memo);
+        }
+
+        const { error } = await supabaseClient
+            .from('audio_memos')
+            .upsert({
+                id: memo.id,
+                report_id: reportId,
+                entry_id: memo.entryId || null,
+                section: memo.section || null,
+                storage_path: memo.storagePath,
+                audio_url: memo.url || null,
+                mime_type: memo.mimeType || null,
+                duration_ms: memo.durationMs || null,
+                transcript: memo.transcript || null,
+                recorded_at: memo.createdAt,
+                created_at: memo.createdAt
+            }, { onConflict: 'id' });
+
+        if (error) throw error;
+
+        memo.reportId = reportId;
+        memo.syncStatus = 'synced';
+        await window.idb.saveAudioMemo(memo);
+
+        console.log('[SYNC] Audio memo synced:', memoId);
+        return { success: true };
+    } catch (e) {
+        console.error('[SYNC] Audio memo sync failed:', e);
+        return { success: false, error: e.message };
+    }
+}
+
+function audioExtension(mimeType) {
+    if (/mp4|aac|m4a/.test(mimeType || '')) return 'm4a';
+    if (/ogg/.test(mimeType || '')) return 'ogg';
+    if (/wav/.test(mimeType || '')) return 'wav';
+    return 'webm';
+}
+
+// ============ REPORT SUBMISSION ============
+
+// Local status of a report whose submission hasn't finished uploading
+// (REPORT_STATUS.SUBMITTED_PENDING_UPLOAD in report-rules.js, which the service worker doesn't load)
+const SUBMITTED_PENDING_UPLOAD = 'submitted-pending-upload';
+
+/**
+ * Submit pipeline, in order. Each step is recorded on the submission record (IndexedDB
+ * `submissions` store) as it completes, so a retry picks up after the last one done.
+ * Every remote step is an upsert/update, so re-running a half-finished step is safe.
+ */
+const SUBMIT_STEPS = ['upload_pdf', 'ensure_report', 'save_final_report', 'update_status', 'cleanup'];
+
+// settleSubmittedReports() in flight, so overlapping callers share one run
+let settlingSubmissions = null;
+
+// Same-context stand-in for the submission lock where Web Locks aren't available
+const submissionLockTails = {};
+
+/**
+ * Run fn while holding the report's submission lock. Runs and aborts of one submission take
+ * it, so they never overlap. Web Locks are shared by every page and the service worker of the
+ * origin, so this also covers Retry Now vs. the outbox timer vs. Background Sync.
+ * @param {string} reportId
+ * @param {Function} fn - Async work to run under the lock
+ * @returns {Promise<*>} fn's result
+ */
+function withSubmissionLock(reportId, fn) {
+    const name = `submit:${reportId}`;
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+        return navigator.locks.request(name, () => fn());
+    }
+
+    const run = (submissionLockTails[name] || Promise.resolve()).then(() => fn());
+    const tail = run.catch(() => {});
+    submissionLockTails[name] = tail;
+    tail.then(() => {
+        if (submissionLockTails[name] === tail) delete submissionLockTails[name];
+    });
+    return run;
+}
+
+/**
+ * Persist a submission record unless it has been deleted (aborted, or finished elsewhere)
+ * @param {Object} record - The submission record
+ * @returns {Promise<boolean>} False if the record was gone and nothing was written
+ */
+async function saveSubmissionIfPresent(record) {
+    if (!(await window.idb.getSubmission(record.reportId))) {
+        console.log('[SYNC] Submission record is gone, not writing it back:', record.reportId);
+        return false;
+    }
+    await window.idb.saveSubmission(record);
+    return true;
+}
+
+/**
+ * Record a final report submission (finalreview.js) before any step runs. The report is
+ * marked submitted-pending-upload, which keeps it read-only until the pipeline finishes
+ * or is aborted; the local data is kept on the record so an abort can put it back.
+ * @param {string} reportId - The Supabase report ID
+ * @param {Object} submission
+ * @param {Blob} submission.pdfBlob
+ * @param {string} submission.filename - Stored as report-pdfs/{reportId}/{filename}
+ * @param {Object} submission.reportRow - reports row (finalreview.js buildReportRow())
+ * @param {Object} submission.finalReport - final_reports row without pdf_url
+ * @param {string} submission.submittedAt - When the inspector submitted
+ * @returns {Promise<Object>} The submission record
+ */
+async function beginReportSubmission(reportId, submission) {
+    if (await window.idb.getSubmission(reportId)) {
+        throw new Error('This report already has a submission in progress');
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+        reportId,
+        pdfBlob: submission.pdfBlob,
+        filename: submission.filename,
+        storagePath: `${reportId}/${submission.filename}`,
+        reportRow: submission.reportRow,
+        finalReport: submission.finalReport,
+        submittedAt: submission.submittedAt,
+        pdfUrl: null,
+        completedSteps: [],
+        failedStep: null,
+        lastError: null,
+        backup: {
+            currentReport: getCurrentReport(reportId),
+            reportData: await getReportData(reportId)
+        },
+        startedAt: now,
+        updatedAt: now
+    };
+    await window.idb.saveSubmission(record);
+
+    const current = getCurrentReport(reportId);
+    if (current) {
+        current.status = SUBMITTED_PENDING_UPLOAD;
+        current.submitted_at = submission.submittedAt;
+        saveCurrentReport(current);
+    }
+    if (record.backup.reportData) {
+        await saveReportData(reportId, { ...record.backup.reportData, status: SUBMITTED_PENDING_UPLOAD });
+    }
+
+    console.log('[SYNC] Submission recorded:', reportId);
+    return record;
+}
+
+/**
+ * Hand a recorded submission to the outbox, to finish when back online
+ * @param {string} reportId - The Supabase report ID
+ * @param {string} [lastError] - Error from the attempt that failed, if any
+ * @returns {Promise<void>} Rejects if the outbox couldn't be written
+ */
+async function queueReportSubmission(reportId, lastError) {
+    await enqueueOutboxOp('REPORT_SUBMIT', reportId, {}, lastError);
+
+    // enqueueOutboxOp() only logs a failed write
+    if (!(await window.idb.getOutboxOp(getOutboxOpId('REPORT_SUBMIT', reportId)))) {
+        throw new Error('Could not save the report for upload');
+    }
+}
+
+/**
+ * Run the steps a recorded submission hasn't completed yet. In the service worker, which
+ * can't reach localStorage, it stops before cleanup; pages finish up in settleSubmittedReports().
+ * Holds the report's submission lock, so it waits for any other run or abort to finish.
+ * @param {string} reportId - The Supabase report ID
+ * @returns {Promise<{success: boolean, aborted?: boolean, step?: string, error?: string}>}
+ *   step is where it stopped; aborted: the record is gone (cancelled or finished elsewhere)
+ */
+function runReportSubmission(reportId) {
+    return withSubmissionLock(reportId, () => runRecordedSteps(reportId));
+}
+
+async function runRecordedSteps(reportId) {
+    const canCleanUp = typeof localStorage !== 'undefined';
+
+    for (const step of SUBMIT_STEPS) {
+        // Re-read before every step - stop if the submission was aborted
+        const record = await window.idb.getSubmission(reportId);
+        if (!record) {
+            console.log('[SYNC] Submission no longer recorded, stopping before', step, reportId);
+            return { success: false, aborted: true, step, error: 'No submission recorded for this report' };
+        }
+
+        if (record.completedSteps.includes(step)) continue;
+        if (step === 'cleanup' && !canCleanUp) break;
+
+        try {
+            await runSubmitStep(step, record);
+        } catch (e) {
+            console.error('[SYNC] Submission stopped at', step, e);
+            record.failedStep = step;
+            record.lastError = e.message;
+            record.updatedAt = new Date().toISOString();
+            await saveSubmissionIfPresent(record);
+            return { success: false, step, error: e.message };
+        }
+
+        record.completedSteps.push(step);
+        record.failedStep = null;
+        record.lastError = null;
+        record.updatedAt = new Date().toISOString();
+
+        if (step === 'cleanup') {
+            await window.idb.deleteSubmission(reportId);
+            // Run from the page, the outbox copy has nothing left to do
+            await window.idb.deleteOutboxOp(getOutboxOpId('REPORT_SUBMIT', reportId));
+        } else {
+            await saveSubmissionIfPresent(record);
+        }
+        console.log('[SYNC] Submission step done:', step, reportId);
+    }
+
+    return { success: true };
+}
+
+/**
+ * Run one pipeline step. Mutates the record (pdfUrl) - the caller persists it.
+ * @param {string} step - One of SUBMIT_STEPS
+ * @param {Object} record - The submission record
+ * @returns {Promise<void>}
+ */
+async function runSubmitStep(step, record) {
+    const { reportId } = record;
+
+    switch (step) {
+        case 'upload_pdf': {
+            const { error } = await supabaseClient.storage
+                .from('report-pdfs')
+                .upload(record.storagePath, record.pdfBlob, {
+                    contentType: 'application/pdf',
+                    upsert: true
+                });
+            if (error) throw new Error('PDF upload failed: ' + error.message);
+
+            const { data: urlData } = supabaseClient.storage
+                .from('report-pdfs')
+                .getPublicUrl(record.storagePath);
+            record.pdfUrl = urlData.publicUrl;
+            return;
+        }
+        case 'ensure_report': {
+            const { error } = await supabaseClient
+                .from('reports')
+                .upsert({ ...record.reportRow, updated_at: new Date().toISOString() }, { onConflict: 'id' });
+            if (error) throw new Error('Failed to create report record: ' + error.message);
+            return;
+        }
+        case 'save_final_report': {
+            const { error } = await supabaseClient
+                .from('final_reports')
+                .upsert({ ...record.finalReport, pdf_url: record.pdfUrl }, { onConflict: 'report_id' });
+            if (error) throw new Error('Failed to save report: ' + error.message);
+            return;
+        }
+        case 'update_status': {
+            const { error } = await supabaseClient
+                .from('reports')
+                .update({
+                    status: 'submitted',
+                    submitted_at: record.submittedAt,
+                    updated_at: new Date().toISOString(),
+                    pdf_url: record.pdfUrl
+                })
+                .eq('id', reportId);
+            if (error) throw new Error('Failed to update status: ' + error.message);
+            return;
+        }
+        case 'cleanup':
+            await finishReportSubmission(reportId);
+            return;
+        default:
+            throw new Error(`Unknown submit step: ${step}`);
+    }
+}
+
+/**
+ * Outbox entry point for a queued submission
+ * @param {string} reportId - The Supabase report ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function pushReportSubmission(reportId) {
+    const result = await runReportSubmission(reportId);
+    if (result.aborted) {
+        // Cancelled (or finished) elsewhere - nothing left for the outbox to do
+        console.log('[SYNC] Queued submission no longer recorded, dropping:', reportId);
+        return { success: true };
+    }
+    if (result.success) {
+        console.log('[SYNC] Queued report submission uploaded:', reportId);
+    }
+    return result;
+}
+
+/**
+ * Abort a submission that hasn't been marked submitted yet, undoing completed steps in
+ * reverse: final_reports row deleted, reports row back to its local status, uploaded PDF
+ * removed, then the report's local data restored and its outbox op dropped.
+ * @param {string} reportId - The Supabase report ID
+ * Holds the report's submission lock, so a run in progress (here, another page or the
+ * service worker) finishes first and the rollback sees its completed steps.
+ * @returns {Promise<void>} Rejects if the report is already submitted or an undo step fails
+ *   (the record is kept, so the abort can be tried again)
+ */
+function abortReportSubmission(reportId) {
+    return withSubmissionLock(reportId, () => rollBackSubmission(reportId));
+}
+
+async function rollBackSubmission(reportId) {
+    const record = await window.idb.getSubmission(reportId);
+    if (!record) {
+        await reopenReportSubmission(reportId);
         return;
     }
 
-    const queue = getSyncQueue();
-    if (queue.length === 0) {
-        console.log('[SYNC] Queue empty');
+    const done = record.completedSteps;
+    if (done.includes('update_status')) {
+        throw new Error('The report is already submitted and can no longer be cancelled');
+    }
+
+    if (done.includes('save_final_report')) {
+        const { error } = await supabaseClient
+            .from('final_reports')
+            .delete()
+            .eq('report_id', reportId);
+        if (error) throw new Error('Could not remove the final report: ' + error.message);
+    }
+
+    if (done.includes('ensure_report')) {
+        const { error } = await supabaseClient
+            .from('reports')
+            .update({
+                status: record.backup.reportData?.status || 'refined',
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', reportId);
+        if (error) throw new Error('Could not restore the report record: ' + error.message);
+    }
+
+    if (done.includes('upload_pdf')) {
+        const { error } = await supabaseClient.storage
+            .from('report-pdfs')
+            .remove([record.storagePath]);
+        if (error) throw new Error('Could not remove the uploaded PDF: ' + error.message);
+    }
+
+    if (record.backup.reportData) {
+        await saveReportData(reportId, record.backup.reportData);
+    }
+    if (record.backup.currentReport) {
+        saveCurrentReport(record.backup.currentReport);
+    }
+
+    await window.idb.deleteOutboxOp(getOutboxOpId('REPORT_SUBMIT', reportId));
+    await window.idb.deleteSubmission(reportId);
+    console.log('[SYNC] Submission aborted and rolled back:', reportId);
+}
+
+/**
+ * Clear a submitted report off the device (the pipeline's cleanup step)
+ * @param {string} reportId
+ * @returns {Promise<void>}
+ */
+async function finishReportSubmission(reportId) {
+    await deleteReportData(reportId);
+    deleteCurrentReport(reportId);
+    try {
+        await window.idb.deletePhotosByReportId(reportId);
+    } catch (e) {
+        console.warn('[SYNC] Could not clean IndexedDB photos:', e);
+    }
+    console.log('[SYNC] Submitted report cleared from device:', reportId);
+}
+
+/**
+ * Tidy up reports waiting to upload that have no outbox op (run by pages). Submissions
+ * the service worker took through update_status get their cleanup step; reports with no
+ * submission record left are reopened for editing. Anything else stays put for
+ * finalreview.html to resume or abort.
+ * @returns {Promise<void>}
+ */
+function settleSubmittedReports() {
+    if (!settlingSubmissions) {
+        settlingSubmissions = settleOrphanedSubmissions().finally(() => {
+            settlingSubmissions = null;
+        });
+    }
+    return settlingSubmissions;
+}
+
+async function settleOrphanedSubmissions() {
+    if (typeof localStorage === 'undefined') return;
+
+    const waiting = Object.values(getStorageItem(STORAGE_KEYS.CURRENT_REPORTS) || {})
+        .filter(r => r.status === SUBMITTED_PENDING_UPLOAD);
+
+    for (const report of waiting) {
+        try {
+            if (await window.idb.getOutboxOp(getOutboxOpId('REPORT_SUBMIT', report.id))) continue;
+
+            const record = await window.idb.getSubmission(report.id);
+            if (!record) {
+                await reopenReportSubmission(report.id);
+            } else if (record.completedSteps.includes('update_status')) {
+                await runReportSubmission(report.id);
+            }
+        } catch (e) {
+            console.warn('[SYNC] Could not settle submitted report:', report.id, e);
+        }
+    }
+}
+
+/**
+ * Put a report that was waiting to upload back to 'refined' so it can be submitted again
+ * @param {string} reportId
+ * @returns {Promise<void>}
+ */
+async function reopenReportSubmission(reportId) {
+    const current = getCurrentReport(reportId);
+    if (current) {
+        current.status = 'refined';
+        delete current.submitted_at;
+        saveCurrentReport(current);
+    }
+    const reportData = await getReportData(reportId);
+    if (reportData) {
+        reportData.status = 'refined';
+        await saveReportData(reportId, reportData);
+    }
+    console.log('[SYNC] Report reopened, no submission left for it:', reportId);
+}
+
+// ============ OUTBOX ============
+
+/**
+ * Build the outbox key for an operation
+ * Newer ops for the same target replace older ones instead of piling up
+ * @param {string} type - Operation type
+ * @param {string} reportId - The report ID
+ * @param {Object} payload - Operation payload
+ * @returns {string}
+ */
+function getOutboxOpId(type, reportId, payload) {
+    switch (type) {
+        case 'ENTRY_BACKUP':
+            return `${type}:${reportId}:${payload.entry?.id}`;
+        case 'ENTRY_DELETE':
+            return `${type}:${reportId}:${payload.localId}`;
+        case 'REPORT_SYNC':
+            return `${type}:${payload.projectId}:${payload.report?.date}`;
+        case 'RAW_CAPTURE_SYNC':
+            return `${type}:${reportId}`;
+        case 'PHOTO_UPLOAD':
+            return `${type}:${payload.photoId}`;
+        case 'AUDIO_MEMO_UPLOAD':
+            return `${type}:${payload.memoId}`;
+        case 'REPORT_SUBMIT':
+            return `${type}:${reportId}`;
+        default:
+            return `${type}:${crypto.randomUUID()}`;
+    }
+}
+
+/**
+ * Add an operation to the IndexedDB outbox, or refresh the payload of the queued one
+ * with the same ID. A refresh keeps the op's attempts, backoff and queue position, so an
+ * op that keeps failing still reaches MAX_ATTEMPTS; a lastError counts as one more attempt.
+ * @param {string} type - ENTRY_BACKUP | ENTRY_DELETE | REPORT_SYNC | RAW_CAPTURE_SYNC | PHOTO_UPLOAD | AUDIO_MEMO_UPLOAD | REPORT_SUBMIT
+ * @param {string} reportId - The report ID the operation belongs to
+ * @param {Object} payload - Data needed to replay the operation
+ * @param {string} [lastError] - Error from the failed attempt that caused queueing
+ * @returns {Promise<void>}
+ */
+async function enqueueOutboxOp(type, reportId, payload, lastError) {
+    const id = getOutboxOpId(type, reportId, payload);
+    const now = new Date().toISOString();
+
+    let op;
+    try {
+        const existing = await window.idb.getOutboxOp(id);
+        op = {
+            id,
+            type,
+            reportId: reportId || null,
+            payload,
+            status: existing?.status || 'pending',
+            attempts: existing?.attempts || 0,
+            nextAttemptAt: existing ? existing.nextAttemptAt : Date.now(),
+            lastError: lastError || existing?.lastError || null,
+            // Bumped on every payload refresh so an in-flight replay of the old payload
+            // doesn't settle or overwrite this one (settleOutboxOp(), saveOutboxOpState())
+            revision: (existing?.revision || 0) + 1,
+            queuedAt: existing?.queuedAt || now,
+            updatedAt: now
+        };
+
+        if (lastError) {
+            op.attempts++;
+            if (op.attempts >= MAX_ATTEMPTS) {
+                op.status = 'dead';
+                console.error('[SYNC] Operation moved to dead-letter list after', op.attempts, 'attempts:', op.id, lastError);
+            } else {
+                op.nextAttemptAt = Date.now() + getRetryDelay(op.attempts);
+            }
+        }
+
+        await window.idb.saveOutboxOp(op);
+        console.log('[SYNC] Queued in outbox:', op.id, existing ? `(refreshed, ${op.attempts} attempt(s))` : '');
+    } catch (e) {
+        console.error('[SYNC] Failed to write outbox op:', id, e);
         return;
     }
 
-    isProcessingQueue = true;
-    console.log('[SYNC] Processing', queue.length, 'queued operations');
+    scheduleOutboxRetry();
+
+    // Ask the service worker to flush once signal returns, even if the app is closed
+    if (typeof requestOutboxSync === 'function') {
+        requestOutboxSync();
+    }
+}
 
-    const failedOps = [];
+/**
+ * Exponential backoff delay for the given attempt count
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
 
-    for (const op of queue) {
-        let result;
+/**
+ * Replay a single outbox operation
+ * @param {Object} op - The outbox operation
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function runOutboxOp(op) {
+    const { payload } = op;
+
+    switch (op.type) {
+        case 'ENTRY_BACKUP':
+            return pushEntryBackup(op.reportId, payload.entry);
+        case 'ENTRY_DELETE':
+            return pushEntryDelete(op.reportId, payload.localId);
+        case 'REPORT_SYNC':
+            return pushReport(payload.report, payload.projectId, payload.identity);
+        case 'RAW_CAPTURE_SYNC':
+            return pushRawCapture(payload.captureData, op.reportId);
+        case 'PHOTO_UPLOAD':
+            return pushPhoto(op.reportId, payload.photoId, payload);
+        case 'AUDIO_MEMO_UPLOAD':
+            return pushAudioMemo(op.reportId, payload.memoId);
+        case 'REPORT_SUBMIT':
+            return pushReportSubmission(op.reportId);
+        default:
+            return { success: false, error: `Unknown operation type: ${op.type}` };
+    }
+}
+
+/**
+ * Record a failed attempt: back off, or move to the dead-letter list after MAX_ATTEMPTS
+ * @param {Object} op - The outbox operation
+ * @param {string} error - The error message
+ * @returns {Promise<void>}
+ */
+async function recordOutboxFailure(op, error) {
+    await adoptNewerPayload(op);
+    op.attempts = (op.attempts || 0) + 1;
+    op.lastError = error || 'Unknown error';
+    op.updatedAt = new Date().toISOString();
+
+    if (op.attempts >= MAX_ATTEMPTS) {
+        op.status = 'dead';
+        console.error('[SYNC] Operation moved to dead-letter list after', op.attempts, 'attempts:', op.id, op.lastError);
+    } else {
+        op.nextAttemptAt = Date.now() + getRetryDelay(op.attempts);
+    }
 
+    await window.idb.saveOutboxOp(op);
+}
+
+/**
+ * Put an op off without counting an attempt (a paused or Wi-Fi only photo upload)
+ * @param {Object} op - The outbox operation
+ * @param {string} reason - Shown in settings.html as the op's last error
+ * @returns {Promise<void>}
+ */
+async function deferOutboxOp(op, reason) {
+    await adoptNewerPayload(op);
+    op.lastError = reason || null;
+    op.nextAttemptAt = Date.now() + DEFER_DELAY_MS;
+    op.updatedAt = new Date().toISOString();
+    await window.idb.saveOutboxOp(op);
+}
+
+/**
+ * If the op's payload was refreshed while it was in flight, take the newer payload
+ * so saving the attempt's outcome doesn't write the old one back
+ * @param {Object} op - The outbox operation that was just run
+ * @returns {Promise<void>}
+ */
+async function adoptNewerPayload(op) {
+    const current = await window.idb.getOutboxOp(op.id);
+    if (current && current.revision !== op.revision) {
+        op.payload = current.payload;
+        op.revision = current.revision;
+    }
+}
+
+/**
+ * Remove a completed op unless it was replaced by a newer version while in flight
+ * @param {Object} op - The outbox operation that just succeeded
+ * @returns {Promise<void>}
+ */
+async function settleOutboxOp(op) {
+    const current = await window.idb.getOutboxOp(op.id);
+    if (current && current.revision !== op.revision) {
+        console.log('[SYNC] Outbox op was re-queued during sync, keeping newer version:', op.id);
+        return;
+    }
+    await window.idb.deleteOutboxOp(op.id);
+}
+
+/**
+ * Move ops left in the old localStorage SYNC_QUEUE into the IndexedDB outbox
+ * Ops of types the outbox does not handle stay in localStorage
+ * @returns {Promise<void>}
+ */
+async function migrateLegacySyncQueue() {
+    // No localStorage in the service worker - pages handle the migration
+    if (typeof localStorage === 'undefined') return;
+
+    const queue = getSyncQueue();
+    if (queue.length === 0) return;
+
+    const remaining = [];
+    for (const op of queue) {
         switch (op.type) {
             case 'ENTRY_BACKUP':
-                result = await backupEntry(op.reportId, op.entry);
+                await enqueueOutboxOp(op.type, op.reportId, { entry: op.entry });
                 break;
             case 'ENTRY_DELETE':
-                result = await deleteEntry(op.reportId, op.localId);
+                await enqueueOutboxOp(op.type, op.reportId, { localId: op.localId });
                 break;
             case 'REPORT_SYNC':
-                result = await syncReport(op.report, op.projectId);
+                await enqueueOutboxOp(op.type, op.report?.id, {
+                    report: op.report,
+                    projectId: op.projectId,
+                    identity: getQueuedIdentity()
+                });
                 break;
             case 'RAW_CAPTURE_SYNC':
-                result = await syncRawCapture(op.captureData, op.reportId);
+                await enqueueOutboxOp(op.type, op.reportId, { captureData: op.captureData });
+                break;
+            case 'report':
+                // Offline AI refine, queued by older quick-interview.js builds. Nothing ever ran
+                // these - the report itself stays pending_refine and report.html retries the refine
+                console.log('[SYNC] Dropping legacy offline refine op:', op.data?.reportDate);
                 break;
             default:
-                console.warn('[SYNC] Unknown operation type:', op.type);
-                result = { success: true }; // Skip unknown ops
+                remaining.push(op);
+        }
+    }
+
+    if (remaining.length > 0) {
+        setStorageItem(STORAGE_KEYS.SYNC_QUEUE, remaining);
+    } else {
+        clearSyncQueue();
+    }
+    console.log('[SYNC] Migrated', queue.length - remaining.length, 'legacy queue ops to outbox');
+}
+
+/**
+ * Process all due operations in the outbox
+ * Call this when coming back online (also run by sw.js on Background Sync)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after each op with { done, total, op, success }
+ */
+async function processOfflineQueue(options = {}) {
+    if (isProcessingQueue) {
+        console.log('[SYNC] Already processing queue');
+        return;
+    }
+
+    if (!navigator.onLine) {
+        console.log('[SYNC] Still offline, skipping queue processing');
+        return;
+    }
+
+    isProcessingQueue = true;
+
+    try {
+        await migrateLegacySyncQueue();
+
+        const now = Date.now();
+        const pending = await window.idb.getOutboxOpsByStatus('pending');
+        const due = pending
+            .filter(op => (op.nextAttemptAt || 0) <= now)
+            .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+        if (due.length === 0) {
+            console.log('[SYNC] Outbox has nothing due');
+            return;
         }
 
-        if (!result.success && result.error !== 'offline') {
-            // Real failure, might retry
-            op.retries = (op.retries || 0) + 1;
-            if (op.retries < MAX_RETRIES) {
-                failedOps.push(op);
+        console.log('[SYNC] Processing', due.length, 'outbox operations');
+
+        let done = 0;
+        for (const op of due) {
+            if (!navigator.onLine) {
+                console.log('[SYNC] Went offline mid-flush, stopping');
+                break;
+            }
+
+            const result = await runOutboxOp(op);
+            if (result.success) {
+                await settleOutboxOp(op);
+            } else if (result.deferred) {
+                await deferOutboxOp(op, result.error);
             } else {
-                console.error('[SYNC] Operation failed after max retries:', op);
+                await recordOutboxFailure(op, result.error);
+            }
+
+            done++;
+            if (typeof options.onProgress === 'function') {
+                options.onProgress({ done, total: due.length, op, success: result.success });
             }
         }
+    } catch (e) {
+        console.error('[SYNC] Outbox processing failed:', e);
+    } finally {
+        isProcessingQueue = false;
+    }
+
+    await scheduleOutboxRetry();
+    console.log('[SYNC] Queue processing complete.', await getPendingSyncCount(), 'operations remaining');
+}
+
+/**
+ * Schedule the next in-page flush for the earliest backed-off op
+ * Runs whether or not auto-sync is enabled - the outbox holds work that already failed
+ * or was queued offline. Pages only: in the service worker, drainOutbox() rejects the
+ * sync event instead so the browser fires it again (the worker may be stopped at any time).
+ * @returns {Promise<void>}
+ */
+async function scheduleOutboxRetry() {
+    if (typeof document === 'undefined') return;
+
+    if (outboxRetryTimer) {
+        clearTimeout(outboxRetryTimer);
+        outboxRetryTimer = null;
     }
 
-    // Clear queue and re-add failed ops
-    clearSyncQueue();
-    failedOps.forEach(op => addToSyncQueue(op));
+    try {
+        const pending = await window.idb.getOutboxOpsByStatus('pending');
+        if (pending.length === 0) return;
+
+        const nextAt = Math.min(...pending.map(op => op.nextAttemptAt || 0));
+        outboxRetryTimer = setTimeout(processOfflineQueue, Math.max(nextAt - Date.now(), 1000));
+    } catch (e) {
+        console.warn('[SYNC] Could not schedule outbox retry:', e);
+    }
+}
+
+/**
+ * Get outbox contents grouped by status (for settings.html)
+ * @returns {Promise<{pending: Array, dead: Array}>}
+ */
+async function getOutboxStatus() {
+    await migrateLegacySyncQueue();
+
+    const ops = await window.idb.getAllOutboxOps();
+    const byQueuedAt = (a, b) => a.queuedAt.localeCompare(b.queuedAt);
+    return {
+        pending: ops.filter(op => op.status === 'pending').sort(byQueuedAt),
+        dead: ops.filter(op => op.status === 'dead').sort(byQueuedAt)
+    };
+}
+
+/**
+ * Move a dead-letter op back to pending and flush the outbox
+ * @param {string} opId - The outbox operation ID
+ * @returns {Promise<void>}
+ */
+async function retryOutboxOp(opId) {
+    const op = await window.idb.getOutboxOp(opId);
+    if (!op) return;
+
+    op.status = 'pending';
+    op.attempts = 0;
+    op.nextAttemptAt = Date.now();
+    op.updatedAt = new Date().toISOString();
+    await window.idb.saveOutboxOp(op);
+
+    await processOfflineQueue();
+}
+
+/**
+ * Move every dead-letter op back to pending and flush the outbox
+ * @returns {Promise<void>}
+ */
+async function retryAllDeadOutboxOps() {
+    const dead = await window.idb.getOutboxOpsByStatus('dead');
+    for (const op of dead) {
+        op.status = 'pending';
+        op.attempts = 0;
+        op.nextAttemptAt = Date.now();
+        op.updatedAt = new Date().toISOString();
+        await window.idb.saveOutboxOp(op);
+    }
+
+    await processOfflineQueue();
+}
+
+/**
+ * Permanently discard an outbox operation
+ * @param {string} opId - The outbox operation ID
+ * @returns {Promise<void>}
+ */
+async function discardOutboxOp(opId) {
+    const op = await window.idb.getOutboxOp(opId);
+    await window.idb.deleteOutboxOp(opId);
+    console.log('[SYNC] Discarded outbox op:', opId);
 
-    isProcessingQueue = false;
-    console.log('[SYNC] Queue processing complete.', failedOps.length, 'operations remaining');
+    // A dropped submission would leave the report read-only for good - roll it back
+    if (op?.type === 'REPORT_SUBMIT') {
+        try {
+            await abortReportSubmission(op.reportId);
+        } catch (e) {
+            console.warn('[SYNC] Could not roll back submission, left for finalreview.html:', e);
+        }
+    }
+}
+
+/**
+ * Remove all outbox operations for a report (e.g. when the report is cancelled)
+ * @param {string} reportId - The report ID
+ * @returns {Promise<void>}
+ */
+async function clearOutboxForReport(reportId) {
+    if (!reportId) return;
+    try {
+        await window.idb.deleteOutboxOpsByReportId(reportId);
+        console.log('[SYNC] Cleared outbox for report:', reportId);
+    } catch (e) {
+        console.error('[SYNC] Failed to clear outbox for report:', e);
+    }
 }
 
 // ============ CONNECTIVITY MONITORING ============
@@ -357,6 +1411,15 @@ async function processOfflineQueue() {
  * Sets up online/offline listeners
  */
 function initSyncManager() {
+    // Always move legacy localStorage ops into the durable outbox
+    migrateLegacySyncQueue().catch(e => console.warn('[SYNC] Legacy queue migration failed:', e));
+
+    // Finish up offline submissions the service worker uploaded while no page was open
+    settleSubmittedReports();
+
+    // Pick up the backoff for anything left in the outbox by an earlier page
+    scheduleOutboxRetry();
+
     // AUTO-SYNC DISABLED: User controls sync via explicit buttons only
     if (!AUTO_SYNC_ENABLED) {
         console.log('[SYNC] Auto-sync disabled - sync manager not initialized');
@@ -391,19 +1454,30 @@ function destroySyncManager() {
     // Clear any pending timers
     Object.values(entryBackupTimers).forEach(clearTimeout);
     entryBackupTimers = {};
+
+    if (outboxRetryTimer) {
+        clearTimeout(outboxRetryTimer);
+        outboxRetryTimer = null;
+    }
 }
 
 // ============ HELPERS ============
 
 /**
  * Get current user ID from Supabase auth or localStorage
+ * @param {Object} [identity] - userId/deviceId captured at queue time (used when localStorage is unavailable)
  * @returns {Promise<string>}
  */
-async function getCurrentUserId() {
+async function getCurrentUserId(identity = {}) {
     // Try Supabase auth first
     const { data: { user } } = await supabaseClient.auth.getUser();
     if (user) return user.id;
 
+    // Service worker has no localStorage - use what the page captured
+    if (typeof localStorage === 'undefined') {
+        return identity.userId || identity.deviceId;
+    }
+
     // Fall back to stored profile
     const profile = getStorageItem(STORAGE_KEYS.USER_PROFILE);
     if (profile && profile.id) return profile.id;
@@ -413,11 +1487,29 @@ async function getCurrentUserId() {
 }
 
 /**
- * Get pending sync count for UI display
- * @returns {number}
+ * Capture the identity a queued report sync needs, so it can be replayed without localStorage
+ * @returns {{userId: string|null, deviceId: string}}
  */
-function getPendingSyncCount() {
-    return getSyncQueue().length;
+function getQueuedIdentity() {
+    const profile = getStorageItem(STORAGE_KEYS.USER_PROFILE);
+    return {
+        userId: (profile && profile.id) || null,
+        deviceId: getDeviceId()
+    };
+}
+
+/**
+ * Get pending sync count for UI display (outbox pending + dead-letter)
+ * @returns {Promise<number>}
+ */
+async function getPendingSyncCount() {
+    try {
+        const ops = await window.idb.getAllOutboxOps();
+        return ops.length;
+    } catch (e) {
+        console.warn('[SYNC] Could not read outbox:', e);
+        return 0;
+    }
 }
 
 // ============ EXPOSE GLOBALLY ============
@@ -428,7 +1520,21 @@ if (typeof window !== 'undefined') {
     window.deleteEntry = deleteEntry;
     window.syncReport = syncReport;
     window.syncRawCapture = syncRawCapture;
+    window.syncPhoto = syncPhoto;
+    window.queuePhotoUpload = queuePhotoUpload;
+    window.pushAnnotatedPhoto = pushAnnotatedPhoto;
+    window.syncAudioMemo = syncAudioMemo;
+    window.beginReportSubmission = beginReportSubmission;
+    window.runReportSubmission = runReportSubmission;
+    window.queueReportSubmission = queueReportSubmission;
+    window.abortReportSubmission = abortReportSubmission;
+    window.settleSubmittedReports = settleSubmittedReports;
     window.processOfflineQueue = processOfflineQueue;
+    window.getOutboxStatus = getOutboxStatus;
+    window.retryOutboxOp = retryOutboxOp;
+    window.retryAllDeadOutboxOps = retryAllDeadOutboxOps;
+    window.discardOutboxOp = discardOutboxOp;
+    window.clearOutboxForReport = clearOutboxForReport;
     window.initSyncManager = initSyncManager;
     window.destroySyncManager = destroySyncManager;
     window.getPendingSyncCount = getPendingSyncCount;
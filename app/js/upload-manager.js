@@ -0,0 +1,546 @@
+/**
+ * Upload Manager - Resumable, chunked uploads to Supabase Storage with progress
+ * FieldVoice Pro v6
+ *
+ * Uploads use the TUS protocol (Supabase's /storage/v1/upload/resumable): one
+ * POST creates the upload, then each chunk goes up in its own PATCH. The upload
+ * URL is kept in localStorage until the file is complete, so a failed or paused
+ * upload continues from the server's offset - even after a reload.
+ *
+ * - Progress: onChange(listener) gets { key, status, sent, total } as bytes go up.
+ *   status: uploading | paused | waiting (for Wi-Fi) | offline | queued (ready to restart) | error | done
+ * - pause(key) stops an upload - its upload() promise rejects with code 'PAUSED'.
+ *   resume(key) sets it back to 'queued'; whoever owns it calls upload() again.
+ * - Wi-Fi only: upload() rejects with code 'WIFI_REQUIRED' while the Network
+ *   Information API reports a cellular connection. Browsers that don't report the
+ *   connection type (iOS Safari) are treated as Wi-Fi. Waiting uploads go back to
+ *   'queued' when Wi-Fi returns.
+ * - Each chunk's throughput feeds getCompressionSettings(), so photos are
+ *   compressed harder on a slow link.
+ *
+ * Supabase only takes 6MB chunks, so a compressed photo goes up in one PATCH
+ * there; a retry starts from whatever offset the server kept. For testing, point
+ * the endpoint at tools/mock-upload-server.js, which takes smaller chunks and can
+ * throttle and drop connections.
+ *
+ * Dependencies: config.js (SUPABASE_URL, SUPABASE_ANON_KEY, supabaseClient),
+ * storage-keys.js
+ *
+ * @module upload-manager
+ */
+
+(function() {
+    'use strict';
+
+    const TUS_VERSION = '1.0.0';
+    const SUPABASE_CHUNK_SIZE = 6 * 1024 * 1024;  // Supabase rejects any other chunk size
+    const MIN_CHUNK_SIZE = 64 * 1024;
+    const RETRY_DELAYS_MS = [1000, 3000, 8000];  // Per chunk, then upload() gives up until called again
+    const RESUME_TTL_MS = 23 * 60 * 60 * 1000;  // Supabase upload URLs expire after 24 hours
+    const THROUGHPUT_TTL_MS = 30 * 60 * 1000;  // Older measurements say little about this connection
+    const MIN_SAMPLE_BYTES = 32 * 1024;  // Smaller requests are mostly latency
+
+    const DEFAULT_CONFIG = {
+        wifiOnly: false,
+        adaptiveQuality: true,
+        endpoint: '',  // Blank = Supabase; e.g. http://localhost:8788 for tools/mock-upload-server.js
+        chunkSize: 256 * 1024  // Custom endpoint only
+    };
+
+    // Photo compression by upload speed (bytes/second), fastest first
+    const QUALITY_TIERS = [
+        { name: 'fast', minBytesPerSec: 500 * 1024, maxWidth: 1600, quality: 0.8 },
+        { name: 'normal', minBytesPerSec: 100 * 1024, maxWidth: 1200, quality: 0.7 },
+        { name: 'slow', minBytesPerSec: 30 * 1024, maxWidth: 1024, quality: 0.6 },
+        { name: 'very slow', minBytesPerSec: 0, maxWidth: 800, quality: 0.5 }
+    ];
+
+    // Rough upload speeds for navigator.connection.effectiveType, until we've measured one
+    const EFFECTIVE_TYPE_SPEEDS = {
+        'slow-2g': 5 * 1024,
+        '2g': 20 * 1024,
+        '3g': 60 * 1024
+    };
+
+    const uploads = {};  // key -> { key, status, sent, total, error, promise, xhr, abortCode }
+    const paused = new Set();
+    const listeners = [];
+
+    // ============ CONFIG ============
+
+    /**
+     * @returns {{wifiOnly: boolean, adaptiveQuality: boolean, endpoint: string, chunkSize: number}}
+     */
+    function getConfig() {
+        return { ...DEFAULT_CONFIG, ...(getStorageItem(STORAGE_KEYS.UPLOADS) || {}) };
+    }
+
+    /**
+     * Save upload settings
+     * @param {Object} config - { wifiOnly, adaptiveQuality, endpoint, chunkSize }
+     * @returns {boolean} True on success
+     * @throws {Error} If the endpoint isn't http(s) or the chunk size is too small
+     */
+    function saveConfig(config) {
+        const endpoint = (config.endpoint || '').trim().replace(/\/+$/, '');
+        if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+            throw new Error('Upload server must start with http:// or https://');
+        }
+
+        const chunkSize = parseInt(config.chunkSize, 10) || DEFAULT_CONFIG.chunkSize;
+        if (chunkSize < MIN_CHUNK_SIZE) {
+            throw new Error(`Chunk size must be at least ${MIN_CHUNK_SIZE / 1024}KB`);
+        }
+
+        console.log('[UPLOAD] Settings saved:', endpoint || 'Supabase', config.wifiOnly ? '(Wi-Fi only)' : '');
+        return setStorageItem(STORAGE_KEYS.UPLOADS, {
+            wifiOnly: !!config.wifiOnly,
+            adaptiveQuality: config.adaptiveQuality !== false,
+            endpoint,
+            chunkSize
+        });
+    }
+
+    // ============ NETWORK ============
+
+    /**
+     * @returns {boolean} False if uploads are Wi-Fi only and we know we're not on Wi-Fi
+     */
+    function isOnAllowedNetwork() {
+        if (!getConfig().wifiOnly) return true;
+        const type = navigator.connection?.type;
+        return !type || type === 'wifi' || type === 'ethernet' || type === 'unknown';
+    }
+
+    /**
+     * @returns {boolean} True if upload() would start right now
+     */
+    function canUpload() {
+        return navigator.onLine && isOnAllowedNetwork();
+    }
+
+    function handleConnectionChange() {
+        const allowed = isOnAllowedNetwork();
+        Object.values(uploads).forEach(upload => {
+            if (!allowed && upload.xhr) {
+                upload.abortCode = 'WIFI_REQUIRED';
+                upload.xhr.abort();
+            } else if (allowed && navigator.onLine && (upload.status === 'waiting' || upload.status === 'offline')) {
+                console.log('[UPLOAD] Connection back:', upload.key);
+                setState(upload.key, { status: 'queued' });
+            }
+        });
+    }
+
+    // ============ ADAPTIVE QUALITY ============
+
+    /**
+     * @returns {number|null} Recent upload speed in bytes/second, or an estimate from
+     *   the connection type, or null if we can't tell
+     */
+    function getThroughput() {
+        const saved = getStorageItem(STORAGE_KEYS.UPLOAD_THROUGHPUT);
+        if (saved && Date.now() - saved.measuredAt < THROUGHPUT_TTL_MS) return saved.bytesPerSec;
+        return EFFECTIVE_TYPE_SPEEDS[navigator.connection?.effectiveType] || null;
+    }
+
+    function recordThroughput(bytes, ms) {
+        if (bytes < MIN_SAMPLE_BYTES || ms <= 0) return;
+
+        const sample = bytes / (ms / 1000);
+        const saved = getStorageItem(STORAGE_KEYS.UPLOAD_THROUGHPUT);
+        const recent = saved && Date.now() - saved.measuredAt < THROUGHPUT_TTL_MS;
+        setStorageItem(STORAGE_KEYS.UPLOAD_THROUGHPUT, {
+            bytesPerSec: Math.round(recent ? saved.bytesPerSec * 0.6 + sample * 0.4 : sample),
+            measuredAt: Date.now()
+        });
+    }
+
+    /**
+     * Photo compression to use for the current connection (see media-utils.js compressImage())
+     * @returns {{maxWidth: number, quality: number, tier: string, bytesPerSec: number|null}}
+     */
+    function getCompressionSettings() {
+        const bytesPerSec = getThroughput();
+        const tier = getConfig().adaptiveQuality && bytesPerSec !== null
+            ? QUALITY_TIERS.find(t => bytesPerSec >= t.minBytesPerSec)
+            : QUALITY_TIERS.find(t => t.name === 'normal');
+        return { maxWidth: tier.maxWidth, quality: tier.quality, tier: tier.name, bytesPerSec };
+    }
+
+    // ============ STATE ============
+
+    // Updates in place - runUpload() and pause() share the object (xhr, abortCode)
+    function setState(key, changes) {
+        uploads[key] = Object.assign(uploads[key] || { key, status: 'queued', sent: 0, total: 0, error: null }, changes);
+        const state = getState(key);
+        listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.error('[UPLOAD] Listener failed:', e);
+            }
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {{key: string, status: string, sent: number, total: number, error: string|null}|null}
+     */
+    function getState(key) {
+        const upload = uploads[key];
+        if (!upload) return null;
+        return { key, status: upload.status, sent: upload.sent, total: upload.total, error: upload.error };
+    }
+
+    /**
+     * Listen for progress and status changes of every upload
+     * @param {Function} listener - (state) => void, see getState()
+     * @returns {Function} Call to stop listening
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    function uploadError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // ============ RESUME URLS ============
+
+    function getResumeUrl(resumeKey, size) {
+        const saved = (getStorageItem(STORAGE_KEYS.UPLOAD_RESUME) || {})[resumeKey];
+        if (!saved || saved.size !== size || Date.now() - saved.createdAt > RESUME_TTL_MS) return null;
+        return saved.url;
+    }
+
+    function saveResumeUrl(resumeKey, url, size) {
+        const saved = getStorageItem(STORAGE_KEYS.UPLOAD_RESUME) || {};
+        // Drop expired entries while we're here
+        Object.keys(saved).forEach(k => {
+            if (Date.now() - saved[k].createdAt > RESUME_TTL_MS) delete saved[k];
+        });
+        saved[resumeKey] = { url, size, createdAt: Date.now() };
+        setStorageItem(STORAGE_KEYS.UPLOAD_RESUME, saved);
+    }
+
+    function forgetResumeUrl(resumeKey) {
+        const saved = getStorageItem(STORAGE_KEYS.UPLOAD_RESUME) || {};
+        if (!saved[resumeKey]) return;
+        delete saved[resumeKey];
+        setStorageItem(STORAGE_KEYS.UPLOAD_RESUME, saved);
+    }
+
+    // ============ TUS ============
+
+    function getTarget() {
+        const { endpoint, chunkSize } = getConfig();
+        const base = endpoint || SUPABASE_URL;
+        return {
+            base,
+            url: `${base}/storage/v1/upload/resumable`,
+            supabase: !endpoint,
+            chunkSize: endpoint ? chunkSize : SUPABASE_CHUNK_SIZE
+        };
+    }
+
+    async function getHeaders(target) {
+        const headers = { 'Tus-Resumable': TUS_VERSION };
+        if (!target.supabase) return headers;
+
+        // Signed-in users upload as themselves so storage policies apply
+        let token = SUPABASE_ANON_KEY;
+        try {
+            const { data } = await supabaseClient.auth.getSession();
+            token = data?.session?.access_token || token;
+        } catch (e) {
+            console.warn('[UPLOAD] No session, uploading with the anon key:', e);
+        }
+        headers.authorization = `Bearer ${token}`;
+        headers.apikey = SUPABASE_ANON_KEY;
+        return headers;
+    }
+
+    function encodeMetadata(metadata) {
+        return Object.entries(metadata)
+            .map(([name, value]) => {
+                const bytes = new TextEncoder().encode(String(value));
+                return `${name} ${btoa(String.fromCharCode(...bytes))}`;
+            })
+            .join(',');
+    }
+
+    async function createUpload(target, headers, blob, options) {
+        const response = await fetch(target.url, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Upload-Length': String(blob.size),
+                'Upload-Metadata': encodeMetadata({
+                    bucketName: options.bucket,
+                    objectName: options.path,
+                    contentType: blob.type || 'application/octet-stream',
+                    cacheControl: options.cacheControl || '3600'
+                }),
+                'x-upsert': 'true'
+            }
+        });
+        if (response.status !== 201) {
+            throw uploadError('HTTP', `Could not start upload (${response.status})`);
+        }
+
+        const location = response.headers.get('Location');
+        if (!location) throw uploadError('HTTP', 'Upload server did not return an upload URL');
+        return new URL(location, target.url).href;
+    }
+
+    /**
+     * @returns {Promise<number|null>} Bytes the server has, or null if it no longer knows the upload
+     */
+    async function getOffset(uploadUrl, headers) {
+        const response = await fetch(uploadUrl, { method: 'HEAD', headers, cache: 'no-store' });
+        if ([403, 404, 410].includes(response.status)) return null;
+        if (!response.ok) throw uploadError('HTTP', `Could not check upload (${response.status})`);
+
+        const offset = parseInt(response.headers.get('Upload-Offset'), 10);
+        return Number.isNaN(offset) ? null : offset;
+    }
+
+    // XHR rather than fetch - fetch can't report upload progress
+    function sendChunk(upload, uploadUrl, headers, chunk, offset) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PATCH', uploadUrl);
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.setRequestHeader('Upload-Offset', String(offset));
+            xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+
+            xhr.upload.onprogress = (e) => setState(upload.key, { sent: offset + e.loaded });
+            xhr.onload = () => {
+                upload.xhr = null;
+                const next = parseInt(xhr.getResponseHeader('Upload-Offset'), 10);
+                if (xhr.status >= 200 && xhr.status < 300 && !Number.isNaN(next)) {
+                    resolve(next);
+                } else {
+                    const error = uploadError('HTTP', `Chunk upload failed (${xhr.status})`);
+                    error.status = xhr.status;
+                    reject(error);
+                }
+            };
+            xhr.onerror = () => {
+                upload.xhr = null;
+                reject(uploadError('NETWORK', 'Connection lost'));
+            };
+            xhr.onabort = () => {
+                upload.xhr = null;
+                const code = upload.abortCode || 'PAUSED';
+                upload.abortCode = null;
+                reject(uploadError(code, code === 'WIFI_REQUIRED' ? 'Waiting for Wi-Fi' : 'Upload paused'));
+            };
+
+            upload.xhr = xhr;
+            xhr.send(chunk);
+        });
+    }
+
+    function checkCanContinue(key) {
+        if (paused.has(key)) throw uploadError('PAUSED', 'Upload paused');
+        if (!navigator.onLine) throw uploadError('OFFLINE', 'Offline');
+        if (!isOnAllowedNetwork()) throw uploadError('WIFI_REQUIRED', 'Waiting for Wi-Fi');
+    }
+
+    async function runUpload(key, blob, options) {
+        checkCanContinue(key);
+
+        const target = getTarget();
+        const headers = await getHeaders(target);
+        const resumeKey = `${target.base}/${options.bucket}/${options.path}`;
+        setState(key, { status: 'uploading', sent: 0, total: blob.size, error: null });
+
+        let uploadUrl = getResumeUrl(resumeKey, blob.size);
+        let offset = 0;
+        if (uploadUrl) {
+            offset = await getOffset(uploadUrl, headers);
+            if (offset === null) {
+                forgetResumeUrl(resumeKey);
+                uploadUrl = null;
+                offset = 0;
+            } else {
+                console.log(`[UPLOAD] Resuming ${key} at ${offset} of ${blob.size} bytes`);
+            }
+        }
+        if (!uploadUrl) {
+            uploadUrl = await createUpload(target, headers, blob, options);
+            saveResumeUrl(resumeKey, uploadUrl, blob.size);
+        }
+
+        const upload = uploads[key];
+        let failures = 0;
+        while (offset < blob.size) {
+            if (uploads[key] !== upload) throw uploadError('CANCELLED', 'Upload cancelled');
+            checkCanContinue(key);
+            const chunk = blob.slice(offset, offset + target.chunkSize);
+            const started = Date.now();
+            setState(key, { sent: offset });
+
+            try {
+                offset = await sendChunk(upload, uploadUrl, headers, chunk, offset);
+                recordThroughput(chunk.size, Date.now() - started);
+                failures = 0;
+            } catch (err) {
+                // Dropped connections, server hiccups and offset mismatches (409) are worth another go
+                const retryable = err.code === 'NETWORK' || err.status === 409 || err.status >= 500;
+                if ([403, 404, 410].includes(err.status)) forgetResumeUrl(resumeKey);
+                if (!retryable || failures >= RETRY_DELAYS_MS.length || !navigator.onLine) throw err;
+
+                console.warn(`[UPLOAD] ${key}: ${err.message}, retrying`);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS_MS[failures++]));
+                // The server keeps what arrived before the connection dropped
+                const serverOffset = await getOffset(uploadUrl, headers);
+                if (serverOffset === null) {
+                    forgetResumeUrl(resumeKey);
+                    throw err;
+                }
+                if (serverOffset > offset) failures = 0;  // Still getting somewhere
+                offset = serverOffset;
+            }
+        }
+
+        forgetResumeUrl(resumeKey);
+        setState(key, { status: 'done', sent: blob.size });
+        console.log(`[UPLOAD] Done: ${options.bucket}/${options.path} (${Math.round(blob.size / 1024)}KB)`);
+        return { storagePath: options.path, publicUrl: getPublicUrl(options.bucket, options.path) };
+    }
+
+    // ============ PUBLIC API ============
+
+    /**
+     * Upload a file to a storage bucket (overwriting), continuing an earlier
+     * attempt at the same object if there was one
+     * @param {Blob} blob
+     * @param {Object} options
+     * @param {string} options.bucket - e.g. 'report-photos'
+     * @param {string} options.path - Object path in the bucket
+     * @param {string} [options.key] - Id for progress and pause/resume, e.g. the photo id (default: path).
+     *   A second upload() with the same key while one is running shares its promise.
+     * @param {string} [options.cacheControl] - Seconds (default '3600')
+     * @returns {Promise<{storagePath: string, publicUrl: string}>}
+     * @throws {Error} With code 'PAUSED', 'WIFI_REQUIRED' or 'OFFLINE' if it can't go now
+     *   (not failures - upload() again later), otherwise the upload error after retries
+     */
+    function upload(blob, options) {
+        const key = options.key || options.path;
+        if (uploads[key]?.promise) return uploads[key].promise;
+
+        const entry = uploads[key] || { key, status: 'queued', sent: 0, total: blob.size, error: null };
+        uploads[key] = entry;
+        entry.promise = runUpload(key, blob, options)
+            .catch(err => {
+                if (err.code === 'CANCELLED') throw err;
+                const status = { PAUSED: 'paused', WIFI_REQUIRED: 'waiting', OFFLINE: 'offline' }[err.code] || 'error';
+                setState(key, { status, total: blob.size, error: status === 'error' ? err.message : null });
+                if (status === 'error') console.error('[UPLOAD] Failed:', key, err);
+                throw err;
+            })
+            .finally(() => {
+                entry.promise = null;
+            });
+        return entry.promise;
+    }
+
+    /**
+     * Stop an upload; it stays paused (upload() rejects) until resume()
+     * @param {string} key
+     */
+    function pause(key) {
+        paused.add(key);
+        const upload = uploads[key];
+        if (!upload) return;
+
+        console.log('[UPLOAD] Paused:', key);
+        if (upload.xhr) {
+            upload.abortCode = 'PAUSED';
+            upload.xhr.abort();
+        } else if (!upload.promise) {
+            setState(key, { status: 'paused' });
+        }
+    }
+
+    /**
+     * Allow a paused or failed upload to run again - it goes to 'queued' for its
+     * owner to call upload()
+     * @param {string} key
+     */
+    function resume(key) {
+        paused.delete(key);
+        if (!uploads[key] || uploads[key].promise) return;
+        console.log('[UPLOAD] Resumed:', key);
+        setState(key, { status: 'queued', error: null });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    function isPaused(key) {
+        return paused.has(key);
+    }
+
+    /**
+     * Stop an upload for good (e.g. its photo was deleted) - nothing to resume
+     * @param {string} key
+     */
+    function cancel(key) {
+        const upload = uploads[key];
+        paused.delete(key);
+        if (upload?.xhr) {
+            upload.abortCode = 'CANCELLED';
+            upload.xhr.abort();
+        }
+        delete uploads[key];
+    }
+
+    /**
+     * Public URL of an uploaded object
+     * @param {string} bucket
+     * @param {string} path
+     * @returns {string}
+     */
+    function getPublicUrl(bucket, path) {
+        const target = getTarget();
+        if (!target.supabase) {
+            return `${target.base}/storage/v1/object/public/${bucket}/${path}`;
+        }
+        const { data } = supabaseClient.storage.from(bucket).getPublicUrl(path);
+        return data?.publicUrl || '';
+    }
+
+    if (navigator.connection?.addEventListener) {
+        navigator.connection.addEventListener('change', handleConnectionChange);
+    }
+    window.addEventListener('online', handleConnectionChange);
+
+    // Expose to window
+    window.uploadManager = {
+        QUALITY_TIERS,
+        getConfig,
+        saveConfig,
+        canUpload,
+        getThroughput,
+        getCompressionSettings,
+        upload,
+        pause,
+        resume,
+        isPaused,
+        cancel,
+        getState,
+        onChange,
+        getPublicUrl
+    };
+})();
@@ -0,0 +1,291 @@
+/**
+ * Voice Commands - Spoken command grammar for hands-free guided interviews
+ * FieldVoice Pro v6
+ *
+ * Turns a transcribed utterance into a command object. It only parses - the page
+ * decides what a command does (quick-interview.js runVoiceCommand()).
+ *
+ * Grammar (case and punctuation ignored, "N/A" may be heard as "n a" / "not applicable"):
+ *   next | next section | previous | go back | close     -> { action: 'next' | 'previous' | 'close' }
+ *   <section> | open <section> | go to <section>          -> { action: 'open', section }
+ *   <section> none | <section> N/A | mark <section> N/A | no <section>
+ *                                                         -> { action: 'none', section }
+ *   <section> yes | safety incident                       -> { action: 'yes', section }
+ *   add equipment <type> [<qty>] [<n> hours | idle] [for <contractor>]
+ *                                                         -> { action: 'addEquipment', equipment: { type, qty, status, contractorId } }
+ *   open <contractor> | <contractor>                      -> { action: 'openContractor', contractorId }
+ *   <contractor> no work                                  -> { action: 'noWork', contractorId }
+ *   help | what can I say                                 -> { action: 'help' }
+ *
+ * Sections: weather, activities, personnel, equipment, issues, communications,
+ * qaqc, safety, visitors, photos, memos (the guided section card ids).
+ *
+ * Dependencies: none
+ *
+ * @module voice-commands
+ */
+
+(function() {
+    'use strict';
+
+    // Guided section cards, top to bottom
+    const SECTION_ORDER = [
+        'weather', 'activities', 'personnel', 'equipment', 'issues',
+        'communications', 'qaqc', 'safety', 'visitors', 'photos', 'memos'
+    ];
+
+    // What people actually say for each section
+    const SECTION_ALIASES = {
+        weather: ['weather', 'site conditions', 'conditions'],
+        activities: ['activities', 'activity', 'work', 'work summary'],
+        personnel: ['personnel', 'manpower', 'crew', 'crews', 'labor', 'workers'],
+        equipment: ['equipment', 'machines', 'machinery'],
+        issues: ['issues', 'issue', 'delays', 'issues and delays', 'problems'],
+        communications: ['communications', 'communication', 'comms'],
+        qaqc: ['qaqc', 'qa qc', 'q a q c', 'qa', 'qc', 'quality', 'inspections', 'testing'],
+        safety: ['safety', 'incidents', 'incident'],
+        visitors: ['visitors', 'visitor', 'deliveries', 'visitors and deliveries'],
+        photos: ['photos', 'photo', 'pictures', 'pics'],
+        memos: ['memos', 'memo', 'voice memos', 'voice memo']
+    };
+
+    const SECTION_LABELS = {
+        weather: 'Weather',
+        activities: 'Work Summary',
+        personnel: 'Personnel',
+        equipment: 'Equipment',
+        issues: 'Issues & Delays',
+        communications: 'Communications',
+        qaqc: 'QA/QC',
+        safety: 'Safety',
+        visitors: 'Visitors & Deliveries',
+        photos: 'Photos',
+        memos: 'Voice Memos'
+    };
+
+    const NUMBER_WORDS = {
+        a: 1, an: 1, one: 1, won: 1, two: 2, to: 2, too: 2, three: 3, four: 4, five: 5,
+        six: 6, seven: 7, eight: 8, ate: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+    };
+
+    const MAX_EQUIPMENT_HOURS = 10;  // Status dropdown goes Idle, 1hr ... 10hr
+
+    const COMPANY_SUFFIXES = /\b(inc|llc|co|corp|corporation|company|ltd|lp)\b/g;
+
+    const EXAMPLES = [
+        'Next section',
+        'Personnel none',
+        'Mark safety N/A',
+        'Add equipment excavator two hours',
+        'Open issues'
+    ];
+
+    /**
+     * Parse a spoken command
+     * @param {string} utterance - Transcribed speech
+     * @param {Object} [context]
+     * @param {Array<{id: string, name: string, abbreviation?: string}>} [context.contractors] - Project contractors
+     * @returns {Object|null} Command ({ action, ... , heard }) or null if it isn't one
+     */
+    function parse(utterance, context = {}) {
+        const text = normalize(utterance);
+        if (!text) return null;
+
+        const contractors = context.contractors || [];
+        const command = parseNormalized(text, contractors);
+        if (command) command.heard = String(utterance).trim();
+        return command;
+    }
+
+    function parseNormalized(text, contractors) {
+        let match;
+
+        if (/^(help|what can i say|voice commands|commands)$/.test(text)) {
+            return { action: 'help' };
+        }
+        if (/^(next|next section|go next|forward|continue)$/.test(text)) {
+            return { action: 'next' };
+        }
+        if (/^(previous|previous section|back|go back|last section)$/.test(text)) {
+            return { action: 'previous' };
+        }
+        if (/^(close|close section|collapse|collapse section)$/.test(text)) {
+            return { action: 'close' };
+        }
+
+        if (/^add (equipment|machine)$/.test(text)) {
+            return { action: 'addEquipment', equipment: { type: '', qty: 1, status: 'Idle', contractorId: '' } };
+        }
+        // "add equipment excavator two hours", "add 2 loaders idle for acme"
+        if ((match = text.match(/^add (?:equipment |machine )?(.+)$/))) {
+            const equipment = parseEquipment(match[1], contractors);
+            return equipment ? { action: 'addEquipment', equipment } : null;
+        }
+
+        // "no incidents" / "safety incident"
+        if (/^(no incidents?|no safety incidents?)$/.test(text)) {
+            return { action: 'none', section: 'safety' };
+        }
+        if (/^(safety incidents?|incident|there was an incident|report incident)$/.test(text)) {
+            return { action: 'yes', section: 'safety' };
+        }
+
+        // "mark safety na", "personnel none", "issues not applicable"
+        if ((match = text.match(/^(?:mark |set )?(.+?) (?:as |to |is )?(na|none|nothing|no)$/))) {
+            const section = findSection(match[1]);
+            if (section) return { action: 'none', section };
+        }
+        // "no issues", "no visitors"
+        if ((match = text.match(/^(?:no|nothing for|none for) (.+)$/))) {
+            const section = findSection(match[1]);
+            if (section) return { action: 'none', section };
+        }
+        // "communications yes"
+        if ((match = text.match(/^(?:mark |set )?(.+?) (?:as |to |is )?yes$/))) {
+            const section = findSection(match[1]);
+            if (section) return { action: 'yes', section };
+        }
+
+        // "acme no work"
+        if ((match = text.match(/^(?:mark )?(.+?) (?:no work|did not work|didn't work|not working|off)$/))) {
+            const contractor = findContractor(match[1], contractors);
+            if (contractor) return { action: 'noWork', contractorId: contractor.id };
+        }
+
+        // "open issues", "go to acme", or just "issues"
+        match = text.match(/^(?:open|go to|show|goto|jump to|section) (.+)$/);
+        const target = match ? match[1] : text;
+        const section = findSection(target);
+        if (section) return { action: 'open', section };
+
+        const contractor = findContractor(target, contractors);
+        if (contractor) return { action: 'openContractor', contractorId: contractor.id };
+
+        return null;
+    }
+
+    /**
+     * Parse "excavator two hours for acme" into an equipment row
+     * @returns {{type: string, qty: number, status: string, contractorId: string}|null}
+     */
+    function parseEquipment(text, contractors) {
+        let rest = ` ${text} `;
+        let contractorId = '';
+        let status = 'Idle';
+        let qty = 1;
+
+        // Trailing "for <contractor>"
+        const forMatch = rest.match(/ (?:for|by|from) (.+?) $/);
+        if (forMatch) {
+            const contractor = findContractor(forMatch[1], contractors);
+            if (contractor) {
+                contractorId = contractor.id;
+                rest = rest.slice(0, forMatch.index) + ' ';
+            }
+        }
+
+        // "two hours", "2 hrs", "one hour"
+        const hoursMatch = rest.match(/ (\w+) (?:hours?|hrs?)(?: of work)? /);
+        if (hoursMatch) {
+            const hours = toNumber(hoursMatch[1]);
+            if (hours) {
+                status = `${Math.min(Math.max(hours, 1), MAX_EQUIPMENT_HOURS)}hr`;
+                rest = rest.replace(hoursMatch[0], ' ');
+            }
+        } else if (/ idle /.test(rest)) {
+            rest = rest.replace(/ idle /, ' ');
+        }
+
+        // Quantity - "two excavators", "excavator times two", "excavator quantity 2"
+        const qtyAfter = rest.match(/ (?:times|quantity|qty|count|x) (\w+) /);
+        if (qtyAfter && toNumber(qtyAfter[1])) {
+            qty = toNumber(qtyAfter[1]);
+            rest = rest.replace(qtyAfter[0], ' ');
+        } else {
+            const qtyBefore = rest.match(/^ (\w+) /);
+            if (qtyBefore && toNumber(qtyBefore[1]) && rest.trim().split(' ').length > 1) {
+                qty = toNumber(qtyBefore[1]);
+                rest = rest.slice(qtyBefore[0].length - 1);
+            }
+        }
+
+        const words = rest.trim().split(' ').filter(Boolean);
+        if (words.length === 0) return null;
+        if (qty > 1) words[words.length - 1] = singular(words[words.length - 1]);
+
+        return {
+            type: words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+            qty,
+            status,
+            contractorId
+        };
+    }
+
+    /**
+     * @param {string} phrase - Normalized words
+     * @returns {string|null} Section id
+     */
+    function findSection(phrase) {
+        const cleaned = phrase.replace(/^(the|a) /, '').replace(/ section$/, '');
+        return SECTION_ORDER.find(section => SECTION_ALIASES[section].includes(cleaned)) || null;
+    }
+
+    /**
+     * Match a spoken name to a contractor - full name, name without Inc/LLC, its first
+     * words, or the abbreviation
+     * @param {string} phrase - Normalized words
+     * @param {Array} contractors
+     * @returns {Object|null}
+     */
+    function findContractor(phrase, contractors) {
+        const cleaned = phrase.replace(/^the /, '');
+        if (!cleaned) return null;
+
+        const names = contractors.map(contractor => ({
+            contractor,
+            full: normalize(contractor.name),
+            short: normalize(contractor.name).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim(),
+            abbreviation: normalize(contractor.abbreviation || '')
+        }));
+
+        const exact = names.find(n => cleaned === n.full || cleaned === n.short ||
+            (n.abbreviation && (cleaned === n.abbreviation || cleaned.replace(/ /g, '') === n.abbreviation.replace(/ /g, ''))));
+        if (exact) return exact.contractor;
+
+        // "acme" for "Acme Paving Inc" - only if it picks out one contractor
+        const partial = names.filter(n => n.short.startsWith(`${cleaned} `));
+        return partial.length === 1 ? partial[0].contractor : null;
+    }
+
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/\bn\s*\/\s*a\b/g, 'na')
+            .replace(/\bn\.?\s?a\.?(?=\s|$)/g, 'na')
+            .replace(/\bnot applicable\b/g, 'na')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9' ]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function toNumber(word) {
+        if (/^\d+$/.test(word)) return parseInt(word, 10);
+        return NUMBER_WORDS[word] || 0;
+    }
+
+    function singular(word) {
+        if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+        if (/(ch|sh|x|s)es$/.test(word)) return word.replace(/es$/, '');
+        if (/[^s]s$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+
+    // Expose to window
+    window.voiceCommands = {
+        SECTION_ORDER,
+        SECTION_LABELS,
+        EXAMPLES,
+        parse
+    };
+})();
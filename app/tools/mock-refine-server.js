@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * Mock AI Refine Server - deterministic stand-in for the n8n refine webhook
+ * FieldVoice Pro v6
+ *
+ * Builds `refinedReport` straight from the refine payload (no AI, no randomness),
+ * so the same field notes always produce the same report. Select "Local mock
+ * server" under Settings > AI Refine Provider to use it.
+ *
+ * Usage:  node tools/mock-refine-server.js        (listens on http://localhost:8787)
+ *         PORT=9000 node tools/mock-refine-server.js
+ *
+ * POST /refine query options, for exercising error handling:
+ *   ?delay=5000  wait before responding (timeouts)
+ *   ?fail=500    respond with that HTTP status
+ *   ?shape=legacy  respond with the old { aiGenerated } shape
+ *
+ * Streaming: a body with `stream: true` gets one message per section (NDJSON, or
+ * SSE with ?format=sse), one contractor activity at a time - see ai-provider.js
+ * refineStream(). A `sections` list in the body limits the output to those.
+ *   ?chunkDelay=300         pause between messages (default 150ms)
+ *   ?failSection=qaqc_notes send a section_error for that section (or activities:<contractorId>);
+ *                           per-section retries (body.sections) always succeed
+ *   ?dropAfter=3            end the stream after that many messages, without `done`
+ *
+ * No dependencies beyond Node itself.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+
+// Entry sections (quick-interview.js createEntry) -> refinedReport text fields
+const SECTION_FIELDS = {
+    issues: 'issues_delays',
+    qaqc: 'qaqc_notes',
+    communications: 'communications',
+    visitors: 'visitors_deliveries'
+};
+
+/**
+ * Build a v6.6 refine response from a refine payload
+ * @param {Object} payload - Body posted by ai-provider.js refine()
+ * @returns {Object} { success, captureMode, originalInput, refinedReport }
+ */
+function buildRefineResponse(payload) {
+    const contractors = payload.projectContext?.contractors || [];
+    const entries = (payload.entries || [])
+        .filter(e => !e.is_deleted && e.content && e.content.trim())
+        .sort((a, b) => (a.entry_order || 0) - (b.entry_order || 0));
+    const sectionText = section => entries
+        .filter(e => e.section === section)
+        .map(e => sentence(e.content));
+
+    const freeform = (payload.fieldNotes?.freeformNotes || '').trim();
+    const guided = payload.fieldNotes || {};
+
+    const activities = contractors.map(contractor => {
+        const notes = sectionText(`work_${contractor.id}`);
+        const existing = (payload.activities || []).find(a => a.contractorId === contractor.id);
+        return {
+            contractorId: contractor.id,
+            contractorName: contractor.name,
+            noWork: notes.length === 0 && !existing?.narrative,
+            narrative: notes.length > 0 ? notes.join(' ') : (existing?.narrative || ''),
+            equipmentUsed: existing?.equipmentUsed || '',
+            crew: existing?.crew || ''
+        };
+    });
+
+    // Freeform mode has no per-contractor notes - report them as one general activity
+    if (freeform && activities.every(a => a.noWork)) {
+        activities.push({
+            contractorId: null,
+            contractorName: 'General',
+            noWork: false,
+            narrative: freeform.split(/\n{2,}/).map(sentence).join(' '),
+            equipmentUsed: '',
+            crew: ''
+        });
+    }
+
+    const operations = (payload.operations || []).map(op => ({
+        contractorId: op.contractorId || null,
+        contractorName: contractors.find(c => c.id === op.contractorId)?.name || null,
+        superintendents: op.superintendents || null,
+        foremen: op.foremen || null,
+        operators: op.operators || null,
+        laborers: op.laborers || null,
+        surveyors: op.surveyors || null,
+        others: op.others || null
+    }));
+
+    const equipment = (payload.equipmentRows || []).map(row => ({
+        contractorId: row.contractorId || null,
+        contractorName: contractors.find(c => c.id === row.contractorId)?.name || null,
+        type: row.type || '',
+        qty: row.qty || 1,
+        status: row.status || 'IDLE'
+    }));
+
+    const refinedReport = { activities, operations, equipment };
+    Object.entries(SECTION_FIELDS).forEach(([section, field]) => {
+        refinedReport[field] = sectionText(section);
+    });
+    if (guided.issues) refinedReport.issues_delays.push(sentence(guided.issues));
+
+    const safetyNotes = sectionText('safety');
+    if (guided.safety) safetyNotes.push(sentence(guided.safety));
+    const hasIncidents = Boolean(payload.safety?.hasIncidents);
+    refinedReport.safety = {
+        has_incidents: hasIncidents,
+        no_incidents: !hasIncidents,
+        summary: safetyNotes.length > 0 ? safetyNotes.join(' ') : 'No safety incidents reported.'
+    };
+
+    return {
+        success: true,
+        captureMode: payload.captureMode || 'minimal',
+        originalInput: payload,
+        refinedReport
+    };
+}
+
+/**
+ * Capitalize and terminate a note so output reads like refined text
+ */
+function sentence(text) {
+    const trimmed = String(text).trim().replace(/\s+/g, ' ');
+    if (!trimmed) return '';
+    const capitalized = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+    return /[.!?]$/.test(capitalized) ? capitalized : `${capitalized}.`;
+}
+
+/**
+ * Split a refine response into stream messages
+ * @param {Object} response - buildRefineResponse() result
+ * @param {Array<{section: string, contractorId?: string}>} [sections] - Only these (per-section retry)
+ * @returns {Array<Object>} meta, section... , done
+ */
+function buildStreamMessages(response, sections) {
+    const report = response.refinedReport;
+    const wanted = (section, contractorId) => !sections || sections.some(s =>
+        s.section === section && (!s.contractorId || s.contractorId === contractorId));
+
+    const messages = [{ type: 'meta', captureMode: response.captureMode, originalInput: response.originalInput }];
+    report.activities.forEach(activity => {
+        if (!wanted('activities', activity.contractorId)) return;
+        messages.push(activity.contractorId
+            ? { type: 'section', section: 'activities', contractorId: activity.contractorId, data: activity }
+            : { type: 'section', section: 'activities', data: report.activities.filter(a => !a.contractorId) });
+    });
+    ['operations', 'equipment', 'issues_delays', 'qaqc_notes', 'safety', 'communications', 'visitors_deliveries']
+        .filter(section => wanted(section))
+        .forEach(section => messages.push({ type: 'section', section, data: report[section] }));
+    messages.push({ type: 'done' });
+    return messages;
+}
+
+/**
+ * Write messages one at a time so the client sees them arrive separately
+ */
+function streamMessages(res, messages, options) {
+    const sse = options.format === 'sse';
+    res.writeHead(200, {
+        'Content-Type': sse ? 'text/event-stream' : 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*',
+        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
+    });
+
+    const queue = options.dropAfter ? messages.slice(0, options.dropAfter) : messages.slice();
+    const next = () => {
+        const message = queue.shift();
+        if (!message) {
+            res.end();
+            return;
+        }
+
+        const key = message.contractorId ? `${message.section}:${message.contractorId}` : message.section;
+        const fails = message.type === 'section' &&
+            (key === options.failSection || message.section === options.failSection);
+        const out = fails
+            ? {
+                type: 'section_error',
+                section: message.section,
+                contractorId: message.contractorId,
+                message: 'Mock section failure'
+            }
+            : message;
+        const line = JSON.stringify(out);
+        res.write(sse ? `data: ${line}\n\n` : `${line}\n`);
+        setTimeout(next, options.chunkDelay);
+    };
+    next();
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*',
+        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        send(res, 200, { ok: true });
+        return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/refine') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const delay = parseInt(url.searchParams.get('delay'), 10) || 0;
+        const fail = parseInt(url.searchParams.get('fail'), 10) || 0;
+
+        setTimeout(() => {
+            if (fail) {
+                send(res, fail, { error: `Mock failure ${fail}` });
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(raw || '{}');
+            } catch (e) {
+                send(res, 400, { error: 'Body must be JSON' });
+                return;
+            }
+
+            const response = buildRefineResponse(payload);
+            console.log(`[MOCK] Refined ${payload.reportId || 'report'} (version ${req.headers['x-fieldvoice-refine-version'] || 'none'})`);
+
+            if (payload.stream) {
+                const chunkDelay = parseInt(url.searchParams.get('chunkDelay'), 10);
+                streamMessages(res, buildStreamMessages(response, payload.sections), {
+                    format: url.searchParams.get('format'),
+                    chunkDelay: Number.isNaN(chunkDelay) ? 150 : chunkDelay,
+                    failSection: payload.sections ? null : url.searchParams.get('failSection'),
+                    dropAfter: parseInt(url.searchParams.get('dropAfter'), 10) || 0
+                });
+                return;
+            }
+
+            if (url.searchParams.get('shape') === 'legacy') {
+                send(res, 200, { aiGenerated: response.refinedReport });
+                return;
+            }
+            send(res, 200, response);
+        }, delay);
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`[MOCK] Refine server listening on http://localhost:${PORT}/refine`);
+    });
+}
+
+module.exports = { buildRefineResponse, buildStreamMessages };
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Mock Upload Server - local stand-in for Supabase Storage resumable (TUS) uploads
+ * FieldVoice Pro v6
+ *
+ * Speaks the part of TUS 1.0.0 that upload-manager.js uses, on the same paths as
+ * Supabase, and serves finished files back as public objects. Set Settings >
+ * Photo Uploads > Upload Server to http://localhost:8788 to use it. Files are
+ * kept in memory until the server stops.
+ *
+ * Usage:  node tools/mock-upload-server.js        (listens on http://localhost:8788)
+ *         PORT=9000 node tools/mock-upload-server.js
+ *
+ * For exercising slow and flaky connections:
+ *   THROTTLE_KBPS=50   read at most that many KB per second
+ *   DROP_EVERY=100000  cut the connection after that many bytes of each PATCH -
+ *                      what arrived is kept, so the client resumes from there
+ *
+ *   POST  /storage/v1/upload/resumable          create (Upload-Length, Upload-Metadata) -> 201 + Location
+ *   HEAD  /storage/v1/upload/resumable/:id      -> Upload-Offset, Upload-Length
+ *   PATCH /storage/v1/upload/resumable/:id      append at Upload-Offset -> 204 + Upload-Offset
+ *   GET   /storage/v1/object/public/:bucket/*   finished files
+ *
+ * No dependencies beyond Node itself.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 8788;
+const THROTTLE_KBPS = parseInt(process.env.THROTTLE_KBPS, 10) || 0;
+const DROP_EVERY = parseInt(process.env.DROP_EVERY, 10) || 0;
+
+const UPLOAD_PATH = '/storage/v1/upload/resumable';
+const OBJECT_PATH = '/storage/v1/object/public/';
+
+const uploads = new Map();  // id -> { length, offset, parts, metadata }
+const objects = new Map();  // bucket/objectName -> { data, contentType }
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'POST, HEAD, PATCH, GET, OPTIONS',
+    'Access-Control-Expose-Headers': 'Location, Upload-Offset, Upload-Length, Tus-Resumable'
+};
+
+/**
+ * Parse a TUS Upload-Metadata header ("key base64value,key base64value")
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+function parseMetadata(header) {
+    const metadata = {};
+    (header || '').split(',').forEach(pair => {
+        const [key, value] = pair.trim().split(' ');
+        if (key) metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    });
+    return metadata;
+}
+
+function send(res, status, headers = {}, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Tus-Resumable': '1.0.0', ...headers });
+    res.end(body);
+}
+
+function createUpload(req, res) {
+    const length = parseInt(req.headers['upload-length'], 10);
+    if (Number.isNaN(length) || length < 0) {
+        send(res, 400, {}, 'Upload-Length required');
+        return;
+    }
+
+    const metadata = parseMetadata(req.headers['upload-metadata']);
+    if (!metadata.bucketName || !metadata.objectName) {
+        send(res, 400, {}, 'Upload-Metadata needs bucketName and objectName');
+        return;
+    }
+    if (objects.has(`${metadata.bucketName}/${metadata.objectName}`) && req.headers['x-upsert'] !== 'true') {
+        send(res, 409, {}, 'Object already exists');
+        return;
+    }
+
+    const id = crypto.randomUUID();
+    uploads.set(id, { length, offset: 0, parts: [], metadata });
+    if (length === 0) finishUpload(id);
+
+    console.log(`[MOCK] Created ${id} for ${metadata.bucketName}/${metadata.objectName} (${length} bytes)`);
+    send(res, 201, { Location: `http://${req.headers.host}${UPLOAD_PATH}/${id}` });
+}
+
+function finishUpload(id) {
+    const upload = uploads.get(id);
+    const { bucketName, objectName, contentType } = upload.metadata;
+    objects.set(`${bucketName}/${objectName}`, {
+        data: Buffer.concat(upload.parts),
+        contentType: contentType || 'application/octet-stream'
+    });
+    uploads.delete(id);
+    console.log(`[MOCK] Finished ${bucketName}/${objectName}`);
+}
+
+function appendToUpload(id, req, res) {
+    const upload = uploads.get(id);
+    const offset = parseInt(req.headers['upload-offset'], 10);
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+        send(res, 415, {}, 'Content-Type must be application/offset+octet-stream');
+        return;
+    }
+    if (offset !== upload.offset) {
+        send(res, 409, { 'Upload-Offset': String(upload.offset) }, 'Upload-Offset mismatch');
+        return;
+    }
+
+    let received = 0;
+    req.on('data', chunk => {
+        const room = upload.length - upload.offset;
+        const part = chunk.length > room ? chunk.subarray(0, room) : chunk;
+        upload.parts.push(part);
+        upload.offset += part.length;
+        received += part.length;
+
+        if (DROP_EVERY && received >= DROP_EVERY && upload.offset < upload.length) {
+            console.log(`[MOCK] Dropping connection for ${id} at ${upload.offset}/${upload.length}`);
+            req.socket.destroy();
+            return;
+        }
+        if (THROTTLE_KBPS) {
+            req.pause();
+            setTimeout(() => req.resume(), (chunk.length / (THROTTLE_KBPS * 1024)) * 1000);
+        }
+    });
+    req.on('end', () => {
+        const offsetNow = upload.offset;
+        if (upload.offset === upload.length) finishUpload(id);
+        send(res, 204, { 'Upload-Offset': String(offsetNow) });
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        send(res, 200, { 'Content-Type': 'application/json' }, JSON.stringify({ ok: true, uploads: uploads.size, objects: objects.size }));
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === UPLOAD_PATH) {
+        createUpload(req, res);
+        return;
+    }
+
+    if (url.pathname.startsWith(`${UPLOAD_PATH}/`)) {
+        const id = url.pathname.slice(UPLOAD_PATH.length + 1);
+        const upload = uploads.get(id);
+        if (!upload) {
+            send(res, 404, {}, 'Unknown upload');
+            return;
+        }
+        if (req.method === 'HEAD') {
+            send(res, 200, {
+                'Upload-Offset': String(upload.offset),
+                'Upload-Length': String(upload.length),
+                'Cache-Control': 'no-store'
+            });
+            return;
+        }
+        if (req.method === 'PATCH') {
+            appendToUpload(id, req, res);
+            return;
+        }
+    }
+
+    if (req.method === 'GET' && url.pathname.startsWith(OBJECT_PATH)) {
+        const object = objects.get(decodeURIComponent(url.pathname.slice(OBJECT_PATH.length)));
+        if (object) {
+            send(res, 200, { 'Content-Type': object.contentType, 'Content-Length': object.data.length }, object.data);
+            return;
+        }
+    }
+
+    send(res, 404, {}, 'Not found');
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`[MOCK] Upload server listening on http://localhost:${PORT}${UPLOAD_PATH}`);
+        if (THROTTLE_KBPS) console.log(`[MOCK] Throttled to ${THROTTLE_KBPS} KB/s`);
+        if (DROP_EVERY) console.log(`[MOCK] Dropping each PATCH after ${DROP_EVERY} bytes`);
+    });
+}
+
+module.exports = { server, uploads, objects };